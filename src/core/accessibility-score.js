@@ -0,0 +1,398 @@
+// Accessibility score - rates a route per disability profile from survey answers and measured route data
+import { getElevationProfile, formatGradient, ADA_GRADIENT_THRESHOLDS } from './elevation.js';
+import { getObservationCategory, getSeverityLabel } from './observation-types.js';
+import { migrateSurveyData, formatSurveyAnswer } from '../features/survey-engine.js';
+import { t, getLanguage } from '../i18n/i18n.js';
+
+// Version 2: factor details are stored language-neutral (see describeFactor)
+// Version 3: scores cover the recorded factors only, and profiles with too little recorded are unrated
+export const SCORE_VERSION = 3;
+
+// Share of a profile's factor weight (%) that must be recorded before the profile gets a score
+export const MIN_SCORE_COVERAGE = 50;
+
+export const ACCESSIBILITY_PROFILES = {
+  wheelchair: { icon: '♿' },
+  visual: { icon: '👁️' },
+  stroller: { icon: '👶' },
+  elderly: { icon: '🧓' }
+};
+
+export const SCORE_RATINGS = [
+  { id: 'excellent', min: 80, color: '#28a745' },
+  { id: 'good', min: 60, color: '#8bc34a' },
+  { id: 'limited', min: 40, color: '#ff9800' },
+  { id: 'difficult', min: 0, color: '#dc3545' }
+];
+
+// Rating of a profile without a score
+export const UNRATED_RATING = { id: 'unrated', min: null, color: '#9e9e9e' };
+
+// Most points each factor can take off a profile's score of 100
+const FACTOR_WEIGHTS = {
+  surface: { wheelchair: 20, visual: 5, stroller: 15, elderly: 10 },
+  quality: { wheelchair: 15, visual: 15, stroller: 12, elderly: 12 },
+  slopes: { wheelchair: 25, visual: 5, stroller: 20, elderly: 20 },
+  barriers: { wheelchair: 25, visual: 20, stroller: 20, elderly: 15 },
+  length: { wheelchair: 5, visual: 5, stroller: 10, elderly: 15 },
+  restrooms: { wheelchair: 5, visual: 5, stroller: 5, elderly: 8 },
+  seating: { wheelchair: 3, visual: 3, stroller: 3, elderly: 10 },
+  shade: { wheelchair: 2, visual: 2, stroller: 5, elderly: 8 },
+  signage: { wheelchair: 5, visual: 5, stroller: 5, elderly: 5 },
+  visualAids: { wheelchair: 0, visual: 30, stroller: 0, elderly: 0 }
+};
+
+// How hard each answer makes the route, from 0 (no difficulty) to 1 (the factor's full weight).
+// Keyed by the survey's option codes.
+const SURFACE_PENALTIES = {
+  asphalt: 0,
+  concrete: 0,
+  deck: 0.1,
+  compacted_gravel: 0.4,
+  mixed: 0.6,
+  stone: 0.7,
+  grass: 0.9
+};
+
+const QUALITY_PENALTIES = { excellent: 0, fair: 0.4, poor: 0.8, overgrown: 1 };
+
+const SLOPE_PENALTIES = { mild: 0, moderate: 0.5, steep: 1 };
+
+const RESTROOM_PENALTIES = { none: 1, unisex: 0, separate: 0 };
+
+const SEATING_PENALTIES = { none: 1, one: 0.4, multiple: 0, no_handrails: 0.6 };
+
+const SHADE_PENALTIES = { plenty: 0, intermittent: 0.4, none: 1 };
+
+const WAYFINDING_SIGNAGE = ['route_map', 'directional', 'simple_language'];
+const VISUAL_SIGNAGE = ['high_contrast', 'audio'];
+const VISUAL_ADAPTATIONS = ['raised_borders', 'tactile', 'color_contrast'];
+
+// Share of a factor's weight one barrier takes, by severity
+const BARRIER_SEVERITY_PENALTIES = { none: 0, minor: 0.15, major: 0.4, impassable: 1 };
+
+// How much each kind of barrier matters to each profile
+const BARRIER_RELEVANCE = {
+  step: { wheelchair: 1, visual: 0.5, stroller: 1, elderly: 0.7 },
+  steep_slope: { wheelchair: 1, visual: 0.3, stroller: 1, elderly: 1 },
+  narrow_passage: { wheelchair: 1, visual: 0.2, stroller: 1, elderly: 0.3 },
+  other: { wheelchair: 1, visual: 1, stroller: 1, elderly: 1 }
+};
+
+// A fully relevant impassable barrier caps the score, whatever the rest of the route is like
+const IMPASSABLE_SCORE_CAP = 25;
+
+function asArray(value) {
+  if (value === undefined || value === null || value === '') return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+// Worst penalty among the answers that appear in the table; null when none of them do
+function worstPenalty(answers, penalties) {
+  const known = asArray(answers).filter(answer => answer in penalties);
+  return known.length > 0 ? Math.max(...known.map(answer => penalties[answer])) : null;
+}
+
+function bestPenalty(answers, penalties) {
+  const known = asArray(answers).filter(answer => answer in penalties);
+  return known.length > 0 ? Math.min(...known.map(answer => penalties[answer])) : null;
+}
+
+function countAvailable(answers, options) {
+  return asArray(answers).filter(answer => options.includes(answer)).length;
+}
+
+function surfaceFactor(survey) {
+  const penalty = worstPenalty(survey.trailSurface, SURFACE_PENALTIES);
+  if (penalty === null) return null;
+  return { penalty, source: 'survey', detail: { field: 'trailSurface', values: asArray(survey.trailSurface) } };
+}
+
+function qualityFactor(survey) {
+  const penalty = worstPenalty(survey.surfaceQuality, QUALITY_PENALTIES);
+  if (penalty === null) return null;
+  return { penalty, source: 'survey', detail: { field: 'surfaceQuality', values: [survey.surfaceQuality] } };
+}
+
+// Measured gradients win over the surveyor's estimate
+function slopeFactor(survey, elevationProfile) {
+  if (elevationProfile) {
+    const { accessible, ramp } = elevationProfile.thresholds || ADA_GRADIENT_THRESHOLDS;
+    const maxGradient = elevationProfile.maxGradient || 0;
+    let penalty = 0;
+    if (maxGradient > ramp) {
+      const steepShare = elevationProfile.totalDistance > 0
+        ? (elevationProfile.steepDistance || 0) / elevationProfile.totalDistance
+        : 0;
+      penalty = Math.min(1, 0.7 + steepShare);
+    } else if (maxGradient > accessible) {
+      penalty = 0.4;
+    }
+    return {
+      penalty,
+      source: 'measured',
+      detail: {
+        key: 'slopesMeasured',
+        params: { gradient: formatGradient(maxGradient), count: elevationProfile.steepSegmentCount || 0 }
+      }
+    };
+  }
+
+  const penalty = worstPenalty(survey.trailSlopes, SLOPE_PENALTIES);
+  if (penalty === null) return null;
+  return { penalty, source: 'survey', detail: { field: 'trailSlopes', values: [survey.trailSlopes] } };
+}
+
+// Barriers are only scored when the route has observations; the survey has no equivalent question
+function barrierFactor(observations, profile) {
+  if (observations.length === 0) return null;
+
+  const barriers = observations.filter(observation =>
+    getObservationCategory(observation.category).kind === 'barrier' && observation.severity !== 'none'
+  );
+  let penalty = 0;
+  let blocked = false;
+
+  barriers.forEach(barrier => {
+    const relevance = (BARRIER_RELEVANCE[barrier.category] || BARRIER_RELEVANCE.other)[profile];
+    penalty += (BARRIER_SEVERITY_PENALTIES[barrier.severity] ?? BARRIER_SEVERITY_PENALTIES.minor) * relevance;
+    if (barrier.severity === 'impassable' && relevance === 1) blocked = true;
+  });
+
+  const worst = barriers.reduce((current, barrier) =>
+    !current || BARRIER_SEVERITY_PENALTIES[barrier.severity] > BARRIER_SEVERITY_PENALTIES[current.severity] ? barrier : current, null);
+
+  return {
+    penalty: Math.min(1, penalty),
+    source: 'measured',
+    blocked,
+    detail: barriers.length === 0
+      ? { key: 'noBarriers', params: {} }
+      : { key: 'barriers', params: { count: barriers.length, severity: worst.severity } }
+  };
+}
+
+function lengthFactor(survey, totalDistance) {
+  const measured = totalDistance > 0;
+  const km = measured ? totalDistance : parseFloat(survey.trailLength);
+  if (!km || isNaN(km)) return null;
+
+  let penalty = 1;
+  if (km <= 2) penalty = 0;
+  else if (km <= 5) penalty = 0.3;
+  else if (km <= 10) penalty = 0.6;
+
+  return { penalty, source: measured ? 'measured' : 'survey', detail: { key: 'length', params: { km: km.toFixed(1) } } };
+}
+
+// Facilities marked on the route stand in for survey answers that were left blank
+function countFacilities(observations, category) {
+  return observations.filter(observation =>
+    observation.category === category && ['none', 'minor'].includes(observation.severity)
+  ).length;
+}
+
+function restroomFactor(survey, observations) {
+  const penalty = worstPenalty(survey.restrooms, RESTROOM_PENALTIES);
+  if (penalty !== null) return { penalty, source: 'survey', detail: { field: 'restrooms', values: [survey.restrooms] } };
+
+  const marked = countFacilities(observations, 'restroom');
+  if (marked === 0) return null;
+  return { penalty: 0, source: 'measured', detail: { key: 'restroomsMarked', params: { count: marked } } };
+}
+
+function seatingFactor(survey, observations) {
+  const penalty = bestPenalty(survey.seating, SEATING_PENALTIES);
+  if (penalty !== null) return { penalty, source: 'survey', detail: { field: 'seating', values: asArray(survey.seating) } };
+
+  const marked = countFacilities(observations, 'bench');
+  if (marked === 0) return null;
+  return { penalty: marked > 1 ? 0 : 0.4, source: 'measured', detail: { key: 'benchesMarked', params: { count: marked } } };
+}
+
+function shadeFactor(survey) {
+  const penalty = worstPenalty(survey.shadeCoverage, SHADE_PENALTIES);
+  if (penalty === null) return null;
+  return { penalty, source: 'survey', detail: { field: 'shadeCoverage', values: [survey.shadeCoverage] } };
+}
+
+// Signage is a multi-select, so an empty answer only counts once the survey has been filled in at all
+function signageFactor(survey, surveyed) {
+  if (!surveyed) return null;
+  const available = countAvailable(survey.signage, WAYFINDING_SIGNAGE);
+  return {
+    penalty: 1 - available / WAYFINDING_SIGNAGE.length,
+    source: 'survey',
+    detail: { key: 'signage', params: { available, total: WAYFINDING_SIGNAGE.length } }
+  };
+}
+
+function visualAidsFactor(survey, surveyed) {
+  if (!surveyed) return null;
+  const total = VISUAL_SIGNAGE.length + VISUAL_ADAPTATIONS.length + 1;
+  const available = countAvailable(survey.signage, VISUAL_SIGNAGE) +
+    countAvailable(survey.visualAdaptations, VISUAL_ADAPTATIONS) +
+    countAvailable(survey.lighting, ['lit']);
+  return {
+    penalty: 1 - available / total,
+    source: 'survey',
+    detail: { key: 'visualAids', params: { available, total } }
+  };
+}
+
+export function getScoreRating(score) {
+  if (typeof score !== 'number') return UNRATED_RATING;
+  return SCORE_RATINGS.find(rating => score >= rating.min) || SCORE_RATINGS[SCORE_RATINGS.length - 1];
+}
+
+// Points kept out of the weight of the recorded factors, scaled to 100. A known impassable barrier rates the
+// profile however little else was recorded; otherwise it's unrated (null) below MIN_SCORE_COVERAGE.
+function scoreProfile(deducted, knownWeight, coverage, blocked) {
+  if (coverage < MIN_SCORE_COVERAGE && !blocked) return null;
+
+  let score = knownWeight > 0 ? Math.round(100 * (1 - deducted / knownWeight)) : 0;
+  if (blocked) score = Math.min(score, IMPASSABLE_SCORE_CAP);
+  return Math.max(0, score);
+}
+
+// Score of one profile of a stored result, null when unrated. Results before version 3 counted unrecorded
+// factors as full marks, so they're scored again from their recorded factors.
+export function getProfileScore(profileResult, version = SCORE_VERSION) {
+  if (!profileResult) return null;
+  if (version >= 3) return typeof profileResult.score === 'number' ? profileResult.score : null;
+
+  const factors = (profileResult.factors || []).filter(factor => factor.source !== 'unknown');
+  const deducted = factors.reduce((sum, factor) => sum - factor.points, 0);
+  const knownWeight = factors.reduce((sum, factor) => sum + factor.maxPoints, 0);
+  return scoreProfile(deducted, knownWeight, profileResult.coverage ?? 0, Boolean(profileResult.blocked));
+}
+
+// Average of the rated profiles, null when none of them is rated
+export function getOverallScore(result) {
+  const scores = Object.values(result?.profiles || {})
+    .map(profileResult => getProfileScore(profileResult, result.version))
+    .filter(score => score !== null);
+  return scores.length > 0 ? Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length) : null;
+}
+
+// Scores every profile out of 100. Each factor takes off up to its weight for that profile; factors
+// with no data are listed as unknown and left out of the score, and lower the coverage figure.
+export function calculateAccessibilityScore(routeData, routeInfo = {}, survey = null) {
+  const data = routeData || [];
+  const answers = migrateSurveyData(survey) || {};
+  const surveyed = Object.keys(answers).some(key => key !== 'schemaVersion');
+  const observations = data.filter(entry => entry.type === 'observation');
+  const elevationProfile = getElevationProfile(data, routeInfo);
+
+  const sharedFactors = {
+    surface: surfaceFactor(answers),
+    quality: qualityFactor(answers),
+    slopes: slopeFactor(answers, elevationProfile),
+    length: lengthFactor(answers, routeInfo.totalDistance || 0),
+    restrooms: restroomFactor(answers, observations),
+    seating: seatingFactor(answers, observations),
+    shade: shadeFactor(answers),
+    signage: signageFactor(answers, surveyed),
+    visualAids: visualAidsFactor(answers, surveyed)
+  };
+
+  const profiles = {};
+  Object.keys(ACCESSIBILITY_PROFILES).forEach(profile => {
+    const factors = [];
+    let deducted = 0;
+    let knownWeight = 0;
+    let totalWeight = 0;
+    let blocked = false;
+
+    Object.keys(FACTOR_WEIGHTS).forEach(id => {
+      const weight = FACTOR_WEIGHTS[id][profile];
+      if (!weight) return;
+      totalWeight += weight;
+
+      const factor = id === 'barriers' ? barrierFactor(observations, profile) : sharedFactors[id];
+      if (!factor) {
+        factors.push({ id, points: 0, maxPoints: weight, source: 'unknown', detail: { key: 'notRecorded', params: {} } });
+        return;
+      }
+
+      const points = Math.round(factor.penalty * weight);
+      deducted += points;
+      knownWeight += weight;
+      if (factor.blocked) blocked = true;
+      factors.push({ id, points: -points, maxPoints: weight, source: factor.source, detail: factor.detail });
+    });
+
+    const coverage = Math.round(knownWeight / totalWeight * 100);
+    const score = scoreProfile(deducted, knownWeight, coverage, blocked);
+
+    profiles[profile] = {
+      score,
+      rating: getScoreRating(score).id,
+      coverage,
+      blocked,
+      factors
+    };
+  });
+
+  return {
+    version: SCORE_VERSION,
+    generatedAt: new Date().toISOString(),
+    overall: getOverallScore({ version: SCORE_VERSION, profiles }),
+    basedOn: {
+      survey: surveyed,
+      elevation: !!elevationProfile,
+      observations: observations.length
+    },
+    profiles
+  };
+}
+
+// Compact form stored on trail guides: profile scores for filtering and sorting plus the breakdown
+// (without the "not recorded" rows) so the guide can explain the score
+export function summarizeAccessibilityScore(result) {
+  if (!result) return null;
+
+  const profiles = {};
+  Object.entries(result.profiles).forEach(([profile, { score, rating, coverage, blocked, factors }]) => {
+    profiles[profile] = {
+      score,
+      rating,
+      coverage,
+      blocked,
+      factors: factors
+        .filter(factor => factor.source !== 'unknown')
+        .map(({ id, points, maxPoints, source, detail }) => ({ id, points, maxPoints, source, detail }))
+    };
+  });
+
+  return {
+    version: result.version,
+    overall: result.overall,
+    basedOn: result.basedOn,
+    profiles
+  };
+}
+
+export function getFactorLabel(id, language = getLanguage()) {
+  return t(`score.factors.${id}`, { defaultValue: id }, language);
+}
+
+export function getProfileLabel(id, language = getLanguage()) {
+  return t(`score.profiles.${id}`, { defaultValue: id }, language);
+}
+
+export function getRatingLabel(id, language = getLanguage()) {
+  return t(`score.ratings.${id}`, { defaultValue: id }, language);
+}
+
+// Factor details are { field, values } for survey answers or { key, params } for everything else.
+// Scores saved before version 2 stored an English string, which is shown as is.
+export function describeFactor(detail, language = getLanguage()) {
+  if (!detail || typeof detail === 'string') return detail || '';
+  if (detail.field) return formatSurveyAnswer(detail.field, detail.values || [], language);
+  if (detail.key === 'notRecorded') return t('common.notRecorded', {}, language);
+
+  const params = { ...detail.params };
+  if (params.severity) params.severity = getSeverityLabel(params.severity, language);
+  return t(`score.details.${detail.key}`, params, language);
+}
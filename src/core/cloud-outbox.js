@@ -0,0 +1,281 @@
+// Cloud outbox - cloud writes queued in RouteDB and retried with backoff until they go through.
+// Every write has a client-generated document ID, so sending one twice updates the same document.
+import { getBackend, isBackendReachable } from '../data/backend.js';
+
+export const OUTBOX_STATUS = {
+  PENDING: 'pending',
+  SYNCING: 'syncing',
+  FAILED: 'failed'
+};
+
+// First retry after this long, doubling with every failed attempt up to MAX_RETRY_DELAY (ms)
+export const RETRY_BASE_DELAY = 15 * 1000;
+export const MAX_RETRY_DELAY = 30 * 60 * 1000;
+
+// A Firestore write can stay pending for good on weak or captive-portal signal; after this long it
+// fails with code 'deadline-exceeded' and is retried like any other failed write (ms)
+export const WRITE_TIMEOUT = 20 * 1000;
+
+// Firestore errors a retry can't fix; those writes wait until the route is uploaded again
+const PERMANENT_ERRORS = ['permission-denied', 'invalid-argument', 'failed-precondition', 'out-of-range', 'data-loss'];
+
+// Routes show the most pressing state of their writes
+const STATUS_PRIORITY = [OUTBOX_STATUS.FAILED, OUTBOX_STATUS.SYNCING, OUTBOX_STATUS.PENDING];
+
+// ID for a new cloud document, generated on the device so retries can't create copies
+export function createCloudId() {
+  if (globalThis.crypto?.randomUUID) {
+    return crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+}
+
+export function getRetryDelay(attempts) {
+  return Math.min(MAX_RETRY_DELAY, RETRY_BASE_DELAY * 2 ** Math.max(0, attempts - 1));
+}
+
+export class CloudOutbox {
+  constructor(routeDB, ready = Promise.resolve()) {
+    this.routeDB = routeDB;
+    this.ready = ready;
+    this.getUser = () => null;
+    this.listeners = new Set();
+    this.sentListeners = new Set();
+    this.flushing = null;
+    this.nextFlush = null;
+    this.retryTimer = null;
+    this.started = false;
+  }
+
+  // getUser returns the signed-in Firebase user; writes queued by another account wait for it
+  start(getUser) {
+    this.getUser = getUser;
+    if (!this.started) {
+      window.addEventListener('online', () => this.flush({ force: true }));
+      this.started = true;
+    }
+    return this.flush();
+  }
+
+  // callback({ pending, syncing, failed }) runs whenever the queue changes; returns an unsubscribe function
+  onChange(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  }
+
+  // callback(entry) runs after a write has gone through; returns an unsubscribe function
+  onSent(callback) {
+    this.sentListeners.add(callback);
+    return () => this.sentListeners.delete(callback);
+  }
+
+  async notify() {
+    if (this.listeners.size === 0) return;
+    const summary = await this.getSummary();
+    this.listeners.forEach(callback => {
+      try {
+        callback(summary);
+      } catch (error) {
+        console.error('Outbox listener failed:', error);
+      }
+    });
+  }
+
+  async getEntries() {
+    await this.ready;
+    if (!this.routeDB.db) return [];
+    return this.routeDB.getAllOutboxEntries();
+  }
+
+  async getSummary() {
+    const summary = { pending: 0, syncing: 0, failed: 0 };
+    (await this.getEntries()).forEach(entry => { summary[entry.status]++; });
+    return summary;
+  }
+
+  // Local route ID -> status of its queued writes, for the route library
+  async getRouteStates() {
+    const states = new Map();
+    (await this.getEntries()).forEach(entry => {
+      if (entry.routeId === null || entry.routeId === undefined) return;
+      const current = states.get(entry.routeId);
+      if (!current || STATUS_PRIORITY.indexOf(entry.status) < STATUS_PRIORITY.indexOf(current)) {
+        states.set(entry.routeId, entry.status);
+      }
+    });
+    return states;
+  }
+
+  // Queues a write of `data` to collection/docId, or its deletion with operation 'delete'. A write already queued
+  // for the same document is replaced, so only the latest version is sent. routeId links the write to a saved
+  // route for its sync state. createFields are only written with a new document (`data` wins where both have
+  // a field): when it already exists, just the fields in `data` are updated and the others (e.g. a guide's
+  // ratings) are left as they are.
+  async enqueue({ collection, docId, data = null, createFields = null, operation = 'set', userId = data?.userId, cloudId = docId, routeId = null, name = '' }) {
+    await this.ready;
+    const queuedAt = Date.now();
+    const entry = {
+      id: `${collection}/${docId}`,
+      collection,
+      docId,
+      cloudId,
+      routeId,
+      name,
+      userId,
+      operation,
+      data,
+      createFields,
+      status: OUTBOX_STATUS.PENDING,
+      attempts: 0,
+      lastError: null,
+      lastErrorCode: null,
+      queuedAt,
+      nextAttemptAt: queuedAt
+    };
+
+    // Without IndexedDB there's nowhere to keep the write, so it's sent once like before
+    if (!this.routeDB.db) {
+      await this.write(entry);
+      return entry;
+    }
+
+    await this.routeDB.saveOutboxEntry(entry);
+    console.log(`📮 Queued cloud write ${entry.id}`);
+    await this.notify();
+    return entry;
+  }
+
+  // Sends the writes that are due; force also sends those waiting out a retry delay (e.g. back online).
+  // A flush requested while one is running starts once it finishes, so new writes aren't missed.
+  flush(options = {}) {
+    if (!this.flushing) {
+      this.flushing = this.processQueue(options).finally(() => { this.flushing = null; });
+      return this.flushing;
+    }
+    if (!this.nextFlush) {
+      this.nextFlush = this.flushing.then(() => {
+        this.nextFlush = null;
+        return this.flush(options);
+      });
+    }
+    return this.nextFlush;
+  }
+
+  async processQueue({ force = false } = {}) {
+    clearTimeout(this.retryTimer);
+    const user = this.getUser();
+    if (!user || !isBackendReachable()) return;
+
+    const due = (await this.getEntries()).filter(entry =>
+      entry.userId === user.uid &&
+      entry.status !== OUTBOX_STATUS.FAILED &&
+      (force || entry.nextAttemptAt <= Date.now()));
+
+    for (const entry of due) {
+      if (!isBackendReachable()) break;
+      await this.send(entry);
+    }
+
+    await this.scheduleRetry(user);
+  }
+
+  // entry comes from the list read at the start of the flush. A write queued again since then replaces it,
+  // so only the stored record's state changes, and only while it's still the same version (queuedAt).
+  async send(entry) {
+    const sending = await this.routeDB.updateOutboxEntry(entry.id, entry.queuedAt, { status: OUTBOX_STATUS.SYNCING });
+    // Re-queued or discarded since: the newer version is sent in its own turn
+    if (!sending) return;
+    await this.notify();
+
+    try {
+      await this.write(sending);
+      // Re-queued while it was being sent: the newer version stays queued
+      await this.routeDB.deleteOutboxEntry(sending.id, sending.queuedAt);
+      console.log(`☁️ Cloud write ${sending.id} sent`);
+      for (const callback of this.sentListeners) {
+        await callback(sending);
+      }
+    } catch (error) {
+      const attempts = sending.attempts + 1;
+      const permanent = PERMANENT_ERRORS.includes(error.code);
+      await this.routeDB.updateOutboxEntry(sending.id, sending.queuedAt, {
+        status: permanent ? OUTBOX_STATUS.FAILED : OUTBOX_STATUS.PENDING,
+        attempts,
+        lastError: error.message,
+        lastErrorCode: error.code || null,
+        nextAttemptAt: Date.now() + getRetryDelay(attempts)
+      });
+      console.warn(`⚠️ Cloud write ${sending.id} failed:`, error);
+    }
+
+    await this.notify();
+  }
+
+  write(entry) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        const error = new Error(`Cloud write ${entry.id} timed out`);
+        error.code = 'deadline-exceeded';
+        reject(error);
+      }, WRITE_TIMEOUT);
+    });
+    return Promise.race([this.writeDocument(entry), timeout]).finally(() => clearTimeout(timer));
+  }
+
+  async writeDocument(entry) {
+    const repository = getBackend().forCollection(entry.collection);
+    if (entry.operation === 'delete') {
+      await repository.delete(entry.docId);
+    } else if (entry.createFields) {
+      await this.writeKeepingFields(repository, entry);
+    } else {
+      await repository.save(entry.docId, entry.data);
+    }
+  }
+
+  // Updates the document in place, or creates it with its createFields the first time
+  async writeKeepingFields(repository, entry) {
+    try {
+      await repository.update(entry.docId, entry.data);
+    } catch (error) {
+      if (error.code !== 'not-found') throw error;
+      await repository.save(entry.docId, { ...entry.createFields, ...entry.data });
+    }
+  }
+
+  // Drops the writes of one upload that haven't gone through, e.g. when the route is deleted first
+  async discard(cloudId) {
+    const entries = (await this.getEntries()).filter(entry => entry.cloudId === cloudId);
+    if (entries.length === 0) return;
+
+    for (const entry of entries) {
+      await this.routeDB.deleteOutboxEntry(entry.id);
+    }
+    await this.notify();
+  }
+
+  // Wakes up for the next write waiting out its retry delay; going offline waits for the 'online' event instead
+  async scheduleRetry(user) {
+    const waiting = (await this.getEntries()).filter(entry =>
+      entry.userId === user.uid && entry.status === OUTBOX_STATUS.PENDING);
+    if (waiting.length === 0 || !isBackendReachable()) return;
+
+    const next = Math.min(...waiting.map(entry => entry.nextAttemptAt));
+    this.retryTimer = setTimeout(() => this.flush(), Math.max(0, next - Date.now()));
+  }
+
+  // Tries the writes of one upload straight away. Resolves to status 'synced', 'queued' (retried later)
+  // or 'failed', with the error (and its Firestore code) of a write that can't go through.
+  async uploadNow(cloudId) {
+    await this.flush();
+    const entries = (await this.getEntries()).filter(entry => entry.cloudId === cloudId);
+    const failed = entries.find(entry => entry.status === OUTBOX_STATUS.FAILED);
+    if (failed) {
+      const error = new Error(failed.lastError);
+      error.code = failed.lastErrorCode;
+      return { status: 'failed', error };
+    }
+    return { status: entries.length === 0 ? 'synced' : 'queued', error: null };
+  }
+}
@@ -0,0 +1,85 @@
+// Stop/dwell detection - notices when the surveyor stays within a small radius for a while
+import { haversineDistance } from '../utils/calculations.js';
+
+export class DwellDetector {
+  constructor({ radius = 15, minDuration = 45000 } = {}) {
+    this.radius = radius;           // meters
+    this.minDuration = minDuration; // ms stationary before a stop is declared
+    this.reset();
+  }
+
+  // Feed a filtered fix ({ coords, timestamp }); returns { event, stop } where event is 'start', 'end' or null
+  update(fix) {
+    if (!fix || !fix.coords) return { event: null, stop: null };
+
+    if (!this.centroid) {
+      this.startCluster(fix);
+      return { event: null, stop: null };
+    }
+
+    const meters = haversineDistance(this.centroid, fix.coords) * 1000;
+
+    if (meters <= this.radius) {
+      this.addToCluster(fix);
+
+      if (!this.dwelling && this.lastTime - this.startTime >= this.minDuration) {
+        this.dwelling = true;
+        return { event: 'start', stop: this.buildStop(this.lastTime) };
+      }
+
+      return { event: null, stop: null };
+    }
+
+    // Left the radius - close any stop and start watching from the new fix
+    const stop = this.dwelling ? this.buildStop(fix.timestamp) : null;
+    this.startCluster(fix);
+
+    return { event: stop ? 'end' : null, stop };
+  }
+
+  // Close an ongoing stop (e.g. tracking stopped while standing still)
+  flush(endTime = Date.now()) {
+    const stop = this.dwelling ? this.buildStop(Math.max(endTime, this.lastTime)) : null;
+    this.reset();
+    return stop;
+  }
+
+  isDwelling() {
+    return this.dwelling;
+  }
+
+  startCluster(fix) {
+    this.centroid = { ...fix.coords };
+    this.count = 1;
+    this.startTime = fix.timestamp;
+    this.lastTime = fix.timestamp;
+    this.dwelling = false;
+  }
+
+  addToCluster(fix) {
+    this.count++;
+    this.centroid = {
+      lat: this.centroid.lat + (fix.coords.lat - this.centroid.lat) / this.count,
+      lng: this.centroid.lng + (fix.coords.lng - this.centroid.lng) / this.count
+    };
+    this.lastTime = fix.timestamp;
+  }
+
+  buildStop(endTime) {
+    return {
+      coords: { ...this.centroid },
+      startTime: this.startTime,
+      endTime: endTime,
+      duration: endTime - this.startTime,
+      fixCount: this.count
+    };
+  }
+
+  reset() {
+    this.centroid = null;
+    this.count = 0;
+    this.startTime = 0;
+    this.lastTime = 0;
+    this.dwelling = false;
+  }
+}
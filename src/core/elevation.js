@@ -0,0 +1,167 @@
+// Elevation profile and gradient analysis for tracked routes
+import { haversineDistance } from '../utils/calculations.js';
+import { getElevations } from '../utils/geolocation.js';
+
+// ADA running slope limits: 5% for an accessible route, 8.33% (1:12) for a ramp
+export const ADA_GRADIENT_THRESHOLDS = {
+  accessible: 5,
+  ramp: 8.33
+};
+
+export function classifyGradient(gradient) {
+  const slope = Math.abs(gradient);
+  if (slope > ADA_GRADIENT_THRESHOLDS.ramp) return 'steep';
+  if (slope > ADA_GRADIENT_THRESHOLDS.accessible) return 'moderate';
+  return 'accessible';
+}
+
+export function formatGradient(gradient) {
+  return `${(gradient || 0).toFixed(1)}%`;
+}
+
+function getLocationPoints(routeData) {
+  return routeData.filter(entry =>
+    entry.type === 'location' &&
+    entry.coords &&
+    typeof entry.coords.lat === 'number' &&
+    typeof entry.coords.lng === 'number'
+  );
+}
+
+// Looks up elevations for location points that don't have one yet and stores them on the entries
+export async function resolveRouteElevations(routeData) {
+  const pending = getLocationPoints(routeData).filter(entry => typeof entry.elevation !== 'number');
+  if (pending.length === 0) return 0;
+
+  console.log(`⛰️ Resolving elevation for ${pending.length} points...`);
+  const elevations = await getElevations(pending.map(entry => entry.coords));
+
+  let resolved = 0;
+  pending.forEach((entry, index) => {
+    if (elevations[index] !== null) {
+      entry.elevation = elevations[index];
+      resolved++;
+    }
+  });
+
+  console.log(`⛰️ Resolved elevation for ${resolved}/${pending.length} points`);
+  return resolved;
+}
+
+// Builds a distance/elevation profile with per-segment gradients from points that carry elevation.
+// Points are grouped into segments of at least minSegmentLength meters so GPS jitter doesn't fake slopes.
+// A track segment break (segmentBreak) starts a new part: the gap before it isn't walked, so it adds no
+// distance and no gradient segment spans it.
+export function buildElevationProfile(routeData, { minSegmentLength = 20 } = {}) {
+  const points = [];
+  let pendingBreak = false;
+  getLocationPoints(routeData || []).forEach(entry => {
+    // A break on a point without elevation carries over to the next point that has one
+    pendingBreak = pendingBreak || Boolean(entry.segmentBreak);
+    if (typeof entry.elevation !== 'number') return;
+    points.push({ entry, segmentBreak: points.length > 0 && pendingBreak });
+    pendingBreak = false;
+  });
+  if (points.length < 2) return null;
+
+  const profile = [];
+  let distance = 0;
+
+  points.forEach(({ entry: point, segmentBreak }, index) => {
+    if (index > 0 && !segmentBreak) {
+      distance += haversineDistance(points[index - 1].entry.coords, point.coords) * 1000;
+    }
+    profile.push({
+      distance: Math.round(distance * 10) / 10, // meters walked from start
+      elevation: Math.round(point.elevation * 10) / 10,
+      lat: point.coords.lat,
+      lng: point.coords.lng,
+      ...(segmentBreak ? { segmentBreak: true } : {})
+    });
+  });
+
+  const segments = [];
+  let startIndex = 0;
+
+  for (let i = 1; i < profile.length; i++) {
+    if (profile[i].segmentBreak) {
+      startIndex = i;
+      continue;
+    }
+
+    const isLast = i === profile.length - 1 || Boolean(profile[i + 1].segmentBreak);
+    const length = profile[i].distance - profile[startIndex].distance;
+
+    if (length < minSegmentLength && !isLast) continue;
+
+    // A short tail is folded into the previous segment of the same part
+    if (length < minSegmentLength && segments.at(-1)?.endIndex === startIndex) {
+      startIndex = segments.pop().startIndex;
+    }
+
+    segments.push(createSegment(profile, startIndex, i));
+    startIndex = i;
+  }
+
+  const measured = segments.filter(segment => segment.length > 0);
+  const totalLength = measured.reduce((sum, segment) => sum + segment.length, 0);
+  const elevations = profile.map(point => point.elevation);
+
+  return {
+    version: 1,
+    generatedAt: new Date().toISOString(),
+    thresholds: { ...ADA_GRADIENT_THRESHOLDS },
+    points: profile,
+    segments,
+    totalDistance: Math.round(distance),
+    minElevation: Math.min(...elevations),
+    maxElevation: Math.max(...elevations),
+    totalAscent: Math.round(measured.reduce((sum, s) => sum + Math.max(0, s.rise), 0)),
+    totalDescent: Math.round(measured.reduce((sum, s) => sum + Math.max(0, -s.rise), 0)),
+    maxGradient: measured.length ? Math.max(...measured.map(s => Math.abs(s.gradient))) : 0,
+    avgGradient: totalLength > 0
+      ? Math.round(measured.reduce((sum, s) => sum + Math.abs(s.gradient) * s.length, 0) / totalLength * 10) / 10
+      : 0,
+    moderateSegmentCount: measured.filter(s => s.grade === 'moderate').length,
+    steepSegmentCount: measured.filter(s => s.grade === 'steep').length,
+    steepDistance: Math.round(measured.filter(s => s.grade === 'steep').reduce((sum, s) => sum + s.length, 0))
+  };
+}
+
+function createSegment(profile, startIndex, endIndex) {
+  const start = profile[startIndex];
+  const end = profile[endIndex];
+  const length = end.distance - start.distance;
+  const rise = end.elevation - start.elevation;
+  const gradient = length > 0 ? Math.round(rise / length * 1000) / 10 : 0;
+
+  return {
+    startIndex,
+    endIndex,
+    startDistance: start.distance,
+    endDistance: end.distance,
+    length: Math.round(length * 10) / 10,
+    rise: Math.round(rise * 10) / 10,
+    gradient,
+    grade: classifyGradient(gradient)
+  };
+}
+
+// Prefer the profile saved with the route; rebuild from stored point elevations otherwise
+export function getElevationProfile(routeData, routeInfo) {
+  return routeInfo?.elevationProfile || buildElevationProfile(routeData || []);
+}
+
+// Compact slope figures for trail guide metadata and search
+export function summarizeElevationProfile(profile) {
+  if (!profile) return null;
+
+  return {
+    maxGradient: profile.maxGradient,
+    avgGradient: profile.avgGradient,
+    totalAscent: profile.totalAscent,
+    totalDescent: profile.totalDescent,
+    moderateSegmentCount: profile.moderateSegmentCount,
+    steepSegmentCount: profile.steepSegmentCount
+  };
+}
@@ -1,8 +1,10 @@
 // Modern IndexedDB wrapper for route storage
+import { withLibraryFields } from './route-query.js';
+
 export class RouteDB {
   constructor() {
     this.dbName = 'AccessNatureDB';
-    this.version = 1;
+    this.version = 7;
     this.db = null;
   }
 
@@ -33,6 +35,24 @@ export class RouteDB {
           routeStore.createIndex('totalDistance', 'totalDistance');
           console.log('📁 Routes store created');
         }
+
+        // Route library indexes - duration sort, folders and tags (added in v4)
+        const routeStore = event.target.transaction.objectStore('routes');
+        if (!routeStore.indexNames.contains('elapsedTime')) {
+          routeStore.createIndex('elapsedTime', 'elapsedTime');
+          routeStore.createIndex('folder', 'folder');
+          routeStore.createIndex('tags', 'tags', { multiEntry: true });
+          console.log('📚 Route library indexes created');
+        }
+        if (event.oldVersion > 0 && event.oldVersion < 4) {
+          // Earlier routes lack the new fields and would be missing from those indexes
+          routeStore.openCursor().onsuccess = (cursorEvent) => {
+            const cursor = cursorEvent.target.result;
+            if (!cursor) return;
+            cursor.update(withLibraryFields(cursor.value));
+            cursor.continue();
+          };
+        }
         
         // Backups store - for unsaved route data
         if (!db.objectStoreNames.contains('backups')) {
@@ -54,6 +74,45 @@ export class RouteDB {
           guidesStore.createIndex('generatedAt', 'generatedAt');
           console.log('🌐 Trail guides store created');
         }
+
+        // Media store - photo Blobs referenced from route entries by mediaId (added in v2)
+        if (!db.objectStoreNames.contains('media')) {
+          const mediaStore = db.createObjectStore('media', { keyPath: 'id' });
+          mediaStore.createIndex('createdAt', 'createdAt');
+          console.log('🖼️ Media store created');
+        }
+
+        // Surveys store - one accessibility survey per route, keyed by route ID (added in v3)
+        if (!db.objectStoreNames.contains('surveys')) {
+          const surveyStore = db.createObjectStore('surveys', { keyPath: 'routeId' });
+          surveyStore.createIndex('updatedAt', 'updatedAt');
+          console.log('📋 Surveys store created');
+        }
+
+        // Map tiles downloaded for offline use, keyed by "template|z/x/y", and the areas they belong to (added in v5)
+        if (!db.objectStoreNames.contains('tiles')) {
+          const tileStore = db.createObjectStore('tiles', { keyPath: 'key' });
+          tileStore.createIndex('expiresAt', 'expiresAt');
+          console.log('🗺️ Tiles store created');
+        }
+
+        if (!db.objectStoreNames.contains('tile_areas')) {
+          db.createObjectStore('tile_areas', { keyPath: 'id' });
+          console.log('🗺️ Tile areas store created');
+        }
+
+        // Cloud outbox - Firestore writes waiting to go through, keyed by "collection/docId" (added in v6)
+        if (!db.objectStoreNames.contains('outbox')) {
+          const outboxStore = db.createObjectStore('outbox', { keyPath: 'id' });
+          outboxStore.createIndex('queuedAt', 'queuedAt');
+          console.log('☁️ Outbox store created');
+        }
+
+        // Tombstones - saved routes deleted on this device whose cloud copy still has to go, keyed by cloud ID (added in v7)
+        if (!db.objectStoreNames.contains('tombstones')) {
+          db.createObjectStore('tombstones', { keyPath: 'cloudId' });
+          console.log('🪦 Tombstones store created');
+        }
         
         console.log('✅ IndexedDB schema creation complete');
       };
@@ -68,7 +127,7 @@ export class RouteDB {
     const store = transaction.objectStore('routes');
     
     return new Promise((resolve, reject) => {
-      const request = store.add(routeData);
+      const request = store.add(withLibraryFields(routeData));
       request.onsuccess = () => {
         console.log(`✅ Route saved to IndexedDB: ${routeData.name}`);
         resolve(request.result);
@@ -88,7 +147,7 @@ export class RouteDB {
     const store = transaction.objectStore('routes');
     
     return new Promise((resolve, reject) => {
-      const request = store.put(routeData);
+      const request = store.put(withLibraryFields(routeData));
       request.onsuccess = () => {
         console.log(`✅ Route updated in IndexedDB: ${routeData.name}`);
         resolve(request.result);
@@ -118,6 +177,85 @@ export class RouteDB {
     });
   }
 
+  // One page of routes in index order ('prev' = descending). The cursor skips routes the filter
+  // rejects, so only the page itself is held in memory. Pass `next` back as `after` for the following page.
+  async getRoutesPage({ index = 'date', direction = 'prev', after = null, limit = 20, filter = null } = {}) {
+    if (!this.db) throw new Error('Database not initialized');
+    
+    const transaction = this.db.transaction(['routes'], 'readonly');
+    const source = transaction.objectStore('routes').index(index);
+    
+    // Where the cursor is relative to `after`: < 0 before it, 0 on it, > 0 past it
+    const sign = direction === 'prev' ? -1 : 1;
+    const comparePosition = (cursor) => sign * (indexedDB.cmp(cursor.key, after.key) || indexedDB.cmp(cursor.primaryKey, after.primaryKey));
+    
+    return new Promise((resolve, reject) => {
+      const routes = [];
+      let resumed = !after;
+      const range = after ? (direction === 'prev' ? IDBKeyRange.upperBound(after.key) : IDBKeyRange.lowerBound(after.key)) : null;
+      const request = source.openCursor(range, direction);
+      
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          resolve({ routes, next: null });
+          return;
+        }
+        
+        // Several routes can share an index key, so resume on the exact route the last page ended with
+        if (!resumed) {
+          const position = comparePosition(cursor);
+          if (position < 0) {
+            cursor.continuePrimaryKey(after.key, after.primaryKey);
+            return;
+          }
+          resumed = true;
+          if (position === 0) {
+            cursor.continue();
+            return;
+          }
+        }
+        
+        if (!filter || filter(cursor.value)) {
+          routes.push(cursor.value);
+        }
+        
+        if (routes.length >= limit) {
+          resolve({ routes, next: { key: cursor.key, primaryKey: cursor.primaryKey } });
+          return;
+        }
+        cursor.continue();
+      };
+      request.onerror = () => {
+        console.error('❌ Failed to page routes:', request.error);
+        reject(request.error);
+      };
+    });
+  }
+
+  // Distinct values of a routes index (folders, tags) without reading the routes themselves
+  async getRouteIndexKeys(index) {
+    if (!this.db) throw new Error('Database not initialized');
+    
+    const transaction = this.db.transaction(['routes'], 'readonly');
+    const source = transaction.objectStore('routes').index(index);
+    
+    return new Promise((resolve, reject) => {
+      const keys = [];
+      const request = source.openKeyCursor(null, 'nextunique');
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          resolve(keys);
+          return;
+        }
+        keys.push(cursor.key);
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
   // Get single route by ID
   async getRoute(id) {
     if (!this.db) throw new Error('Database not initialized');
@@ -246,6 +384,398 @@ export class RouteDB {
     });
   }
 
+  // Save a media record ({ id, blob, type, size, createdAt })
+  async saveMedia(record) {
+    if (!this.db) throw new Error('Database not initialized');
+    
+    const transaction = this.db.transaction(['media'], 'readwrite');
+    const store = transaction.objectStore('media');
+    
+    return new Promise((resolve, reject) => {
+      const request = store.put(record);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.error('❌ Failed to save media:', request.error);
+        reject(request.error);
+      };
+    });
+  }
+
+  // Get media record by ID
+  async getMedia(id) {
+    if (!this.db) throw new Error('Database not initialized');
+    
+    const transaction = this.db.transaction(['media'], 'readonly');
+    const store = transaction.objectStore('media');
+    
+    return new Promise((resolve, reject) => {
+      const request = store.get(id);
+      request.onsuccess = () => resolve(request.result || null);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // Delete media record
+  async deleteMedia(id) {
+    if (!this.db) throw new Error('Database not initialized');
+    
+    const transaction = this.db.transaction(['media'], 'readwrite');
+    const store = transaction.objectStore('media');
+    
+    return new Promise((resolve, reject) => {
+      const request = store.delete(id);
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // Count and total size of stored media (walks records without keeping the blobs)
+  async getMediaStats() {
+    if (!this.db) throw new Error('Database not initialized');
+    
+    const transaction = this.db.transaction(['media'], 'readonly');
+    const store = transaction.objectStore('media');
+    
+    return new Promise((resolve, reject) => {
+      const stats = { count: 0, size: 0 };
+      const request = store.openCursor();
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          resolve(stats);
+          return;
+        }
+        stats.count++;
+        stats.size += cursor.value.size || 0;
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // Clear all media
+  async clearMedia() {
+    if (!this.db) throw new Error('Database not initialized');
+    
+    const transaction = this.db.transaction(['media'], 'readwrite');
+    const store = transaction.objectStore('media');
+    
+    return new Promise((resolve, reject) => {
+      const request = store.clear();
+      request.onsuccess = () => {
+        console.log('🧹 Media cleared from IndexedDB');
+        resolve();
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // Save a survey record ({ routeId, data, schemaVersion, updatedAt })
+  async saveSurvey(record) {
+    if (!this.db) throw new Error('Database not initialized');
+    
+    const transaction = this.db.transaction(['surveys'], 'readwrite');
+    const store = transaction.objectStore('surveys');
+    
+    return new Promise((resolve, reject) => {
+      const request = store.put(record);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.error('❌ Failed to save survey:', request.error);
+        reject(request.error);
+      };
+    });
+  }
+
+  // Get the survey record for a route
+  async getSurvey(routeId) {
+    if (!this.db) throw new Error('Database not initialized');
+    
+    const transaction = this.db.transaction(['surveys'], 'readonly');
+    const store = transaction.objectStore('surveys');
+    
+    return new Promise((resolve, reject) => {
+      const request = store.get(routeId);
+      request.onsuccess = () => resolve(request.result || null);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // Get every survey record
+  async getAllSurveys() {
+    if (!this.db) throw new Error('Database not initialized');
+    
+    const transaction = this.db.transaction(['surveys'], 'readonly');
+    const store = transaction.objectStore('surveys');
+    
+    return new Promise((resolve, reject) => {
+      const request = store.getAll();
+      request.onsuccess = () => resolve(request.result || []);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // Delete the survey for a route
+  async deleteSurvey(routeId) {
+    if (!this.db) throw new Error('Database not initialized');
+    
+    const transaction = this.db.transaction(['surveys'], 'readwrite');
+    const store = transaction.objectStore('surveys');
+    
+    return new Promise((resolve, reject) => {
+      const request = store.delete(routeId);
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // Save a map tile ({ key, template, z, x, y, blob, size, fetchedAt, expiresAt })
+  async saveTile(record) {
+    if (!this.db) throw new Error('Database not initialized');
+    
+    const transaction = this.db.transaction(['tiles'], 'readwrite');
+    const store = transaction.objectStore('tiles');
+    
+    return new Promise((resolve, reject) => {
+      const request = store.put(record);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.error('❌ Failed to save tile:', request.error);
+        reject(request.error);
+      };
+    });
+  }
+
+  async getTile(key) {
+    if (!this.db) throw new Error('Database not initialized');
+    
+    const transaction = this.db.transaction(['tiles'], 'readonly');
+    const store = transaction.objectStore('tiles');
+    
+    return new Promise((resolve, reject) => {
+      const request = store.get(key);
+      request.onsuccess = () => resolve(request.result || null);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // Delete several tiles in one transaction
+  async deleteTiles(keys) {
+    if (!this.db) throw new Error('Database not initialized');
+    if (keys.length === 0) return;
+    
+    const transaction = this.db.transaction(['tiles'], 'readwrite');
+    const store = transaction.objectStore('tiles');
+    keys.forEach(key => store.delete(key));
+    
+    return new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  // Keys of tiles that expired before the given time
+  async getExpiredTileKeys(before = Date.now()) {
+    if (!this.db) throw new Error('Database not initialized');
+    
+    const transaction = this.db.transaction(['tiles'], 'readonly');
+    const index = transaction.objectStore('tiles').index('expiresAt');
+    
+    return new Promise((resolve, reject) => {
+      const request = index.getAllKeys(IDBKeyRange.upperBound(before, true));
+      request.onsuccess = () => resolve(request.result || []);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // Count and total size of stored tiles (walks records without keeping the blobs)
+  async getTileStats() {
+    if (!this.db) throw new Error('Database not initialized');
+    
+    const transaction = this.db.transaction(['tiles'], 'readonly');
+    const store = transaction.objectStore('tiles');
+    
+    return new Promise((resolve, reject) => {
+      const stats = { count: 0, size: 0 };
+      const request = store.openCursor();
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          resolve(stats);
+          return;
+        }
+        stats.count++;
+        stats.size += cursor.value.size || 0;
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // Save a downloaded area ({ id, name, bounds, minZoom, maxZoom, template, ... })
+  async saveTileArea(area) {
+    if (!this.db) throw new Error('Database not initialized');
+    
+    const transaction = this.db.transaction(['tile_areas'], 'readwrite');
+    const store = transaction.objectStore('tile_areas');
+    
+    return new Promise((resolve, reject) => {
+      const request = store.put(area);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async getAllTileAreas() {
+    if (!this.db) throw new Error('Database not initialized');
+    
+    const transaction = this.db.transaction(['tile_areas'], 'readonly');
+    const store = transaction.objectStore('tile_areas');
+    
+    return new Promise((resolve, reject) => {
+      const request = store.getAll();
+      request.onsuccess = () => resolve(request.result || []);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async deleteTileArea(id) {
+    if (!this.db) throw new Error('Database not initialized');
+    
+    const transaction = this.db.transaction(['tile_areas'], 'readwrite');
+    const store = transaction.objectStore('tile_areas');
+    
+    return new Promise((resolve, reject) => {
+      const request = store.delete(id);
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // Queue or update a cloud write ({ id, collection, docId, data, status, ... })
+  async saveOutboxEntry(entry) {
+    if (!this.db) throw new Error('Database not initialized');
+    
+    const transaction = this.db.transaction(['outbox'], 'readwrite');
+    const store = transaction.objectStore('outbox');
+    
+    return new Promise((resolve, reject) => {
+      const request = store.put(entry);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async getOutboxEntry(id) {
+    if (!this.db) throw new Error('Database not initialized');
+    
+    const transaction = this.db.transaction(['outbox'], 'readonly');
+    const store = transaction.objectStore('outbox');
+    
+    return new Promise((resolve, reject) => {
+      const request = store.get(id);
+      request.onsuccess = () => resolve(request.result || null);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // Oldest first, the order the writes were queued in
+  // Changes fields of a queued write in one transaction, unless it has been queued again since (its queuedAt
+  // differs). Resolves to the updated entry, or null when it was re-queued or is gone.
+  async updateOutboxEntry(id, queuedAt, changes) {
+    if (!this.db) throw new Error('Database not initialized');
+    
+    const transaction = this.db.transaction(['outbox'], 'readwrite');
+    const store = transaction.objectStore('outbox');
+    
+    return new Promise((resolve, reject) => {
+      let updated = null;
+      const request = store.get(id);
+      request.onsuccess = () => {
+        if (request.result?.queuedAt === queuedAt) {
+          updated = { ...request.result, ...changes };
+          store.put(updated);
+        }
+      };
+      transaction.oncomplete = () => resolve(updated);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  async getAllOutboxEntries() {
+    if (!this.db) throw new Error('Database not initialized');
+    
+    const transaction = this.db.transaction(['outbox'], 'readonly');
+    const index = transaction.objectStore('outbox').index('queuedAt');
+    
+    return new Promise((resolve, reject) => {
+      const request = index.getAll();
+      request.onsuccess = () => resolve(request.result || []);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // With queuedAt, the write is only deleted if it hasn't been queued again since
+  async deleteOutboxEntry(id, queuedAt = null) {
+    if (!this.db) throw new Error('Database not initialized');
+    
+    const transaction = this.db.transaction(['outbox'], 'readwrite');
+    const store = transaction.objectStore('outbox');
+    
+    return new Promise((resolve, reject) => {
+      if (queuedAt === null) {
+        store.delete(id);
+      } else {
+        const request = store.get(id);
+        request.onsuccess = () => {
+          if (request.result?.queuedAt === queuedAt) store.delete(id);
+        };
+      }
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  // Record a deleted route ({ cloudId, routeId, name, deletedAt, syncedUpdatedAt })
+  async saveTombstone(tombstone) {
+    if (!this.db) throw new Error('Database not initialized');
+    
+    const transaction = this.db.transaction(['tombstones'], 'readwrite');
+    const store = transaction.objectStore('tombstones');
+    
+    return new Promise((resolve, reject) => {
+      const request = store.put(tombstone);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async getAllTombstones() {
+    if (!this.db) throw new Error('Database not initialized');
+    
+    const transaction = this.db.transaction(['tombstones'], 'readonly');
+    const store = transaction.objectStore('tombstones');
+    
+    return new Promise((resolve, reject) => {
+      const request = store.getAll();
+      request.onsuccess = () => resolve(request.result || []);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async deleteTombstone(cloudId) {
+    if (!this.db) throw new Error('Database not initialized');
+    
+    const transaction = this.db.transaction(['tombstones'], 'readwrite');
+    const store = transaction.objectStore('tombstones');
+    
+    return new Promise((resolve, reject) => {
+      const request = store.delete(cloudId);
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+    });
+  }
+
   // Get storage usage estimate
   async getStorageEstimate() {
     try {
@@ -268,7 +798,7 @@ export class RouteDB {
   async clearAllData() {
     if (!this.db) throw new Error('Database not initialized');
     
-    const stores = ['routes', 'backups', 'settings', 'trail_guides'];
+    const stores = ['routes', 'backups', 'settings', 'trail_guides', 'media', 'surveys', 'tiles', 'tile_areas', 'outbox', 'tombstones'];
     const transaction = this.db.transaction(stores, 'readwrite');
     
     const promises = stores.map(storeName => {
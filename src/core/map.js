@@ -1,10 +1,21 @@
 // FIXED: Map controller with proper route restoration and visualization
+import { splitTrackSegments, formatBearing, formatDuration } from '../utils/calculations.js';
+import { escapeXml } from '../utils/gpx.js';
+import { getObservationCategory, getObservationSeverity, getCategoryLabel, getSeverityLabel, formatMeasurements } from './observation-types.js';
+import { createCachedTileLayer, getTileUrlTemplate, getTileAttribution, TILE_MAX_ZOOM } from './tile-cache.js';
+
 export class MapController {
   constructor() {
     this.map = null;
     this.marker = null;
     this.routePolylines = [];
     this.routeMarkers = []; // Add this to track all route markers
+    this.dependencies = {};
+  }
+
+  // tileCache: offline tiles (core/tile-cache.js); without it tiles always come from the network
+  setDependencies(deps) {
+    this.dependencies = deps;
   }
 
   async initialize() {
@@ -15,10 +26,14 @@ export class MapController {
 
     this.map = L.map('map').setView([32.0853, 34.7818], 15);
 
-    L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
-      maxZoom: 19,
-      attribution: '© OpenStreetMap contributors'
-    }).addTo(this.map);
+    const tileOptions = {
+      maxZoom: TILE_MAX_ZOOM,
+      attribution: getTileAttribution()
+    };
+    this.tileLayer = this.dependencies.tileCache
+      ? createCachedTileLayer(this.dependencies.tileCache, tileOptions)
+      : L.tileLayer(getTileUrlTemplate(), tileOptions);
+    this.tileLayer.addTo(this.map);
 
     this.marker = L.marker([32.0853, 34.7818])
       .addTo(this.map)
@@ -101,7 +116,10 @@ export class MapController {
 
     // Draw route line
     if (locationPoints.length > 1) {
-  const routeLine = locationPoints.map(point => [point.coords.lat, point.coords.lng]);
+  // One line per track segment so imported gaps aren't bridged
+  const routeLine = splitTrackSegments(locationPoints).map(segment =>
+    segment.map(point => [point.coords.lat, point.coords.lng])
+  );
   
   const polyline = L.polyline(routeLine, {
     color: '#4CAF50',
@@ -122,23 +140,103 @@ export class MapController {
       bounds.extend([entry.coords.lat, entry.coords.lng]);
 
       if (entry.type === 'photo') {
+        const hasHeading = typeof entry.heading === 'number';
+        // Photos with a bearing get a cone showing which way the camera faced
         const icon = L.divIcon({
-          html: '📷',
+          html: hasHeading
+            ? `<span class="photo-direction" style="transform: rotate(${entry.heading}deg);"></span><span class="photo-icon">📷</span>`
+            : '📷',
           iconSize: [30, 30],
-          className: 'custom-div-icon photo-marker'
+          className: `custom-div-icon photo-marker${hasHeading ? ' directional' : ''}`
         });
 
+        const details = [];
+        if (hasHeading) details.push(`🧭 Facing ${formatBearing(entry.heading)}`);
+        if (typeof entry.accuracy === 'number') details.push(`🎯 ±${Math.round(entry.accuracy)} m`);
+        if (entry.locationSource === 'exif') details.push('📍 From photo EXIF');
+
+        // Stored photos are loaded from the media store when the popup opens
+        const imageSource = entry.content ? `src="${entry.content}"` : `data-media-id="${entry.mediaId}" alt="Loading photo..."`;
+
         const photoMarker = L.marker([entry.coords.lat, entry.coords.lng], { icon })
           .addTo(this.map)
           .bindPopup(`
             <div style="text-align: center;">
-              <img src="${entry.content}" style="width:200px; max-height:150px; object-fit:cover; border-radius:8px;">
+              <img ${imageSource} style="width:200px; max-height:150px; object-fit:cover; border-radius:8px;">
               <br><small>${new Date(entry.timestamp).toLocaleString()}</small>
+              ${details.length > 0 ? `<br><small>${details.join(' · ')}</small>` : ''}
             </div>
           `);
+
+        if (!entry.content && entry.mediaId) {
+          photoMarker.on('popupopen', (event) => this.loadPopupMedia(event.popup));
+        }
         
         this.routeMarkers.push(photoMarker);
         
+      } else if (entry.type === 'voice') {
+        const icon = L.divIcon({
+          html: '🎙️',
+          iconSize: [30, 30],
+          className: 'custom-div-icon voice-marker'
+        });
+
+        const audioSource = entry.content ? `src="${entry.content}"` : `data-media-id="${entry.mediaId}"`;
+
+        const voiceMarker = L.marker([entry.coords.lat, entry.coords.lng], { icon })
+          .addTo(this.map)
+          .bindPopup(`
+            <div style="max-width: 240px;">
+              <strong>Voice note</strong> (${formatDuration(entry.duration || 0)})<br>
+              <audio ${audioSource} controls preload="none" style="width: 220px;"></audio>
+              ${entry.transcript ? `<br><em>"${escapeXml(entry.transcript)}"</em>` : ''}
+              <br><small>${new Date(entry.timestamp).toLocaleString()}</small>
+            </div>
+          `);
+
+        if (!entry.content && entry.mediaId) {
+          voiceMarker.on('popupopen', (event) => this.loadPopupMedia(event.popup));
+        }
+
+        this.routeMarkers.push(voiceMarker);
+        
+      } else if (entry.type === 'observation') {
+        const category = getObservationCategory(entry.category);
+        const severity = getObservationSeverity(entry.severity);
+        // Barriers are square and facilities round, so the shape carries the meaning as well as the colour
+        const icon = L.divIcon({
+          html: category.icon,
+          iconSize: [32, 32],
+          className: `custom-div-icon observation-marker observation-${entry.severity} observation-${category.kind}`
+        });
+
+        const measurements = formatMeasurements(entry.measurements);
+        let photo = '';
+        if (entry.content) {
+          photo = `<img src="${entry.content}" style="width:200px; max-height:150px; object-fit:cover; border-radius:8px;"><br>`;
+        } else if (entry.mediaId) {
+          photo = `<img data-media-id="${entry.mediaId}" alt="Loading photo..." style="width:200px; max-height:150px; object-fit:cover; border-radius:8px;"><br>`;
+        }
+
+        const observationMarker = L.marker([entry.coords.lat, entry.coords.lng], { icon })
+          .addTo(this.map)
+          .bindPopup(`
+            <div style="max-width: 220px;">
+              ${photo}
+              <strong>${category.icon} ${getCategoryLabel(entry.category)}</strong><br>
+              <span style="color: ${severity.color}; font-weight: bold;">${getSeverityLabel(entry.severity)}</span>
+              ${measurements ? `<br>📏 ${measurements}` : ''}
+              ${entry.note ? `<br>${escapeXml(entry.note)}` : ''}
+              <br><small>${new Date(entry.timestamp).toLocaleString()}</small>
+            </div>
+          `);
+
+        if (!entry.content && entry.mediaId) {
+          observationMarker.on('popupopen', (event) => this.loadPopupMedia(event.popup));
+        }
+
+        this.routeMarkers.push(observationMarker);
+
       } else if (entry.type === 'text') {
         const icon = L.divIcon({
           html: '📝',
@@ -158,6 +256,26 @@ export class MapController {
         
         this.routeMarkers.push(noteMarker);
         
+      } else if (entry.type === 'stop') {
+        const icon = L.divIcon({
+          html: '🪑',
+          iconSize: [30, 30],
+          className: 'custom-div-icon stop-marker'
+        });
+
+        const minutes = Math.round((entry.duration || 0) / 60000);
+        const stopMarker = L.marker([entry.coords.lat, entry.coords.lng], { icon })
+          .addTo(this.map)
+          .bindPopup(`
+            <div>
+              <strong>Rest Point</strong><br>
+              Stopped for ${minutes < 1 ? 'under a minute' : `${minutes} min`}<br>
+              <small>${new Date(entry.timestamp).toLocaleString()}</small>
+            </div>
+          `);
+        
+        this.routeMarkers.push(stopMarker);
+        
       } else if (entry.type === 'location' && (index === 0 || index === locationPoints.length - 1)) {
         // Add start/end markers
         const isStart = index === 0;
@@ -195,6 +313,31 @@ export class MapController {
     console.log(`✅ Route displayed: ${locationPoints.length} GPS points, ${photos} photos, ${notes} notes`);
   }
 
+  // Fill in a popup photo or recording from the media store (photo thumbnails are generated on first view)
+  async loadPopupMedia(popup) {
+    const content = popup.getContent();
+    const match = typeof content === 'string' && content.match(/<(img|audio) data-media-id="([^"]+)"( alt="Loading photo\.\.\.")?/);
+    if (!match) return;
+
+    const [, tag, mediaId] = match;
+    const state = window.AccessNatureApp?.getController('state');
+    let replacement = tag === 'img' ? '<img alt="Photo not available"' : '<audio title="Recording not available"';
+    try {
+      if (tag === 'img') {
+        const thumbnail = await state?.mediaStore.getThumbnail(mediaId, 400);
+        if (thumbnail) replacement = `<img src="${thumbnail}" alt="Route photo"`;
+      } else {
+        const url = await state?.mediaStore.getObjectUrl(mediaId);
+        if (url) replacement = `<audio src="${url}"`;
+      }
+    } catch (error) {
+      console.warn('Failed to load media for popup:', error);
+    }
+
+    // Rewriting the content keeps the image for later opens and lets Leaflet re-layout the popup
+    popup.setContent(content.replace(match[0], replacement));
+  }
+
   // FIXED: Complete route clearing including all markers
   clearRouteDisplay() {
     // Clear route lines
@@ -272,7 +415,7 @@ export class MapController {
           <div style="text-align: center; max-width: 250px;">
             <h3>${routeDoc.routeName}</h3>
             <p><strong>Distance:</strong> ${routeDoc.totalDistance?.toFixed(2) || 0} km</p>
-            <p><strong>Created:</strong> ${new Date(routeDoc.createdAt).toLocaleDateString()}</p>
+            <p><strong>Created:</strong> ${new Date(routeDoc.createdAt || routeDoc.uploadedAt).toLocaleDateString()}</p>
             <p><strong>By:</strong> ${routeDoc.userEmail}</p>
             ${routeDoc.stats ? `
               <hr>
@@ -0,0 +1,139 @@
+// Photo and voice note storage - Blobs live in RouteDB's media store, route entries only keep a mediaId
+import { generateId, isDataUrl, dataUrlToBlob, blobToDataUrl, createImageThumbnail } from '../utils/helpers.js';
+
+// Route entry types whose content can live in the media store (observations may carry a photo)
+export const MEDIA_ENTRY_TYPES = ['photo', 'voice', 'observation'];
+
+export function isMediaEntry(entry) {
+  return MEDIA_ENTRY_TYPES.includes(entry?.type);
+}
+
+export class MediaStore {
+  constructor(routeDB) {
+    this.routeDB = routeDB;
+    this.objectUrls = new Map(); // mediaId -> object URL
+    this.thumbnails = new Map(); // "mediaId:size" -> data URL
+  }
+
+  async saveBlob(blob) {
+    const id = `media_${Date.now()}_${generateId(6)}`;
+    await this.routeDB.saveMedia({
+      id,
+      blob,
+      type: blob.type,
+      size: blob.size,
+      createdAt: Date.now()
+    });
+    return id;
+  }
+
+  async getBlob(id) {
+    const record = await this.routeDB.getMedia(id);
+    return record?.blob || null;
+  }
+
+  async getObjectUrl(id) {
+    if (this.objectUrls.has(id)) return this.objectUrls.get(id);
+
+    const blob = await this.getBlob(id);
+    if (!blob) return null;
+
+    const url = URL.createObjectURL(blob);
+    this.objectUrls.set(id, url);
+    return url;
+  }
+
+  async getDataUrl(id) {
+    const blob = await this.getBlob(id);
+    return blob ? blobToDataUrl(blob) : null;
+  }
+
+  // Thumbnails are made when first asked for and only kept in memory
+  async getThumbnail(id, maxSize = 240) {
+    const key = `${id}:${maxSize}`;
+    if (this.thumbnails.has(key)) return this.thumbnails.get(key);
+
+    const url = await this.getObjectUrl(id);
+    if (!url) return null;
+
+    const thumbnail = await createImageThumbnail(url, maxSize);
+    this.thumbnails.set(key, thumbnail);
+    return thumbnail;
+  }
+
+  // Stores a second copy of a media record so two routes never share one; returns the new ID
+  async copyMedia(id) {
+    const blob = await this.getBlob(id);
+    return blob ? this.saveBlob(blob) : null;
+  }
+
+  async deleteMedia(id) {
+    await this.routeDB.deleteMedia(id);
+    this.releaseObjectUrl(id);
+    for (const key of this.thumbnails.keys()) {
+      if (key.startsWith(`${id}:`)) this.thumbnails.delete(key);
+    }
+  }
+
+  // Moves inline data URL photos and recordings into the store; entries are updated in place. Returns how many moved.
+  async externalizeEntries(entries) {
+    let moved = 0;
+
+    for (const entry of entries || []) {
+      if (!isMediaEntry(entry) || entry.mediaId || !isDataUrl(entry.content)) continue;
+
+      const blob = dataUrlToBlob(entry.content);
+      entry.mediaId = await this.saveBlob(blob);
+      entry.mediaSize = blob.size;
+      delete entry.content;
+      moved++;
+    }
+
+    return moved;
+  }
+
+  // Copies of the entries with media content inlined as data URLs, for exports and cloud uploads.
+  // Pass thumbnailSize to inline downscaled photos instead of the stored ones.
+  async resolveEntries(entries, { thumbnailSize = null } = {}) {
+    return Promise.all((entries || []).map(async (entry) => {
+      if (!isMediaEntry(entry) || !entry.mediaId || entry.content) return entry;
+
+      try {
+        const content = thumbnailSize && entry.type !== 'voice'
+          ? await this.getThumbnail(entry.mediaId, thumbnailSize)
+          : await this.getDataUrl(entry.mediaId);
+        if (!content) {
+          console.warn(`⚠️ Media ${entry.mediaId} is missing from the media store`);
+          return entry;
+        }
+        return { ...entry, content };
+      } catch (error) {
+        console.warn(`⚠️ Could not load media ${entry.mediaId}:`, error);
+        return entry;
+      }
+    }));
+  }
+
+  async getUsage() {
+    return this.routeDB.getMediaStats();
+  }
+
+  async clear() {
+    await this.routeDB.clearMedia();
+    this.releaseAll();
+  }
+
+  releaseObjectUrl(id) {
+    const url = this.objectUrls.get(id);
+    if (url) {
+      URL.revokeObjectURL(url);
+      this.objectUrls.delete(id);
+    }
+  }
+
+  releaseAll() {
+    this.objectUrls.forEach(url => URL.revokeObjectURL(url));
+    this.objectUrls.clear();
+    this.thumbnails.clear();
+  }
+}
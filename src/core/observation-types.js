@@ -0,0 +1,81 @@
+// Point-level accessibility observations - barrier/feature categories, severities and measurements
+import { t, getLanguage } from '../i18n/i18n.js';
+
+// Labels live in the observations.* keys of the message catalogs
+export const OBSERVATION_CATEGORIES = {
+  step: { icon: '🪜', kind: 'barrier', measurements: ['height'] },
+  steep_slope: { icon: '⛰️', kind: 'barrier', measurements: ['gradient', 'length'] },
+  narrow_passage: { icon: '↔️', kind: 'barrier', measurements: ['width'] },
+  bench: { icon: '💺', kind: 'feature', measurements: ['height'] },
+  fountain: { icon: '🚰', kind: 'feature', measurements: ['height'] },
+  restroom: { icon: '🚻', kind: 'feature', measurements: ['width'] },
+  parking: { icon: '🅿️', kind: 'feature', measurements: ['width'] },
+  other: { icon: '⚠️', kind: 'barrier', measurements: ['width', 'height'] }
+};
+
+export const OBSERVATION_SEVERITIES = {
+  none: { color: '#4CAF50' },
+  minor: { color: '#FFC107' },
+  major: { color: '#FF9800' },
+  impassable: { color: '#F44336' }
+};
+
+export const OBSERVATION_MEASUREMENTS = {
+  width: { unit: 'cm' },
+  height: { unit: 'cm' },
+  gradient: { unit: '%' },
+  length: { unit: 'm' }
+};
+
+export function getObservationCategory(category) {
+  return OBSERVATION_CATEGORIES[category] || OBSERVATION_CATEGORIES.other;
+}
+
+export function getObservationSeverity(severity) {
+  return OBSERVATION_SEVERITIES[severity] || OBSERVATION_SEVERITIES.minor;
+}
+
+export function getCategoryLabel(category, language = getLanguage()) {
+  const id = OBSERVATION_CATEGORIES[category] ? category : 'other';
+  return t(`observations.categories.${id}`, {}, language);
+}
+
+export function getSeverityLabel(severity, language = getLanguage()) {
+  const id = OBSERVATION_SEVERITIES[severity] ? severity : 'minor';
+  return t(`observations.severities.${id}`, {}, language);
+}
+
+export function getMeasurementLabel(key, language = getLanguage()) {
+  return t(`observations.measurements.${key}`, { defaultValue: key }, language);
+}
+
+// "Width 70 cm · Height 15 cm"
+export function formatMeasurements(measurements, language = getLanguage()) {
+  return Object.entries(measurements || {})
+    .filter(([key, value]) => OBSERVATION_MEASUREMENTS[key] && typeof value === 'number')
+    .map(([key, value]) => `${getMeasurementLabel(key, language)} ${value} ${OBSERVATION_MEASUREMENTS[key].unit}`)
+    .join(' · ');
+}
+
+// One-line description for waypoint names and lists, e.g. "🪜 Step or kerb (Major - needs assistance)"
+export function describeObservation(entry, language = getLanguage()) {
+  const category = getObservationCategory(entry.category);
+  return `${category.icon} ${getCategoryLabel(entry.category, language)} (${getSeverityLabel(entry.severity, language)})`;
+}
+
+// Cleans up observation fields read back from an import: unknown categories/severities and non-numeric measurements are dropped
+export function normalizeObservation({ category, severity, measurements, note } = {}) {
+  const observation = {
+    category: OBSERVATION_CATEGORIES[category] ? category : 'other',
+    severity: OBSERVATION_SEVERITIES[severity] ? severity : 'minor',
+    measurements: {}
+  };
+
+  Object.entries(measurements || {}).forEach(([key, value]) => {
+    const number = typeof value === 'number' ? value : parseFloat(value);
+    if (OBSERVATION_MEASUREMENTS[key] && !isNaN(number)) observation.measurements[key] = number;
+  });
+
+  if (note) observation.note = String(note);
+  return observation;
+}
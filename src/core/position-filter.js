@@ -0,0 +1,173 @@
+// GPS position filtering pipeline - accuracy gate, speed outlier rejection and Kalman smoothing
+import { haversineDistance } from '../utils/calculations.js';
+
+// Drops fixes whose reported accuracy radius is too large to be useful
+export class AccuracyFilter {
+  constructor({ maxAccuracy = 100 } = {}) {
+    this.name = 'accuracy';
+    this.maxAccuracy = maxAccuracy;
+  }
+
+  process(fix) {
+    if (fix.accuracy > this.maxAccuracy) {
+      fix.rejectReason = `accuracy ${fix.accuracy.toFixed(0)}m > ${this.maxAccuracy}m`;
+      return null;
+    }
+    return fix;
+  }
+
+  reset() {}
+}
+
+// Drops fixes that imply an impossible speed since the last accepted fix
+export class SpeedOutlierFilter {
+  constructor({ maxSpeed = 10, maxConsecutiveRejections = 5 } = {}) {
+    this.name = 'speed';
+    this.maxSpeed = maxSpeed; // m/s - well above wheelchair or walking pace
+    this.maxConsecutiveRejections = maxConsecutiveRejections;
+    this.lastFix = null;
+    this.consecutiveRejections = 0;
+  }
+
+  process(fix) {
+    if (this.lastFix) {
+      const seconds = (fix.timestamp - this.lastFix.timestamp) / 1000;
+      const meters = haversineDistance(this.lastFix.coords, fix.coords) * 1000;
+
+      // Allow the jump through when the fix's own uncertainty could explain it
+      const tolerance = Math.max(fix.accuracy, this.lastFix.accuracy);
+      const speed = seconds > 0 ? Math.max(0, meters - tolerance) / seconds : Infinity;
+
+      if (speed > this.maxSpeed) {
+        this.consecutiveRejections++;
+
+        // A long run of "outliers" means the previous fix was the bad one
+        if (this.consecutiveRejections <= this.maxConsecutiveRejections) {
+          fix.rejectReason = `speed ${speed.toFixed(1)}m/s > ${this.maxSpeed}m/s`;
+          return null;
+        }
+        console.warn('⚠️ Speed filter re-anchoring after repeated outliers');
+      }
+    }
+
+    this.consecutiveRejections = 0;
+    this.lastFix = { coords: fix.coords, timestamp: fix.timestamp, accuracy: fix.accuracy };
+    return fix;
+  }
+
+  reset() {
+    this.lastFix = null;
+    this.consecutiveRejections = 0;
+  }
+}
+
+// Simple Kalman filter over lat/lng that weighs each fix by its reported accuracy
+export class KalmanFilter {
+  constructor({ processNoise = 3, minAccuracy = 1 } = {}) {
+    this.name = 'kalman';
+    this.processNoise = processNoise; // expected movement noise in m/s
+    this.minAccuracy = minAccuracy;
+    this.reset();
+  }
+
+  process(fix) {
+    const accuracy = Math.max(fix.accuracy || this.minAccuracy, this.minAccuracy);
+
+    if (this.variance < 0) {
+      // First fix initialises the state
+      this.lat = fix.coords.lat;
+      this.lng = fix.coords.lng;
+      this.variance = accuracy * accuracy;
+      this.timestamp = fix.timestamp;
+    } else {
+      // Predict: uncertainty grows with time since the last fix
+      const seconds = Math.max(0, (fix.timestamp - this.timestamp) / 1000);
+      if (seconds > 0) {
+        this.variance += seconds * this.processNoise * this.processNoise;
+        this.timestamp = fix.timestamp;
+      }
+
+      // Update: move towards the measurement in proportion to the gain
+      const gain = this.variance / (this.variance + accuracy * accuracy);
+      this.lat += gain * (fix.coords.lat - this.lat);
+      this.lng += gain * (fix.coords.lng - this.lng);
+      this.variance = (1 - gain) * this.variance;
+    }
+
+    fix.coords = { lat: this.lat, lng: this.lng };
+    fix.smoothedAccuracy = Math.sqrt(this.variance);
+    return fix;
+  }
+
+  reset() {
+    this.lat = 0;
+    this.lng = 0;
+    this.variance = -1;
+    this.timestamp = 0;
+  }
+}
+
+// Runs each fix through an ordered list of stages; any stage may reject it by returning null
+export class PositionFilterPipeline {
+  constructor(stages = []) {
+    this.stages = [...stages];
+    this.stats = { accepted: 0, rejected: 0, rejectedBy: {} };
+  }
+
+  addStage(stage, index = this.stages.length) {
+    this.stages.splice(index, 0, stage);
+    return this;
+  }
+
+  removeStage(name) {
+    this.stages = this.stages.filter(stage => stage.name !== name);
+    return this;
+  }
+
+  getStage(name) {
+    return this.stages.find(stage => stage.name === name) || null;
+  }
+
+  // Returns { coords, rawCoords, accuracy, timestamp, ... } or null when rejected
+  process(position) {
+    let fix = {
+      coords: { ...position.coords },
+      rawCoords: { ...position.coords },
+      accuracy: position.accuracy,
+      timestamp: position.timestamp || Date.now()
+    };
+
+    for (const stage of this.stages) {
+      const result = stage.process(fix);
+
+      if (!result) {
+        this.stats.rejected++;
+        this.stats.rejectedBy[stage.name] = (this.stats.rejectedBy[stage.name] || 0) + 1;
+        console.warn(`🚫 GPS fix rejected (${stage.name}): ${fix.rejectReason || 'filtered'}`);
+        return null;
+      }
+
+      fix = result;
+    }
+
+    this.stats.accepted++;
+    return fix;
+  }
+
+  reset() {
+    this.stages.forEach(stage => stage.reset?.());
+    this.stats = { accepted: 0, rejected: 0, rejectedBy: {} };
+  }
+
+  getStats() {
+    return { ...this.stats, rejectedBy: { ...this.stats.rejectedBy } };
+  }
+}
+
+export function createDefaultPositionPipeline(options = {}) {
+  return new PositionFilterPipeline([
+    new AccuracyFilter(options.accuracy),
+    new SpeedOutlierFilter(options.speed),
+    new KalmanFilter(options.kalman)
+  ]);
+}
@@ -0,0 +1,217 @@
+// Route editing - trim, split, merge, move and delete points on a copy of a route, with undo/redo
+import { haversineDistance, splitTrackSegments } from '../utils/calculations.js';
+
+// A merged route that starts within this distance (km) of where the route ended continues the same track
+export const MERGE_JOIN_DISTANCE = 0.05;
+
+const HISTORY_LIMIT = 100;
+
+export function isEditablePoint(entry) {
+  return entry?.type === 'location' &&
+    entry.coords &&
+    typeof entry.coords.lat === 'number' &&
+    typeof entry.coords.lng === 'number';
+}
+
+// Distance along the track (km) and moving time (ms): the segments' time spans minus auto-paused stops
+export function computeRouteStats(entries) {
+  const points = (entries || []).filter(isEditablePoint);
+  let distance = 0;
+  let span = 0;
+
+  splitTrackSegments(points).forEach(segment => {
+    for (let i = 1; i < segment.length; i++) {
+      distance += haversineDistance(segment[i - 1].coords, segment[i].coords);
+    }
+    const first = segment[0].timestamp;
+    const last = segment[segment.length - 1].timestamp;
+    if (last > first) span += last - first;
+  });
+
+  const paused = (entries || [])
+    .filter(entry => entry.type === 'stop' && entry.autoPaused)
+    .reduce((sum, entry) => sum + (entry.duration || 0), 0);
+
+  return { distance, movingTime: Math.max(0, span - paused), pointCount: points.length };
+}
+
+// The first point of a route can't start a new segment
+function withoutSegmentBreak(entry) {
+  if (!entry?.segmentBreak) return entry;
+  const { segmentBreak, ...rest } = entry;
+  return rest;
+}
+
+// Edits never change an entry in place: every step swaps in a new state object,
+// so undo and redo only move whole states between the two stacks.
+export class RouteEditSession {
+  constructor(entries, { elapsedTime = 0 } = {}) {
+    const stats = computeRouteStats(entries);
+    this.state = {
+      entries: [...entries],
+      parts: [], // entry lists split off this route, each saved as a new route
+      merged: [], // { id, name } of saved routes appended to this one
+      base: { elapsedTime, movingTime: stats.movingTime, pointCount: stats.pointCount }
+    };
+    this.initialState = this.state;
+    this.undoStack = [];
+    this.redoStack = [];
+  }
+
+  get entries() {
+    return this.state.entries;
+  }
+
+  get parts() {
+    return this.state.parts;
+  }
+
+  get merged() {
+    return this.state.merged;
+  }
+
+  isDirty() {
+    return this.state !== this.initialState;
+  }
+
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  apply(action, changes) {
+    this.undoStack.push({ action, state: this.state });
+    if (this.undoStack.length > HISTORY_LIMIT) this.undoStack.shift();
+    this.redoStack = [];
+    this.state = { ...this.state, ...changes };
+    return action;
+  }
+
+  // Returns the action undone, or null
+  undo() {
+    const step = this.undoStack.pop();
+    if (!step) return null;
+    this.redoStack.push({ action: step.action, state: this.state });
+    this.state = step.state;
+    return step.action;
+  }
+
+  redo() {
+    const step = this.redoStack.pop();
+    if (!step) return null;
+    this.undoStack.push({ action: step.action, state: this.state });
+    this.state = step.state;
+    return step.action;
+  }
+
+  // Entry indexes of the route's GPS points, in order
+  getPointIndexes() {
+    return this.entries.reduce((indexes, entry, index) => {
+      if (isEditablePoint(entry)) indexes.push(index);
+      return indexes;
+    }, []);
+  }
+
+  // Everything recorded before the point goes, photos and notes included
+  trimStart(index) {
+    if (!this.isInnerPoint(index)) return null;
+    const entries = this.entries.slice(index);
+    entries[0] = withoutSegmentBreak(entries[0]);
+    return this.apply('trimStart', { entries });
+  }
+
+  trimEnd(index) {
+    if (!this.isInnerPoint(index)) return null;
+    return this.apply('trimEnd', { entries: this.entries.slice(0, index + 1) });
+  }
+
+  // The point ends this route and starts the new one
+  split(index) {
+    if (!this.isInnerPoint(index)) return null;
+    const part = this.entries.slice(index);
+    part[0] = withoutSegmentBreak(part[0]);
+    return this.apply('split', {
+      entries: this.entries.slice(0, index + 1),
+      parts: [...this.parts, part]
+    });
+  }
+
+  deletePoint(index) {
+    const entry = this.entries[index];
+    if (!isEditablePoint(entry) || this.getPointIndexes().length <= 2) return null;
+
+    const entries = [...this.entries];
+    entries.splice(index, 1);
+
+    // The next point takes over a segment break, so the gap stays undrawn
+    if (entry.segmentBreak) {
+      const next = entries.findIndex((candidate, i) => i >= index && isEditablePoint(candidate));
+      if (next > 0 && entries.slice(0, next).some(isEditablePoint)) {
+        entries[next] = { ...entries[next], segmentBreak: true };
+      }
+    }
+    return this.apply('deletePoint', { entries });
+  }
+
+  // The point's looked-up elevation no longer applies at the new position
+  movePoint(index, coords) {
+    const entry = this.entries[index];
+    if (!isEditablePoint(entry)) return null;
+
+    const { elevation, ...rest } = entry;
+    const entries = [...this.entries];
+    entries[index] = { ...rest, coords: { lat: coords.lat, lng: coords.lng }, edited: true };
+    return this.apply('movePoint', { entries });
+  }
+
+  // Appends a later saved route. It continues this track if it starts where this one ended,
+  // otherwise it becomes a separate segment.
+  mergeRoute(route) {
+    const incoming = [...(route.data || [])];
+    const firstPoint = incoming.findIndex(isEditablePoint);
+    if (firstPoint === -1) return null;
+
+    const lastPoint = [...this.entries].reverse().find(isEditablePoint);
+    const joins = lastPoint && haversineDistance(lastPoint.coords, incoming[firstPoint].coords) <= MERGE_JOIN_DISTANCE;
+    incoming[firstPoint] = joins
+      ? withoutSegmentBreak(incoming[firstPoint])
+      : { ...incoming[firstPoint], segmentBreak: true };
+
+    const stats = computeRouteStats(route.data);
+    const { base } = this.state;
+    return this.apply('merge', {
+      entries: [...this.entries, ...incoming],
+      merged: [...this.merged, { id: route.id, name: route.name }],
+      base: {
+        elapsedTime: base.elapsedTime + (route.elapsedTime || 0),
+        movingTime: base.movingTime + stats.movingTime,
+        pointCount: base.pointCount + stats.pointCount
+      }
+    });
+  }
+
+  // Trims and splits need at least one point on either side of the chosen one
+  isInnerPoint(index) {
+    const points = this.getPointIndexes();
+    return points.indexOf(index) > 0 && points.indexOf(index) < points.length - 1;
+  }
+
+  // The recorded time scales with the moving time kept, so a trimmed warm-up takes its minutes with it.
+  // Routes without timestamps scale by point count instead.
+  estimateElapsedTime(entries) {
+    const { base } = this.state;
+    const stats = computeRouteStats(entries);
+    const ratio = base.movingTime > 0
+      ? stats.movingTime / base.movingTime
+      : stats.pointCount / Math.max(1, base.pointCount);
+    return Math.round(base.elapsedTime * Math.min(1, ratio));
+  }
+
+  getStats(entries = this.entries) {
+    const { distance, pointCount } = computeRouteStats(entries);
+    return { distance, pointCount, elapsedTime: this.estimateElapsedTime(entries) };
+  }
+}
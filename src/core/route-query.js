@@ -0,0 +1,59 @@
+// Route library queries - sort orders, filters and the tag/folder fields shared by RouteDB and the localStorage fallback
+
+// Library sort option -> RouteDB routes index
+export const ROUTE_SORT_FIELDS = {
+  date: 'date',
+  distance: 'totalDistance',
+  duration: 'elapsedTime',
+  name: 'name'
+};
+
+export const ROUTE_PAGE_SIZE = 20;
+
+// "Forest, shade ,forest" -> ['forest', 'shade']
+export function normalizeTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+  return [...new Set(list.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))];
+}
+
+export function normalizeFolder(folder) {
+  return String(folder || '').trim();
+}
+
+// Routes missing an indexed field would drop out of that sort order, so every stored route gets them all
+export function withLibraryFields(route) {
+  return {
+    ...route,
+    totalDistance: route.totalDistance || 0,
+    elapsedTime: route.elapsedTime || 0,
+    tags: normalizeTags(route.tags),
+    folder: normalizeFolder(route.folder)
+  };
+}
+
+// Predicate for the search text, folder ('' = unfiled, null = any) and tag; null when nothing filters
+export function createRouteFilter({ search = '', folder = null, tag = null } = {}) {
+  const terms = search.toLowerCase().split(/\s+/).filter(Boolean);
+  if (terms.length === 0 && folder === null && !tag) return null;
+
+  return (route) => {
+    if (folder !== null && normalizeFolder(route.folder) !== folder) return false;
+    if (tag && !normalizeTags(route.tags).includes(tag)) return false;
+
+    const text = [route.name, route.folder, ...normalizeTags(route.tags)].join(' ').toLowerCase();
+    return terms.every(term => text.includes(term));
+  };
+}
+
+// Same order as walking the RouteDB index, for routes held in memory
+export function compareRoutes(sort = 'date', direction = 'desc') {
+  const field = ROUTE_SORT_FIELDS[sort] || ROUTE_SORT_FIELDS.date;
+  const sign = direction === 'asc' ? 1 : -1;
+
+  return (a, b) => {
+    const valueA = a[field] ?? '';
+    const valueB = b[field] ?? '';
+    const order = valueA < valueB ? -1 : valueA > valueB ? 1 : 0;
+    return (order || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0)) * sign;
+  };
+}
@@ -0,0 +1,198 @@
+// Route statistics - moving and stopped time, speed, pace, per-km splits, ascent/descent and GPS quality
+import { haversineDistance, splitTrackSegments } from '../utils/calculations.js';
+import { getElevationProfile } from './elevation.js';
+
+// Slower than this between two fixes counts as standing still (km/h)
+export const MOVING_SPEED_THRESHOLD = 1;
+
+// No fix for longer than this is a gap in the GPS signal (ms)
+export const GPS_GAP_THRESHOLD = 30000;
+
+// Max speed is averaged over at least this long, so one jumpy fix doesn't set it (ms)
+const MAX_SPEED_WINDOW = 10000;
+
+// Shorter than this (km), a route has no meaningful pace
+const MIN_PACE_DISTANCE = 0.01;
+
+function getLocationPoints(routeData) {
+  return routeData.filter(entry =>
+    entry.type === 'location' &&
+    entry.coords &&
+    typeof entry.coords.lat === 'number' &&
+    typeof entry.coords.lng === 'number'
+  );
+}
+
+const hasTime = (point) => typeof point.timestamp === 'number';
+
+// Recorded stops as [start, end] times; the time between fixes inside one is stopped time whatever the GPS drift
+function getStopIntervals(routeData) {
+  return routeData
+    .filter(entry => entry.type === 'stop' && typeof entry.timestamp === 'number')
+    .map(entry => [entry.timestamp, entry.endTime || entry.timestamp + (entry.duration || 0)]);
+}
+
+// Statistics for a recorded route. Distances are km, times ms, speeds km/h and paces seconds per km.
+// Time is measured from the fixes: moving + stopped = the time spent recording, gaps between track segments excluded.
+export function calculateRouteStats(routeData, routeInfo = {}, { splitDistance = 1 } = {}) {
+  const entries = routeData || [];
+  const points = getLocationPoints(entries);
+  const segments = splitTrackSegments(points);
+  const stops = getStopIntervals(entries);
+  const isStopped = (start, end) => {
+    const middle = (start + end) / 2;
+    return stops.some(([stopStart, stopEnd]) => middle >= stopStart && middle <= stopEnd);
+  };
+
+  let distance = 0;
+  let movingTime = 0;
+  let recordedTime = 0;
+  let maxSpeed = null;
+  const gaps = [];
+  const splits = [];
+
+  // Distance and moving time are shared out between the splits an interval crosses
+  const addToSplits = (length, time) => {
+    let remaining = length;
+    let position = distance;
+    while (remaining > 0) {
+      const index = Math.floor(position / splitDistance + 1e-9);
+      if (!splits[index]) splits[index] = { number: index + 1, distance: 0, movingTime: 0 };
+      const room = (index + 1) * splitDistance - position;
+      const part = Math.min(remaining, room);
+      splits[index].distance += part;
+      splits[index].movingTime += length > 0 ? time * part / length : 0;
+      position += part;
+      remaining -= part;
+    }
+  };
+
+  segments.forEach(segment => {
+    const cumulative = [0];
+
+    for (let i = 1; i < segment.length; i++) {
+      const previous = segment[i - 1];
+      const point = segment[i];
+      const length = haversineDistance(previous.coords, point.coords);
+      const time = hasTime(previous) && hasTime(point) ? Math.max(0, point.timestamp - previous.timestamp) : 0;
+      cumulative.push(cumulative[i - 1] + length);
+
+      if (time > GPS_GAP_THRESHOLD) {
+        gaps.push(time);
+      }
+
+      const speed = time > 0 ? length / (time / 3600000) : 0;
+      const moving = speed >= MOVING_SPEED_THRESHOLD && !isStopped(previous.timestamp, point.timestamp);
+      if (moving) movingTime += time;
+      recordedTime += time;
+
+      addToSplits(length, moving ? time : 0);
+      distance += length;
+    }
+
+    // Fastest stretch lasting at least MAX_SPEED_WINDOW
+    if (!segment.every(hasTime)) return;
+    let start = 0;
+    for (let end = 1; end < segment.length; end++) {
+      while (start + 1 < end && segment[end].timestamp - segment[start + 1].timestamp >= MAX_SPEED_WINDOW) {
+        start++;
+      }
+      const time = segment[end].timestamp - segment[start].timestamp;
+      if (time >= MAX_SPEED_WINDOW) {
+        const speed = (cumulative[end] - cumulative[start]) / (time / 3600000);
+        maxSpeed = Math.max(maxSpeed ?? 0, speed);
+      }
+    }
+  });
+
+  // A route with a single point can still carry its recorded length
+  if (points.length < 2) {
+    distance = routeInfo.totalDistance || 0;
+  }
+
+  // Rounding can leave a sliver past the last boundary
+  const listed = splits.filter(split => split && split.distance > 1e-6);
+  const elevationProfile = getElevationProfile(entries, routeInfo);
+  if (elevationProfile && listed.length > 0) {
+    addSplitElevation(listed, elevationProfile, splitDistance);
+  }
+
+  const accuracies = points.map(point => point.accuracy).filter(accuracy => typeof accuracy === 'number');
+  const movingHours = movingTime / 3600000;
+
+  return {
+    totalDistance: distance,
+    elapsedTime: routeInfo.elapsedTime || recordedTime,
+    recordedTime,
+    movingTime,
+    stoppedTime: recordedTime - movingTime,
+    avgMovingSpeed: movingHours > 0 ? distance / movingHours : null,
+    maxSpeed,
+    avgPace: movingTime > 0 && distance >= MIN_PACE_DISTANCE ? movingTime / 1000 / distance : null,
+    splitDistance,
+    splits: listed.map(split => ({
+      ...split,
+      pace: split.movingTime > 0 && split.distance >= MIN_PACE_DISTANCE ? split.movingTime / 1000 / split.distance : null
+    })),
+    ascent: elevationProfile ? elevationProfile.totalAscent : null,
+    descent: elevationProfile ? elevationProfile.totalDescent : null,
+    gps: {
+      pointCount: points.length,
+      segmentCount: segments.length,
+      meanAccuracy: accuracies.length > 0 ? accuracies.reduce((sum, accuracy) => sum + accuracy, 0) / accuracies.length : null,
+      gapCount: gaps.length,
+      gapTime: gaps.reduce((sum, gap) => sum + gap, 0),
+      longestGap: gaps.length > 0 ? Math.max(...gaps) : 0
+    }
+  };
+}
+
+// Each slope segment's rise goes to the split its midpoint falls in, so the splits add up to the profile's totals
+function addSplitElevation(splits, profile, splitDistance) {
+  splits.forEach(split => {
+    split.ascent = 0;
+    split.descent = 0;
+  });
+
+  profile.segments.forEach(segment => {
+    const middle = (segment.startDistance + segment.endDistance) / 2 / 1000;
+    const split = splits[Math.min(splits.length - 1, Math.floor(middle / splitDistance))];
+    if (segment.rise > 0) {
+      split.ascent += segment.rise;
+    } else {
+      split.descent -= segment.rise;
+    }
+  });
+
+  splits.forEach(split => {
+    split.ascent = Math.round(split.ascent);
+    split.descent = Math.round(split.descent);
+  });
+}
+
+// Compact figures for trail guide metadata and search
+export function summarizeRouteStats(stats) {
+  if (!stats) return null;
+
+  const round = (value, digits = 2) => (value === null ? null : Math.round(value * 10 ** digits) / 10 ** digits);
+  return {
+    movingTime: Math.round(stats.movingTime),
+    stoppedTime: Math.round(stats.stoppedTime),
+    avgMovingSpeed: round(stats.avgMovingSpeed),
+    maxSpeed: round(stats.maxSpeed),
+    avgPace: round(stats.avgPace, 0),
+    gpsAccuracy: round(stats.gps.meanAccuracy, 1),
+    gpsGapCount: stats.gps.gapCount
+  };
+}
+
+// 754 seconds per km -> "12:34"
+export function formatPace(secondsPerKm) {
+  if (secondsPerKm === null || !isFinite(secondsPerKm)) return '–';
+  const total = Math.round(secondsPerKm);
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+}
+
+export function formatSpeed(kmh) {
+  return kmh === null ? '–' : kmh.toFixed(1);
+}
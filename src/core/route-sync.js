@@ -0,0 +1,490 @@
+// Route sync - two-way sync between the route library and the user's cloud routes. Both sides are matched by
+// cloud ID and compared with the version they had at their last sync (syncedUpdatedAt), so a route changed
+// on both sides since then is a conflict the user settles. Deleted routes leave tombstones on either side.
+import { OFFLINE_ERROR_CODE } from '../utils/firebase-loader.js';
+import { getBackend, isBackendReachable } from '../data/backend.js';
+import { getElevationProfile } from './elevation.js';
+import { computeRouteStats } from './route-edit.js';
+import { normalizeTags, normalizeFolder } from './route-query.js';
+import { isMediaEntry } from './media-store.js';
+import { t } from '../i18n/i18n.js';
+
+export const SYNC_ACTIONS = {
+  PUSH: 'push', // upload the local route
+  PULL: 'pull', // download the cloud route, new or changed
+  LINK: 'link', // same version on both sides; only the sync state is recorded
+  DELETE_LOCAL: 'deleteLocal', // deleted in the cloud
+  PUSH_DELETE: 'pushDelete', // deleted on this device
+  DROP_TOMBSTONE: 'dropTombstone', // the deletion has reached both sides
+  CONFLICT: 'conflict'
+};
+
+export const CONFLICT_REASONS = {
+  EDITED: 'edited',
+  DELETED_IN_CLOUD: 'deletedInCloud',
+  DELETED_LOCALLY: 'deletedLocally'
+};
+
+// How a conflict is settled: this device's version, the cloud's, or both combined (edits only)
+export const RESOLUTIONS = {
+  LOCAL: 'local',
+  CLOUD: 'cloud',
+  MERGE: 'merge'
+};
+
+const toTime = (value) => Date.parse(value) || 0;
+
+// Routes saved before updatedAt existed count from the day they were recorded
+export function getLocalVersion(route) {
+  return toTime(route.updatedAt || route.date);
+}
+
+// Version stamp of a cloud route as stored; documents uploaded before updatedAt existed use their upload time
+export function getCloudStamp(cloud) {
+  return cloud.updatedAt || cloud.uploadedAt || cloud.createdAt || null;
+}
+
+// Firestore document of a route. updatedAt carries the local version, so the next sync knows what the cloud has.
+// createdAt isn't part of it: it's queued as a create field (see getRouteCreateFields) so later uploads keep it.
+export function buildRouteDocument(routeData, routeInfo, accessibilityData, user) {
+  const now = new Date().toISOString();
+  return {
+    userId: user.uid,
+    userEmail: user.email,
+    routeName: routeInfo.name,
+    uploadedAt: now,
+    updatedAt: routeInfo.updatedAt || now,
+    deleted: false,
+    deletedAt: null,
+
+    // Route statistics
+    totalDistance: routeInfo.totalDistance || 0,
+    elapsedTime: routeInfo.elapsedTime || 0,
+    originalDate: routeInfo.date,
+
+    // Library details, so they sync with the route
+    tags: normalizeTags(routeInfo.tags),
+    folder: normalizeFolder(routeInfo.folder),
+
+    // Route data
+    routeData,
+
+    // Statistics for quick access
+    stats: {
+      locationPoints: routeData.filter(p => p.type === 'location').length,
+      photos: routeData.filter(p => p.type === 'photo').length,
+      notes: routeData.filter(p => p.type === 'text').length,
+      restPoints: routeData.filter(p => p.type === 'stop').length,
+      totalDataPoints: routeData.length
+    },
+
+    // Elevation/gradient profile
+    elevationProfile: getElevationProfile(routeData, routeInfo),
+
+    // Accessibility information
+    accessibilityData: accessibilityData || null,
+
+    // Technical info
+    deviceInfo: {
+      userAgent: navigator.userAgent,
+      timestamp: Date.now(),
+      appVersion: '1.0'
+    }
+  };
+}
+
+// Fields of a cloud route set by its first upload only
+export function getRouteCreateFields(routeDocument) {
+  return { createdAt: routeDocument.uploadedAt };
+}
+
+// What's left of a deleted route in the cloud: enough for other devices to delete their copies
+export function buildTombstoneDocument(tombstone, user) {
+  return {
+    userId: user.uid,
+    routeName: tombstone.name,
+    deleted: true,
+    deletedAt: tombstone.deletedAt,
+    updatedAt: tombstone.deletedAt
+  };
+}
+
+// Local route fields of a cloud route; the caller gives it a local ID
+export function routeFromCloud(cloud) {
+  const data = cloud.routeData || [];
+  const stamp = getCloudStamp(cloud);
+  return {
+    cloudId: cloud.cloudId,
+    name: cloud.routeName,
+    date: cloud.originalDate || cloud.createdAt,
+    totalDistance: cloud.totalDistance || 0,
+    elapsedTime: cloud.elapsedTime || 0,
+    data,
+    dataSize: JSON.stringify(data).length,
+    elevationProfile: cloud.elevationProfile || null,
+    tags: normalizeTags(cloud.tags),
+    folder: normalizeFolder(cloud.folder),
+    updatedAt: stamp,
+    syncedUpdatedAt: stamp,
+    version: '2.0'
+  };
+}
+
+// Entries recorded at the same time are the same photo or note in both versions
+function entryKey(entry, index) {
+  return entry.timestamp ? `${entry.type}|${entry.timestamp}` : `untimed|${index}`;
+}
+
+// Photos, voice notes, observations and text notes are added on their own, so either version may have ones
+// the other lacks. The track itself (points and rest stops) is edited as a whole, e.g. trimmed.
+const isAnnotation = (entry) => isMediaEntry(entry) || entry.type === 'text';
+
+// Two versions of a route combined: the track of the more recently changed version, so points trimmed or
+// deleted there stay gone, with every photo and note of either. Where both have the same photo or note,
+// the newer version's copy wins. Keeps the local route's IDs.
+export function mergeRouteVersions(local, cloud) {
+  const localNewer = getLocalVersion(local) >= getLocalVersion(cloud);
+  const [newer, older] = localNewer ? [local, cloud] : [cloud, local];
+
+  const entries = new Map();
+  (older.data || []).filter(isAnnotation)
+    .forEach((entry, index) => entries.set(entryKey(entry, `older-${index}`), entry));
+  (newer.data || []).forEach((entry, index) => entries.set(entryKey(entry, `newer-${index}`), entry));
+  const data = [...entries.values()].sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
+
+  return {
+    ...local,
+    name: newer.name,
+    folder: normalizeFolder(newer.folder),
+    tags: normalizeTags([...(local.tags || []), ...(cloud.tags || [])]),
+    date: toTime(cloud.date) && toTime(cloud.date) < toTime(local.date) ? cloud.date : local.date,
+    totalDistance: computeRouteStats(data).distance,
+    elapsedTime: newer.elapsedTime || 0,
+    data,
+    dataSize: JSON.stringify(data).length,
+    elevationProfile: null
+  };
+}
+
+// Routes uploaded before they kept a cloud ID are recognized by their name and recording date
+function findUnlinkedCopy(unlinked, cloud) {
+  return unlinked.find(route => route.name === cloud.routeName && route.date === cloud.originalDate) || null;
+}
+
+// The steps of a sync, from the local routes, the tombstones of routes deleted on this device and the
+// user's cloud routes ({ cloudId, ...document }). Local routes that were never uploaded stay local.
+export function planRouteSync({ localRoutes = [], tombstones = [], cloudRoutes = [] }) {
+  const cloudById = new Map(cloudRoutes.map(cloud => [cloud.cloudId, cloud]));
+  const tombstoneById = new Map(tombstones.map(tombstone => [tombstone.cloudId, tombstone]));
+  const unlinked = localRoutes.filter(route => !route.cloudId);
+  const linked = new Set();
+  const actions = [];
+
+  // A route the cloud has but that was never synced: the cloud copy is this route unless it changed here since
+  const planFirstSync = (local, cloud, adopt = false) => {
+    const type = getLocalVersion(local) > toTime(getCloudStamp(cloud)) ? SYNC_ACTIONS.PUSH : SYNC_ACTIONS.LINK;
+    actions.push({ type, local, cloud, adopt });
+  };
+
+  localRoutes.filter(route => route.cloudId).forEach(local => {
+    linked.add(local.cloudId);
+    const cloud = cloudById.get(local.cloudId);
+    const base = toTime(local.syncedUpdatedAt);
+    const localVersion = getLocalVersion(local);
+
+    if (!cloud || cloud.deleted) {
+      // Its first upload hasn't gone through yet
+      if (!cloud && !base) {
+        actions.push({ type: SYNC_ACTIONS.PUSH, local });
+        return;
+      }
+      const changed = localVersion > (base || toTime(getCloudStamp(cloud)));
+      actions.push(changed
+        ? { type: SYNC_ACTIONS.CONFLICT, reason: CONFLICT_REASONS.DELETED_IN_CLOUD, local, cloud: cloud || null }
+        : { type: SYNC_ACTIONS.DELETE_LOCAL, local, cloud: cloud || null });
+      return;
+    }
+
+    if (!base) {
+      planFirstSync(local, cloud);
+      return;
+    }
+
+    const localChanged = localVersion > base;
+    const cloudChanged = toTime(getCloudStamp(cloud)) > base;
+    if (localChanged && cloudChanged) {
+      actions.push({ type: SYNC_ACTIONS.CONFLICT, reason: CONFLICT_REASONS.EDITED, local, cloud });
+    } else if (localChanged) {
+      actions.push({ type: SYNC_ACTIONS.PUSH, local, cloud });
+    } else if (cloudChanged) {
+      actions.push({ type: SYNC_ACTIONS.PULL, local, cloud });
+    }
+  });
+
+  cloudRoutes.forEach(cloud => {
+    if (linked.has(cloud.cloudId)) return;
+    const tombstone = tombstoneById.get(cloud.cloudId);
+
+    if (cloud.deleted) {
+      if (tombstone) actions.push({ type: SYNC_ACTIONS.DROP_TOMBSTONE, tombstone });
+      return;
+    }
+
+    if (tombstone) {
+      // Changed in the cloud after this device last saw it: deleting would lose those changes
+      const base = toTime(tombstone.syncedUpdatedAt) || toTime(tombstone.deletedAt);
+      actions.push(toTime(getCloudStamp(cloud)) > base
+        ? { type: SYNC_ACTIONS.CONFLICT, reason: CONFLICT_REASONS.DELETED_LOCALLY, tombstone, cloud }
+        : { type: SYNC_ACTIONS.PUSH_DELETE, tombstone, cloud });
+      return;
+    }
+
+    const copy = findUnlinkedCopy(unlinked, cloud);
+    if (copy) {
+      unlinked.splice(unlinked.indexOf(copy), 1);
+      planFirstSync({ ...copy, cloudId: cloud.cloudId }, cloud, true);
+      return;
+    }
+
+    actions.push({ type: SYNC_ACTIONS.PULL, local: null, cloud });
+  });
+
+  // Deleted before the route ever reached the cloud
+  tombstones
+    .filter(tombstone => !cloudById.has(tombstone.cloudId))
+    .forEach(tombstone => actions.push({ type: SYNC_ACTIONS.DROP_TOMBSTONE, tombstone }));
+
+  return actions;
+}
+
+export class RouteSync {
+  constructor(appState) {
+    this.appState = appState;
+    this.running = null;
+
+    // A route is in sync once its upload has gone through, not when it's queued
+    appState.cloudOutbox.onSent(entry => this.handleSent(entry));
+  }
+
+  // Syncs the signed-in user's routes. resolveConflict(conflict) returns a RESOLUTIONS value, or null to leave
+  // the route as it is until the next sync; without it conflicts are only counted (automatic syncs).
+  // Resolves to the counts { pushed, pulled, deleted, resolved, conflicts, failed }.
+  async sync(user, { resolveConflict = null } = {}) {
+    // One sync at a time; a second one starts from what the first left behind
+    while (this.running) {
+      await this.running.catch(() => {});
+    }
+
+    this.running = this.run(user, resolveConflict);
+    try {
+      return await this.running;
+    } finally {
+      this.running = null;
+    }
+  }
+
+  async run(user, resolveConflict) {
+    if (!user) {
+      throw new Error('User not authenticated');
+    }
+    if (!isBackendReachable()) {
+      const error = new Error(t('offline.unavailable'));
+      error.code = OFFLINE_ERROR_CODE;
+      throw error;
+    }
+
+    // Uploads still waiting go first, so the cloud is as current as this device can make it
+    const outbox = this.appState.cloudOutbox;
+    await outbox.flush({ force: true });
+
+    const [localRoutes, tombstones, cloudRoutes] = await Promise.all([
+      this.appState.getSessions(),
+      this.appState.getTombstones(),
+      this.fetchCloudRoutes(user)
+    ]);
+    const actions = planRouteSync({ localRoutes, tombstones, cloudRoutes });
+
+    const result = { pushed: 0, pulled: 0, deleted: 0, resolved: 0, conflicts: 0, failed: 0 };
+    for (const action of actions) {
+      try {
+        await this.apply(action, user, resolveConflict, result);
+      } catch (error) {
+        console.warn(`⚠️ Route sync step ${action.type} failed:`, error);
+        result.failed++;
+      }
+    }
+
+    await outbox.flush();
+    console.log(`🔄 Routes synced: ${result.pushed} up, ${result.pulled} down, ${result.deleted} deleted, ${result.conflicts} conflict(s) left`);
+    return result;
+  }
+
+  async fetchCloudRoutes(user) {
+    return getBackend().routes.listByUser(user.uid);
+  }
+
+  async apply(action, user, resolveConflict, result) {
+    switch (action.type) {
+      case SYNC_ACTIONS.PUSH:
+        if (action.adopt) await this.appState.markRouteSynced(action.local.id, action.local.cloudId, null);
+        await this.pushRoute(action.local.id, user);
+        result.pushed++;
+        break;
+      case SYNC_ACTIONS.PULL:
+        await this.pullRoute(action.cloud, action.local);
+        result.pulled++;
+        break;
+      case SYNC_ACTIONS.LINK:
+        await this.appState.markRouteSynced(action.local.id, action.cloud.cloudId, getCloudStamp(action.cloud));
+        break;
+      case SYNC_ACTIONS.DELETE_LOCAL:
+        await this.appState.deleteRoutes([action.local.id], { propagate: false });
+        result.deleted++;
+        break;
+      case SYNC_ACTIONS.PUSH_DELETE:
+        await this.pushTombstone(action.tombstone, user);
+        result.deleted++;
+        break;
+      case SYNC_ACTIONS.DROP_TOMBSTONE:
+        await this.appState.routeDB.deleteTombstone(action.tombstone.cloudId);
+        break;
+      case SYNC_ACTIONS.CONFLICT: {
+        const resolution = resolveConflict ? await resolveConflict(action) : null;
+        if (!resolution) {
+          result.conflicts++;
+          break;
+        }
+        await this.resolve(action, resolution, user);
+        result.resolved++;
+        break;
+      }
+    }
+  }
+
+  async resolve({ reason, local, tombstone, cloud }, resolution, user) {
+    if (reason === CONFLICT_REASONS.DELETED_LOCALLY) {
+      if (resolution === RESOLUTIONS.CLOUD) {
+        await this.pullRoute(cloud);
+        await this.appState.routeDB.deleteTombstone(tombstone.cloudId);
+      } else {
+        // Deleted now, so the tombstone is newer than the cloud's changes
+        await this.pushTombstone({ ...tombstone, deletedAt: new Date().toISOString() }, user);
+      }
+      return;
+    }
+
+    if (reason === CONFLICT_REASONS.DELETED_IN_CLOUD) {
+      if (resolution === RESOLUTIONS.CLOUD) {
+        await this.appState.deleteRoutes([local.id], { propagate: false });
+      } else {
+        await this.appState.touchRoute(local.id);
+        await this.pushRoute(local.id, user);
+      }
+      return;
+    }
+
+    if (resolution === RESOLUTIONS.CLOUD) {
+      await this.pullRoute(cloud, local);
+      return;
+    }
+    if (resolution === RESOLUTIONS.MERGE) {
+      await this.mergeWithCloud(local.id, cloud);
+    } else {
+      // The kept version becomes the newest, so other devices take it instead of keeping theirs
+      await this.appState.touchRoute(local.id);
+    }
+    await this.pushRoute(local.id, user);
+  }
+
+  // Queues the upload of a saved route; it counts as synced once the outbox has sent it
+  async pushRoute(id, user) {
+    const route = await this.appState.getRoute(id);
+    if (!route) return;
+
+    const routeData = await this.appState.resolveRouteMedia(route.data || []);
+    const accessibilityData = await this.appState.getRouteSurvey(route.id);
+    const routeDoc = buildRouteDocument(routeData, route, accessibilityData, user);
+    await this.appState.cloudOutbox.enqueue({
+      collection: 'routes',
+      docId: route.cloudId,
+      routeId: route.id,
+      name: route.name,
+      data: routeDoc,
+      createFields: getRouteCreateFields(routeDoc)
+    });
+  }
+
+  // Saves a cloud route locally, replacing the local copy's contents when there is one
+  async pullRoute(cloud, local = null) {
+    const incoming = routeFromCloud(cloud);
+    await this.appState.externalizeRouteMedia(incoming.data);
+
+    const current = local ? await this.appState.getRoute(local.id) : null;
+    const route = current
+      ? { ...current, ...incoming, id: current.id }
+      : { ...incoming, id: await this.appState.createRouteId() };
+    await this.appState.storeRoute(route, { replace: Boolean(current) });
+    if (current) await this.appState.deleteRouteMedia(current.data);
+
+    if (cloud.accessibilityData) {
+      await this.appState.saveRouteSurvey(cloud.accessibilityData, route.id, { touch: false });
+    } else {
+      await this.appState.deleteRouteSurvey(route.id);
+    }
+    console.log(`📥 Route "${route.name}" synced from the cloud`);
+  }
+
+  async mergeWithCloud(id, cloud) {
+    const route = await this.appState.getRoute(id);
+    const incoming = routeFromCloud(cloud);
+    await this.appState.externalizeRouteMedia(incoming.data);
+
+    const merged = mergeRouteVersions(route, incoming);
+    merged.elevationProfile = await this.appState.prepareElevationProfile(merged.data);
+    merged.updatedAt = new Date().toISOString();
+    await this.appState.storeRoute(merged, { replace: true });
+
+    // Photos both versions had are kept once; the copies that lost out are removed
+    const keptMedia = new Set(merged.data.map(entry => entry.mediaId).filter(Boolean));
+    await this.appState.deleteRouteMedia([...(route.data || []), ...incoming.data]
+      .filter(entry => isMediaEntry(entry) && entry.mediaId && !keptMedia.has(entry.mediaId)));
+
+    // The survey of the more recently changed version is kept
+    if (getLocalVersion(incoming) > getLocalVersion(route) && cloud.accessibilityData) {
+      await this.appState.saveRouteSurvey(cloud.accessibilityData, id, { touch: false });
+    }
+    console.log(`🔀 Route "${merged.name}" merged with its cloud version`);
+  }
+
+  // The cloud copy becomes a tombstone and its trail guide is removed
+  async pushTombstone(tombstone, user) {
+    const outbox = this.appState.cloudOutbox;
+    await outbox.enqueue({
+      collection: 'routes',
+      docId: tombstone.cloudId,
+      name: tombstone.name,
+      data: buildTombstoneDocument(tombstone, user)
+    });
+    await outbox.enqueue({
+      collection: 'trail_guides',
+      docId: tombstone.cloudId,
+      name: tombstone.name,
+      operation: 'delete',
+      userId: user.uid
+    });
+  }
+
+  async handleSent(entry) {
+    if (entry.collection !== 'routes') return;
+
+    try {
+      if (entry.data?.deleted) {
+        await this.appState.routeDB.deleteTombstone(entry.docId);
+      } else if (entry.routeId !== null && entry.routeId !== undefined) {
+        await this.appState.markRouteSynced(entry.routeId, entry.docId, entry.data.updatedAt);
+      }
+    } catch (error) {
+      console.warn(`Could not record sync state of ${entry.id}:`, error);
+    }
+  }
+}
@@ -1,6 +1,17 @@
 // FIXED: Storage controller with proper backup/restore data structures
 // Enhanced storage with IndexedDB migration - CORRECTED VERSION
 import { RouteDB } from './indexeddb.js';
+import { MediaStore, isMediaEntry } from './media-store.js';
+import { TileCache } from './tile-cache.js';
+import { CloudOutbox, createCloudId } from './cloud-outbox.js';
+import { RouteSync } from './route-sync.js';
+import { blobToDataUrl } from '../utils/helpers.js';
+import { migrateSurveyData } from '../features/survey-engine.js';
+import { ROUTE_SORT_FIELDS, ROUTE_PAGE_SIZE, normalizeTags, normalizeFolder, withLibraryFields, createRouteFilter, compareRoutes } from './route-query.js';
+import { resolveRouteElevations, buildElevationProfile } from './elevation.js';
+
+// Survey key for the route being recorded; it moves to the session ID when the route is saved
+export const CURRENT_ROUTE_SURVEY = 'current';
 
 export class AppState {
   constructor() {
@@ -17,8 +28,12 @@ export class AppState {
     
     // IndexedDB integration
     this.routeDB = new RouteDB();
+    this.mediaStore = new MediaStore(this.routeDB);
     this.dbReady = false;
-    this.initDB();
+    const ready = this.initDB();
+    this.tileCache = new TileCache(this.routeDB, ready);
+    this.cloudOutbox = new CloudOutbox(this.routeDB, ready);
+    this.routeSync = new RouteSync(this);
   }
 
   // Initialize IndexedDB
@@ -30,6 +45,8 @@ export class AppState {
       
       // Migrate localStorage data if exists
       await this.migrateFromLocalStorage();
+      await this.migrateMediaToStore();
+      await this.migrateSurveyToRoutes();
     } catch (error) {
       console.warn('⚠️ IndexedDB failed, falling back to localStorage:', error);
       this.dbReady = false;
@@ -107,6 +124,65 @@ export class AppState {
     }
   }
 
+  // Move photos stored inline (base64) in saved routes and the backup into the media store
+  async migrateMediaToStore() {
+    if (localStorage.getItem('media_migration') === 'completed') return;
+
+    try {
+      const routes = await this.routeDB.getAllRoutes();
+      let movedCount = 0;
+      let failedCount = 0;
+
+      for (const route of routes) {
+        try {
+          const moved = await this.mediaStore.externalizeEntries(route.data);
+          if (moved > 0) {
+            route.dataSize = JSON.stringify(route.data).length;
+            await this.routeDB.updateRoute(route);
+            movedCount += moved;
+          }
+        } catch (error) {
+          failedCount++;
+          console.error(`❌ Failed to migrate photos for route ${route.name}:`, error);
+        }
+      }
+
+      const backup = await this.routeDB.getBackup();
+      if (backup?.routeData && await this.mediaStore.externalizeEntries(backup.routeData) > 0) {
+        await this.routeDB.saveBackup(backup);
+      }
+
+      // Leave the flag unset on failures so the next start retries
+      if (failedCount === 0) {
+        localStorage.setItem('media_migration', 'completed');
+      }
+      console.log(`✅ Media migration: ${movedCount} photos moved to the media store${failedCount ? `, ${failedCount} routes failed` : ''}`);
+
+    } catch (error) {
+      console.error('❌ Media migration failed:', error);
+    }
+  }
+
+  // The old single global survey (localStorage 'accessibilityData') was filled in for the route being recorded,
+  // so it becomes the current route's survey. Nothing says which saved route it was about, so it's never attached
+  // to one: it stays in the survey form, where the user can review it before it's saved with a route.
+  async migrateSurveyToRoutes() {
+    const legacySurvey = localStorage.getItem('accessibilityData');
+    if (!legacySurvey) return;
+
+    try {
+      const data = JSON.parse(legacySurvey);
+      if (!await this.routeDB.getSurvey(CURRENT_ROUTE_SURVEY)) {
+        await this.saveRouteSurvey(data, CURRENT_ROUTE_SURVEY);
+      }
+      localStorage.removeItem('accessibilityData');
+      const backup = await this.routeDB.getBackup();
+      console.log(`✅ Survey migration: global survey kept for ${backup?.routeData?.length ? 'the unsaved route in progress' : 'the current route'}`);
+    } catch (error) {
+      console.error('❌ Survey migration failed:', error);
+    }
+  }
+
   // NEW: Recover from backup data
   async recoverFromBackup() {
     try {
@@ -159,6 +235,118 @@ export class AppState {
     return [...this.routeData];
   }
 
+  // Store a photo or recording Blob; returns the fields for the route entry ({ mediaId } or inline { content } without IndexedDB)
+  async storeMedia(blob) {
+    if (this.dbReady) {
+      try {
+        const mediaId = await this.mediaStore.saveBlob(blob);
+        return { mediaId, mediaSize: blob.size };
+      } catch (error) {
+        console.warn('⚠️ Media store unavailable, keeping media inline:', error);
+      }
+    }
+    return { content: await blobToDataUrl(blob) };
+  }
+
+  // Copy of the route entries with photos and recordings inlined as data URLs (for exports and cloud uploads)
+  async resolveRouteMedia(routeData = this.routeData, options = {}) {
+    if (!this.dbReady) return [...routeData];
+    return this.mediaStore.resolveEntries(routeData, options);
+  }
+
+  // Move any inline photos or recordings (e.g. from imports) into the media store before persisting
+  async externalizeRouteMedia(routeData = this.routeData) {
+    if (!this.dbReady) return 0;
+
+    try {
+      return await this.mediaStore.externalizeEntries(routeData);
+    } catch (error) {
+      console.warn('⚠️ Could not move media to the media store:', error);
+      return 0;
+    }
+  }
+
+  async getMediaUsage() {
+    if (this.dbReady) {
+      try {
+        return await this.mediaStore.getUsage();
+      } catch (error) {
+        console.warn('Failed to read media usage:', error);
+      }
+    }
+    return { count: 0, size: 0 };
+  }
+
+  // Accessibility survey for a saved route, or for the route being recorded when routeId is omitted
+  async getRouteSurvey(routeId = CURRENT_ROUTE_SURVEY) {
+    try {
+      const record = this.dbReady
+        ? await this.routeDB.getSurvey(routeId)
+        : this.getLocalSurveys()[routeId];
+      return record ? migrateSurveyData(record.data) : null;
+    } catch (error) {
+      console.warn(`Could not load survey for route ${routeId}:`, error);
+      return null;
+    }
+  }
+
+  // Changing a saved route's survey changes the route for sync, unless touch is false (surveys coming from the cloud)
+  async saveRouteSurvey(data, routeId = CURRENT_ROUTE_SURVEY, { touch = true } = {}) {
+    const survey = migrateSurveyData(data);
+    const record = {
+      routeId,
+      data: survey,
+      schemaVersion: survey.schemaVersion,
+      updatedAt: Date.now()
+    };
+
+    if (this.dbReady) {
+      await this.routeDB.saveSurvey(record);
+    } else {
+      const surveys = this.getLocalSurveys();
+      surveys[routeId] = record;
+      localStorage.setItem('routeSurveys', JSON.stringify(surveys));
+    }
+    if (touch && routeId !== CURRENT_ROUTE_SURVEY) {
+      await this.touchRoute(routeId);
+    }
+    console.log(`📋 Survey saved for ${routeId === CURRENT_ROUTE_SURVEY ? 'current route' : `route ${routeId}`}`);
+    return survey;
+  }
+
+  async deleteRouteSurvey(routeId = CURRENT_ROUTE_SURVEY) {
+    try {
+      if (this.dbReady) {
+        await this.routeDB.deleteSurvey(routeId);
+      } else {
+        const surveys = this.getLocalSurveys();
+        delete surveys[routeId];
+        localStorage.setItem('routeSurveys', JSON.stringify(surveys));
+      }
+    } catch (error) {
+      console.warn(`Failed to delete survey for route ${routeId}:`, error);
+    }
+  }
+
+  // Hand the current route's survey over to the session it was saved as
+  async attachCurrentSurvey(routeId) {
+    const survey = await this.getRouteSurvey(CURRENT_ROUTE_SURVEY);
+    if (!survey) return null;
+
+    await this.saveRouteSurvey(survey, routeId);
+    await this.deleteRouteSurvey(CURRENT_ROUTE_SURVEY);
+    return survey;
+  }
+
+  // Survey records kept in localStorage when IndexedDB is unavailable
+  getLocalSurveys() {
+    try {
+      return JSON.parse(localStorage.getItem('routeSurveys') || '{}');
+    } catch (error) {
+      return {};
+    }
+  }
+
   // Enhanced clear with IndexedDB cleanup
   clearRouteData() {
     this.routeData = [];
@@ -226,19 +414,23 @@ export class AppState {
   }
 
   // Smart save session (IndexedDB first, localStorage fallback)
-  async saveSession(name) {
+  async saveSession(name, { elevationProfile = null } = {}) {
     if (!name || this.routeData.length === 0) {
       throw new Error('Invalid session data');
     }
 
+    await this.externalizeRouteMedia();
+
     const session = {
       id: Date.now(),
       name,
       date: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
       totalDistance: this.totalDistance,
       elapsedTime: this.elapsedTime,
       data: [...this.routeData],
       dataSize: JSON.stringify(this.routeData).length,
+      elevationProfile,
       version: '2.0' // Mark as new version
     };
 
@@ -256,6 +448,7 @@ export class AppState {
       }
       
       await this.clearRouteBackup();
+      await this.attachCurrentSurvey(session.id);
       return session;
       
     } catch (error) {
@@ -269,6 +462,7 @@ export class AppState {
           sessions.push(session);
           localStorage.setItem('sessions', JSON.stringify(sessions));
           console.log('✅ Route saved to localStorage (quota fallback)');
+          await this.attachCurrentSurvey(session.id);
           return session;
         } catch (fallbackError) {
           throw new Error('Storage quota exceeded on both IndexedDB and localStorage');
@@ -301,6 +495,326 @@ export class AppState {
     }
   }
 
+  // One page of the route library; pass `next` back as `after` for the following page
+  async getRoutePage({ sort = 'date', direction = 'desc', search = '', folder = null, tag = null, after = null, limit = ROUTE_PAGE_SIZE } = {}) {
+    const filter = createRouteFilter({ search, folder, tag });
+
+    if (this.dbReady) {
+      return this.routeDB.getRoutesPage({
+        index: ROUTE_SORT_FIELDS[sort] || ROUTE_SORT_FIELDS.date,
+        direction: direction === 'asc' ? 'next' : 'prev',
+        after,
+        limit,
+        filter
+      });
+    }
+
+    // localStorage holds every route in memory anyway, so page by offset
+    const routes = this.getLocalSessions()
+      .map(withLibraryFields)
+      .filter(route => !filter || filter(route))
+      .sort(compareRoutes(sort, direction));
+    const offset = after?.offset || 0;
+    return {
+      routes: routes.slice(offset, offset + limit),
+      next: offset + limit < routes.length ? { offset: offset + limit } : null
+    };
+  }
+
+  async getRoute(id) {
+    if (this.dbReady) {
+      return this.routeDB.getRoute(id);
+    }
+    return this.getLocalSessions().find(route => route.id === id) || null;
+  }
+
+  // The saved route recorded right after this one, for joining consecutive sessions
+  async getNextRoute(route) {
+    if (this.dbReady) {
+      const { routes } = await this.routeDB.getRoutesPage({
+        index: ROUTE_SORT_FIELDS.date,
+        direction: 'next',
+        after: { key: route.date, primaryKey: route.id },
+        limit: 1
+      });
+      return routes[0] || null;
+    }
+
+    const routes = this.getLocalSessions().sort(compareRoutes('date', 'asc'));
+    const index = routes.findIndex(session => session.id === route.id);
+    return index === -1 ? null : routes[index + 1] || null;
+  }
+
+  // Folder names in use, for the library filter
+  async getRouteFolders() {
+    const folders = this.dbReady
+      ? await this.routeDB.getRouteIndexKeys('folder')
+      : this.getLocalSessions().map(route => normalizeFolder(route.folder));
+    return [...new Set(folders)].filter(Boolean).sort((a, b) => a.localeCompare(b));
+  }
+
+  // Tags in use, for the library filter
+  async getRouteTags() {
+    const tags = this.dbReady
+      ? await this.routeDB.getRouteIndexKeys('tags')
+      : this.getLocalSessions().flatMap(route => normalizeTags(route.tags));
+    return [...new Set(tags)].sort((a, b) => a.localeCompare(b));
+  }
+
+  // Rename, tag or file a saved route; fields left undefined are kept
+  async updateRouteDetails(id, { name, tags, folder } = {}) {
+    const route = await this.getRoute(id);
+    if (!route) {
+      throw new Error(`Route ${id} not found`);
+    }
+
+    const updated = { ...route };
+    if (name !== undefined && name.trim()) updated.name = name.trim();
+    if (tags !== undefined) updated.tags = normalizeTags(tags);
+    if (folder !== undefined) updated.folder = normalizeFolder(folder);
+    updated.updatedAt = new Date().toISOString();
+
+    await this.storeRoute(updated, { replace: true });
+    return updated;
+  }
+
+  // Cloud document ID of a saved route, generated on its first upload and kept so later uploads
+  // update the same cloud copy. Routes that aren't saved locally get a new ID every time.
+  async assignCloudId(id) {
+    const route = id === null || id === undefined ? null : await this.getRoute(id);
+    if (!route) return createCloudId();
+
+    if (!route.cloudId) {
+      route.cloudId = createCloudId();
+      await this.storeRoute(route, { replace: true });
+    }
+    return route.cloudId;
+  }
+
+  // Records the version a route and its cloud copy had when they were last synced. That's not a change
+  // to the route, so updatedAt stays as it is.
+  async markRouteSynced(id, cloudId, syncedUpdatedAt) {
+    const route = await this.getRoute(id);
+    if (!route) return;
+    await this.storeRoute({ ...route, cloudId, syncedUpdatedAt }, { replace: true });
+  }
+
+  // Marks a saved route as changed, so the next sync uploads it
+  async touchRoute(id) {
+    const route = await this.getRoute(id);
+    if (!route) return;
+    await this.storeRoute({ ...route, updatedAt: new Date().toISOString() }, { replace: true });
+  }
+
+  // Local ID for a route that didn't start on this device
+  async createRouteId() {
+    let id = Date.now();
+    while (await this.getRoute(id)) id++;
+    return id;
+  }
+
+  async getTombstones() {
+    return this.dbReady ? this.routeDB.getAllTombstones() : [];
+  }
+
+  // A deleted route with a cloud copy leaves a tombstone, so the next sync deletes the copy too.
+  // An upload still waiting in the outbox would bring the route back, so it's dropped.
+  async recordTombstone(route) {
+    if (!route.cloudId || !this.dbReady) return;
+
+    await this.cloudOutbox.discard(route.cloudId);
+    await this.routeDB.saveTombstone({
+      cloudId: route.cloudId,
+      routeId: route.id,
+      name: route.name,
+      deletedAt: new Date().toISOString(),
+      syncedUpdatedAt: route.syncedUpdatedAt || null
+    });
+  }
+
+  // Deletes saved routes with their photos and surveys. With propagate, routes in the cloud
+  // are deleted there too at the next sync; sync itself passes false for routes deleted in the cloud.
+  async deleteRoutes(ids, { propagate = true } = {}) {
+    let deleted = 0;
+    for (const id of ids) {
+      const route = await this.getRoute(id);
+      if (!route) continue;
+
+      await this.deleteRouteMedia(route.data);
+      await this.deleteRouteSurvey(id);
+      if (propagate) await this.recordTombstone(route);
+      await this.removeRoute(id);
+      deleted++;
+    }
+    console.log(`🗑️ Deleted ${deleted} route(s)`);
+    return deleted;
+  }
+
+  // Joins saved routes, oldest first, into a new route. The originals are kept, so their photos are copied.
+  async mergeRoutes(ids, name) {
+    const routes = (await Promise.all(ids.map(id => this.getRoute(id))))
+      .filter(Boolean)
+      .sort((a, b) => new Date(a.date) - new Date(b.date));
+    if (routes.length < 2) {
+      throw new Error('At least two routes are needed to merge');
+    }
+
+    const data = [];
+    for (const route of routes) {
+      let firstLocation = true;
+      for (const entry of route.data || []) {
+        const copy = { ...entry };
+        // Each route after the first starts a new track segment, so the gap between them isn't drawn
+        if (copy.type === 'location' && firstLocation) {
+          if (data.some(existing => existing.type === 'location')) copy.segmentBreak = true;
+          firstLocation = false;
+        }
+        if (isMediaEntry(copy) && copy.mediaId && this.dbReady) {
+          copy.mediaId = await this.mediaStore.copyMedia(copy.mediaId) || copy.mediaId;
+        }
+        data.push(copy);
+      }
+    }
+
+    const folders = new Set(routes.map(route => normalizeFolder(route.folder)));
+    const session = {
+      id: Date.now(),
+      name,
+      date: routes[0].date,
+      totalDistance: routes.reduce((sum, route) => sum + (route.totalDistance || 0), 0),
+      elapsedTime: routes.reduce((sum, route) => sum + (route.elapsedTime || 0), 0),
+      data,
+      dataSize: JSON.stringify(data).length,
+      elevationProfile: null,
+      tags: normalizeTags(routes.flatMap(route => route.tags || [])),
+      folder: folders.size === 1 ? [...folders][0] : '',
+      updatedAt: new Date().toISOString(),
+      mergedFrom: routes.map(route => route.id),
+      version: '2.0'
+    };
+
+    await this.storeRoute(session);
+    console.log(`🔗 Merged ${routes.length} routes into "${name}"`);
+    return session;
+  }
+
+  // Saves an edited route. Parts split off it are stored as new routes with a copy of its survey;
+  // routes merged into it are removed, while their photos now belong to the edited route.
+  async applyRouteEdit(id, { data, totalDistance, elapsedTime, parts = [], mergedIds = [] }) {
+    const route = await this.getRoute(id);
+    if (!route) {
+      throw new Error(`Route ${id} not found`);
+    }
+    const mergedRoutes = (await Promise.all(mergedIds.map(mergedId => this.getRoute(mergedId)))).filter(Boolean);
+
+    const updated = {
+      ...route,
+      data,
+      totalDistance,
+      elapsedTime,
+      dataSize: JSON.stringify(data).length,
+      elevationProfile: await this.prepareElevationProfile(data),
+      updatedAt: new Date().toISOString()
+    };
+    await this.storeRoute(updated, { replace: true });
+
+    const survey = parts.length > 0 ? await this.getRouteSurvey(id) : null;
+    const baseId = Date.now();
+    const created = [];
+    for (const [index, part] of parts.entries()) {
+      const firstTimestamp = part.data.find(entry => entry.timestamp)?.timestamp;
+      const session = {
+        id: baseId + index,
+        name: part.name,
+        date: firstTimestamp ? new Date(firstTimestamp).toISOString() : route.date,
+        totalDistance: part.totalDistance,
+        elapsedTime: part.elapsedTime,
+        data: part.data,
+        dataSize: JSON.stringify(part.data).length,
+        elevationProfile: await this.prepareElevationProfile(part.data),
+        tags: route.tags,
+        folder: route.folder,
+        updatedAt: new Date().toISOString(),
+        splitFrom: id,
+        version: '2.0'
+      };
+      await this.storeRoute(session);
+      if (survey) await this.saveRouteSurvey(survey, session.id);
+      created.push(session);
+    }
+
+    for (const mergedRoute of mergedRoutes) {
+      await this.deleteRouteSurvey(mergedRoute.id);
+      await this.recordTombstone(mergedRoute);
+      await this.removeRoute(mergedRoute.id);
+    }
+
+    // Photos that were trimmed off or deleted are no longer referenced by any route
+    const keptMedia = new Set([data, ...parts.map(part => part.data)].flat().map(entry => entry.mediaId).filter(Boolean));
+    const removedMedia = [route, ...mergedRoutes]
+      .flatMap(edited => edited.data || [])
+      .filter(entry => isMediaEntry(entry) && entry.mediaId && !keptMedia.has(entry.mediaId));
+    await this.deleteRouteMedia(removedMedia);
+
+    console.log(`✂️ Route "${route.name}" edited: ${totalDistance.toFixed(2)} km, ${created.length} new route(s), ${mergedRoutes.length} merged`);
+    return { route: updated, created };
+  }
+
+  // Replaces the unsaved route with an edited copy and backs it up
+  async replaceRouteData(data, { totalDistance, elapsedTime }) {
+    const keptMedia = new Set(data.map(entry => entry.mediaId).filter(Boolean));
+    await this.deleteRouteMedia(this.routeData.filter(entry => !keptMedia.has(entry.mediaId)));
+
+    this.routeData = [...data];
+    this.pathPoints = this.routeData.filter(entry => entry.type === 'location' && entry.coords).map(entry => entry.coords);
+    this.lastCoords = this.pathPoints[this.pathPoints.length - 1] || null;
+    this.totalDistance = totalDistance;
+    this.elapsedTime = elapsedTime;
+
+    this.updateDistanceDisplay();
+    this.updateTimerDisplay();
+    await this.autoSave();
+  }
+
+  // Moved and merged points need their elevation looked up again; without a connection there's no profile
+  async prepareElevationProfile(data) {
+    try {
+      await resolveRouteElevations(data);
+      return buildElevationProfile(data);
+    } catch (error) {
+      console.warn('⚠️ Elevation profile unavailable:', error);
+      return null;
+    }
+  }
+
+  async removeRoute(id) {
+    if (this.dbReady) {
+      await this.routeDB.deleteRoute(id);
+    } else {
+      localStorage.setItem('sessions', JSON.stringify(this.getLocalSessions().filter(session => session.id !== id)));
+    }
+  }
+
+  // Writes a route to IndexedDB, or to the localStorage sessions list when IndexedDB is unavailable
+  async storeRoute(route, { replace = false } = {}) {
+    if (this.dbReady) {
+      await (replace ? this.routeDB.updateRoute(route) : this.routeDB.saveRoute(route));
+      return;
+    }
+
+    const sessions = this.getLocalSessions().filter(session => !replace || session.id !== route.id);
+    sessions.push(withLibraryFields(route));
+    localStorage.setItem('sessions', JSON.stringify(sessions));
+  }
+
+  getLocalSessions() {
+    try {
+      return JSON.parse(localStorage.getItem('sessions') || '[]');
+    } catch (error) {
+      return [];
+    }
+  }
+
   async autoSave() {
   // Get current elapsed time from timer if running
   let currentElapsed = this.elapsedTime;
@@ -314,6 +828,8 @@ export class AppState {
     }
   }
 
+  await this.externalizeRouteMedia();
+
   const backup = {
     routeData: this.routeData,
     pathPoints: this.pathPoints,
@@ -594,6 +1110,11 @@ redrawRouteOnMap() {
         info.usagePercent = estimate.usagePercent;
         info.usageFormatted = this.formatBytes(estimate.usage);
         info.quotaFormatted = this.formatBytes(estimate.quota);
+
+        const media = await this.getMediaUsage();
+        info.mediaCount = media.count;
+        info.mediaSize = media.size;
+        info.mediaSizeFormatted = this.formatBytes(media.size);
       } else {
         // Estimate localStorage usage
         let totalSize = 0;
@@ -631,12 +1152,16 @@ redrawRouteOnMap() {
         // Clear from IndexedDB
         const routes = await this.routeDB.getAllRoutes();
         for (const route of routes) {
+          await this.deleteRouteMedia(route.data);
+          await this.deleteRouteSurvey(route.id);
           await this.routeDB.deleteRoute(route.id);
         }
         console.log('🧹 All routes cleared from IndexedDB');
       }
       // Also clear localStorage for compatibility
       localStorage.removeItem('sessions');
+      const surveys = this.getLocalSurveys();
+      localStorage.setItem('routeSurveys', JSON.stringify(surveys[CURRENT_ROUTE_SURVEY] ? { [CURRENT_ROUTE_SURVEY]: surveys[CURRENT_ROUTE_SURVEY] } : {}));
       console.log('🧹 All sessions cleared');
     } catch (error) {
       console.error('❌ Failed to clear sessions:', error);
@@ -645,10 +1170,24 @@ redrawRouteOnMap() {
     }
   }
 
+  // Remove the stored photos and recordings a route references
+  async deleteRouteMedia(routeData) {
+    const mediaIds = (routeData || []).filter(entry => isMediaEntry(entry) && entry.mediaId).map(entry => entry.mediaId);
+    for (const mediaId of mediaIds) {
+      try {
+        await this.mediaStore.deleteMedia(mediaId);
+      } catch (error) {
+        console.warn(`Failed to delete media ${mediaId}:`, error);
+      }
+    }
+    return mediaIds.length;
+  }
+
   async clearAllAppData() {
     try {
       if (this.dbReady) {
         await this.routeDB.clearAllData();
+        this.mediaStore.releaseAll();
         console.log('🧹 All IndexedDB data cleared');
       }
       localStorage.clear();
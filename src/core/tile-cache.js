@@ -0,0 +1,361 @@
+// Offline map tiles - areas downloaded ahead of a walk into RouteDB's tiles store, within a storage budget
+export const DEFAULT_TILE_URL_TEMPLATE = 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png';
+export const TILE_SUBDOMAINS = 'abc';
+export const TILE_MAX_ZOOM = 19;
+
+export const DEFAULT_TILE_ATTRIBUTION = '© <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors';
+
+// Downloaded tiles are served from the cache for this long, then fetched again when there's signal (ms)
+export const TILE_MAX_AGE = 30 * 24 * 60 * 60 * 1000;
+
+export const DEFAULT_TILE_BUDGET_MB = 200;
+
+// One area stays walk-sized, whichever tile server it comes from
+export const MAX_AREA_TILES = 5000;
+
+// Typical size of an OSM tile, for estimates before anything is downloaded (bytes)
+export const AVERAGE_TILE_SIZE = 25 * 1024;
+
+const DOWNLOAD_CONCURRENCY = 2;
+const MAX_LATITUDE = 85.0511; // Web Mercator limit
+
+// A local tile server can be used by setting localStorage 'tileUrlTemplate', and its credits by 'tileAttribution'
+export function getTileUrlTemplate() {
+  return localStorage.getItem('tileUrlTemplate') || DEFAULT_TILE_URL_TEMPLATE;
+}
+
+export function setTileUrlTemplate(template, attribution = null) {
+  if (template) {
+    localStorage.setItem('tileUrlTemplate', template);
+  } else {
+    localStorage.removeItem('tileUrlTemplate');
+  }
+  if (template && attribution) {
+    localStorage.setItem('tileAttribution', attribution);
+  } else {
+    localStorage.removeItem('tileAttribution');
+  }
+}
+
+export function isOpenStreetMapTileServer(template = getTileUrlTemplate()) {
+  return /^https?:\/\/([^/]+\.)?tile\.openstreetmap\.org\//i.test(template);
+}
+
+// Other tile servers mostly render OpenStreetMap data too, so they're credited the same unless set otherwise
+export function getTileAttribution(template = getTileUrlTemplate()) {
+  if (isOpenStreetMapTileServer(template)) return DEFAULT_TILE_ATTRIBUTION;
+  return localStorage.getItem('tileAttribution') || DEFAULT_TILE_ATTRIBUTION;
+}
+
+// The OpenStreetMap tile usage policy forbids downloading tiles ahead (bulk prefetch), so offline areas
+// need a tile server of your own ('tileUrlTemplate') that allows it
+export function canDownloadAreas(template = getTileUrlTemplate()) {
+  return !isOpenStreetMapTileServer(template);
+}
+
+// Storage budget for offline tiles in bytes; set localStorage 'tileCacheBudgetMB' to change it
+export function getTileBudget() {
+  const megabytes = parseFloat(localStorage.getItem('tileCacheBudgetMB'));
+  return (megabytes > 0 ? megabytes : DEFAULT_TILE_BUDGET_MB) * 1024 * 1024;
+}
+
+export function setTileBudget(megabytes) {
+  if (megabytes > 0) {
+    localStorage.setItem('tileCacheBudgetMB', String(megabytes));
+  } else {
+    localStorage.removeItem('tileCacheBudgetMB');
+  }
+}
+
+function tileError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Slippy map tile numbers (https://wiki.openstreetmap.org/wiki/Slippy_map_tilenames)
+export function lngToTileX(lng, zoom) {
+  const count = 2 ** zoom;
+  return Math.min(count - 1, Math.max(0, Math.floor((lng + 180) / 360 * count)));
+}
+
+export function latToTileY(lat, zoom) {
+  const count = 2 ** zoom;
+  const radians = Math.max(-MAX_LATITUDE, Math.min(MAX_LATITUDE, lat)) * Math.PI / 180;
+  const y = (1 - Math.log(Math.tan(radians) + 1 / Math.cos(radians)) / Math.PI) / 2 * count;
+  return Math.min(count - 1, Math.max(0, Math.floor(y)));
+}
+
+// bounds: { north, south, east, west } in degrees
+export function getTileRange(bounds, zoom) {
+  return {
+    minX: lngToTileX(bounds.west, zoom),
+    maxX: lngToTileX(bounds.east, zoom),
+    minY: latToTileY(bounds.north, zoom),
+    maxY: latToTileY(bounds.south, zoom)
+  };
+}
+
+export function countAreaTiles(bounds, minZoom, maxZoom) {
+  let count = 0;
+  for (let zoom = minZoom; zoom <= maxZoom; zoom++) {
+    const range = getTileRange(bounds, zoom);
+    count += (range.maxX - range.minX + 1) * (range.maxY - range.minY + 1);
+  }
+  return count;
+}
+
+export function* areaTiles(bounds, minZoom, maxZoom) {
+  for (let z = minZoom; z <= maxZoom; z++) {
+    const range = getTileRange(bounds, z);
+    for (let x = range.minX; x <= range.maxX; x++) {
+      for (let y = range.minY; y <= range.maxY; y++) {
+        yield { z, x, y };
+      }
+    }
+  }
+}
+
+function areaContainsTile(area, { z, x, y }) {
+  if (z < area.minZoom || z > area.maxZoom) return false;
+  const range = getTileRange(area.bounds, z);
+  return x >= range.minX && x <= range.maxX && y >= range.minY && y <= range.maxY;
+}
+
+// Same subdomain choice as Leaflet, so a downloaded tile and a browsed one share the server's HTTP cache
+export function buildTileUrl(template, { z, x, y }, subdomains = TILE_SUBDOMAINS) {
+  return template
+    .replace('{s}', subdomains[Math.abs(x + y) % subdomains.length])
+    .replace('{z}', z)
+    .replace('{x}', x)
+    .replace('{y}', y)
+    .replace('{r}', '');
+}
+
+// Tiles from different servers never mix
+export function tileKey(template, { z, x, y }) {
+  return `${template}|${z}/${x}/${y}`;
+}
+
+export class TileCache {
+  constructor(routeDB, ready = Promise.resolve()) {
+    this.routeDB = routeDB;
+    this.ready = ready;
+  }
+
+  isExpired(record, now = Date.now()) {
+    return record.expiresAt <= now;
+  }
+
+  // The stored tile, expired or not; null when there is none or the database isn't available
+  async getTile(template, coords) {
+    try {
+      await this.ready;
+      if (!this.routeDB.db) return null;
+      return await this.routeDB.getTile(tileKey(template, coords));
+    } catch (error) {
+      console.warn('Tile cache lookup failed:', error);
+      return null;
+    }
+  }
+
+  async getUsage() {
+    await this.ready;
+    const stats = await this.routeDB.getTileStats();
+    return { ...stats, budget: getTileBudget() };
+  }
+
+  async getAreas() {
+    await this.ready;
+    const areas = await this.routeDB.getAllTileAreas();
+    return areas.sort((a, b) => b.downloadedAt - a.downloadedAt);
+  }
+
+  // Downloads every tile of the area between the two zooms, skipping ones already stored and still fresh.
+  // Passing the id of a saved area downloads it again (refresh). Stops early at the storage budget or when
+  // the signal aborts; whatever was downloaded is kept and the area saved as incomplete.
+  async downloadArea({ id = null, name, bounds, minZoom, maxZoom, signal = null, onProgress = () => {} }) {
+    await this.ready;
+    if (!this.routeDB.db) throw new Error('Database not initialized');
+
+    const template = getTileUrlTemplate();
+    if (!canDownloadAreas(template)) {
+      throw tileError('serverNotAllowed', 'The OpenStreetMap tile servers don\'t allow downloading areas ahead');
+    }
+    const total = countAreaTiles(bounds, minZoom, maxZoom);
+    if (total > MAX_AREA_TILES) {
+      throw tileError('tooManyTiles', `Area has ${total} tiles, the limit is ${MAX_AREA_TILES}`);
+    }
+
+    const previous = id ? (await this.routeDB.getAllTileAreas()).find(area => area.id === id) : null;
+    const budget = getTileBudget();
+    let { size: usage } = await this.routeDB.getTileStats();
+    const estimate = total * AVERAGE_TILE_SIZE - (previous?.size || 0);
+    if (usage + estimate > budget) {
+      usage -= await this.removeExpired();
+      if (usage + estimate > budget) {
+        throw tileError('budget', `Offline maps would need about ${Math.round((usage + estimate) / 1048576)} MB of a ${Math.round(budget / 1048576)} MB budget`);
+      }
+    }
+
+    const progress = { done: 0, total, failed: 0, bytes: 0 };
+    let areaSize = 0;
+    let overBudget = false;
+    const tiles = areaTiles(bounds, minZoom, maxZoom);
+
+    // Workers share one iterator, so each tile is taken exactly once
+    const worker = async () => {
+      for (let next = tiles.next(); !next.done; next = tiles.next()) {
+        if (signal?.aborted || overBudget) return;
+        const coords = next.value;
+        const key = tileKey(template, coords);
+
+        try {
+          const existing = await this.routeDB.getTile(key);
+          if (existing && !this.isExpired(existing)) {
+            areaSize += existing.size || 0;
+          } else {
+            const response = await fetch(buildTileUrl(template, coords), { signal });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const blob = await response.blob();
+            const fetchedAt = Date.now();
+            await this.routeDB.saveTile({ key, template, ...coords, blob, size: blob.size, fetchedAt, expiresAt: fetchedAt + TILE_MAX_AGE });
+
+            areaSize += blob.size;
+            progress.bytes += blob.size - (existing?.size || 0);
+            overBudget = usage + progress.bytes > budget;
+          }
+        } catch (error) {
+          if (signal?.aborted) return;
+          progress.failed++;
+          console.warn(`Tile ${key} failed:`, error);
+        }
+
+        progress.done++;
+        onProgress({ ...progress });
+      }
+    };
+    await Promise.all(Array.from({ length: DOWNLOAD_CONCURRENCY }, worker));
+
+    const saved = progress.done - progress.failed;
+    if (saved === 0 && !previous) {
+      return { ...progress, area: null, cancelled: Boolean(signal?.aborted), overBudget };
+    }
+
+    const downloadedAt = Date.now();
+    const area = {
+      id: previous?.id || `area_${downloadedAt}`,
+      name: name || previous?.name,
+      bounds,
+      minZoom,
+      maxZoom,
+      template,
+      tileCount: total,
+      savedCount: saved,
+      size: areaSize,
+      complete: saved === total,
+      downloadedAt,
+      expiresAt: downloadedAt + TILE_MAX_AGE
+    };
+    await this.routeDB.saveTileArea(area);
+    console.log(`🗺️ Offline area "${area.name}": ${saved}/${total} tiles, ${(areaSize / 1048576).toFixed(1)} MB`);
+
+    return { ...progress, area, cancelled: Boolean(signal?.aborted), overBudget };
+  }
+
+  // Removes the area and every tile no other area of the same server still covers
+  async deleteArea(id) {
+    await this.ready;
+    const areas = await this.routeDB.getAllTileAreas();
+    const area = areas.find(candidate => candidate.id === id);
+    if (!area) return;
+
+    const others = areas.filter(other => other.id !== id && other.template === area.template);
+    const keys = [];
+    for (const coords of areaTiles(area.bounds, area.minZoom, area.maxZoom)) {
+      if (!others.some(other => areaContainsTile(other, coords))) {
+        keys.push(tileKey(area.template, coords));
+      }
+    }
+
+    await this.routeDB.deleteTiles(keys);
+    await this.routeDB.deleteTileArea(id);
+    console.log(`🗑️ Offline area "${area.name}" deleted`);
+  }
+
+  // Expired areas go first when the budget is short; returns the bytes freed
+  async removeExpired(now = Date.now()) {
+    const before = (await this.routeDB.getTileStats()).size;
+
+    const areas = await this.routeDB.getAllTileAreas();
+    for (const area of areas.filter(candidate => this.isExpired(candidate, now))) {
+      await this.deleteArea(area.id);
+    }
+
+    // Expired tiles no area claims any more
+    const claimed = (await this.routeDB.getAllTileAreas()).filter(area => !this.isExpired(area, now));
+    const orphans = (await this.routeDB.getExpiredTileKeys(now)).filter(key => {
+      const [template, path] = [key.slice(0, key.lastIndexOf('|')), key.slice(key.lastIndexOf('|') + 1)];
+      const [z, x, y] = path.split('/').map(Number);
+      return !claimed.some(area => area.template === template && areaContainsTile(area, { z, x, y }));
+    });
+    await this.routeDB.deleteTiles(orphans);
+
+    return before - (await this.routeDB.getTileStats()).size;
+  }
+}
+
+// Leaflet tile layer that shows stored tiles first. Expired tiles are fetched again when online,
+// and stay in use when the network fails.
+export function createCachedTileLayer(tileCache, { template = getTileUrlTemplate(), ...options } = {}) {
+  const objectUrls = new WeakMap(); // tile <img> -> object URL of its stored Blob
+
+  const CachedTileLayer = L.TileLayer.extend({
+    createTile(coords, done) {
+      const tile = document.createElement('img');
+      tile.alt = '';
+      tile.setAttribute('role', 'presentation');
+
+      tileCache.getTile(template, coords).then(record => {
+        const showStored = () => {
+          const url = URL.createObjectURL(record.blob);
+          objectUrls.set(tile, url);
+          tile.src = url;
+        };
+
+        tile.onload = () => done(null, tile);
+        tile.onerror = (error) => {
+          if (record && !objectUrls.has(tile)) {
+            showStored();
+          } else {
+            done(error, tile);
+          }
+        };
+
+        if (record && !tileCache.isExpired(record)) {
+          showStored();
+        } else {
+          tile.src = this.getTileUrl(coords);
+        }
+      });
+
+      return tile;
+    }
+  });
+
+  const layer = new CachedTileLayer(template, {
+    subdomains: TILE_SUBDOMAINS,
+    maxZoom: TILE_MAX_ZOOM,
+    ...options
+  });
+
+  layer.on('tileunload', ({ tile }) => {
+    const url = objectUrls.get(tile);
+    if (url) {
+      URL.revokeObjectURL(url);
+      objectUrls.delete(tile);
+    }
+  });
+
+  return layer;
+}
@@ -1,5 +1,19 @@
 // GPS tracking with proper save prompt
 import { haversineDistance } from '../utils/calculations.js';
+import { createDefaultPositionPipeline } from './position-filter.js';
+import { DwellDetector } from './dwell-detector.js';
+import { resolveRouteElevations, buildElevationProfile, getElevationProfile, summarizeElevationProfile, formatGradient } from './elevation.js';
+import { calculateRouteStats, summarizeRouteStats, formatPace, formatSpeed } from './route-stats.js';
+import { CURRENT_ROUTE_SURVEY } from './storage.js';
+import { buildRouteDocument, getRouteCreateFields } from './route-sync.js';
+import { calculateAccessibilityScore, summarizeAccessibilityScore } from './accessibility-score.js';
+import { reviewSurvey, formatSurveyReview, summarizeSurveyReview } from '../features/survey-review.js';
+import { normalizeSurveyOption } from '../features/survey-engine.js';
+import { t, getLanguage } from '../i18n/i18n.js';
+import { dialogs } from '../ui/dialog.js';
+
+// The live pace readout walks the whole route, so it's refreshed at most this often (ms)
+const PACE_UPDATE_INTERVAL = 5000;
 
 export class TrackingController {
   constructor(appState) {
@@ -8,12 +22,36 @@ export class TrackingController {
     this.isTracking = false;
     this.isPaused = false;
     this.dependencies = {};
+    this.positionFilter = createDefaultPositionPipeline();
+    this.dwellDetector = new DwellDetector();
+    this.isAutoPaused = false;
+    this.autoPauseEnabled = localStorage.getItem('autoPauseOnStop') !== 'false';
+    this.lastPaceUpdate = 0;
   }
 
   setDependencies(deps) {
     this.dependencies = deps;
   }
 
+  // Swap in a custom filtering pipeline (see core/position-filter.js)
+  setPositionFilter(pipeline) {
+    this.positionFilter = pipeline;
+  }
+
+  setAutoPause(enabled) {
+    this.autoPauseEnabled = enabled;
+    localStorage.setItem('autoPauseOnStop', enabled ? 'true' : 'false');
+
+    // Turning it off mid-stop should get the clock going again
+    if (!enabled && this.isAutoPaused) {
+      this.resumeFromAutoPause();
+    }
+  }
+
+  isAutoPauseEnabled() {
+    return this.autoPauseEnabled;
+  }
+
 async start() {
   if (this.isTracking) return false;
 
@@ -45,6 +83,10 @@ async start() {
   this.isTracking = true;
   this.isPaused = false;
   this.appState.setTrackingState(true);
+  this.positionFilter.reset();
+  this.dwellDetector.reset();
+  this.isAutoPaused = false;
+  this.updatePaceDisplay({ force: true });
 
   // Start GPS watch
   this.watchId = navigator.geolocation.watchPosition(
@@ -111,6 +153,9 @@ stop() {
     this.watchId = null;
   }
 
+  // Record a stop that was still in progress
+  this.closeDwell(Date.now());
+
   // Stop timer and get final elapsed time
   if (this.dependencies.timer) {
     const finalElapsed = this.dependencies.timer.stop();
@@ -121,6 +166,7 @@ stop() {
   this.isPaused = false;
   this.appState.setTrackingState(false);
   this.updateTrackingButtons();
+  this.updatePaceDisplay({ force: true });
 
   // Prompt for save
   this.promptForSave();
@@ -158,6 +204,7 @@ stop() {
     } else {
       // Pause
       console.log('⏸️ Pausing tracking...');
+      this.closeDwell(Date.now());
       this.isPaused = true;
       
       if (this.dependencies.timer) {
@@ -180,17 +227,29 @@ stop() {
     if (!this.isTracking || this.isPaused) return;
 
     const { latitude, longitude, accuracy } = position.coords;
-    
-    // Filter out inaccurate readings
-    if (accuracy > 100) {
-      console.warn(`GPS accuracy too low: ${accuracy}m`);
-      return;
+    const rawCoords = { lat: latitude, lng: longitude };
+
+    // Accuracy gate, speed outlier rejection and Kalman smoothing
+    const fix = this.positionFilter.process({
+      coords: rawCoords,
+      accuracy: accuracy,
+      timestamp: position.timestamp || Date.now()
+    });
+    if (!fix) return;
+
+    // Stop/dwell detection - while standing still, don't log jitter points
+    const dwell = this.dwellDetector.update(fix);
+    if (dwell.event === 'start') {
+      this.handleStopStart(dwell.stop);
+    } else if (dwell.event === 'end') {
+      this.handleStopEnd(dwell.stop);
     }
+    if (this.dwellDetector.isDwelling()) return;
 
-    const currentCoords = { lat: latitude, lng: longitude };
+    const currentCoords = fix.coords;
     const lastCoords = this.appState.getLastCoords();
 
-    // Calculate distance if we have a previous point
+    // Calculate distance along the smoothed track if we have a previous point
     if (lastCoords) {
       const distance = haversineDistance(lastCoords, currentCoords);
       
@@ -201,6 +260,7 @@ stop() {
       const newTotal = this.appState.getTotalDistance() + distance;
       this.appState.updateDistance(newTotal);
       this.updateDistanceDisplay(newTotal);
+      this.updatePaceDisplay();
 
       // Draw route segment on map
       if (this.dependencies.map) {
@@ -208,12 +268,14 @@ stop() {
       }
     }
 
-    // Add GPS point to route data
+    // Add GPS point to route data - smoothed coords for display, raw kept for audit
     this.appState.addRoutePoint({
       type: 'location',
       coords: currentCoords,
-      timestamp: Date.now(),
-      accuracy: accuracy
+      rawCoords: rawCoords,
+      timestamp: fix.timestamp,
+      accuracy: accuracy,
+      smoothedAccuracy: fix.smoothedAccuracy
     });
 
     this.appState.addPathPoint(currentCoords);
@@ -223,7 +285,62 @@ stop() {
       this.dependencies.map.updateMarkerPosition(currentCoords);
     }
 
-    console.log(`📍 GPS: ${latitude.toFixed(6)}, ${longitude.toFixed(6)} (±${accuracy.toFixed(1)}m)`);
+    console.log(`📍 GPS: ${currentCoords.lat.toFixed(6)}, ${currentCoords.lng.toFixed(6)} (raw ${latitude.toFixed(6)}, ${longitude.toFixed(6)} ±${accuracy.toFixed(1)}m)`);
+  }
+
+  handleStopStart(stop) {
+    console.log(`🪑 Stop detected at ${stop.coords.lat.toFixed(6)}, ${stop.coords.lng.toFixed(6)}`);
+
+    if (this.autoPauseEnabled && this.dependencies.timer?.isTimerRunning()) {
+      this.dependencies.timer.pause();
+      this.isAutoPaused = true;
+      this.updateTrackingButtons();
+      console.log('⏸️ Timer auto-paused while stationary');
+    }
+  }
+
+  handleStopEnd(stop) {
+    this.appState.addRoutePoint({
+      type: 'stop',
+      coords: stop.coords,
+      timestamp: stop.startTime,
+      endTime: stop.endTime,
+      duration: stop.duration,
+      autoPaused: this.isAutoPaused
+    });
+
+    console.log(`🪑 Stop recorded: ${this.formatTime(stop.duration)}`);
+
+    if (this.isAutoPaused) {
+      this.resumeFromAutoPause();
+    }
+  }
+
+  resumeFromAutoPause() {
+    this.isAutoPaused = false;
+
+    if (this.dependencies.timer && !this.dependencies.timer.isTimerRunning()) {
+      this.dependencies.timer.resume();
+      console.log('▶️ Movement resumed - timer running again');
+    }
+    this.updateTrackingButtons();
+  }
+
+  // Record any in-progress stop without resuming the timer (used on pause/stop)
+  closeDwell(endTime) {
+    const stop = this.dwellDetector.flush(endTime);
+    if (stop) {
+      this.appState.addRoutePoint({
+        type: 'stop',
+        coords: stop.coords,
+        timestamp: stop.startTime,
+        endTime: stop.endTime,
+        duration: stop.duration,
+        autoPaused: this.isAutoPaused
+      });
+      console.log(`🪑 Stop recorded: ${this.formatTime(stop.duration)}`);
+    }
+    this.isAutoPaused = false;
   }
 
   handlePositionError(error) {
@@ -280,6 +397,25 @@ stop() {
       stopBtn.disabled = !this.isTracking;
       stopBtn.style.opacity = this.isTracking ? '1' : '0.5';
     }
+
+    // Dim the clock while it is auto-paused at a stop
+    const timerElement = document.getElementById('timer');
+    if (timerElement) {
+      timerElement.classList.toggle('auto-paused', this.isAutoPaused);
+      timerElement.title = this.isAutoPaused ? 'Auto-paused while stationary' : '';
+    }
+  }
+
+  // Moving pace so far, from the same statistics the summary and reports use
+  updatePaceDisplay({ force = false } = {}) {
+    const now = Date.now();
+    if (!force && now - this.lastPaceUpdate < PACE_UPDATE_INTERVAL) return;
+    this.lastPaceUpdate = now;
+
+    const paceElement = document.getElementById('pace');
+    if (paceElement) {
+      paceElement.textContent = formatPace(calculateRouteStats(this.appState.getRouteData()).avgPace);
+    }
   }
 
   updateDistanceDisplay(distance) {
@@ -294,7 +430,7 @@ stop() {
   }
 
   // FIXED: Enhanced save prompt with better UI
-  promptForSave() {
+  async promptForSave() {
     const routeData = this.appState.getRouteData();
     const totalDistance = this.appState.getTotalDistance();
     const elapsedTime = this.appState.getElapsedTime();
@@ -308,25 +444,43 @@ stop() {
     const locationPoints = routeData.filter(point => point.type === 'location').length;
     const photos = routeData.filter(point => point.type === 'photo').length;
     const notes = routeData.filter(point => point.type === 'text').length;
+    const voiceNotes = routeData.filter(point => point.type === 'voice').length;
+    const stops = routeData.filter(point => point.type === 'stop').length;
+    const observations = routeData.filter(point => point.type === 'observation').length;
+    const stats = calculateRouteStats(routeData, { totalDistance, elapsedTime });
 
     // Create a detailed save dialog
-    const routeStats = `
-Route Summary:
-📍 GPS Points: ${locationPoints}
+    const routeStats = `📍 GPS Points: ${locationPoints}
 📏 Distance: ${totalDistance.toFixed(2)} km
 ⏱️ Duration: ${this.formatTime(elapsedTime)}
+🚶 Moving: ${this.formatTime(stats.movingTime)} (stopped ${this.formatTime(stats.stoppedTime)})
+👟 Pace: ${formatPace(stats.avgPace)} min/km · ${formatSpeed(stats.avgMovingSpeed)} km/h
 📷 Photos: ${photos}
 📝 Notes: ${notes}
+🎙️ Voice Notes: ${voiceNotes}
+🪑 Rest Points: ${stops}
+📌 Barriers & Features: ${observations}
 
 Would you like to save this route?`;
 
-    const wantsToSave = confirm(routeStats);
+    const wantsToSave = await dialogs.confirm({
+      title: t('saveRoute.summaryTitle'),
+      message: routeStats,
+      confirmLabel: t('saveRoute.saveRoute'),
+      cancelLabel: t('saveRoute.discard')
+    });
     
     if (wantsToSave) {
       this.saveRoute();
     } else {
       // Ask if they want to discard
-      const confirmDiscard = confirm('⚠️ Are you sure you want to discard this route? All data will be lost!');
+      const confirmDiscard = await dialogs.confirm({
+        title: t('saveRoute.discardTitle'),
+        message: t('saveRoute.discardMessage'),
+        confirmLabel: t('saveRoute.discard'),
+        cancelLabel: t('saveRoute.keepAndSave'),
+        danger: true
+      });
       if (confirmDiscard) {
         this.discardRoute();
       } else {
@@ -343,11 +497,21 @@ async saveRoute() {
   try {
     const defaultName = `Route ${new Date().toLocaleDateString()} ${new Date().toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'})}`;
     
-    let routeName = prompt('Enter a name for this route:', defaultName);
+    let routeName = await dialogs.prompt({
+      title: t('saveRoute.title'),
+      label: t('saveRoute.nameLabel'),
+      defaultValue: defaultName,
+      confirmLabel: t('saveRoute.save')
+    });
     
     // If they cancelled the name dialog, ask if they want to use default
     if (routeName === null) {
-      const useDefault = confirm('Use default name "' + defaultName + '"?');
+      const useDefault = await dialogs.confirm({
+        title: t('saveRoute.title'),
+        message: t('saveRoute.useDefaultMessage', { name: defaultName }),
+        confirmLabel: t('saveRoute.useDefault'),
+        cancelLabel: t('saveRoute.dontSave')
+      });
       routeName = useDefault ? defaultName : null;
     }
 
@@ -360,8 +524,11 @@ async saveRoute() {
     // Clean up the name
     routeName = routeName.trim() || defaultName;
 
+    // Resolve elevations and build the slope profile before saving
+    const elevationProfile = await this.prepareElevationProfile();
+
     // Save to local storage first
-    const savedSession = await this.appState.saveSession(routeName);
+    const savedSession = await this.appState.saveSession(routeName, { elevationProfile });
     
     // Show success message for local save
     this.showSuccessMessage(`✅ "${routeName}" saved locally!`);
@@ -372,28 +539,27 @@ async saveRoute() {
     
     if (authController?.isAuthenticated()) {
       // Ask about cloud save with public/private option
-      const cloudChoice = this.askCloudSaveOptions(routeName);
+      const cloudChoice = await this.askCloudSaveOptions(routeName);
       
       if (cloudChoice && cloudChoice !== 'skip') {
         try {
-          // Get the current route data before clearing it
-          const routeData = this.appState.getRouteData();
+          // Get the current route data before clearing it, with stored photos inlined for upload
+          const routeData = await this.appState.resolveRouteMedia(this.appState.getRouteData());
           const routeInfo = {
+            id: savedSession.id,
             name: routeName,
             totalDistance: this.appState.getTotalDistance(),
             elapsedTime: this.appState.getElapsedTime(),
             date: new Date().toISOString(),
+            elevationProfile,
             makePublic: cloudChoice === 'public' // Add this flag
           };
           
-          // Get accessibility data
-          let accessibilityData = null;
-          try {
-            const storedAccessibilityData = localStorage.getItem('accessibilityData');
-            accessibilityData = storedAccessibilityData ? JSON.parse(storedAccessibilityData) : null;
-          } catch (error) {
-            console.warn('Could not load accessibility data:', error);
-          }
+          // saveSession moved the current survey over to the saved route
+          const accessibilityData = await this.appState.getRouteSurvey(savedSession.id);
+          
+          // Check the survey before a trail guide is generated from it
+          await this.reviewTrailGuide(routeData, routeInfo, accessibilityData);
           
           // Save to cloud directly
           await this.saveRouteToCloud(routeData, routeInfo, accessibilityData, authController);
@@ -405,7 +571,12 @@ async saveRoute() {
       }
     } else {
       // User not logged in
-      const wantsToSignIn = confirm('Route saved locally!\n\n💡 Sign in to save routes to the cloud and create shareable trail guides.\n\nWould you like to sign in now?');
+      const wantsToSignIn = await dialogs.confirm({
+        title: t('saveRoute.savedLocallyTitle'),
+        message: t('saveRoute.signInMessage'),
+        confirmLabel: t('saveRoute.signIn'),
+        cancelLabel: t('saveRoute.notNow')
+      });
       if (wantsToSignIn && authController?.showAuthModal) {
         authController.showAuthModal();
       }
@@ -421,176 +592,100 @@ async saveRoute() {
   }
 }
 
+// Look up elevations for the recorded points and compute per-segment gradients
+async prepareElevationProfile() {
+  try {
+    const routeData = this.appState.getRouteData();
+    await resolveRouteElevations(routeData);
+
+    const profile = buildElevationProfile(routeData);
+    if (profile) {
+      console.log(`⛰️ Slope profile: max ${formatGradient(profile.maxGradient)}, avg ${formatGradient(profile.avgGradient)}, ${profile.steepSegmentCount} steep segments`);
+    }
+    return profile;
+  } catch (error) {
+    console.warn('⚠️ Elevation profile unavailable:', error);
+    return null;
+  }
+}
+
 // NEW: Ask user about cloud save options
-askCloudSaveOptions(routeName) {
-  const message = `"${routeName}" saved locally! 
+async askCloudSaveOptions(routeName) {
+  const choice = await dialogs.choose({
+    title: t('saveRoute.cloudTitle', { name: routeName }),
+    message: t('saveRoute.cloudMessage'),
+    label: t('saveRoute.cloudLabel'),
+    value: 'private',
+    confirmLabel: t('saveRoute.continue'),
+    options: ['private', 'public', 'skip'].map(value => ({
+      value,
+      label: t(`saveRoute.${value}`),
+      description: t(`saveRoute.${value}Hint`)
+    }))
+  });
+  
+  return choice || 'skip';
+}
 
-☁️ Would you like to save to cloud and create a trail guide?
+// Review the survey before the trail guide is generated. Guides that fall short are flagged,
+// and publishing one needs an explicit confirmation.
+async reviewTrailGuide(routeData, routeInfo, accessibilityData) {
+  const review = reviewSurvey(accessibilityData, routeData, routeInfo);
+  routeInfo.review = summarizeSurveyReview(review);
 
-🔒 PRIVATE: Only you can see it (you can make it public later)
-🌍 PUBLIC: Share with the community immediately  
-❌ SKIP: Keep local only
+  if (review.passes) {
+    console.log(`📋 Survey review passed (${review.completeness}% complete)`);
+    return review;
+  }
 
-Choose an option:`;
+  console.warn('📋 Trail guide flagged by survey review:', routeInfo.review);
+  const title = t('review.reportTitle', { name: routeInfo.name });
+  const report = formatSurveyReview(review);
 
-  const choice = prompt(message + "\n\nType: 'private', 'public', or 'skip'");
-  
-  if (!choice) return 'skip';
-  
-  const cleanChoice = choice.toLowerCase().trim();
-  
-  if (cleanChoice === 'private' || cleanChoice === 'p') {
-    return 'private';
-  } else if (cleanChoice === 'public' || cleanChoice === 'pub') {
-    return 'public';
-  } else if (cleanChoice === 'skip' || cleanChoice === 's') {
-    return 'skip';
+  if (routeInfo.makePublic) {
+    routeInfo.makePublic = await dialogs.confirm({ title, message: `${report}\n\n${t('review.publishAnyway')}` });
   } else {
-    // Invalid choice, ask again with simpler options
-    const simpleChoice = confirm('Save to cloud?\n\n✅ OK = Private trail guide\n❌ Cancel = Skip cloud save');
-    return simpleChoice ? 'private' : 'skip';
+    alert(`${title}\n\n${report}\n\n${t('review.markedIncomplete')}`);
   }
-}
 
-// UPDATED: Generate trail guide with public/private setting
-async generateTrailGuide(routeId, routeData, routeInfo, accessibilityData, authController) {
-  try {
-    console.log('🌐 Generating trail guide HTML...');
-    
-    // Get the export controller to generate HTML
-    const app = window.AccessNatureApp;
-    const exportController = app?.getController('export');
-    
-    if (!exportController || typeof exportController.generateRouteSummaryHTML !== 'function') {
-      console.warn('Export controller not available for HTML generation');
-      return;
-    }
-    
-    const htmlContent = exportController.generateRouteSummaryHTML(routeData, routeInfo, accessibilityData);
-    const user = authController.getCurrentUser();
-    
-    // Create trail guide document
-    const trailGuideDoc = {
-      routeId: routeId,
-      routeName: routeInfo.name,
-      userId: user.uid,
-      userEmail: user.email,
-      htmlContent: htmlContent,
-      generatedAt: new Date().toISOString(),
-      isPublic: routeInfo.makePublic || false, // Use the user's choice
-      
-      // Add publication info if made public
-      ...(routeInfo.makePublic && {
-        publishedAt: new Date().toISOString()
-      }),
-      
-      // Enhanced metadata for search and discovery
-      metadata: {
-        totalDistance: routeInfo.totalDistance || 0,
-        elapsedTime: routeInfo.elapsedTime || 0,
-        originalDate: routeInfo.date,
-        locationCount: routeData.filter(p => p.type === 'location').length,
-        photoCount: routeData.filter(p => p.type === 'photo').length,
-        noteCount: routeData.filter(p => p.type === 'text').length
-      },
-      
-      // Accessibility features for search
-      accessibility: accessibilityData ? {
-        wheelchairAccess: accessibilityData.wheelchairAccess || 'Unknown',
-        trailSurface: accessibilityData.trailSurface || 'Unknown',
-        difficulty: accessibilityData.difficulty || 'Unknown',
-        facilities: accessibilityData.facilities || [],
-        location: accessibilityData.location || 'Unknown'
-      } : null,
-      
-      // Technical info
-      stats: {
-        fileSize: new Blob([htmlContent]).size,
-        version: '1.0',
-        generatedBy: 'Access Nature App'
-      },
-      
-      // Community features
-      community: {
-        views: 0,
-        downloads: 0,
-        ratings: [],
-        averageRating: 0,
-        reviews: []
-      }
-    };
-    
-    // Import Firestore and save trail guide
-    const { collection, addDoc } = await import("https://www.gstatic.com/firebasejs/10.5.0/firebase-firestore.js");
-    const { db } = await import('../../firebase-setup.js');
-    
-    const guideRef = await addDoc(collection(db, 'trail_guides'), trailGuideDoc);
-    
-    const visibilityText = routeInfo.makePublic ? 'public' : 'private';
-    console.log(`✅ ${visibilityText} trail guide generated with ID:`, guideRef.id);
-    
-  } catch (error) {
-    console.error('❌ Failed to generate trail guide:', error);
-  }
+  return review;
 }
 
-// NEW: Save route to cloud (separate method)
+// Save route to cloud: the route and its trail guide go through the cloud outbox, so an upload
+// made offline is sent once there's a connection. Returns 'synced' or 'queued'.
 async saveRouteToCloud(routeData, routeInfo, accessibilityData, authController) {
   try {
     console.log('☁️ Saving route to cloud...');
     
-    // Import Firestore functions
-    const { collection, addDoc } = await import("https://www.gstatic.com/firebasejs/10.5.0/firebase-firestore.js");
-    const { db } = await import('../../firebase-setup.js');
-    
     const user = authController.getCurrentUser();
     if (!user) {
       throw new Error('User not authenticated');
     }
     
-    // Prepare route document for Firestore
-    const routeDoc = {
-      userId: user.uid,
-      userEmail: user.email,
-      routeName: routeInfo.name,
-      createdAt: new Date().toISOString(),
-      uploadedAt: new Date().toISOString(),
-      
-      // Route statistics
-      totalDistance: routeInfo.totalDistance || 0,
-      elapsedTime: routeInfo.elapsedTime || 0,
-      originalDate: routeInfo.date,
-      
-      // Route data
-      routeData: routeData,
-      
-      // Statistics for quick access
-      stats: {
-        locationPoints: routeData.filter(p => p.type === 'location').length,
-        photos: routeData.filter(p => p.type === 'photo').length,
-        notes: routeData.filter(p => p.type === 'text').length,
-        totalDataPoints: routeData.length
-      },
-      
-      // Accessibility information
-      accessibilityData: accessibilityData,
-      
-      // Technical info
-      deviceInfo: {
-        userAgent: navigator.userAgent,
-        timestamp: Date.now(),
-        appVersion: '1.0'
-      }
-    };
+    // Saved routes keep their cloud ID, so uploading one again updates its cloud copy
+    const cloudId = await this.appState.assignCloudId(routeInfo.id);
+    
+    const routeDoc = buildRouteDocument(routeData, routeInfo, accessibilityData, user);
 
-    // Save route to cloud
-    const docRef = await addDoc(collection(db, 'routes'), routeDoc);
-    console.log('✅ Route saved to cloud with ID:', docRef.id);
+    const outbox = this.appState.cloudOutbox;
+    await outbox.enqueue({ collection: 'routes', docId: cloudId, routeId: routeInfo.id ?? null, name: routeInfo.name, data: routeDoc, createFields: getRouteCreateFields(routeDoc) });
     
     // Generate trail guide HTML
-    await this.generateTrailGuide(docRef.id, routeData, routeInfo, accessibilityData, authController);
+    await this.generateTrailGuide(cloudId, routeData, routeInfo, accessibilityData, authController);
     
-    this.showSuccessMessage(`✅ "${routeInfo.name}" saved to cloud with trail guide! ☁️`);
+    const { status, error } = await outbox.uploadNow(cloudId);
+    if (status === 'failed') {
+      throw error;
+    }
+    
+    if (status === 'synced') {
+      console.log('✅ Route saved to cloud with ID:', cloudId);
+      this.showSuccessMessage(`✅ "${routeInfo.name}" saved to cloud with trail guide! ☁️`);
+    } else {
+      console.log('📮 Route queued for cloud upload:', cloudId);
+      this.showSuccessMessage(`☁️ "${routeInfo.name}" will be uploaded when the connection is back`);
+    }
+    return status;
     
   } catch (error) {
     console.error('❌ Cloud save failed:', error);
@@ -622,8 +717,8 @@ async generateTrailGuide(routeId, routeData, routeInfo, accessibilityData, authC
       userId: user.uid,
       userEmail: user.email,
       htmlContent: htmlContent,
+      language: getLanguage(), // Readers in another language get the guide regenerated from the route
       generatedAt: new Date().toISOString(),
-      isPublic: false, // Private by default
       
       // Enhanced metadata for search and discovery
       metadata: {
@@ -632,164 +727,45 @@ async generateTrailGuide(routeId, routeData, routeInfo, accessibilityData, authC
         originalDate: routeInfo.date,
         locationCount: routeData.filter(p => p.type === 'location').length,
         photoCount: routeData.filter(p => p.type === 'photo').length,
-        noteCount: routeData.filter(p => p.type === 'text').length
+        noteCount: routeData.filter(p => p.type === 'text').length,
+        restPointCount: routeData.filter(p => p.type === 'stop').length,
+        elevation: summarizeElevationProfile(getElevationProfile(routeData, routeInfo)),
+        movement: summarizeRouteStats(calculateRouteStats(routeData, routeInfo))
       },
       
       // Accessibility features for search
       accessibility: accessibilityData ? {
-        wheelchairAccess: accessibilityData.wheelchairAccess || 'Unknown',
+        wheelchairAccess: normalizeSurveyOption('wheelchairAccess', accessibilityData.wheelchairAccess) || 'Unknown',
         trailSurface: accessibilityData.trailSurface || 'Unknown',
         difficulty: accessibilityData.difficulty || 'Unknown',
         facilities: accessibilityData.facilities || [],
         location: accessibilityData.location || 'Unknown'
       } : null,
       
+      // Computed per-profile scores for filtering and sorting
+      accessibilityScore: summarizeAccessibilityScore(calculateAccessibilityScore(routeData, routeInfo, accessibilityData)),
+      
+      // Survey review from the save step; flagged guides were below the publishing quality bar
+      review: routeInfo.review || null,
+      
       // Technical info
       stats: {
         fileSize: new Blob([htmlContent]).size,
         version: '1.0',
         generatedBy: 'Access Nature App'
-      },
-      
-      // Community features
-      community: {
-        views: 0,
-        downloads: 0,
-        ratings: [],
-        averageRating: 0,
-        reviews: []
-      }
-    };
-    
-    // Import Firestore and save trail guide
-    const { collection, addDoc } = await import("https://www.gstatic.com/firebasejs/10.5.0/firebase-firestore.js");
-    const { db } = await import('../../firebase-setup.js');
-    
-    const guideRef = await addDoc(collection(db, 'trail_guides'), trailGuideDoc);
-    console.log('✅ Trail guide generated and stored with ID:', guideRef.id);
-    
-  } catch (error) {
-    console.error('❌ Failed to generate trail guide:', error);
-    // Don't fail the main save if HTML generation fails
-  }
-}
-
-// NEW: Save route to cloud (separate method)
-async saveRouteToCloud(routeData, routeInfo, accessibilityData, authController) {
-  try {
-    console.log('☁️ Saving route to cloud...');
-    
-    // Import Firestore functions
-    const { collection, addDoc } = await import("https://www.gstatic.com/firebasejs/10.5.0/firebase-firestore.js");
-    const { db } = await import('../../firebase-setup.js');
-    
-    const user = authController.getCurrentUser();
-    if (!user) {
-      throw new Error('User not authenticated');
-    }
-    
-    // Prepare route document for Firestore
-    const routeDoc = {
-      userId: user.uid,
-      userEmail: user.email,
-      routeName: routeInfo.name,
-      createdAt: new Date().toISOString(),
-      uploadedAt: new Date().toISOString(),
-      
-      // Route statistics
-      totalDistance: routeInfo.totalDistance || 0,
-      elapsedTime: routeInfo.elapsedTime || 0,
-      originalDate: routeInfo.date,
-      
-      // Route data
-      routeData: routeData,
-      
-      // Statistics for quick access
-      stats: {
-        locationPoints: routeData.filter(p => p.type === 'location').length,
-        photos: routeData.filter(p => p.type === 'photo').length,
-        notes: routeData.filter(p => p.type === 'text').length,
-        totalDataPoints: routeData.length
-      },
-      
-      // Accessibility information
-      accessibilityData: accessibilityData,
-      
-      // Technical info
-      deviceInfo: {
-        userAgent: navigator.userAgent,
-        timestamp: Date.now(),
-        appVersion: '1.0'
       }
     };
-
-    // Save route to cloud
-    const docRef = await addDoc(collection(db, 'routes'), routeDoc);
-    console.log('✅ Route saved to cloud with ID:', docRef.id);
-    
-    // Generate trail guide HTML
-    await this.generateTrailGuide(docRef.id, routeData, routeInfo, accessibilityData, authController);
-    
-    this.showSuccessMessage(`✅ "${routeInfo.name}" saved to cloud with trail guide! ☁️`);
     
-  } catch (error) {
-    console.error('❌ Cloud save failed:', error);
-    throw error;
-  }
-}
-
-// NEW: Generate trail guide HTML
-async generateTrailGuide(routeId, routeData, routeInfo, accessibilityData, authController) {
-  try {
-    console.log('🌐 Generating trail guide HTML...');
-    
-    // Get the export controller to generate HTML
-    const app = window.AccessNatureApp;
-    const exportController = app?.getController('export');
-    
-    if (!exportController || typeof exportController.generateRouteSummaryHTML !== 'function') {
-      console.warn('Export controller not available for HTML generation');
-      return;
+    // Choosing Public publishes the guide, also one uploaded before; choosing Private leaves an existing
+    // guide's visibility as it is (guides are made private from the guide list)
+    if (routeInfo.makePublic) {
+      trailGuideDoc.isPublic = true;
+      trailGuideDoc.publishedAt = new Date().toISOString();
     }
     
-    const htmlContent = exportController.generateRouteSummaryHTML(routeData, routeInfo, accessibilityData);
-    const user = authController.getCurrentUser();
-    
-    // Create trail guide document
-    const trailGuideDoc = {
-      routeId: routeId,
-      routeName: routeInfo.name,
-      userId: user.uid,
-      userEmail: user.email,
-      htmlContent: htmlContent,
-      generatedAt: new Date().toISOString(),
-      isPublic: false, // Private by default
-      
-      // Enhanced metadata for search and discovery
-      metadata: {
-        totalDistance: routeInfo.totalDistance || 0,
-        elapsedTime: routeInfo.elapsedTime || 0,
-        originalDate: routeInfo.date,
-        locationCount: routeData.filter(p => p.type === 'location').length,
-        photoCount: routeData.filter(p => p.type === 'photo').length,
-        noteCount: routeData.filter(p => p.type === 'text').length
-      },
-      
-      // Accessibility features for search
-      accessibility: accessibilityData ? {
-        wheelchairAccess: accessibilityData.wheelchairAccess || 'Unknown',
-        trailSurface: accessibilityData.trailSurface || 'Unknown',
-        difficulty: accessibilityData.difficulty || 'Unknown',
-        facilities: accessibilityData.facilities || [],
-        location: accessibilityData.location || 'Unknown'
-      } : null,
-      
-      // Technical info
-      stats: {
-        fileSize: new Blob([htmlContent]).size,
-        version: '1.0',
-        generatedBy: 'Access Nature App'
-      },
+    // Set when the guide is first uploaded; uploading the route again keeps its community activity
+    const createFields = {
+      isPublic: false, // Private unless the user chose to publish
       
       // Community features
       community: {
@@ -801,12 +777,16 @@ async generateTrailGuide(routeId, routeData, routeInfo, accessibilityData, authC
       }
     };
     
-    // Import Firestore and save trail guide
-    const { collection, addDoc } = await import("https://www.gstatic.com/firebasejs/10.5.0/firebase-firestore.js");
-    const { db } = await import('../../firebase-setup.js');
-    
-    const guideRef = await addDoc(collection(db, 'trail_guides'), trailGuideDoc);
-    console.log('✅ Trail guide generated and stored with ID:', guideRef.id);
+    // Queue the trail guide under the route's cloud ID; it's sent after the route
+    await this.appState.cloudOutbox.enqueue({
+      collection: 'trail_guides',
+      docId: routeId,
+      routeId: routeInfo.id ?? null,
+      name: routeInfo.name,
+      data: trailGuideDoc,
+      createFields
+    });
+    console.log('✅ Trail guide generated and queued with ID:', routeId);
     
   } catch (error) {
     console.error('❌ Failed to generate trail guide:', error);
@@ -816,6 +796,7 @@ async generateTrailGuide(routeId, routeData, routeInfo, accessibilityData, authC
 
   discardRoute() {
     this.appState.clearRouteData();
+    this.appState.deleteRouteSurvey(CURRENT_ROUTE_SURVEY);
     this.showSuccessMessage('Route discarded');
     console.log('🗑️ Route data discarded');
   }
@@ -898,7 +879,9 @@ async generateTrailGuide(routeId, routeData, routeInfo, accessibilityData, authC
       isPaused: this.isPaused,
       totalDistance: this.appState.getTotalDistance(),
       elapsedTime: this.appState.getElapsedTime(),
-      pointCount: this.appState.getRouteData().length
+      pointCount: this.appState.getRouteData().length,
+      isAutoPaused: this.isAutoPaused,
+      filter: this.positionFilter.getStats()
     };
   }
 
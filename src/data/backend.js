@@ -0,0 +1,83 @@
+// Storage backend - the adapter behind the repositories, picked by config. 'firestore' is the live Firebase
+// project; 'local' keeps the cloud and its accounts on this device in IndexedDB and 'memory' starts empty on
+// every load, so development, demos and automated tests run without the network.
+import { FirestoreAdapter, FirebaseAccounts } from './firestore-adapter.js';
+import { LocalAdapter, LocalAccounts } from './local-adapter.js';
+import { RoutesRepository, TrailGuidesRepository, RatingsRepository, UsersRepository } from './repositories.js';
+
+export const BACKENDS = {
+  FIRESTORE: 'firestore',
+  LOCAL: 'local',
+  MEMORY: 'memory'
+};
+
+export const DEFAULT_BACKEND = BACKENDS.FIRESTORE;
+
+const isBackendName = (name) => Object.values(BACKENDS).includes(name);
+
+// Set localStorage 'dataBackend', or open either page with ?backend=local once (e.g. a demo link)
+export function getBackendName() {
+  const requested = new URLSearchParams(globalThis.location?.search).get('backend');
+  if (isBackendName(requested)) {
+    setBackendName(requested);
+  }
+  const name = globalThis.localStorage?.getItem('dataBackend');
+  return isBackendName(name) ? name : DEFAULT_BACKEND;
+}
+
+// Takes effect the next time a page loads
+export function setBackendName(name) {
+  if (name && name !== DEFAULT_BACKEND) {
+    localStorage.setItem('dataBackend', name);
+  } else {
+    localStorage.removeItem('dataBackend');
+  }
+}
+
+export function createBackend(name = getBackendName()) {
+  const local = name !== BACKENDS.FIRESTORE;
+  const persist = name === BACKENDS.LOCAL;
+  const store = local ? new LocalAdapter({ persist }) : new FirestoreAdapter();
+  const repositories = [
+    new RoutesRepository(store),
+    new TrailGuidesRepository(store),
+    new UsersRepository(store)
+  ];
+  const [routes, trailGuides, users] = repositories;
+
+  return {
+    name,
+    isLocal: local,
+    accounts: local ? new LocalAccounts(store, { persist }) : new FirebaseAccounts(),
+    routes,
+    trailGuides,
+    ratings: new RatingsRepository(store),
+    users,
+    // The cloud outbox stores writes by collection name
+    forCollection(collection) {
+      const repository = repositories.find(candidate => candidate.collection === collection);
+      if (!repository) throw new Error(`No repository for collection ${collection}`);
+      return repository;
+    }
+  };
+}
+
+let activeBackend = null;
+
+export function getBackend() {
+  if (!activeBackend) {
+    activeBackend = createBackend();
+    console.log(`🗄️ Data backend: ${activeBackend.name}`);
+  }
+  return activeBackend;
+}
+
+// Offline only the live project is out of reach; the local backends are always there
+export function isBackendReachable() {
+  return getBackend().isLocal || navigator.onLine;
+}
+
+// Swaps the backend every module uses, e.g. createBackend('memory') in a test
+export function useBackend(backend) {
+  activeBackend = backend;
+}
@@ -0,0 +1,106 @@
+// Firestore storage adapter - the document store and accounts of the live Firebase project.
+// The SDK is only downloaded on first use, so offline every call fails with OFFLINE_ERROR_CODE.
+import { loadFirestore, loadFirebaseAuth, loadFirebaseSetup } from '../utils/firebase-loader.js';
+import { getFieldValueType } from './store.js';
+
+export class FirestoreAdapter {
+  async connect() {
+    const [firestore, { db }] = await Promise.all([loadFirestore(), loadFirebaseSetup()]);
+    return { firestore, db };
+  }
+
+  async get(collection, id) {
+    const { firestore, db } = await this.connect();
+    const snapshot = await firestore.getDoc(firestore.doc(db, collection, id));
+    return snapshot.exists() ? snapshot.data() : null;
+  }
+
+  async query(collection, { where = [], orderBy = [], limit = null } = {}) {
+    const { firestore, db } = await this.connect();
+    const constraints = [
+      ...where.map(([field, op, value]) => firestore.where(field, op, value)),
+      ...orderBy.map(([field, direction = 'asc']) => firestore.orderBy(field, direction))
+    ];
+    if (limit) constraints.push(firestore.limit(limit));
+
+    const snapshot = await firestore.getDocs(firestore.query(firestore.collection(db, collection), ...constraints));
+    return snapshot.docs.map(doc => ({ id: doc.id, data: doc.data() }));
+  }
+
+  async set(collection, id, data) {
+    const { firestore, db } = await this.connect();
+    await firestore.setDoc(firestore.doc(db, collection, id), data);
+  }
+
+  async add(collection, data) {
+    const { firestore, db } = await this.connect();
+    const ref = await firestore.addDoc(firestore.collection(db, collection), data);
+    return ref.id;
+  }
+
+  async update(collection, id, changes) {
+    const { firestore, db } = await this.connect();
+    const fields = {};
+    Object.entries(changes).forEach(([path, value]) => {
+      switch (getFieldValueType(value)) {
+        case 'increment':
+          fields[path] = firestore.increment(value.value);
+          break;
+        case 'arrayUnion':
+          fields[path] = firestore.arrayUnion(...value.value);
+          break;
+        default:
+          fields[path] = value;
+      }
+    });
+    await firestore.updateDoc(firestore.doc(db, collection, id), fields);
+  }
+
+  async delete(collection, id) {
+    const { firestore, db } = await this.connect();
+    await firestore.deleteDoc(firestore.doc(db, collection, id));
+  }
+}
+
+// Firebase Authentication behind the accounts interface the local adapter implements too
+export class FirebaseAccounts {
+  async connect() {
+    const [firebaseAuth, { auth }] = await Promise.all([loadFirebaseAuth(), loadFirebaseSetup()]);
+    return { firebaseAuth, auth };
+  }
+
+  // callback(user) runs now and on every sign-in and sign-out; resolves to an unsubscribe function
+  async onChange(callback) {
+    const { firebaseAuth, auth } = await this.connect();
+    return firebaseAuth.onAuthStateChanged(auth, callback);
+  }
+
+  async getCurrentUser() {
+    const { auth } = await this.connect();
+    return auth.currentUser;
+  }
+
+  async signIn(email, password) {
+    const { firebaseAuth, auth } = await this.connect();
+    const credential = await firebaseAuth.signInWithEmailAndPassword(auth, email, password);
+    return credential.user;
+  }
+
+  async signUp(email, password) {
+    const { firebaseAuth, auth } = await this.connect();
+    const credential = await firebaseAuth.createUserWithEmailAndPassword(auth, email, password);
+    return credential.user;
+  }
+
+  // Resolves to { user, isNewUser }
+  async signInWithGoogle() {
+    const { firebaseAuth, auth } = await this.connect();
+    const result = await firebaseAuth.signInWithPopup(auth, new firebaseAuth.GoogleAuthProvider());
+    return { user: result.user, isNewUser: Boolean(result._tokenResponse?.isNewUser) };
+  }
+
+  async signOut() {
+    const { firebaseAuth, auth } = await this.connect();
+    await firebaseAuth.signOut(auth);
+  }
+}
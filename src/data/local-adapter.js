@@ -0,0 +1,297 @@
+// Local storage adapter - a stand-in for the cloud for development, demos and automated tests.
+// Documents are kept in memory and, unless persist is off, in their own IndexedDB database; nothing goes over the network.
+import { getField, getFieldValueType, storeError } from './store.js';
+
+const DB_NAME = 'AccessNatureLocalCloud';
+const DB_VERSION = 1;
+
+// Accounts of the local sign-in live in the store too, in a collection no repository reads
+const ACCOUNTS_COLLECTION = 'local_accounts';
+const SESSION_KEY = 'localBackendUser';
+
+// The account Google sign-in uses locally, so demos don't need a password
+const DEMO_ACCOUNT = { email: 'demo@accessnature.local', displayName: 'Demo User' };
+
+// Same shape as Firestore's automatic IDs
+function createDocumentId() {
+  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+  return Array.from({ length: 20 }, () => chars[Math.floor(Math.random() * chars.length)]).join('');
+}
+
+function compareValues(a, b) {
+  if (a === b) return 0;
+  if (a === undefined || a === null) return -1;
+  if (b === undefined || b === null) return 1;
+  return a < b ? -1 : 1;
+}
+
+// Like Firestore, range filters only match values of the same type
+function matchesFilter(data, [field, op, value]) {
+  const actual = getField(data, field);
+  const comparable = actual !== undefined && actual !== null && typeof actual === typeof value;
+  switch (op) {
+    case '==': return actual === value;
+    case '!=': return actual !== undefined && actual !== value;
+    case '<': return comparable && actual < value;
+    case '<=': return comparable && actual <= value;
+    case '>': return comparable && actual > value;
+    case '>=': return comparable && actual >= value;
+    case 'in': return value.includes(actual);
+    case 'array-contains': return Array.isArray(actual) && actual.includes(value);
+    default: throw storeError('invalid-argument', `Unsupported query operator: ${op}`);
+  }
+}
+
+function setField(data, path, value) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((object, key) => {
+    if (!object[key] || typeof object[key] !== 'object') object[key] = {};
+    return object[key];
+  }, data);
+  parent[last] = value;
+}
+
+function applyChange(current, value) {
+  switch (getFieldValueType(value)) {
+    case 'increment':
+      return (typeof current === 'number' ? current : 0) + value.value;
+    case 'arrayUnion': {
+      const items = Array.isArray(current) ? [...current] : [];
+      value.value.forEach(item => {
+        if (!items.some(existing => JSON.stringify(existing) === JSON.stringify(item))) items.push(item);
+      });
+      return items;
+    }
+    default:
+      return structuredClone(value);
+  }
+}
+
+export class LocalAdapter {
+  constructor({ persist = true } = {}) {
+    this.persist = persist && typeof indexedDB !== 'undefined';
+    this.collections = new Map();
+    this.db = null;
+    this.ready = this.load();
+  }
+
+  async load() {
+    if (!this.persist) return;
+    try {
+      this.db = await new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore('documents', { keyPath: 'path' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+
+      const records = await new Promise((resolve, reject) => {
+        const request = this.db.transaction('documents', 'readonly').objectStore('documents').getAll();
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+      records.forEach(({ collection, id, data }) => this.getCollection(collection).set(id, data));
+      console.log(`🧪 Local backend loaded ${records.length} document(s)`);
+    } catch (error) {
+      console.warn('⚠️ Local backend storage unavailable, keeping documents in memory:', error);
+      this.db = null;
+    }
+  }
+
+  getCollection(collection) {
+    if (!this.collections.has(collection)) {
+      this.collections.set(collection, new Map());
+    }
+    return this.collections.get(collection);
+  }
+
+  async save(collection, id) {
+    if (!this.db) return;
+    const data = this.getCollection(collection).get(id);
+    await new Promise((resolve, reject) => {
+      const transaction = this.db.transaction('documents', 'readwrite');
+      const store = transaction.objectStore('documents');
+      const path = `${collection}/${id}`;
+      if (data) {
+        store.put({ path, collection, id, data });
+      } else {
+        store.delete(path);
+      }
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  async get(collection, id) {
+    await this.ready;
+    const data = this.getCollection(collection).get(id);
+    return data ? structuredClone(data) : null;
+  }
+
+  async query(collection, { where = [], orderBy = [], limit = null } = {}) {
+    await this.ready;
+    let results = [...this.getCollection(collection)]
+      .filter(([, data]) => where.every(filter => matchesFilter(data, filter)))
+      // Firestore leaves out documents without the fields they're ordered by
+      .filter(([, data]) => orderBy.every(([field]) => getField(data, field) !== undefined));
+
+    if (orderBy.length > 0) {
+      results.sort(([, a], [, b]) => {
+        for (const [field, direction = 'asc'] of orderBy) {
+          const order = compareValues(getField(a, field), getField(b, field));
+          if (order !== 0) return direction === 'desc' ? -order : order;
+        }
+        return 0;
+      });
+    }
+    if (limit) results = results.slice(0, limit);
+
+    return results.map(([id, data]) => ({ id, data: structuredClone(data) }));
+  }
+
+  async set(collection, id, data) {
+    await this.ready;
+    this.getCollection(collection).set(id, structuredClone(data));
+    await this.save(collection, id);
+  }
+
+  async add(collection, data) {
+    const id = createDocumentId();
+    await this.set(collection, id, data);
+    return id;
+  }
+
+  async update(collection, id, changes) {
+    await this.ready;
+    const data = this.getCollection(collection).get(id);
+    if (!data) {
+      throw storeError('not-found', `No document to update: ${collection}/${id}`);
+    }
+    Object.entries(changes).forEach(([path, value]) => {
+      setField(data, path, applyChange(getField(data, path), value));
+    });
+    await this.save(collection, id);
+  }
+
+  async delete(collection, id) {
+    await this.ready;
+    this.getCollection(collection).delete(id);
+    await this.save(collection, id);
+  }
+}
+
+// Passwords are hashed where Web Crypto is available (secure contexts); accounts only ever exist on this device
+const PASSWORD_SCHEME = globalThis.crypto?.subtle ? 'sha-256' : 'plain';
+
+async function hashPassword(email, password, scheme) {
+  if (scheme === 'plain') return password;
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`${email}\n${password}`));
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function authError(code) {
+  return storeError(code, `Local sign-in failed (${code})`);
+}
+
+// Email and password accounts kept in the local store, with the error codes Firebase Authentication uses
+export class LocalAccounts {
+  constructor(store, { persist = true } = {}) {
+    this.store = store;
+    this.persist = persist && typeof localStorage !== 'undefined';
+    this.listeners = new Set();
+    this.currentUser = null;
+    this.ready = this.restoreSession();
+  }
+
+  async restoreSession() {
+    const uid = this.persist ? localStorage.getItem(SESSION_KEY) : null;
+    if (!uid) return;
+    const account = await this.store.get(ACCOUNTS_COLLECTION, uid);
+    this.currentUser = account ? this.toUser(uid, account) : null;
+  }
+
+  toUser(uid, account) {
+    return { uid, email: account.email, displayName: account.displayName || null };
+  }
+
+  setCurrentUser(user) {
+    this.currentUser = user;
+    if (this.persist) {
+      if (user) {
+        localStorage.setItem(SESSION_KEY, user.uid);
+      } else {
+        localStorage.removeItem(SESSION_KEY);
+      }
+    }
+    this.listeners.forEach(callback => callback(user));
+    return user;
+  }
+
+  async onChange(callback) {
+    await this.ready;
+    this.listeners.add(callback);
+    callback(this.currentUser);
+    return () => this.listeners.delete(callback);
+  }
+
+  async getCurrentUser() {
+    await this.ready;
+    return this.currentUser;
+  }
+
+  async findAccount(email) {
+    const [match] = await this.store.query(ACCOUNTS_COLLECTION, { where: [['email', '==', email.trim().toLowerCase()]], limit: 1 });
+    return match || null;
+  }
+
+  async createAccount(email, { password = null, displayName = null } = {}) {
+    const normalized = email.trim().toLowerCase();
+    const uid = `local-${createDocumentId()}`;
+    const account = {
+      email: normalized,
+      displayName,
+      passwordScheme: PASSWORD_SCHEME,
+      passwordHash: password === null ? null : await hashPassword(normalized, password, PASSWORD_SCHEME),
+      createdAt: new Date().toISOString()
+    };
+    await this.store.set(ACCOUNTS_COLLECTION, uid, account);
+    return this.toUser(uid, account);
+  }
+
+  async signIn(email, password) {
+    await this.ready;
+    const match = await this.findAccount(email);
+    if (!match || match.data.passwordHash === null) throw authError('auth/user-not-found');
+
+    const hash = await hashPassword(match.data.email, password, match.data.passwordScheme);
+    if (hash !== match.data.passwordHash) throw authError('auth/wrong-password');
+
+    return this.setCurrentUser(this.toUser(match.id, match.data));
+  }
+
+  async signUp(email, password) {
+    await this.ready;
+    if (!/^[^\s@]+@[^\s@]+$/.test(email.trim())) throw authError('auth/invalid-email');
+    if (password.length < 6) throw authError('auth/weak-password');
+    if (await this.findAccount(email)) throw authError('auth/email-already-in-use');
+
+    return this.setCurrentUser(await this.createAccount(email, { password }));
+  }
+
+  async signInWithGoogle() {
+    await this.ready;
+    const match = await this.findAccount(DEMO_ACCOUNT.email);
+    const user = match
+      ? this.toUser(match.id, match.data)
+      : await this.createAccount(DEMO_ACCOUNT.email, { displayName: DEMO_ACCOUNT.displayName });
+    return { user: this.setCurrentUser(user), isNewUser: !match };
+  }
+
+  async signOut() {
+    await this.ready;
+    this.setCurrentUser(null);
+  }
+}
@@ -0,0 +1,162 @@
+// Repositories - the cloud collections the app reads and writes, on top of whichever storage adapter is configured
+import { increment, arrayUnion } from './store.js';
+
+class Repository {
+  constructor(store, collection) {
+    this.store = store;
+    this.collection = collection;
+  }
+
+  // A document as the app handles it, with its ID
+  fromDocument(id, data) {
+    return { id, ...data };
+  }
+
+  async get(id) {
+    const data = await this.store.get(this.collection, id);
+    return data ? this.fromDocument(id, data) : null;
+  }
+
+  async list(options) {
+    const documents = await this.store.query(this.collection, options);
+    return documents.map(({ id, data }) => this.fromDocument(id, data));
+  }
+
+  save(id, data) {
+    return this.store.set(this.collection, id, data);
+  }
+
+  update(id, changes) {
+    return this.store.update(this.collection, id, changes);
+  }
+
+  delete(id) {
+    return this.store.delete(this.collection, id);
+  }
+}
+
+// Uploaded routes, including the tombstones of deleted ones (see src/core/route-sync.js)
+export class RoutesRepository extends Repository {
+  constructor(store) {
+    super(store, 'routes');
+  }
+
+  // Route sync keys cloud routes by cloudId
+  fromDocument(id, data) {
+    return { ...data, cloudId: id };
+  }
+
+  listByUser(userId) {
+    return this.list({ where: [['userId', '==', userId]] });
+  }
+}
+
+const NEWEST_FIRST = [['generatedAt', 'desc']];
+
+// Trail guide pages generated from uploaded routes
+export class TrailGuidesRepository extends Repository {
+  constructor(store) {
+    super(store, 'trail_guides');
+  }
+
+  create(data) {
+    return this.store.add(this.collection, data);
+  }
+
+  listPublic({ wheelchairAccess = null, newestFirst = false, limit = null } = {}) {
+    const where = [['isPublic', '==', true]];
+    if (wheelchairAccess) where.push(['accessibility.wheelchairAccess', '==', wheelchairAccess]);
+    return this.list({ where, orderBy: newestFirst ? NEWEST_FIRST : [], limit });
+  }
+
+  // isPublic narrows the list to public or private guides
+  listByUser(userId, { isPublic = null, newestFirst = false } = {}) {
+    const where = [['userId', '==', userId]];
+    if (isPublic !== null) where.push(['isPublic', '==', isPublic]);
+    return this.list({ where, orderBy: newestFirst ? NEWEST_FIRST : [] });
+  }
+
+  listByRoute(routeId) {
+    return this.list({ where: [['routeId', '==', routeId]], orderBy: NEWEST_FIRST });
+  }
+
+  // Public guides whose location starts with region
+  searchByRegion(region, { wheelchairAccess = null } = {}) {
+    const where = [
+      ['isPublic', '==', true],
+      ['accessibility.location', '>=', region],
+      ['accessibility.location', '<=', region + '\uf8ff']
+    ];
+    if (wheelchairAccess) where.push(['accessibility.wheelchairAccess', '==', wheelchairAccess]);
+    return this.list({ where, orderBy: [['accessibility.location', 'asc'], ...NEWEST_FIRST], limit: 50 });
+  }
+
+  // Every guide regardless of owner, for debugging
+  listAll({ limit = null } = {}) {
+    return this.list({ limit });
+  }
+
+  setVisibility(id, isPublic) {
+    const now = new Date().toISOString();
+    const changes = { isPublic, lastModified: now };
+    if (isPublic) changes.publishedAt = now;
+    return this.update(id, changes);
+  }
+
+  recordView(id) {
+    return this.update(id, { 'community.views': increment(1) });
+  }
+}
+
+// Community ratings, stored on the trail guide they rate
+export class RatingsRepository {
+  constructor(store) {
+    this.store = store;
+    this.collection = 'trail_guides';
+  }
+
+  async list(guideId) {
+    const guide = await this.store.get(this.collection, guideId);
+    return guide?.community?.ratings || [];
+  }
+
+  // rating: { userId, userEmail, rating, review, timestamp }; resolves to the guide's new average
+  async add(guideId, rating) {
+    await this.store.update(this.collection, guideId, { 'community.ratings': arrayUnion(rating) });
+    return this.updateAverage(guideId);
+  }
+
+  async updateAverage(guideId) {
+    const ratings = await this.list(guideId);
+    if (ratings.length === 0) return 0;
+
+    const average = Math.round(ratings.reduce((sum, r) => sum + r.rating, 0) / ratings.length * 10) / 10;
+    await this.store.update(this.collection, guideId, { 'community.averageRating': average });
+    return average;
+  }
+}
+
+// Profiles of signed-up users
+export class UsersRepository extends Repository {
+  constructor(store) {
+    super(store, 'users');
+  }
+
+  createProfile(user, profile = {}) {
+    return this.save(user.uid, {
+      uid: user.uid,
+      email: user.email,
+      createdAt: new Date().toISOString(),
+      routesCount: 0,
+      totalDistance: 0,
+      ...profile
+    });
+  }
+
+  recordUpload(userId) {
+    return this.update(userId, {
+      routesCount: increment(1),
+      lastUpload: new Date().toISOString()
+    });
+  }
+}
@@ -0,0 +1,39 @@
+// Document store contract shared by the storage adapters (firestore-adapter.js, local-adapter.js).
+// A store keeps JSON documents in named collections and implements:
+//   get(collection, id)                      -> data, or null when there's no such document
+//   query(collection, { where, orderBy, limit }) -> [{ id, data }]
+//       where: [[field, op, value]] with op one of QUERY_OPERATORS; orderBy: [[field, 'asc' | 'desc']]
+//   set(collection, id, data)                -> replaces the document
+//   add(collection, data)                    -> ID of the new document
+//   update(collection, id, changes)          -> changes the given fields; throws code 'not-found' without the document
+//       field names may be dotted paths ('community.views'), values may be increment() or arrayUnion()
+//   delete(collection, id)
+// Fields are addressed by dotted path in where, orderBy and update, like Firestore.
+
+export const QUERY_OPERATORS = ['==', '!=', '<', '<=', '>', '>=', 'in', 'array-contains'];
+
+const FIELD_VALUE = '__fieldValue';
+
+// Adds n to a numeric field in update(); a missing field counts as 0
+export function increment(n) {
+  return { [FIELD_VALUE]: 'increment', value: n };
+}
+
+// Appends items to an array field in update(), skipping those already in it
+export function arrayUnion(...items) {
+  return { [FIELD_VALUE]: 'arrayUnion', value: items };
+}
+
+export function getFieldValueType(value) {
+  return (value && typeof value === 'object' && value[FIELD_VALUE]) || null;
+}
+
+export function getField(data, path) {
+  return path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), data);
+}
+
+export function storeError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
@@ -1,14 +1,14 @@
 // Authentication controller with beautiful UI
-import { auth, db } from '../../firebase-setup.js';
-import {
-  signInWithEmailAndPassword,
-  createUserWithEmailAndPassword,
-  signOut,
-  onAuthStateChanged,
-  GoogleAuthProvider,
-  signInWithPopup
-} from "https://www.gstatic.com/firebasejs/10.5.0/firebase-auth.js";
-import { doc, setDoc } from "https://www.gstatic.com/firebasejs/10.5.0/firebase-firestore.js";
+import { getElevationProfile, summarizeElevationProfile, resolveRouteElevations } from '../core/elevation.js';
+import { calculateRouteStats, summarizeRouteStats } from '../core/route-stats.js';
+import { CURRENT_ROUTE_SURVEY } from '../core/storage.js';
+import { buildRouteDocument, getRouteCreateFields } from '../core/route-sync.js';
+import { calculateAccessibilityScore, summarizeAccessibilityScore } from '../core/accessibility-score.js';
+import { reviewSurvey, summarizeSurveyReview } from './survey-review.js';
+import { normalizeSurveyOption } from './survey-engine.js';
+import { t, getLanguage } from '../i18n/i18n.js';
+import { dialogs } from '../ui/dialog.js';
+import { getBackend } from '../data/backend.js';
 
 export class AuthController {
   constructor() {
@@ -16,6 +16,7 @@ export class AuthController {
     this.isInitialized = false;
     this.isSavingToCloud = false;     // Add this line
     this.isSelectingRoute = false;    // Add this line
+    this.syncIndicatorTimer = null;
     this.callbacks = {
       onLogin: [],
       onLogout: []
@@ -147,20 +148,24 @@ setupCloudButtonsWithRetry() {
   setTimeout(() => setupAttempt(), 3000);
 }
 
-  setupAuthStateListener() {
-    onAuthStateChanged(auth, (user) => {
-      this.currentUser = user;
-      this.updateUI(user);
-      
-      if (user) {
-        console.log('✅ User signed in:', user.email);
-        this.executeCallbacks('onLogin', user);
-        this.showCloudSyncIndicator('Connected to cloud');
-      } else {
-        console.log('👋 User signed out');
-        this.executeCallbacks('onLogout');
-      }
-    });
+  async setupAuthStateListener() {
+    try {
+      await getBackend().accounts.onChange((user) => {
+        this.currentUser = user;
+        this.updateUI(user);
+        
+        if (user) {
+          console.log('✅ User signed in:', user.email);
+          this.executeCallbacks('onLogin', user);
+          this.showCloudSyncIndicator('Connected to cloud');
+        } else {
+          console.log('👋 User signed out');
+          this.executeCallbacks('onLogout');
+        }
+      });
+    } catch (error) {
+      console.error('❌ Failed to setup auth listener:', error);
+    }
   }
 
   adjustLayoutForAuth() {
@@ -186,13 +191,9 @@ setupCloudButtonsWithRetry() {
     try {
       this.setButtonLoading(loginBtn, true);
       
-      const userCredential = await signInWithEmailAndPassword(
-        auth, 
-        emailInput.value, 
-        passwordInput.value
-      );
+      const user = await getBackend().accounts.signIn(emailInput.value, passwordInput.value);
       
-      console.log('✅ Login successful:', userCredential.user.email);
+      console.log('✅ Login successful:', user.email);
       this.closeAuthModal();
       this.showSuccessMessage('Welcome back! 🎉');
       
@@ -225,23 +226,11 @@ setupCloudButtonsWithRetry() {
     try {
       this.setButtonLoading(signupBtn, true);
       
-      const userCredential = await createUserWithEmailAndPassword(
-        auth, 
-        emailInput.value, 
-        passwordInput.value
-      );
-      
-      const user = userCredential.user;
+      const backend = getBackend();
+      const user = await backend.accounts.signUp(emailInput.value, passwordInput.value);
       
-      // Save user profile to Firestore
-      await setDoc(doc(db, "users", user.uid), {
-        uid: user.uid,
-        email: user.email,
-        name: nameInput.value,
-        createdAt: new Date().toISOString(),
-        routesCount: 0,
-        totalDistance: 0
-      });
+      // Save user profile to the cloud
+      await backend.users.createProfile(user, { name: nameInput.value });
       
       console.log('✅ Signup successful:', user.email);
       this.closeAuthModal();
@@ -259,19 +248,13 @@ setupCloudButtonsWithRetry() {
     try {
       this.showCloudSyncIndicator('Connecting to Google...');
       
-      const provider = new GoogleAuthProvider();
-      const result = await signInWithPopup(auth, provider);
-      const user = result.user;
+      const backend = getBackend();
+      const { user, isNewUser } = await backend.accounts.signInWithGoogle();
       
       // Check if this is a new user and save profile
-      if (result._tokenResponse?.isNewUser) {
-        await setDoc(doc(db, "users", user.uid), {
-          uid: user.uid,
-          email: user.email,
+      if (isNewUser) {
+        await backend.users.createProfile(user, {
           name: user.displayName || 'Google User',
-          createdAt: new Date().toISOString(),
-          routesCount: 0,
-          totalDistance: 0,
           provider: 'google'
         });
       }
@@ -293,10 +276,14 @@ setupCloudButtonsWithRetry() {
 
   async handleLogout() {
     try {
-      const confirmed = confirm('Are you sure you want to sign out?');
+      const confirmed = await dialogs.confirm({
+        title: 'Sign out',
+        message: 'Are you sure you want to sign out?',
+        confirmLabel: 'Sign out'
+      });
       if (!confirmed) return;
 
-      await signOut(auth);
+      await getBackend().accounts.signOut();
       console.log('👋 Logout successful');
       this.showSuccessMessage('See you next time! 👋');
       
@@ -459,7 +446,7 @@ setupCloudButtonsWithRetry() {
     setTimeout(() => successDiv.remove(), 4000);
   }
 
-  showCloudSyncIndicator(message) {
+  showCloudSyncIndicator(message, { persist = false } = {}) {
     const indicator = document.getElementById('cloudSyncIndicator');
     const textElement = indicator?.querySelector('.sync-text');
     
@@ -467,13 +454,37 @@ setupCloudButtonsWithRetry() {
       textElement.textContent = message;
       indicator.classList.remove('hidden');
       
-      // Auto-hide after 3 seconds
-      setTimeout(() => {
-        indicator.classList.add('hidden');
-      }, 3000);
+      // Auto-hide after 3 seconds; persistent messages stay until the next one replaces them
+      clearTimeout(this.syncIndicatorTimer);
+      if (!persist) {
+        this.syncIndicatorTimer = setTimeout(() => {
+          indicator.classList.add('hidden');
+        }, 3000);
+      }
     }
   }
 
+  // Cloud outbox state in the sync indicator - it stays up while uploads are waiting to go through
+  watchCloudOutbox(outbox) {
+    let waiting = false;
+    const update = ({ pending, syncing, failed }) => {
+      if (syncing > 0) {
+        this.showCloudSyncIndicator(`Uploading to cloud (${pending + syncing} left)...`, { persist: true });
+      } else if (pending > 0) {
+        const reason = navigator.onLine ? 'retrying shortly' : 'waiting for a connection';
+        this.showCloudSyncIndicator(`${pending} cloud upload(s) ${reason}`, { persist: true });
+      } else if (failed > 0) {
+        this.showCloudSyncIndicator(`${failed} cloud upload(s) failed - upload the route again to retry`);
+      } else if (waiting) {
+        this.showCloudSyncIndicator('All routes synced to cloud');
+      }
+      waiting = pending + syncing > 0;
+    };
+
+    outbox.onChange(update);
+    outbox.getSummary().then(update).catch(error => console.warn('Cloud outbox unavailable:', error));
+  }
+
   getFriendlyErrorMessage(errorCode) {
     const errorMessages = {
       'auth/user-not-found': 'No account found with this email address',
@@ -489,53 +500,9 @@ setupCloudButtonsWithRetry() {
   }
 
   // Cloud functionality methods
-// FIXED: Cloud save functionality - handles both current and saved routes
-// UPDATED: Simplified cloud save for auth controller (legacy route selection)
-async saveCurrentRouteToCloud() {
-  if (!this.currentUser) {
-    this.showAuthError('Please sign in to save routes to cloud');
-    return;
-  }
-
-  // This method now handles saved route selection only
-  const app = window.AccessNatureApp;
-  const state = app?.getController('state');
-  const savedSessions = state?.getSessions();
-  
-  if (!savedSessions || savedSessions.length === 0) {
-    alert('❌ No saved routes available to upload to cloud.\n\n💡 To save routes to cloud:\n• Start tracking and record a route\n• The route will be automatically saved to cloud after local save');
-    return;
-  }
-  
-  // Let user select from saved routes
-  const selectedRoute = this.selectRouteForCloudSave(savedSessions);
-  if (!selectedRoute) return;
-  
-  try {
-    this.showCloudSyncIndicator('Uploading saved route to cloud...');
-    
-    // Use the tracking controller's cloud save method
-    const trackingController = app?.getController('tracking');
-    if (trackingController && typeof trackingController.saveRouteToCloud === 'function') {
-      await trackingController.saveRouteToCloud(
-        selectedRoute.data,
-        selectedRoute,
-        null, // No accessibility data for old routes
-        this
-      );
-    } else {
-      throw new Error('Tracking controller not available');
-    }
-    
-  } catch (error) {
-    console.error('❌ Failed to upload saved route:', error);
-    this.showAuthError('Failed to upload route: ' + error.message);
-  }
-}
-
 // NEW: Let user select which saved route to upload to cloud
 // FIXED: Route selection with proper event handling
-selectRouteForCloudSave(sessions) {
+async selectRouteForCloudSave(sessions) {
   if (!sessions || sessions.length === 0) return null;
   
   // Prevent multiple rapid calls
@@ -547,37 +514,26 @@ selectRouteForCloudSave(sessions) {
   this.isSelectingRoute = true;
   
   try {
-    let message = '☁️ Select a route to save to cloud:\n\n';
-    sessions.forEach((session, index) => {
-      const date = new Date(session.date).toLocaleDateString();
-      const time = new Date(session.date).toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'});
-      const distance = session.totalDistance ? `${session.totalDistance.toFixed(2)} km` : '0 km';
-      const points = session.data ? session.data.length : 0;
-      
-      message += `${index + 1}. ${session.name}\n`;
-      message += `   📅 ${date} ${time} | 📏 ${distance} | 📍 ${points} points\n\n`;
+    const selectedRoute = await dialogs.selectFromList({
+      title: t('saveRoute.chooseCloudRoute'),
+      items: sessions.map(session => {
+        const date = new Date(session.date).toLocaleDateString();
+        const time = new Date(session.date).toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'});
+        const distance = session.totalDistance ? `${session.totalDistance.toFixed(2)} km` : '0 km';
+        const points = session.data ? session.data.length : 0;
+        
+        return { value: session, label: session.name, description: `📅 ${date} ${time} | 📏 ${distance} | 📍 ${t('saveRoute.routePoints', { points })}` };
+      })
     });
-
-    message += `Enter route number (1-${sessions.length}) or 0 to cancel:`;
-    
-    const choice = prompt(message);
     
     // Handle cancellation
-    if (choice === null || choice === '0' || choice === '') {
+    if (!selectedRoute) {
       console.log('Route selection cancelled');
       return null;
     }
     
-    const choiceNum = parseInt(choice);
-    
-    if (choiceNum >= 1 && choiceNum <= sessions.length) {
-      const selectedRoute = sessions[choiceNum - 1];
-      console.log('✅ Route selected:', selectedRoute.name);
-      return selectedRoute;
-    } else {
-      alert('❌ Invalid selection. Please try again.');
-      return null;
-    }
+    console.log('✅ Route selected:', selectedRoute.name);
+    return selectedRoute;
     
   } finally {
     // Always reset the flag
@@ -610,10 +566,11 @@ async saveCurrentRouteToCloud() {
     // Check for current route data first
     let routeDataToSave = state?.getRouteData();
     let routeInfo = null;
+    let surveyRouteId = CURRENT_ROUTE_SURVEY;
     
     if (!routeDataToSave || routeDataToSave.length === 0) {
       // No current route data, let user choose from saved routes
-      const savedSessions = state?.getSessions();
+      const savedSessions = await state?.getSessions();
       
       if (!savedSessions || savedSessions.length === 0) {
         alert('❌ No route data available to save to cloud.\n\n💡 To save routes to cloud:\n• Start tracking and record a route, OR\n• Save a route locally first, then upload it to cloud');
@@ -623,7 +580,7 @@ async saveCurrentRouteToCloud() {
       console.log('📂 No current route data, showing saved routes...');
       
       // Let user select from saved routes
-      const selectedRoute = this.selectRouteForCloudSave(savedSessions);
+      const selectedRoute = await this.selectRouteForCloudSave(savedSessions);
       if (!selectedRoute) {
         console.log('No route selected, cancelling cloud save');
         return;
@@ -631,20 +588,26 @@ async saveCurrentRouteToCloud() {
       
       routeDataToSave = selectedRoute.data;
       routeInfo = selectedRoute;
+      surveyRouteId = selectedRoute.id;
       
       console.log('✅ Selected route for cloud save:', selectedRoute.name);
     } else {
       // Use current route data
       console.log('📍 Using current route data for cloud save');
       
-      const routeName = prompt('Enter a name for this route:');
+      const routeName = await dialogs.prompt({
+        title: t('saveRoute.saveToCloud'),
+        label: t('saveRoute.cloudNameLabel'),
+        required: true,
+        confirmLabel: t('saveRoute.save')
+      });
       if (!routeName) {
         console.log('No route name provided, cancelling save');
         return;
       }
       
       routeInfo = {
-        name: routeName.trim(),
+        name: routeName,
         totalDistance: state?.getTotalDistance() || 0,
         elapsedTime: state?.getElapsedTime() || 0,
         date: new Date().toISOString()
@@ -656,63 +619,40 @@ async saveCurrentRouteToCloud() {
       return;
     }
 
+    // Photos kept in the local media store are inlined for upload
+    routeDataToSave = await state.resolveRouteMedia(routeDataToSave);
+
     // Show saving indicator
     this.showCloudSyncIndicator('Saving route to cloud...');
     console.log('☁️ Starting cloud save process for:', routeInfo.name);
     
-    // Get accessibility data if available
-    let accessibilityData = null;
-    try {
-      const storedAccessibilityData = localStorage.getItem('accessibilityData');
-      accessibilityData = storedAccessibilityData ? JSON.parse(storedAccessibilityData) : null;
-    } catch (error) {
-      console.warn('Could not load accessibility data:', error);
-    }
+    // The survey belongs to whichever route is being uploaded
+    const accessibilityData = await state.getRouteSurvey(surveyRouteId);
 
-    // Prepare route document for Firestore
-    const routeDoc = {
-      userId: this.currentUser.uid,
-      userEmail: this.currentUser.email,
-      routeName: routeInfo.name,
-      createdAt: new Date().toISOString(),
-      uploadedAt: new Date().toISOString(),
-      
-      // Route statistics
-      totalDistance: routeInfo.totalDistance || 0,
-      elapsedTime: routeInfo.elapsedTime || 0,
-      originalDate: routeInfo.date,
-      
-      // Route data
-      routeData: routeDataToSave,
-      
-      // Statistics for quick access
-      stats: {
-        locationPoints: routeDataToSave.filter(p => p.type === 'location').length,
-        photos: routeDataToSave.filter(p => p.type === 'photo').length,
-        notes: routeDataToSave.filter(p => p.type === 'text').length,
-        totalDataPoints: routeDataToSave.length
-      },
-      
-      // Accessibility information
-      accessibilityData: accessibilityData,
-      
-      // Technical info
-      deviceInfo: {
-        userAgent: navigator.userAgent,
-        timestamp: Date.now(),
-        appVersion: '1.0'
-      }
-    };
+    // Saved routes keep their cloud ID, so uploading one again updates its cloud copy
+    const cloudId = await state.assignCloudId(routeInfo.id);
+
+    const routeDoc = buildRouteDocument(routeDataToSave, routeInfo, accessibilityData, this.currentUser);
+
+    // The route and its trail guide wait in the cloud outbox until they reach Firestore
+    const outbox = state.cloudOutbox;
+    await outbox.enqueue({ collection: 'routes', docId: cloudId, routeId: routeInfo.id ?? null, name: routeInfo.name, data: routeDoc, createFields: getRouteCreateFields(routeDoc) });
+    await this.generateAndStoreTrailGuide(cloudId, routeDataToSave, routeInfo, accessibilityData);
 
     console.log('📤 Uploading route document to Firestore...');
+    const { status, error } = await outbox.uploadNow(cloudId);
+    if (status === 'failed') {
+      throw error;
+    }
 
-    // Import Firestore functions and save
-    const { collection, addDoc } = await import("https://www.gstatic.com/firebasejs/10.5.0/firebase-firestore.js");
-    
-    const docRef = await addDoc(collection(db, 'routes'), routeDoc);
+    if (status === 'queued') {
+      console.log('📮 Route queued for cloud upload:', cloudId);
+      this.showSuccessMessage(`☁️ "${routeInfo.name}" will be uploaded when the connection is back`);
+      return;
+    }
     
-    console.log('✅ Route saved to cloud successfully with ID:', docRef.id);
-    this.showSuccessMessage(`✅ "${routeInfo.name}" saved to cloud successfully! ☁️`);
+    console.log('✅ Route saved to cloud successfully with ID:', cloudId);
+    this.showSuccessMessage(`✅ "${routeInfo.name}" saved to cloud with trail guide! ☁️`);
     
     // Update user stats (optional)
     await this.updateUserStats();
@@ -733,14 +673,6 @@ async saveCurrentRouteToCloud() {
   } finally {
     // Always reset the saving flag
     this.isSavingToCloud = false;
-    
-    // Hide sync indicator after a delay
-    setTimeout(() => {
-      const indicator = document.getElementById('cloudSyncIndicator');
-      if (indicator) {
-        indicator.classList.add('hidden');
-      }
-    }, 2000);
   }
 }
 
@@ -829,170 +761,10 @@ debounce(func, wait) {
 }
 
 
-// UPDATED: Enhanced route loading with better feedback
-async loadUserRoutes() {
-  if (!this.currentUser) {
-    this.showAuthError('Please sign in to load your routes');
-    return;
-  }
-
-  try {
-    this.showCloudSyncIndicator('Loading your cloud routes...');
-
-    // Import Firestore functions
-    const { collection, query, where, orderBy, getDocs } = await import("https://www.gstatic.com/firebasejs/10.5.0/firebase-firestore.js");
-    
-    const routesQuery = query(
-      collection(db, 'routes'),
-      where('userId', '==', this.currentUser.uid),
-      orderBy('createdAt', 'desc')
-    );
-
-    const querySnapshot = await getDocs(routesQuery);
-    const routes = [];
-    
-    querySnapshot.forEach(doc => {
-      const data = doc.data();
-      routes.push({
-        id: doc.id,
-        ...data,
-        // Add computed fields for display
-        displayDate: new Date(data.createdAt).toLocaleDateString(),
-        displayTime: new Date(data.createdAt).toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'}),
-        locationCount: data.stats?.locationPoints || 0,
-        photoCount: data.stats?.photos || 0,
-        noteCount: data.stats?.notes || 0
-      });
-    });
-
-    if (routes.length === 0) {
-      alert('📂 No cloud routes found.\n\n💡 To create cloud routes:\n• Start tracking and record a route\n• Save it locally\n• Then upload it to cloud using "☁️ Save to Cloud"');
-      return;
-    }
-
-    this.showCloudRoutesList(routes);
-    this.showSuccessMessage(`📂 Found ${routes.length} cloud route${routes.length !== 1 ? 's' : ''}!`);
-    
-  } catch (error) {
-    console.error('❌ Failed to load routes:', error);
-    
-    if (error.code === 'permission-denied') {
-      this.showAuthError('Permission denied. Please check your Firestore security rules.');
-    } else {
-      this.showAuthError('Failed to load routes: ' + error.message);
-    }
-  }
-}
-
-// UPDATED: Better cloud routes display with more info
-showCloudRoutesList(routes) {
-  let message = '☁️ Your Cloud Routes:\n\n';
-  
-  routes.forEach((route, index) => {
-    message += `${index + 1}. ${route.routeName}\n`;
-    message += `   📅 ${route.displayDate} ${route.displayTime}\n`;
-    message += `   📏 ${route.totalDistance?.toFixed(2) || 0} km`;
-    message += ` | 📍 ${route.locationCount} GPS`;
-    message += ` | 📷 ${route.photoCount} photos`;
-    message += ` | 📝 ${route.noteCount} notes\n`;
-    
-    // Show accessibility info if available
-    if (route.accessibilityData?.wheelchairAccess) {
-      message += `   ♿ ${route.accessibilityData.wheelchairAccess}\n`;
-    }
-    
-    message += '\n';
-  });
-
-  message += `Select a route to load (1-${routes.length}):`;
-  
-  const selectedIndex = prompt(message);
-  const index = parseInt(selectedIndex) - 1;
-  
-  if (index >= 0 && index < routes.length) {
-    this.loadCloudRouteData(routes[index]);
-  }
-}
-
-// FIXED: Enhanced route loading with proper map display
-async loadCloudRouteData(route) {
-  const confirmed = confirm(`Load "${route.routeName}"?\n\nThis will clear your current route data.`);
-  if (!confirmed) return;
-
-  const app = window.AccessNatureApp;
-  const state = app?.getController('state');
-  const mapController = app?.getController('map');
-  const timerController = app?.getController('timer');
-  
-  if (state && route.routeData) {
-    try {
-      console.log(`📥 Loading cloud route: ${route.routeName}`);
-      
-      // Clear current data completely
-      state.clearRouteData();
-      
-      // FIXED: Stop any running timers
-      if (timerController) {
-        timerController.reset();
-      }
-      
-      // Load route data into state
-      route.routeData.forEach(point => {
-        state.addRoutePoint(point);
-      });
-      
-      // FIXED: Rebuild path points for map display
-      const locationPoints = route.routeData.filter(p => p.type === 'location' && p.coords);
-      locationPoints.forEach(p => {
-        state.addPathPoint(p.coords);
-      });
-      
-      // Update distance and time
-      if (route.totalDistance) {
-        state.updateDistance(route.totalDistance);
-      }
-      if (route.elapsedTime) {
-        state.setElapsedTime(route.elapsedTime);
-        // Set timer display without starting it
-        if (timerController) {
-          timerController.setElapsedTime(route.elapsedTime);
-        }
-      }
-
-      // Load accessibility data if available
-      if (route.accessibilityData) {
-        localStorage.setItem('accessibilityData', JSON.stringify(route.accessibilityData));
-      }
-
-      // FIXED: Display route on map using the enhanced method
-      if (mapController && typeof mapController.showRouteData === 'function') {
-        console.log('🗺️ Displaying route on map...');
-        mapController.showRouteData(route.routeData);
-        console.log('✅ Route displayed on map');
-      } else {
-        console.warn('⚠️ Map controller showRouteData method not available');
-      }
-
-      this.showSuccessMessage(`✅ "${route.routeName}" loaded from cloud!`);
-      console.log('✅ Cloud route loaded successfully:', route.routeName);
-      
-    } catch (error) {
-      console.error('❌ Failed to load cloud route:', error);
-      this.showAuthError('Failed to load route: ' + error.message);
-    }
-  }
-}
-
 // NEW: Update user statistics (optional)
 async updateUserStats() {
   try {
-    const { doc, updateDoc, increment } = await import("https://www.gstatic.com/firebasejs/10.5.0/firebase-firestore.js");
-    
-    const userRef = doc(db, 'users', this.currentUser.uid);
-    await updateDoc(userRef, {
-      routesCount: increment(1),
-      lastUpload: new Date().toISOString()
-    });
+    await getBackend().users.recordUpload(this.currentUser.uid);
     
   } catch (error) {
     console.warn('Failed to update user stats:', error);
@@ -1000,98 +772,22 @@ async updateUserStats() {
   }
 }
 
+  // Cloud routes are synced into the route library, where each stays linked to its cloud copy
   async loadUserRoutes() {
     if (!this.currentUser) {
       this.showAuthError('Please sign in to load your routes');
       return;
     }
 
-    try {
-      this.showCloudSyncIndicator('Loading your routes...');
-
-      // Import Firestore functions
-      const { collection, query, where, orderBy, getDocs } = await import("https://www.gstatic.com/firebasejs/10.5.0/firebase-firestore.js");
-      
-      const routesQuery = query(
-        collection(db, 'routes'),
-        where('userId', '==', this.currentUser.uid),
-        orderBy('createdAt', 'desc')
-      );
-
-      const querySnapshot = await getDocs(routesQuery);
-      const routes = [];
-      
-      querySnapshot.forEach(doc => {
-        routes.push({
-          id: doc.id,
-          ...doc.data()
-        });
-      });
-
-      if (routes.length === 0) {
-        alert('No cloud routes found. Start tracking and save your first route!');
-        return;
-      }
-
-      this.showRoutesList(routes);
-      this.showSuccessMessage(`Found ${routes.length} cloud routes!`);
-      
-    } catch (error) {
-      console.error('❌ Failed to load routes:', error);
-      this.showAuthError('Failed to load routes: ' + error.message);
-    }
-  }
-
-  showRoutesList(routes) {
-    const routeNames = routes.map(route => 
-      `${route.routeName} (${new Date(route.createdAt).toLocaleDateString()}) - ${route.totalDistance?.toFixed(2) || 0} km`
-    );
-
-    const selectedIndex = prompt(
-      `Select a route to load:\n${routeNames.map((name, i) => `${i + 1}. ${name}`).join('\n')}\n\nEnter number (1-${routes.length}):`
-    );
-
-    const index = parseInt(selectedIndex) - 1;
-    if (index >= 0 && index < routes.length) {
-      this.loadRouteData(routes[index]);
-    }
-  }
-
-  loadRouteData(route) {
-  const confirmed = confirm(`Load "${route.routeName}"? This will clear your current route data.`);
-  if (!confirmed) return;
-
-  const app = window.AccessNatureApp;
-  const state = app?.getController('state');
-  const mapController = app?.getController('map');
-  
-  if (state) {
-    // Clear current route
-    state.clearRouteData();
-    
-    // Load route data
-    route.routeData.forEach(point => {
-      state.addRoutePoint(point);
-    });
-    
-    // Set distance and time
-    if (route.totalDistance) {
-      state.updateDistance(route.totalDistance);
-    }
-    if (route.elapsedTime) {
-      state.setElapsedTime(route.elapsedTime);
-    }
-
-    // FIXED: Force map to show route
-    if (mapController) {
-      console.log('🗺️ Displaying cloud route on map...');
-      mapController.showRouteData(route.routeData);
+    const library = window.AccessNatureApp?.getController('library');
+    if (!library) {
+      this.showAuthError('The route library is not available on this page');
+      return;
     }
 
-    this.showSuccessMessage('Route loaded successfully!');
-    console.log('✅ Route loaded:', route.routeName);
+    await library.open();
+    await library.runAction(() => library.syncRoutes());
   }
-}
 
   // Event callback system
   onLogin(callback) {
@@ -1131,23 +827,6 @@ async updateUserStats() {
     delete window.switchToSignup;
   }
 
-  // UPDATED: Enhanced cloud save with auto HTML generation
-async saveCurrentRouteToCloud() {
-  // ... keep existing code until after docRef is created ...
-  
-  const docRef = await addDoc(collection(db, 'routes'), routeDoc);
-  
-  console.log('✅ Route saved to cloud successfully with ID:', docRef.id);
-  
-  // NEW: Auto-generate trail guide HTML
-  await this.generateAndStoreTrailGuide(docRef.id, routeDataToSave, routeInfo, accessibilityData);
-  
-  this.showSuccessMessage(`✅ "${routeInfo.name}" saved to cloud with trail guide! ☁️`);
-  
-  // Update user stats (optional)
-  await this.updateUserStats();
-}
-
 // NEW: Generate and store HTML trail guide automatically
 async generateAndStoreTrailGuide(routeId, routeData, routeInfo, accessibilityData) {
   try {
@@ -1162,7 +841,19 @@ async generateAndStoreTrailGuide(routeId, routeData, routeInfo, accessibilityDat
       return;
     }
     
-    const htmlContent = exportController.generateRouteSummaryHTML(routeData, routeInfo, accessibilityData);
+    // The guide page embeds photos, so any still referencing the local media store are inlined
+    const state = app?.getController('state');
+    if (state) {
+      routeData = await state.resolveRouteMedia(routeData);
+    }
+
+    // Routes uploaded without a slope profile get one now so the guide includes the elevation chart
+    if (!getElevationProfile(routeData, routeInfo)) {
+      await resolveRouteElevations(routeData);
+    }
+    const elevationProfile = getElevationProfile(routeData, routeInfo);
+    
+    const htmlContent = exportController.generateRouteSummaryHTML(routeData, { ...routeInfo, elevationProfile }, accessibilityData);
     
     // Create trail guide document
     const trailGuideDoc = {
@@ -1171,8 +862,8 @@ async generateAndStoreTrailGuide(routeId, routeData, routeInfo, accessibilityDat
       userId: this.currentUser.uid,
       userEmail: this.currentUser.email,
       htmlContent: htmlContent,
+      language: getLanguage(),
       generatedAt: new Date().toISOString(),
-      isPublic: false, // Private by default
       
       // Enhanced metadata for search and discovery
       metadata: {
@@ -1181,24 +872,38 @@ async generateAndStoreTrailGuide(routeId, routeData, routeInfo, accessibilityDat
         originalDate: routeInfo.date,
         locationCount: routeData.filter(p => p.type === 'location').length,
         photoCount: routeData.filter(p => p.type === 'photo').length,
-        noteCount: routeData.filter(p => p.type === 'text').length
+        noteCount: routeData.filter(p => p.type === 'text').length,
+        restPointCount: routeData.filter(p => p.type === 'stop').length,
+        elevation: summarizeElevationProfile(elevationProfile),
+        movement: summarizeRouteStats(calculateRouteStats(routeData, { ...routeInfo, elevationProfile }))
       },
       
       // Accessibility features for search
       accessibility: accessibilityData ? {
-        wheelchairAccess: accessibilityData.wheelchairAccess || 'Unknown',
+        wheelchairAccess: normalizeSurveyOption('wheelchairAccess', accessibilityData.wheelchairAccess) || 'Unknown',
         trailSurface: accessibilityData.trailSurface || 'Unknown',
         difficulty: accessibilityData.difficulty || 'Unknown',
         facilities: accessibilityData.facilities || [],
         location: accessibilityData.location || 'Unknown'
       } : null,
       
+      // Computed per-profile scores for filtering and sorting
+      accessibilityScore: summarizeAccessibilityScore(calculateAccessibilityScore(routeData, { ...routeInfo, elevationProfile }, accessibilityData)),
+      
+      // Flagged when the survey is incomplete or contradicts the recorded route
+      review: summarizeSurveyReview(reviewSurvey(accessibilityData, routeData, { ...routeInfo, elevationProfile })),
+      
       // Technical info
       stats: {
         fileSize: new Blob([htmlContent]).size,
         version: '1.0',
         generatedBy: 'Access Nature App'
-      },
+      }
+    };
+    
+    // Set when the guide is first uploaded; uploading the route again keeps its visibility and community activity
+    const createFields = {
+      isPublic: false, // Private by default
       
       // Community features (for future)
       community: {
@@ -1210,11 +915,17 @@ async generateAndStoreTrailGuide(routeId, routeData, routeInfo, accessibilityDat
       }
     };
     
-    // Import Firestore and save trail guide
-    const { collection, addDoc } = await import("https://www.gstatic.com/firebasejs/10.5.0/firebase-firestore.js");
-    const guideRef = await addDoc(collection(db, 'trail_guides'), trailGuideDoc);
+    // Queue the trail guide under the route's cloud ID; it's sent after the route
+    await state.cloudOutbox.enqueue({
+      collection: 'trail_guides',
+      docId: routeId,
+      routeId: routeInfo.id ?? null,
+      name: routeInfo.name,
+      data: trailGuideDoc,
+      createFields
+    });
     
-    console.log('✅ Trail guide generated and stored with ID:', guideRef.id);
+    console.log('✅ Trail guide generated and queued with ID:', routeId);
     
   } catch (error) {
     console.error('❌ Failed to generate trail guide:', error);
@@ -1223,52 +934,10 @@ async generateAndStoreTrailGuide(routeId, routeData, routeInfo, accessibilityDat
   }
 }
 
-// NEW: Make trail guide public/private
-async toggleTrailGuideVisibility(guideId, makePublic) {
-  try {
-    const { doc, updateDoc } = await import("https://www.gstatic.com/firebasejs/10.5.0/firebase-firestore.js");
-    
-    const updateData = {
-      isPublic: makePublic,
-      lastModified: new Date().toISOString()
-    };
-    
-    if (makePublic) {
-      updateData.publishedAt = new Date().toISOString();
-    }
-    
-    await updateDoc(doc(db, 'trail_guides', guideId), updateData);
-    
-    this.showSuccessMessage(`✅ Trail guide ${makePublic ? 'published' : 'made private'}!`);
-    
-  } catch (error) {
-    console.error('❌ Failed to update trail guide visibility:', error);
-    this.showAuthError('Failed to update guide visibility: ' + error.message);
-  }
-}
-
 // NEW: Get user's trail guides with management options
 async getUserTrailGuides() {
   try {
-    const { collection, query, where, orderBy, getDocs } = await import("https://www.gstatic.com/firebasejs/10.5.0/firebase-firestore.js");
-    
-    const guidesQuery = query(
-      collection(db, 'trail_guides'),
-      where('userId', '==', this.currentUser.uid),
-      orderBy('generatedAt', 'desc')
-    );
-    
-    const querySnapshot = await getDocs(guidesQuery);
-    const guides = [];
-    
-    querySnapshot.forEach(doc => {
-      guides.push({
-        id: doc.id,
-        ...doc.data()
-      });
-    });
-    
-    return guides;
+    return await getBackend().trailGuides.listByUser(this.currentUser.uid, { newestFirst: true });
     
   } catch (error) {
     console.error('❌ Failed to load trail guides:', error);
@@ -1279,39 +948,23 @@ async getUserTrailGuides() {
 // NEW: Search public trail guides
 async searchPublicTrailGuides(filters = {}) {
   try {
-    const { collection, query, where, orderBy, limit, getDocs } = await import("https://www.gstatic.com/firebasejs/10.5.0/firebase-firestore.js");
-    
-    let guidesQuery = query(
-      collection(db, 'trail_guides'),
-      where('isPublic', '==', true),
-      orderBy('generatedAt', 'desc'),
-      limit(50) // Limit for performance
-    );
-    
-    // Add filters if provided
-    if (filters.wheelchairAccess) {
-      guidesQuery = query(guidesQuery, where('accessibility.wheelchairAccess', '==', filters.wheelchairAccess));
-    }
-    
-    const querySnapshot = await getDocs(guidesQuery);
-    const guides = [];
-    
-    querySnapshot.forEach(doc => {
-      const data = doc.data();
-      guides.push({
-        id: doc.id,
-        routeName: data.routeName,
-        userEmail: data.userEmail,
-        generatedAt: data.generatedAt,
-        metadata: data.metadata,
-        accessibility: data.accessibility,
-        community: data.community,
-        // Don't include full HTML content in search results for performance
-        hasHtml: !!data.htmlContent
-      });
+    const guides = await getBackend().trailGuides.listPublic({
+      wheelchairAccess: filters.wheelchairAccess,
+      newestFirst: true,
+      limit: 50 // Limit for performance
     });
     
-    return guides;
+    return guides.map(data => ({
+      id: data.id,
+      routeName: data.routeName,
+      userEmail: data.userEmail,
+      generatedAt: data.generatedAt,
+      metadata: data.metadata,
+      accessibility: data.accessibility,
+      community: data.community,
+      // Don't include full HTML content in search results for performance
+      hasHtml: !!data.htmlContent
+    }));
     
   } catch (error) {
     console.error('❌ Failed to search trail guides:', error);
@@ -1322,26 +975,17 @@ async searchPublicTrailGuides(filters = {}) {
 // NEW: Get specific trail guide with HTML content
 async getTrailGuide(guideId) {
   try {
-    const { doc, getDoc, updateDoc, increment } = await import("https://www.gstatic.com/firebasejs/10.5.0/firebase-firestore.js");
-    
-    const guideRef = doc(db, 'trail_guides', guideId);
-    const guideSnap = await getDoc(guideRef);
+    const trailGuides = getBackend().trailGuides;
+    const guide = await trailGuides.get(guideId);
     
-    if (!guideSnap.exists()) {
+    if (!guide) {
       throw new Error('Trail guide not found');
     }
     
-    const guideData = guideSnap.data();
-    
     // Increment view count
-    await updateDoc(guideRef, {
-      'community.views': increment(1)
-    });
+    await trailGuides.recordView(guideId);
     
-    return {
-      id: guideSnap.id,
-      ...guideData
-    };
+    return guide;
     
   } catch (error) {
     console.error('❌ Failed to get trail guide:', error);
@@ -1359,8 +1003,6 @@ async rateTrailGuide(guideId, rating, review = '') {
   }
 
   try {
-    const { doc, updateDoc, arrayUnion } = await import("https://www.gstatic.com/firebasejs/10.5.0/firebase-firestore.js");
-    
     const ratingData = {
       userId: this.currentUser.uid,
       userEmail: this.currentUser.email,
@@ -1369,13 +1011,8 @@ async rateTrailGuide(guideId, rating, review = '') {
       timestamp: new Date().toISOString()
     };
 
-    // Add rating to trail guide
-    await updateDoc(doc(db, 'trail_guides', guideId), {
-      'community.ratings': arrayUnion(ratingData)
-    });
-
-    // Recalculate average rating
-    await this.updateAverageRating(guideId);
+    // Add rating to trail guide; the average rating is recalculated with it
+    await getBackend().ratings.add(guideId, ratingData);
 
     this.showSuccessMessage('✅ Rating submitted successfully!');
 
@@ -1385,63 +1022,10 @@ async rateTrailGuide(guideId, rating, review = '') {
   }
 }
 
-// NEW: Update average rating for a trail guide
-async updateAverageRating(guideId) {
-  try {
-    const { doc, getDoc, updateDoc } = await import("https://www.gstatic.com/firebasejs/10.5.0/firebase-firestore.js");
-    
-    const guideRef = doc(db, 'trail_guides', guideId);
-    const guideSnap = await getDoc(guideRef);
-    
-    if (guideSnap.exists()) {
-      const data = guideSnap.data();
-      const ratings = data.community?.ratings || [];
-      
-      if (ratings.length > 0) {
-        const average = ratings.reduce((sum, r) => sum + r.rating, 0) / ratings.length;
-        
-        await updateDoc(guideRef, {
-          'community.averageRating': Math.round(average * 10) / 10 // Round to 1 decimal
-        });
-      }
-    }
-
-  } catch (error) {
-    console.error('❌ Failed to update average rating:', error);
-  }
-}
-
 // NEW: Search trails by region
 async searchTrailsByRegion(region, filters = {}) {
   try {
-    const { collection, query, where, orderBy, limit, getDocs } = await import("https://www.gstatic.com/firebasejs/10.5.0/firebase-firestore.js");
-    
-    let guidesQuery = query(
-      collection(db, 'trail_guides'),
-      where('isPublic', '==', true),
-      where('accessibility.location', '>=', region),
-      where('accessibility.location', '<=', region + '\uf8ff'),
-      orderBy('accessibility.location'),
-      orderBy('generatedAt', 'desc'),
-      limit(50)
-    );
-
-    // Apply additional filters
-    if (filters.wheelchairAccess) {
-      guidesQuery = query(guidesQuery, where('accessibility.wheelchairAccess', '==', filters.wheelchairAccess));
-    }
-
-    const querySnapshot = await getDocs(guidesQuery);
-    const guides = [];
-    
-    querySnapshot.forEach(doc => {
-      guides.push({
-        id: doc.id,
-        ...doc.data()
-      });
-    });
-
-    return guides;
+    return await getBackend().trailGuides.searchByRegion(region, { wheelchairAccess: filters.wheelchairAccess });
 
   } catch (error) {
     console.error('❌ Failed to search trails by region:', error);
@@ -1452,25 +1036,7 @@ async searchTrailsByRegion(region, filters = {}) {
 // NEW: Get trail guide versions (for future versioning feature)
 async getTrailGuideVersions(routeId) {
   try {
-    const { collection, query, where, orderBy, getDocs } = await import("https://www.gstatic.com/firebasejs/10.5.0/firebase-firestore.js");
-    
-    const versionsQuery = query(
-      collection(db, 'trail_guides'),
-      where('routeId', '==', routeId),
-      orderBy('generatedAt', 'desc')
-    );
-
-    const querySnapshot = await getDocs(versionsQuery);
-    const versions = [];
-    
-    querySnapshot.forEach(doc => {
-      versions.push({
-        id: doc.id,
-        ...doc.data()
-      });
-    });
-
-    return versions;
+    return await getBackend().trailGuides.listByRoute(routeId);
 
   } catch (error) {
     console.error('❌ Failed to get trail guide versions:', error);
@@ -1488,6 +1054,7 @@ async updateTrailGuide(originalGuideId, routeData, routeInfo, accessibilityData)
       userId: this.currentUser.uid,
       userEmail: this.currentUser.email,
       htmlContent: this.generateRouteSummaryHTML(routeData, routeInfo, accessibilityData),
+      language: getLanguage(),
       generatedAt: new Date().toISOString(),
       isPublic: false, // New version starts private
       
@@ -1505,17 +1072,26 @@ async updateTrailGuide(originalGuideId, routeData, routeInfo, accessibilityData)
         originalDate: routeInfo.date,
         locationCount: routeData.filter(p => p.type === 'location').length,
         photoCount: routeData.filter(p => p.type === 'photo').length,
-        noteCount: routeData.filter(p => p.type === 'text').length
+        noteCount: routeData.filter(p => p.type === 'text').length,
+        restPointCount: routeData.filter(p => p.type === 'stop').length,
+        elevation: summarizeElevationProfile(getElevationProfile(routeData, routeInfo)),
+        movement: summarizeRouteStats(calculateRouteStats(routeData, routeInfo))
       },
       
       accessibility: accessibilityData ? {
-        wheelchairAccess: accessibilityData.wheelchairAccess || 'Unknown',
+        wheelchairAccess: normalizeSurveyOption('wheelchairAccess', accessibilityData.wheelchairAccess) || 'Unknown',
         trailSurface: accessibilityData.trailSurface || 'Unknown',
         difficulty: accessibilityData.difficulty || 'Unknown',
         facilities: accessibilityData.facilities || [],
         location: accessibilityData.location || 'Unknown'
       } : null,
       
+      // Computed per-profile scores for filtering and sorting
+      accessibilityScore: summarizeAccessibilityScore(calculateAccessibilityScore(routeData, routeInfo, accessibilityData)),
+      
+      // Flagged when the survey is incomplete or contradicts the recorded route
+      review: summarizeSurveyReview(reviewSurvey(accessibilityData, routeData, routeInfo)),
+      
       community: {
         views: 0,
         downloads: 0,
@@ -1525,11 +1101,10 @@ async updateTrailGuide(originalGuideId, routeData, routeInfo, accessibilityData)
       }
     };
 
-    const { collection, addDoc } = await import("https://www.gstatic.com/firebasejs/10.5.0/firebase-firestore.js");
-    const newGuideRef = await addDoc(collection(db, 'trail_guides'), newGuideDoc);
+    const newGuideId = await getBackend().trailGuides.create(newGuideDoc);
 
     this.showSuccessMessage('✅ Trail guide updated with new version!');
-    return newGuideRef.id;
+    return newGuideId;
 
   } catch (error) {
     console.error('❌ Failed to update trail guide:', error);
@@ -1545,29 +1120,14 @@ async makeAllMyGuidesPublic() {
   }
   
   try {
-    const { collection, query, where, getDocs, doc, updateDoc } = await import("https://www.gstatic.com/firebasejs/10.5.0/firebase-firestore.js");
+    const trailGuides = getBackend().trailGuides;
     
     // Get user's private guides
-    const myGuidesQuery = query(
-      collection(db, 'trail_guides'),
-      where('userId', '==', this.currentUser.uid),
-      where('isPublic', '==', false)
-    );
-    
-    const snapshot = await getDocs(myGuidesQuery);
-    console.log(`Found ${snapshot.size} private guides to make public`);
+    const privateGuides = await trailGuides.listByUser(this.currentUser.uid, { isPublic: false });
+    console.log(`Found ${privateGuides.length} private guides to make public`);
     
     // Make them public
-    const updatePromises = [];
-    snapshot.forEach(docSnap => {
-      const guideRef = doc(db, 'trail_guides', docSnap.id);
-      updatePromises.push(updateDoc(guideRef, {
-        isPublic: true,
-        publishedAt: new Date().toISOString()
-      }));
-    });
-    
-    await Promise.all(updatePromises);
+    await Promise.all(privateGuides.map(guide => trailGuides.setVisibility(guide.id, true)));
     console.log('✅ Made all guides public');
     
   } catch (error) {
@@ -1586,47 +1146,19 @@ async loadMyTrailGuides() {
     console.log('📂 Loading user trail guides...');
     this.showCloudSyncIndicator('Loading your trail guides...');
     
-    // Import Firestore functions with timeout
-    const { collection, query, where, orderBy, getDocs } = await import("https://www.gstatic.com/firebasejs/10.5.0/firebase-firestore.js");
-    
-    // Create query with error handling
-    let guidesQuery;
-    try {
-      guidesQuery = query(
-        collection(db, 'trail_guides'),
-        where('userId', '==', this.currentUser.uid),
-        orderBy('generatedAt', 'desc')
-      );
-    } catch (indexError) {
-      console.warn('Index not available, using simple query:', indexError);
-      // Fallback to simple query without orderBy
-      guidesQuery = query(
-        collection(db, 'trail_guides'),
-        where('userId', '==', this.currentUser.uid)
-      );
-    }
-
-    console.log('📤 Executing Firestore query...');
+    console.log('📤 Executing trail guides query...');
     
     // Add timeout to the query
-    const queryPromise = getDocs(guidesQuery);
+    const queryPromise = getBackend().trailGuides.listByUser(this.currentUser.uid);
     const timeoutPromise = new Promise((_, reject) => 
       setTimeout(() => reject(new Error('Query timeout')), 10000)
     );
     
-    const querySnapshot = await Promise.race([queryPromise, timeoutPromise]);
+    const guides = await Promise.race([queryPromise, timeoutPromise]);
     
     console.log('📥 Query completed, processing results...');
     
-    const guides = [];
-    querySnapshot.forEach(doc => {
-      guides.push({
-        id: doc.id,
-        ...doc.data()
-      });
-    });
-    
-    // Sort client-side if we used simple query (no orderBy)
+    // Sorted client-side, so the query needs no index
     guides.sort((a, b) => new Date(b.generatedAt) - new Date(a.generatedAt));
     
     console.log(`✅ Found ${guides.length} user trail guides`);
@@ -1664,26 +1196,24 @@ async loadMyTrailGuides() {
 }
 
 // Manage individual guide
-manageGuide(guide) {
-  const actions = `🌐 Manage "${guide.routeName}":
-
-1. 👁️ View Trail Guide
-2. ${guide.isPublic ? '🔒 Make Private' : '🌍 Make Public'}
-3. 🗑️ Delete Guide
-4. ❌ Cancel
-
-Enter your choice (1-4):`;
-
-  const choice = prompt(actions);
+async manageGuide(guide) {
+  const choice = await dialogs.selectFromList({
+    title: `🌐 Manage "${guide.routeName}"`,
+    items: [
+      { value: 'view', label: '👁️ View Trail Guide' },
+      { value: 'visibility', label: guide.isPublic ? '🔒 Make Private' : '🌍 Make Public' },
+      { value: 'delete', label: '🗑️ Delete Guide' }
+    ]
+  });
   
   switch (choice) {
-    case '1':
+    case 'view':
       this.viewTrailGuide(guide.id);
       break;
-    case '2':
+    case 'visibility':
       this.toggleTrailGuideVisibility(guide.id, !guide.isPublic);
       break;
-    case '3':
+    case 'delete':
       this.deleteTrailGuide(guide.id);
       break;
     default:
@@ -1693,30 +1223,30 @@ Enter your choice (1-4):`;
 }
 
 // NEW: Display user's guides in the panel
-displayMyGuides(guides) {
-  let message = '🌐 Your Trail Guides:\n\n';
-  
-  guides.forEach((guide, index) => {
+async displayMyGuides(guides) {
+  const items = guides.map(guide => {
     const date = new Date(guide.generatedAt).toLocaleDateString();
     const stats = guide.metadata || {};
     const visibility = guide.isPublic ? '🌍 Public' : '🔒 Private';
     
-    message += `${index + 1}. ${guide.routeName} ${visibility}\n`;
-    message += `   📅 ${date} | 📏 ${(stats.totalDistance || 0).toFixed(1)} km\n`;
-    message += `   📍 ${stats.locationCount || 0} GPS | 📷 ${stats.photoCount || 0} photos\n`;
+    let description = `${visibility}\n`;
+    description += `📅 ${date} | 📏 ${(stats.totalDistance || 0).toFixed(1)} km\n`;
+    description += `📍 ${stats.locationCount || 0} GPS | 📷 ${stats.photoCount || 0} photos`;
     if (guide.community?.views) {
-      message += `   👁️ ${guide.community.views} views\n`;
+      description += `\n👁️ ${guide.community.views} views`;
     }
-    message += '\n';
+    
+    return { value: guide, label: guide.routeName, description };
   });
 
-  message += `Select a guide to manage (1-${guides.length}), or 0 to cancel:`;
-  
-  const choice = prompt(message);
-  const choiceNum = parseInt(choice);
+  const guide = await dialogs.selectFromList({
+    title: '🌐 Your Trail Guides',
+    message: 'Select a guide to manage:',
+    items
+  });
   
-  if (choiceNum >= 1 && choiceNum <= guides.length) {
-    this.manageGuide(guides[choiceNum - 1]);
+  if (guide) {
+    this.manageGuide(guide);
   }
 }
 
@@ -1762,23 +1292,16 @@ async toggleTrailGuideVisibility(guideId, makePublic) {
     ? 'This will make your trail guide visible to everyone in the community search.' 
     : 'This will hide your trail guide from public search.';
     
-  const confirmed = confirm(`${warning}\n\nAre you sure you want to ${action} this trail guide?`);
+  const confirmed = await dialogs.confirm({
+    title: makePublic ? '🌍 Publish trail guide' : '🔒 Make trail guide private',
+    message: `${warning}\n\nAre you sure you want to ${action} this trail guide?`,
+    confirmLabel: makePublic ? 'Publish' : 'Make private'
+  });
   
   if (!confirmed) return;
 
   try {
-    const { doc, updateDoc } = await import("https://www.gstatic.com/firebasejs/10.5.0/firebase-firestore.js");
-    
-    const updateData = {
-      isPublic: makePublic,
-      lastModified: new Date().toISOString()
-    };
-    
-    if (makePublic) {
-      updateData.publishedAt = new Date().toISOString();
-    }
-    
-    await updateDoc(doc(db, 'trail_guides', guideId), updateData);
+    await getBackend().trailGuides.setVisibility(guideId, makePublic);
     
     this.showSuccessMessage(`✅ Trail guide ${makePublic ? 'published' : 'made private'}!`);
     
@@ -1794,14 +1317,17 @@ async toggleTrailGuideVisibility(guideId, makePublic) {
 // NEW: Delete trail guide
 // Delete trail guide
 async deleteTrailGuide(guideId) {
-  const confirmed = confirm('⚠️ Are you sure you want to permanently delete this trail guide?\n\nThis action cannot be undone!');
+  const confirmed = await dialogs.confirm({
+    title: '⚠️ Delete trail guide',
+    message: 'Are you sure you want to permanently delete this trail guide?\n\nThis action cannot be undone!',
+    confirmLabel: 'Delete',
+    danger: true
+  });
   
   if (!confirmed) return;
 
   try {
-    const { doc, deleteDoc } = await import("https://www.gstatic.com/firebasejs/10.5.0/firebase-firestore.js");
-    
-    await deleteDoc(doc(db, 'trail_guides', guideId));
+    await getBackend().trailGuides.delete(guideId);
     
     this.showSuccessMessage('✅ Trail guide deleted!');
     
@@ -1822,26 +1348,13 @@ async testLoadGuides() {
     console.log('🧪 Testing guide loading...');
     alert('Loading guides... check console for progress');
     
-    const { collection, query, where, getDocs } = await import("https://www.gstatic.com/firebasejs/10.5.0/firebase-firestore.js");
-    
     // Simple query without orderBy to avoid index issues
-    const guidesQuery = query(
-      collection(db, 'trail_guides'),
-      where('userId', '==', this.currentUser.uid)
-    );
-    
-    const querySnapshot = await getDocs(guidesQuery);
-    const guides = [];
-    
-    querySnapshot.forEach(doc => {
-      const data = doc.data();
-      guides.push({
-        id: doc.id,
-        name: data.routeName,
-        isPublic: data.isPublic,
-        created: data.generatedAt
-      });
-    });
+    const guides = (await getBackend().trailGuides.listByUser(this.currentUser.uid)).map(data => ({
+      id: data.id,
+      name: data.routeName,
+      isPublic: data.isPublic,
+      created: data.generatedAt
+    }));
     
     console.log('✅ Found guides:', guides);
     
@@ -1863,20 +1376,15 @@ async viewTrailGuide(guideId) {
   try {
     console.log('👁️ Viewing trail guide:', guideId);
     
-    // Import Firestore functions
-    const { doc, getDoc, updateDoc, increment } = await import("https://www.gstatic.com/firebasejs/10.5.0/firebase-firestore.js");
-    
     // Get the trail guide document
-    const guideRef = doc(db, 'trail_guides', guideId);
-    const guideSnap = await getDoc(guideRef);
+    const trailGuides = getBackend().trailGuides;
+    const guideData = await trailGuides.get(guideId);
     
-    if (!guideSnap.exists()) {
+    if (!guideData) {
       alert('❌ Trail guide not found');
       return;
     }
     
-    const guideData = guideSnap.data();
-    
     // Check if user can view this guide
     const canView = guideData.isPublic || (this.currentUser && this.currentUser.uid === guideData.userId);
     
@@ -1888,9 +1396,7 @@ async viewTrailGuide(guideId) {
     // Increment view count (only for public guides and if not the owner)
     if (guideData.isPublic && (!this.currentUser || this.currentUser.uid !== guideData.userId)) {
       try {
-        await updateDoc(guideRef, {
-          'community.views': increment(1)
-        });
+        await trailGuides.recordView(guideId);
         console.log('📈 View count incremented');
       } catch (error) {
         console.warn('Failed to increment view count:', error);
@@ -1922,10 +1428,15 @@ displayTrailGuideHTML(htmlContent, routeName) {
     
     if (!newWindow) {
       // Popup blocked, offer download instead
-      const downloadConfirm = confirm('Popup blocked! Would you like to download the trail guide instead?');
-      if (downloadConfirm) {
-        this.downloadTrailGuide(htmlContent, routeName);
-      }
+      dialogs.confirm({
+        title: 'Popup blocked',
+        message: 'Would you like to download the trail guide instead?',
+        confirmLabel: 'Download'
+      }).then(downloadConfirm => {
+        if (downloadConfirm) {
+          this.downloadTrailGuide(htmlContent, routeName);
+        }
+      });
     } else {
       // Set window title
       newWindow.document.title = `${routeName} - Trail Guide`;
@@ -1,4 +1,27 @@
 // Export functionality - Fixed to handle both current and saved routes
+import { getElevationProfile, formatGradient, ADA_GRADIENT_THRESHOLDS } from '../core/elevation.js';
+import { calculateRouteStats, formatPace, formatSpeed } from '../core/route-stats.js';
+import { buildGPX, parseGPX, formatGPXReport, escapeXml } from '../utils/gpx.js';
+import { splitTrackSegments } from '../utils/calculations.js';
+import { buildGeoJSON, parseGeoJSON } from '../utils/geojson.js';
+import { buildKML, parseKML } from '../utils/kml.js';
+import { createImageThumbnail } from '../utils/helpers.js';
+import { getObservationCategory, getObservationSeverity, getCategoryLabel, getSeverityLabel, formatMeasurements } from '../core/observation-types.js';
+import { CURRENT_ROUTE_SURVEY } from '../core/storage.js';
+import {
+  calculateAccessibilityScore,
+  ACCESSIBILITY_PROFILES,
+  getScoreRating,
+  getFactorLabel,
+  getProfileLabel,
+  getRatingLabel,
+  describeFactor
+} from '../core/accessibility-score.js';
+import { migrateSurveyData, formatSurveyAnswer } from './survey-engine.js';
+import { describeConflict } from './survey-review.js';
+import { t, getLanguage, getDirection, getLocale, resolveLanguage } from '../i18n/i18n.js';
+import { dialogs } from '../ui/dialog.js';
+
 export class ExportController {
   constructor(appState) {
     this.appState = appState;
@@ -18,7 +41,10 @@ export class ExportController {
     const buttons = [
       { id: 'prepareAndExportBtn', handler: () => this.showExportOptions() }, // Changed this
       { id: 'exportGPXBtn', handler: () => this.exportGPX() },
-      { id: 'exportPDFBtn', handler: () => this.exportPDF() }
+      { id: 'exportPDFBtn', handler: () => this.exportPDF() },
+      { id: 'exportGeoJSONBtn', handler: () => this.exportGeoJSON() },
+      { id: 'exportKMLBtn', handler: () => this.exportKML() },
+      { id: 'exportKMZBtn', handler: () => this.exportKMZ() }
     ];
 
     buttons.forEach(({ id, handler }) => {
@@ -39,12 +65,11 @@ export class ExportController {
   }
 
   // NEW: Show export options - current route or saved routes
-  showExportOptions() {
+  async showExportOptions() {
     const currentRouteData = this.appState.getRouteData();
-    const savedSessions = this.appState.getSessions();
+    const savedSessions = await this.appState.getSessions();
     
-    let message = '📦 Export Options:\n\n';
-    let options = [];
+    const options = [];
 
     // Option 1: Current route data
     if (currentRouteData && currentRouteData.length > 0) {
@@ -52,20 +77,13 @@ export class ExportController {
       const photos = currentRouteData.filter(p => p.type === 'photo').length;
       const notes = currentRouteData.filter(p => p.type === 'text').length;
       
-      message += `1. Current Route (${locationPoints} GPS points, ${photos} photos, ${notes} notes)\n`;
-      options.push('current');
+      options.push({ value: 'current', label: 'Current Route', description: `${locationPoints} GPS points, ${photos} photos, ${notes} notes` });
     }
 
-    // Option 2: Saved routes
+    // Options 2 and 3: Saved routes, one or all
     if (savedSessions && savedSessions.length > 0) {
-      message += `2. Saved Routes (${savedSessions.length} available)\n`;
-      options.push('saved');
-    }
-
-    // Option 3: All routes
-    if (savedSessions && savedSessions.length > 0) {
-      message += `3. All Saved Routes (bulk export)\n`;
-      options.push('all');
+      options.push({ value: 'saved', label: 'Saved Routes', description: `${savedSessions.length} available` });
+      options.push({ value: 'all', label: 'All Saved Routes', description: 'Bulk export' });
     }
 
     if (options.length === 0) {
@@ -73,14 +91,9 @@ export class ExportController {
       return;
     }
 
-    message += `\nEnter your choice (1-${options.length}):`;
-    
-    const choice = prompt(message);
-    const choiceNum = parseInt(choice);
+    const selectedOption = await dialogs.selectFromList({ title: '📦 Export Options', items: options });
     
-    if (choiceNum >= 1 && choiceNum <= options.length) {
-      const selectedOption = options[choiceNum - 1];
-      
+    if (selectedOption) {
       switch (selectedOption) {
         case 'current':
           this.exportCurrentRoute();
@@ -96,7 +109,7 @@ export class ExportController {
   }
 
   // Export current active route
-  exportCurrentRoute() {
+  async exportCurrentRoute() {
     const routeData = this.appState.getRouteData();
     if (!routeData || routeData.length === 0) {
       alert('No current route data to export');
@@ -108,7 +121,9 @@ export class ExportController {
       exportDate: new Date().toISOString(),
       totalDistance: this.appState.getTotalDistance(),
       elapsedTime: this.appState.getElapsedTime(),
-      route: routeData
+      accessibility: await this.loadAccessibilityData(CURRENT_ROUTE_SURVEY),
+      // Stored photos are inlined so the file is self-contained
+      route: await this.appState.resolveRouteMedia(routeData)
     };
 
     this.downloadJSON(exportData, `current-route-${Date.now()}.json`);
@@ -116,36 +131,32 @@ export class ExportController {
   }
 
   // Show list of saved routes for export selection
-  showSavedRoutesForExport() {
-    const sessions = this.appState.getSessions();
+  async showSavedRoutesForExport() {
+    const sessions = await this.appState.getSessions();
     if (!sessions || sessions.length === 0) {
       alert('No saved routes available');
       return;
     }
 
-    let message = '📂 Select a route to export:\n\n';
-    sessions.forEach((session, index) => {
-      const date = new Date(session.date).toLocaleDateString();
-      const time = new Date(session.date).toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'});
-      const distance = session.totalDistance ? `${session.totalDistance.toFixed(2)} km` : '0 km';
-      const points = session.data ? session.data.length : 0;
-      
-      message += `${index + 1}. ${session.name}\n`;
-      message += `   📅 ${date} ${time} | 📏 ${distance} | 📍 ${points} points\n\n`;
+    const session = await dialogs.selectFromList({
+      title: '📂 Select a route to export',
+      items: sessions.map(session => {
+        const date = new Date(session.date).toLocaleDateString();
+        const time = new Date(session.date).toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'});
+        const distance = session.totalDistance ? `${session.totalDistance.toFixed(2)} km` : '0 km';
+        const points = session.data ? session.data.length : 0;
+        
+        return { value: session, label: session.name, description: `📅 ${date} ${time} | 📏 ${distance} | 📍 ${points} points` };
+      })
     });
-
-    message += `Enter route number (1-${sessions.length}):`;
-    
-    const choice = prompt(message);
-    const choiceNum = parseInt(choice);
     
-    if (choiceNum >= 1 && choiceNum <= sessions.length) {
-      this.exportSavedRoute(sessions[choiceNum - 1]);
+    if (session) {
+      this.exportSavedRoute(session);
     }
   }
 
   // Export a specific saved route
-  exportSavedRoute(session) {
+  async exportSavedRoute(session) {
     const exportData = {
       exportType: 'saved_route',
       exportDate: new Date().toISOString(),
@@ -156,7 +167,8 @@ export class ExportController {
         totalDistance: session.totalDistance,
         elapsedTime: session.elapsedTime
       },
-      route: session.data || []
+      accessibility: await this.loadAccessibilityData(session.id),
+      route: await this.appState.resolveRouteMedia(session.data || [])
     };
 
     const filename = `${session.name.replace(/[^a-z0-9]/gi, '_').toLowerCase()}-${session.id}.json`;
@@ -165,68 +177,46 @@ export class ExportController {
   }
 
   // Export all saved routes
-  exportAllRoutes() {
-    const sessions = this.appState.getSessions();
+  async exportAllRoutes() {
+    const sessions = await this.appState.getSessions();
     if (!sessions || sessions.length === 0) {
       alert('No saved routes to export');
       return;
     }
 
+    await this.exportRoutes(sessions);
+  }
+
+  // One JSON file holding several saved routes (all of them, or a library selection)
+  async exportRoutes(sessions, { exportType = 'all_routes', filename = `all-routes-export-${Date.now()}.json` } = {}) {
     const exportData = {
-      exportType: 'all_routes',
+      exportType,
       exportDate: new Date().toISOString(),
       totalRoutes: sessions.length,
-      routes: sessions.map(session => ({
+      routes: await Promise.all(sessions.map(async session => ({
         id: session.id,
         name: session.name,
         date: session.date,
         totalDistance: session.totalDistance,
         elapsedTime: session.elapsedTime,
+        tags: session.tags || [],
+        folder: session.folder || '',
         dataPoints: session.data ? session.data.length : 0,
-        route: session.data || []
-      }))
+        accessibility: await this.loadAccessibilityData(session.id),
+        route: await this.appState.resolveRouteMedia(session.data || [])
+      })))
     };
 
-    this.downloadJSON(exportData, `all-routes-export-${Date.now()}.json`);
-    this.showSuccessMessage(`✅ All ${sessions.length} routes exported successfully!`);
+    this.downloadJSON(exportData, filename);
+    this.showSuccessMessage(`✅ ${exportType === 'all_routes' ? 'All ' : ''}${sessions.length} routes exported successfully!`);
   }
 
-  // Updated GPX export to handle both current and saved routes
-  exportGPX() {
-    const currentRouteData = this.appState.getRouteData();
-    const savedSessions = this.appState.getSessions();
-    
-    let routeDataToExport = null;
-    let filename = `route-${Date.now()}.gpx`;
-    
-    // Determine what data to export
-    if (currentRouteData && currentRouteData.length > 0) {
-      const useCurrent = confirm('Export current route to GPX?\n\nClick OK for current route, Cancel to choose from saved routes.');
-      
-      if (useCurrent) {
-        routeDataToExport = currentRouteData;
-        filename = `current-route-${Date.now()}.gpx`;
-      } else if (savedSessions && savedSessions.length > 0) {
-        const selectedRoute = this.selectRouteForExport(savedSessions);
-        if (selectedRoute) {
-          routeDataToExport = selectedRoute.data;
-          filename = `${selectedRoute.name.replace(/[^a-z0-9]/gi, '_').toLowerCase()}.gpx`;
-        }
-      }
-    } else if (savedSessions && savedSessions.length > 0) {
-      const selectedRoute = this.selectRouteForExport(savedSessions);
-      if (selectedRoute) {
-        routeDataToExport = selectedRoute.data;
-        filename = `${selectedRoute.name.replace(/[^a-z0-9]/gi, '_').toLowerCase()}.gpx`;
-      }
-    } else {
-      alert('❌ No GPS data available to export to GPX!\n\nTo export GPX files:\n• Start tracking and record a route with GPS points, OR\n• Load a previously saved route');
-      return;
-    }
-    
-    if (!routeDataToExport) return;
-    
-    const locationPoints = routeDataToExport.filter(point => point.type === 'location' && point.coords);
+  // GPX export of the current route or a saved one, with that route's survey as an extension
+  async exportGPX() {
+    const selection = await this.chooseRouteForExport('GPX');
+    if (!selection) return;
+
+    const locationPoints = selection.routeData.filter(point => point.type === 'location' && point.coords);
     
     if (locationPoints.length === 0) {
       alert('❌ No GPS location points found in selected route!');
@@ -234,8 +224,9 @@ export class ExportController {
     }
 
     try {
-      const gpxContent = this.generateGPX(locationPoints);
-      this.downloadFile(gpxContent, filename, 'application/gpx+xml');
+      const accessibilityData = await this.loadAccessibilityData(selection.routeId);
+      const gpxContent = this.generateGPX(selection.routeData, selection.routeInfo, accessibilityData);
+      this.downloadFile(gpxContent, `${selection.baseName}.gpx`, 'application/gpx+xml');
       this.showSuccessMessage(`✅ GPX file exported with ${locationPoints.length} GPS points!`);
     } catch (error) {
       console.error('GPX export failed:', error);
@@ -243,80 +234,163 @@ export class ExportController {
     }
   }
 
-  // Updated PDF export with route selection
-  exportPDF() {
-    if (!window.jsPDF) {
-      alert('❌ PDF export not available. jsPDF library required.');
-      return;
+  // Pick the current route or a saved one; returns { routeId, routeData, routeInfo, baseName } or null.
+  // routeId is the saved session ID, or CURRENT_ROUTE_SURVEY for the route being recorded.
+  async chooseRouteForExport(formatLabel) {
+    const currentRouteData = this.appState.getRouteData();
+    const savedSessions = await this.appState.getSessions();
+    const hasCurrentRoute = currentRouteData && currentRouteData.length > 0;
+
+    if (!hasCurrentRoute && (!savedSessions || savedSessions.length === 0)) {
+      alert(`❌ No route data available to export to ${formatLabel}!\n\nTo export:\n• Start tracking and record a route, OR\n• Load a previously saved route`);
+      return null;
     }
 
-    const currentRouteData = this.appState.getRouteData();
-    const savedSessions = this.appState.getSessions();
-    
-    let routeDataToExport = null;
-    let routeInfo = null;
-    
-    // Determine what data to export
-    if (currentRouteData && currentRouteData.length > 0) {
-      const useCurrent = confirm('Export current route to PDF?\n\nClick OK for current route, Cancel to choose from saved routes.');
-      
-      if (useCurrent) {
-        routeDataToExport = currentRouteData;
-        routeInfo = {
+    // The route being recorded is offered first, followed by the saved routes
+    const currentRoute = hasCurrentRoute ? {
+      value: CURRENT_ROUTE_SURVEY,
+      label: 'Current Route',
+      description: `${currentRouteData.filter(p => p.type === 'location').length} GPS points, ${this.appState.getTotalDistance().toFixed(2)} km`
+    } : null;
+
+    const selectedRoute = await this.selectRouteForExport(savedSessions || [], {
+      title: `Export to ${formatLabel}`,
+      currentRoute
+    });
+    if (!selectedRoute) return null;
+
+    if (selectedRoute === CURRENT_ROUTE_SURVEY) {
+      return {
+        routeId: CURRENT_ROUTE_SURVEY,
+        routeData: currentRouteData,
+        routeInfo: {
           name: 'Current Route',
           totalDistance: this.appState.getTotalDistance(),
           elapsedTime: this.appState.getElapsedTime(),
           date: new Date().toISOString()
-        };
-      } else if (savedSessions && savedSessions.length > 0) {
-        const selectedRoute = this.selectRouteForExport(savedSessions);
-        if (selectedRoute) {
-          routeDataToExport = selectedRoute.data;
-          routeInfo = selectedRoute;
+        },
+        baseName: `current-route-${Date.now()}`
+      };
+    }
+
+    return {
+      routeId: selectedRoute.id,
+      routeData: selectedRoute.data,
+      routeInfo: selectedRoute,
+      baseName: selectedRoute.name.replace(/[^a-z0-9]/gi, '_').toLowerCase()
+    };
+  }
+
+  // The accessibility survey attached to the chosen route
+  async loadAccessibilityData(routeId = CURRENT_ROUTE_SURVEY) {
+    return this.appState.getRouteSurvey(routeId);
+  }
+
+  // GeoJSON FeatureCollection for GIS tools
+  async exportGeoJSON() {
+    const selection = await this.chooseRouteForExport('GeoJSON');
+    if (!selection) return;
+
+    try {
+      const geojson = buildGeoJSON(selection.routeData, selection.routeInfo, await this.loadAccessibilityData(selection.routeId));
+      this.downloadFile(JSON.stringify(geojson, null, 2), `${selection.baseName}.geojson`, 'application/geo+json');
+      this.showSuccessMessage(`✅ GeoJSON exported with ${geojson.features.length} features!`);
+    } catch (error) {
+      console.error('GeoJSON export failed:', error);
+      alert('❌ GeoJSON export failed: ' + error.message);
+    }
+  }
+
+  // KML for Google Earth (no embedded images)
+  async exportKML() {
+    const selection = await this.chooseRouteForExport('KML');
+    if (!selection) return;
+
+    try {
+      const kml = buildKML(selection.routeData, selection.routeInfo, await this.loadAccessibilityData(selection.routeId));
+      this.downloadFile(kml, `${selection.baseName}.kml`, 'application/vnd.google-earth.kml+xml');
+      this.showSuccessMessage('✅ KML file exported successfully!');
+    } catch (error) {
+      console.error('KML export failed:', error);
+      alert('❌ KML export failed: ' + error.message);
+    }
+  }
+
+  // KMZ = zipped KML plus photo thumbnails shown in the placemark balloons
+  async exportKMZ() {
+    if (!window.JSZip) {
+      alert('❌ KMZ export not available. JSZip library required.');
+      return;
+    }
+
+    const selection = await this.chooseRouteForExport('KMZ');
+    if (!selection) return;
+
+    try {
+      const zip = new window.JSZip();
+      const photoPaths = new Map();
+      // Stored photos come back as 320px thumbnails; inline ones are downscaled here
+      const routeData = await this.appState.resolveRouteMedia(selection.routeData, { thumbnailSize: 320 });
+      const photos = routeData.filter(entry => entry.type === 'photo' && entry.coords && entry.content);
+
+      for (let i = 0; i < photos.length; i++) {
+        try {
+          const thumbnail = photos[i].mediaId ? photos[i].content : await createImageThumbnail(photos[i].content, 320);
+          const path = `images/photo-${i + 1}.jpg`;
+          zip.file(path, thumbnail.split(',')[1], { base64: true });
+          photoPaths.set(photos[i], path);
+        } catch (error) {
+          console.warn(`Could not create thumbnail for photo ${i + 1}:`, error);
         }
       }
-    } else if (savedSessions && savedSessions.length > 0) {
-      const selectedRoute = this.selectRouteForExport(savedSessions);
-      if (selectedRoute) {
-        routeDataToExport = selectedRoute.data;
-        routeInfo = selectedRoute;
-      }
-    } else {
-      alert('❌ No route data available to export to PDF!');
+
+      const kml = buildKML(routeData, selection.routeInfo, await this.loadAccessibilityData(selection.routeId), {
+        photoHref: (entry) => photoPaths.get(entry) || null
+      });
+      zip.file('doc.kml', kml);
+
+      const blob = await zip.generateAsync({ type: 'blob', mimeType: 'application/vnd.google-earth.kmz' });
+      this.downloadFile(blob, `${selection.baseName}.kmz`, 'application/vnd.google-earth.kmz');
+      this.showSuccessMessage(`✅ KMZ exported with ${photoPaths.size} photo thumbnails!`);
+    } catch (error) {
+      console.error('KMZ export failed:', error);
+      alert('❌ KMZ export failed: ' + error.message);
+    }
+  }
+
+  // Updated PDF export with route selection
+  async exportPDF() {
+    if (!window.jsPDF) {
+      alert('❌ PDF export not available. jsPDF library required.');
       return;
     }
-    
-    if (!routeDataToExport || !routeInfo) return;
+
+    const selection = await this.chooseRouteForExport('PDF');
+    if (!selection) return;
 
     try {
-      this.generatePDFReport(routeDataToExport, routeInfo);
+      this.generatePDFReport(selection.routeData, selection.routeInfo);
     } catch (error) {
       console.error('PDF export failed:', error);
       alert('❌ PDF export failed: ' + error.message);
     }
   }
 
-  // Helper method to select a route from saved sessions
-  selectRouteForExport(sessions) {
-    if (!sessions || sessions.length === 0) return null;
+  // Helper method to select a route from saved sessions; currentRoute is an optional extra list item listed first
+  async selectRouteForExport(sessions, { title = '📂 Select a route to export', currentRoute = null } = {}) {
+    if ((!sessions || sessions.length === 0) && !currentRoute) return null;
     
-    let message = '📂 Select a route to export:\n\n';
-    sessions.forEach((session, index) => {
+    const items = sessions.map(session => {
       const date = new Date(session.date).toLocaleDateString();
       const distance = session.totalDistance ? `${session.totalDistance.toFixed(2)} km` : '0 km';
-      message += `${index + 1}. ${session.name} (${date}, ${distance})\n`;
+      return { value: session, label: session.name, description: `${date}, ${distance}` };
     });
 
-    message += `\nEnter route number (1-${sessions.length}):`;
-    
-    const choice = prompt(message);
-    const choiceNum = parseInt(choice);
-    
-    if (choiceNum >= 1 && choiceNum <= sessions.length) {
-      return sessions[choiceNum - 1];
+    if (currentRoute) {
+      items.unshift(currentRoute);
     }
     
-    return null;
+    return dialogs.selectFromList({ title, items });
   }
 
   // Generate PDF report
@@ -345,19 +419,53 @@ export class ExportController {
     yPos += 15;
     
     doc.setFontSize(12);
+    const routeStats = calculateRouteStats(routeData, routeInfo);
     const stats = [
-      `📏 Total Distance: ${routeInfo.totalDistance?.toFixed(2) || 0} km`,
-      `⏱️ Duration: ${this.formatDuration(routeInfo.elapsedTime || 0)}`,
-      `📍 GPS Points: ${routeData.filter(p => p.type === 'location').length}`,
+      `📏 Total Distance: ${routeStats.totalDistance.toFixed(2)} km`,
+      `⏱️ Duration: ${this.formatDuration(routeStats.elapsedTime)}`,
+      `🚶 Moving Time: ${this.formatDuration(routeStats.movingTime)} | Stopped: ${this.formatDuration(routeStats.stoppedTime)}`,
+      `⚡ Avg Moving Speed: ${formatSpeed(routeStats.avgMovingSpeed)} km/h | Max: ${formatSpeed(routeStats.maxSpeed)} km/h`,
+      `🕒 Avg Pace: ${formatPace(routeStats.avgPace)} min/km`,
+      `📍 GPS Points: ${routeStats.gps.pointCount} | Mean Accuracy: ${routeStats.gps.meanAccuracy === null ? '–' : `±${Math.round(routeStats.gps.meanAccuracy)} m`} | Signal Gaps: ${routeStats.gps.gapCount}`,
       `📷 Photos: ${routeData.filter(p => p.type === 'photo').length}`,
-      `📝 Notes: ${routeData.filter(p => p.type === 'text').length}`
+      `📝 Notes: ${routeData.filter(p => p.type === 'text').length}`,
+      `🪑 Rest Points: ${routeData.filter(p => p.type === 'stop').length}`
     ];
 
+    const elevationProfile = getElevationProfile(routeData, routeInfo);
+    if (elevationProfile) {
+      stats.push(
+        `⛰️ Ascent: ${routeStats.ascent} m | Descent: ${routeStats.descent} m`,
+        `⛰️ Max Slope: ${formatGradient(elevationProfile.maxGradient)} | Avg Slope: ${formatGradient(elevationProfile.avgGradient)}`,
+        `⚠️ Segments over ${ADA_GRADIENT_THRESHOLDS.ramp}%: ${elevationProfile.steepSegmentCount} | ${ADA_GRADIENT_THRESHOLDS.accessible}-${ADA_GRADIENT_THRESHOLDS.ramp}%: ${elevationProfile.moderateSegmentCount}`
+      );
+    }
+
     stats.forEach(stat => {
       doc.text(stat, 20, yPos);
       yPos += 10;
     });
 
+    // Splits section
+    if (routeStats.splits.length > 1) {
+      yPos += 10;
+      doc.setFontSize(14);
+      doc.text('📈 Splits:', 20, yPos);
+      yPos += 15;
+
+      doc.setFontSize(10);
+      routeStats.splits.forEach(split => {
+        const elevation = split.ascent !== undefined ? ` | +${split.ascent} m / -${split.descent} m` : '';
+        doc.text(`Km ${split.number}: ${split.distance.toFixed(2)} km | ${this.formatDuration(split.movingTime)} | ${formatPace(split.pace)} min/km${elevation}`, 20, yPos);
+        yPos += 8;
+
+        if (yPos > 270) {
+          doc.addPage();
+          yPos = 20;
+        }
+      });
+    }
+
     // Notes section
     const notes = routeData.filter(p => p.type === 'text');
     if (notes.length > 0) {
@@ -387,32 +495,9 @@ export class ExportController {
   }
 
   // Keep all the existing methods (generateGPX, handleFileImport, etc.)
-  generateGPX(locationPoints) {
-    let gpx = `<?xml version="1.0" encoding="UTF-8"?>
-<gpx version="1.1" creator="Access Nature" xmlns="http://www.topografix.com/GPX/1/1">
-  <metadata>
-    <name>Access Nature Route</name>
-    <desc>Generated by Access Nature App</desc>
-    <time>${new Date().toISOString()}</time>
-  </metadata>
-  <trk>
-    <name>Route Track</name>
-    <trkseg>`;
-
-    locationPoints.forEach(point => {
-      const timestamp = new Date(point.timestamp).toISOString();
-      gpx += `
-      <trkpt lat="${point.coords.lat}" lon="${point.coords.lng}">
-        <time>${timestamp}</time>
-      </trkpt>`;
-    });
-
-    gpx += `
-    </trkseg>
-  </trk>
-</gpx>`;
-
-    return gpx;
+  // Track points, note/photo/rest waypoints and the accessibility survey as GPX extensions
+  generateGPX(routeData, routeInfo = {}, accessibilityData = null) {
+    return buildGPX(routeData, routeInfo, accessibilityData);
   }
 
   formatDuration(milliseconds) {
@@ -462,10 +547,16 @@ export class ExportController {
       
       if (fileType === 'json') {
         await this.importJSON(file);
+      } else if (fileType === 'geojson') {
+        await this.importGeoJSON(file);
       } else if (fileType === 'gpx') {
         await this.importGPX(file);
+      } else if (fileType === 'kml') {
+        await this.importKML(file);
+      } else if (fileType === 'kmz') {
+        await this.importKMZ(file);
       } else {
-        throw new Error('Unsupported file type. Please use .json or .gpx files.');
+        throw new Error('Unsupported file type. Please use .json, .geojson, .gpx, .kml or .kmz files.');
       }
       
     } catch (error) {
@@ -480,19 +571,30 @@ export class ExportController {
     const text = await this.readFileAsText(file);
     const data = JSON.parse(text);
 
+    // GeoJSON saved with a plain .json extension
+    if (['FeatureCollection', 'Feature', 'LineString', 'MultiLineString'].includes(data.type)) {
+      await this.applyImportedRoute(parseGeoJSON(data), 'GeoJSON');
+      return;
+    }
+
     let routeData = null;
+    let accessibilityData = null;
     
     // Handle different export formats
     if (data.route && Array.isArray(data.route)) {
       routeData = data.route;
+      accessibilityData = data.accessibility || null;
     } else if (data.routes && Array.isArray(data.routes)) {
       // Multiple routes - let user choose
-      const routeNames = data.routes.map((r, i) => `${i + 1}. ${r.name || 'Route ' + (i + 1)}`);
-      const choice = prompt(`Multiple routes found. Select one:\n${routeNames.join('\n')}\n\nEnter number:`);
-      const index = parseInt(choice) - 1;
-      if (index >= 0 && index < data.routes.length) {
-        routeData = data.routes[index].route;
-      }
+      const selected = await dialogs.selectFromList({
+        title: 'Multiple routes found',
+        message: 'Select the route to import:',
+        items: data.routes.map((r, i) => ({ value: r, label: r.name || `Route ${i + 1}` }))
+      });
+      if (!selected) return;
+
+      routeData = selected.route;
+      accessibilityData = selected.accessibility || null;
     }
 
     if (!routeData || !Array.isArray(routeData)) {
@@ -500,7 +602,7 @@ export class ExportController {
     }
 
     const shouldClear = this.appState.getRouteData().length > 0 ? 
-      confirm('Clear current route data before importing?') : true;
+      await dialogs.confirm({ title: t('importRoute.title'), message: t('importRoute.clearMessage'), confirmLabel: t('importRoute.clear'), cancelLabel: t('importRoute.keep') }) : true;
 
     if (shouldClear) {
       this.appState.clearRouteData();
@@ -510,46 +612,114 @@ export class ExportController {
       this.appState.addRoutePoint(point);
     });
 
+    await this.restoreImportedSurvey(accessibilityData, 'JSON');
+
     this.showSuccessMessage(`✅ Successfully imported ${routeData.length} data points!`);
   }
 
   async importGPX(file) {
     const text = await this.readFileAsText(file);
-    const parser = new DOMParser();
-    const gpxDoc = parser.parseFromString(text, 'text/xml');
+    const { routeData, routeInfo, accessibilityData, report } = parseGPX(text);
+
+    if (report.issues.length > 0) {
+      console.warn('⚠️ GPX import issues:', report.issues);
+    }
 
-    const trackPoints = gpxDoc.querySelectorAll('trkpt');
-    if (trackPoints.length === 0) {
-      throw new Error('No track points found in GPX file');
+    if (!routeData.some(entry => entry.type === 'location')) {
+      throw new Error(`No usable track or route points found in GPX file\n\n${formatGPXReport(report)}`);
+    }
+
+    await this.applyImportedRoute({ routeData, routeInfo, accessibilityData }, 'GPX');
+    alert(`📥 GPX import summary\n\n${formatGPXReport(report)}`);
+  }
+
+  async importGeoJSON(file) {
+    const text = await this.readFileAsText(file);
+    await this.applyImportedRoute(parseGeoJSON(JSON.parse(text)), 'GeoJSON');
+  }
+
+  async importKML(file) {
+    const text = await this.readFileAsText(file);
+    await this.applyImportedRoute(parseKML(text), 'KML');
+  }
+
+  async importKMZ(file) {
+    if (!window.JSZip) {
+      throw new Error('KMZ import not available. JSZip library required.');
+    }
+
+    const zip = await window.JSZip.loadAsync(file);
+    const kmlFile = zip.file('doc.kml') || zip.file(/\.kml$/i)[0];
+    if (!kmlFile) {
+      throw new Error('No KML document found inside the KMZ file');
+    }
+
+    // Load embedded images so photo placemarks come back as photos
+    const images = {};
+    const imageFiles = zip.file(/\.(jpe?g|png|gif)$/i);
+    for (const imageFile of imageFiles) {
+      const extension = imageFile.name.split('.').pop().toLowerCase();
+      const mimeType = extension === 'png' ? 'image/png' : extension === 'gif' ? 'image/gif' : 'image/jpeg';
+      images[imageFile.name] = `data:${mimeType};base64,${await imageFile.async('base64')}`;
+    }
+
+    await this.applyImportedRoute(parseKML(await kmlFile.async('string'), { images }), 'KMZ');
+  }
+
+  // Shared tail of every geo import: load entries into the current route and restore our survey data
+  async applyImportedRoute({ routeData, routeInfo, accessibilityData, skipped = 0 }, formatLabel) {
+    const locationPoints = routeData.filter(entry => entry.type === 'location');
+    if (routeData.length === 0) {
+      throw new Error(`No usable points found in ${formatLabel} file`);
     }
 
     const shouldClear = this.appState.getRouteData().length > 0 ? 
-      confirm('Clear current route data before importing?') : true;
+      await dialogs.confirm({ title: t('importRoute.title'), message: t('importRoute.clearMessage'), confirmLabel: t('importRoute.clear'), cancelLabel: t('importRoute.keep') }) : true;
 
     if (shouldClear) {
       this.appState.clearRouteData();
     }
 
-    let importedPoints = 0;
-    trackPoints.forEach(trkpt => {
-      const lat = parseFloat(trkpt.getAttribute('lat'));
-      const lon = parseFloat(trkpt.getAttribute('lon'));
-      
-      if (isNaN(lat) || isNaN(lon)) return;
+    // Appended to a route with a track, the import starts a new segment so the gap between them isn't drawn
+    let segmentBreak = this.appState.getRouteData().some(entry => entry.type === 'location');
+    routeData.forEach(entry => {
+      if (entry.type === 'location' && segmentBreak) {
+        entry = { ...entry, segmentBreak: true };
+        segmentBreak = false;
+      }
+      this.appState.addRoutePoint(entry);
+      if (entry.type === 'location') {
+        this.appState.addPathPoint(entry.coords);
+      }
+    });
 
-      const timeElement = trkpt.querySelector('time');
-      
-      const point = {
-        type: 'location',
-        coords: { lat, lng: lon },
-        timestamp: timeElement ? new Date(timeElement.textContent).getTime() : Date.now() + importedPoints * 1000
-      };
+    this.appState.updateDistance(this.appState.getTotalDistance() + routeInfo.totalDistance);
+    this.appState.setElapsedTime(this.appState.getElapsedTime() + routeInfo.elapsedTime);
+    this.appState.updateDistanceDisplay();
 
-      this.appState.addRoutePoint(point);
-      importedPoints++;
-    });
+    await this.restoreImportedSurvey(accessibilityData, formatLabel);
 
-    this.showSuccessMessage(`✅ Successfully imported ${importedPoints} GPS points from GPX!`);
+    if (skipped > 0) {
+      console.warn(`⚠️ ${formatLabel} import skipped ${skipped} unusable features/points`);
+    }
+
+    const waypointCount = routeData.length - locationPoints.length;
+    this.showSuccessMessage(`✅ Imported "${routeInfo.name || `${formatLabel} route`}": ${locationPoints.length} GPS points, ${waypointCount} waypoints${skipped ? `, ${skipped} skipped` : ''}`);
+  }
+
+  // Imported routes land in the current route, so a survey written by our own exporter becomes its survey
+  async restoreImportedSurvey(accessibilityData, formatLabel) {
+    if (!accessibilityData) return;
+
+    const hasSurvey = !!await this.appState.getRouteSurvey(CURRENT_ROUTE_SURVEY);
+    if (!hasSurvey || await dialogs.confirm({
+      title: t('importRoute.surveyTitle'),
+      message: t('importRoute.surveyMessage', { format: formatLabel }),
+      confirmLabel: t('importRoute.replace'),
+      cancelLabel: t('importRoute.keepCurrent')
+    })) {
+      await this.appState.saveRouteSurvey(accessibilityData, CURRENT_ROUTE_SURVEY);
+    }
   }
 
   readFileAsText(file) {
@@ -594,7 +764,10 @@ setupExportButtons() {
     { id: 'prepareAndExportBtn', handler: () => this.showExportOptions() },
     { id: 'exportGPXBtn', handler: () => this.exportGPX() },
     { id: 'exportPDFBtn', handler: () => this.exportPDF() },
-    { id: 'exportSummaryBtn', handler: () => this.exportRouteSummary() } // Make sure this line is here
+    { id: 'exportSummaryBtn', handler: () => this.exportRouteSummary() }, // Make sure this line is here
+    { id: 'exportGeoJSONBtn', handler: () => this.exportGeoJSON() },
+    { id: 'exportKMLBtn', handler: () => this.exportKML() },
+    { id: 'exportKMZBtn', handler: () => this.exportKMZ() }
   ];
 
   console.log('🔧 Setting up export buttons...');
@@ -622,62 +795,28 @@ setupExportButtons() {
 
 // NEW: Export Route Summary - Beautiful HTML page for sharing
 async exportRouteSummary() {
-  const currentRouteData = this.appState.getRouteData();
-  const savedSessions = this.appState.getSessions();
-  
-  let routeDataToExport = null;
-  let routeInfo = null;
-  let accessibilityData = null;
+  const selection = await this.chooseRouteForExport('Trail Guide');
+  if (!selection) return;
 
-  // Get accessibility data
-  try {
-    const storedAccessibilityData = localStorage.getItem('accessibilityData');
-    accessibilityData = storedAccessibilityData ? JSON.parse(storedAccessibilityData) : null;
-  } catch (error) {
-    console.warn('Could not load accessibility data:', error);
-  }
-
-  // Determine what data to export
-  if (currentRouteData && currentRouteData.length > 0) {
-    const useCurrent = confirm('Export current route summary?\n\nClick OK for current route, Cancel to choose from saved routes.');
-    
-    if (useCurrent) {
-      routeDataToExport = currentRouteData;
-      routeInfo = {
-        name: 'Current Route',
-        totalDistance: this.appState.getTotalDistance(),
-        elapsedTime: this.appState.getElapsedTime(),
-        date: new Date().toISOString()
-      };
-    } else if (savedSessions && savedSessions.length > 0) {
-      const selectedRoute = this.selectRouteForExport(savedSessions);
-      if (selectedRoute) {
-        routeDataToExport = selectedRoute.data;
-        routeInfo = selectedRoute;
-      }
-    }
-  } else if (savedSessions && savedSessions.length > 0) {
-    const selectedRoute = this.selectRouteForExport(savedSessions);
-    if (selectedRoute) {
-      routeDataToExport = selectedRoute.data;
-      routeInfo = selectedRoute;
-    }
-  } else {
-    alert('❌ No route data available to export!\n\nTo create route summaries:\n• Start tracking and record a route, OR\n• Load a previously saved route');
-    return;
-  }
-
-  if (!routeDataToExport || !routeInfo) return;
+  const { routeData: routeDataToExport, routeInfo } = selection;
+  const accessibilityData = await this.loadAccessibilityData(selection.routeId);
 
   try {
-    const htmlContent = this.generateRouteSummaryHTML(routeDataToExport, routeInfo, accessibilityData);
-    const filename = `${routeInfo.name.replace(/[^a-z0-9]/gi, '_').toLowerCase()}_summary.html`;
+    // The summary page embeds photos, so stored ones are inlined first
+    const resolvedRouteData = await this.appState.resolveRouteMedia(routeDataToExport);
+    const htmlContent = this.generateRouteSummaryHTML(resolvedRouteData, routeInfo, accessibilityData);
+    const filename = `${selection.baseName}_summary.html`;
     
     this.downloadFile(htmlContent, filename, 'text/html');
     this.showSuccessMessage('✅ Route summary webpage created successfully!');
     
     // Ask if they want to preview it
-    const preview = confirm('Route summary created! Would you like to preview it in a new tab?');
+    const preview = await dialogs.confirm({
+      title: 'Route summary created!',
+      message: 'Would you like to preview it in a new tab?',
+      confirmLabel: 'Preview',
+      cancelLabel: 'Close'
+    });
     if (preview) {
       this.previewRouteSummary(htmlContent);
     }
@@ -688,14 +827,25 @@ async exportRouteSummary() {
   }
 }
 
-// Generate beautiful HTML summary page
-generateRouteSummaryHTML(routeData, routeInfo, accessibilityData) {
+// Generate beautiful HTML summary page. The guide is written in one language (the app's
+// current one by default) and stores it in <html lang>, so readers can tell what they got.
+generateRouteSummaryHTML(routeData, routeInfo, surveyData, { language = getLanguage() } = {}) {
+  language = resolveLanguage(language);
+  const tr = (key, params = {}) => t(key, params, language);
+  const locale = getLocale(language);
+  const accessibilityData = migrateSurveyData(surveyData);
   const locationPoints = routeData.filter(p => p.type === 'location' && p.coords);
   const photos = routeData.filter(p => p.type === 'photo');
   const notes = routeData.filter(p => p.type === 'text');
+  const voiceNotes = routeData.filter(p => p.type === 'voice');
+  const stops = routeData.filter(p => p.type === 'stop' && p.coords);
+  const observations = routeData.filter(p => p.type === 'observation' && p.coords);
+  const elevationProfile = getElevationProfile(routeData, routeInfo);
+  const routeStats = calculateRouteStats(routeData, routeInfo);
+  const accessibilityScore = calculateAccessibilityScore(routeData, routeInfo, accessibilityData);
   
   const date = new Date(routeInfo.date);
-  const formattedDate = date.toLocaleDateString('en-US', { 
+  const formattedDate = date.toLocaleDateString(locale, { 
     weekday: 'long', 
     year: 'numeric', 
     month: 'long', 
@@ -716,11 +866,11 @@ generateRouteSummaryHTML(routeData, routeInfo, accessibilityData) {
   }
 
   const html = `<!DOCTYPE html>
-<html lang="en">
+<html lang="${language}" dir="${getDirection(language)}">
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>${routeInfo.name} - Accessible Trail Guide</title>
+    <title>${tr('guide.pageTitle', { name: routeInfo.name })}</title>
     <link rel="stylesheet" href="https://unpkg.com/leaflet@1.9.3/dist/leaflet.css">
     <style>
         * {
@@ -807,7 +957,7 @@ generateRouteSummaryHTML(routeData, routeInfo, accessibilityData) {
             padding: 20px;
             background: linear-gradient(135deg, #f8f9fa 0%, #e9ecef 100%);
             border-radius: 15px;
-            border-left: 5px solid #4a7c59;
+            border-inline-start: 5px solid #4a7c59;
         }
         
         .stat-value {
@@ -839,7 +989,7 @@ generateRouteSummaryHTML(routeData, routeInfo, accessibilityData) {
             padding: 20px;
             background: linear-gradient(135deg, #e8f5e8 0%, #d4edda 100%);
             border-radius: 15px;
-            border-left: 5px solid #28a745;
+            border-inline-start: 5px solid #28a745;
         }
         
         .accessibility-item h4 {
@@ -866,19 +1016,19 @@ generateRouteSummaryHTML(routeData, routeInfo, accessibilityData) {
   border: 1px solid #c3e6cb;
 }
 
-.accessibility-summary.partially-accessible {
+.accessibility-summary.partial {
   background: linear-gradient(135deg, #fff3cd 0%, #ffeaa7 100%);
   color: #856404;
   border: 1px solid #ffeaa7;
 }
 
-.accessibility-summary.accessible-with-assistance {
+.accessibility-summary.assisted {
   background: linear-gradient(135deg, #d1ecf1 0%, #bee5eb 100%);
   color: #0c5460;
   border: 1px solid #bee5eb;
 }
 
-.accessibility-summary.not-accessible {
+.accessibility-summary.not_accessible {
   background: linear-gradient(135deg, #f8d7da 0%, #f5c6cb 100%);
   color: #721c24;
   border: 1px solid #f5c6cb;
@@ -951,7 +1101,7 @@ generateRouteSummaryHTML(routeData, routeInfo, accessibilityData) {
         
         .note-item {
             background: linear-gradient(135deg, #fff3cd 0%, #ffeaa7 100%);
-            border-left: 5px solid #ffc107;
+            border-inline-start: 5px solid #ffc107;
             border-radius: 10px;
             padding: 20px;
             margin-bottom: 15px;
@@ -969,6 +1119,11 @@ generateRouteSummaryHTML(routeData, routeInfo, accessibilityData) {
             font-size: 1rem;
         }
         
+        .voice-note audio {
+            width: 100%;
+            margin: 8px 0;
+        }
+        
         .footer {
             background: rgba(255, 255, 255, 0.95);
             backdrop-filter: blur(10px);
@@ -993,7 +1148,7 @@ generateRouteSummaryHTML(routeData, routeInfo, accessibilityData) {
         .warning-box {
             background: linear-gradient(135deg, #f8d7da 0%, #f5c6cb 100%);
             border: 1px solid #f5c6cb;
-            border-left: 5px solid #dc3545;
+            border-inline-start: 5px solid #dc3545;
             border-radius: 10px;
             padding: 20px;
             margin: 20px 0;
@@ -1009,6 +1164,157 @@ generateRouteSummaryHTML(routeData, routeInfo, accessibilityData) {
             margin: 5px 0;
         }
         
+        .slope-list {
+            list-style: none;
+            margin-top: 15px;
+        }
+        
+        .slope-list li {
+            padding: 10px 15px;
+            margin-bottom: 8px;
+            border-radius: 10px;
+            border-inline-start: 5px solid #ffc107;
+            background: #fff3cd;
+            color: #856404;
+        }
+        
+        .slope-list li.steep {
+            border-inline-start-color: #dc3545;
+            background: #f8d7da;
+            color: #721c24;
+        }
+        
+        .observation-list {
+            list-style: none;
+        }
+        
+        .observation-list li {
+            display: flex;
+            gap: 15px;
+            align-items: flex-start;
+            padding: 12px 15px;
+            margin-bottom: 10px;
+            border-radius: 10px;
+            border-inline-start: 6px solid #ffc107;
+            background: #f8f9fa;
+        }
+        
+        .observation-list img {
+            width: 90px;
+            height: 90px;
+            object-fit: cover;
+            border-radius: 8px;
+        }
+        
+        .observation-severity {
+            font-weight: bold;
+        }
+        
+        .score-grid {
+            display: grid;
+            grid-template-columns: repeat(auto-fit, minmax(220px, 1fr));
+            gap: 15px;
+        }
+        
+        .score-profile {
+            border-top: 6px solid #4a7c59;
+            border-radius: 10px;
+            background: #f8f9fa;
+            padding: 15px;
+        }
+        
+        .score-value {
+            font-size: 2.2rem;
+            font-weight: bold;
+            color: #2c5530;
+        }
+        
+        .score-rating {
+            font-weight: bold;
+            margin-bottom: 8px;
+        }
+        
+        .score-factors {
+            width: 100%;
+            border-collapse: collapse;
+            font-size: 0.85rem;
+        }
+        
+        .score-factors th,
+        .score-factors td {
+            padding: 4px 6px;
+            border-bottom: 1px solid #e9ecef;
+            text-align: start;
+            vertical-align: top;
+        }
+        
+        .score-factors .points {
+            text-align: end;
+            white-space: nowrap;
+        }
+        
+        .elevation-chart {
+            margin-bottom: 20px;
+        }
+        
+        .elevation-chart svg {
+            width: 100%;
+            height: auto;
+            display: block;
+        }
+        
+        .elevation-chart .band-moderate { fill: #ffc107; opacity: 0.25; }
+        .elevation-chart .band-steep { fill: #dc3545; opacity: 0.25; }
+        .elevation-chart .grid-line { stroke: #ddd; stroke-width: 1; }
+        .elevation-chart .threshold-line { stroke: #dc3545; stroke-width: 1; stroke-dasharray: 4 4; }
+        .elevation-chart .elevation-area { fill: #4a7c59; opacity: 0.2; }
+        .elevation-chart .elevation-line { fill: none; stroke: #2c5530; stroke-width: 2; }
+        .elevation-chart .gradient-line { fill: none; stroke: #0c5460; stroke-width: 1.5; }
+        .elevation-chart .axis-label { font-size: 11px; fill: #666; }
+        
+        .elevation-chart .chart-point {
+            fill: #fff;
+            stroke: #2c5530;
+            stroke-width: 2;
+            cursor: pointer;
+        }
+        
+        .elevation-chart .chart-point.point-moderate { stroke: #b8860b; }
+        .elevation-chart .chart-point.point-steep { stroke: #dc3545; }
+        
+        .elevation-chart .chart-point:hover,
+        .elevation-chart .chart-point:focus {
+            r: 7;
+            outline: none;
+            fill: #ffeb3b;
+            stroke: #000;
+            stroke-width: 3;
+        }
+        
+        .chart-readout {
+            min-height: 1.6em;
+            margin-top: 8px;
+            color: #2c5530;
+            font-weight: 500;
+        }
+        
+        .chart-table {
+            width: 100%;
+            border-collapse: collapse;
+            margin-top: 10px;
+            font-size: 0.9rem;
+        }
+        
+        .chart-table th,
+        .chart-table td {
+            padding: 6px 10px;
+            border-bottom: 1px solid #eee;
+            text-align: start;
+        }
+        
+        .chart-table .row-moderate { background: #fff3cd; }
+        .chart-table .row-steep { background: #f8d7da; }
+        
         @media (max-width: 768px) {
             .content {
                 grid-template-columns: 1fr;
@@ -1045,46 +1351,92 @@ generateRouteSummaryHTML(routeData, routeInfo, accessibilityData) {
         <!-- Header -->
         <header class="header">
             <h1>🌲 ${routeInfo.name}</h1>
-            <p class="subtitle">Accessible Trail Guide</p>
-            <p class="date">Documented on ${formattedDate}</p>
+            <p class="subtitle">${tr('guide.subtitle')}</p>
+            <p class="date">${tr('guide.documentedOn', { date: formattedDate })}</p>
         </header>
 
         <!-- Main Content -->
         <div class="content">
             <!-- Route Statistics -->
             <div class="card">
-                <h2>📊 Route Overview</h2>
+                <h2>${tr('guide.overview')}</h2>
                 <div class="stats-grid">
                     <div class="stat-item">
-                        <span class="stat-value">${(routeInfo.totalDistance || 0).toFixed(2)}</span>
-                        <span class="stat-label">Kilometers</span>
+                        <span class="stat-value">${routeStats.totalDistance.toFixed(2)}</span>
+                        <span class="stat-label">${tr('guide.kilometers')}</span>
                     </div>
                     <div class="stat-item">
-                        <span class="stat-value">${this.formatDuration(routeInfo.elapsedTime || 0)}</span>
-                        <span class="stat-label">Duration</span>
+                        <span class="stat-value">${this.formatDuration(routeStats.elapsedTime)}</span>
+                        <span class="stat-label">${tr('guide.duration')}</span>
+                    </div>
+                    <div class="stat-item">
+                        <span class="stat-value">${this.formatDuration(routeStats.movingTime)}</span>
+                        <span class="stat-label">${tr('guide.movingTime')}</span>
+                    </div>
+                    <div class="stat-item">
+                        <span class="stat-value">${formatPace(routeStats.avgPace)}</span>
+                        <span class="stat-label">${tr('guide.pace')}</span>
                     </div>
                     <div class="stat-item">
                         <span class="stat-value">${locationPoints.length}</span>
-                        <span class="stat-label">GPS Points</span>
+                        <span class="stat-label">${tr('guide.gpsPoints')}</span>
                     </div>
                     <div class="stat-item">
                         <span class="stat-value">${photos.length}</span>
-                        <span class="stat-label">Photos</span>
+                        <span class="stat-label">${tr('guide.photos')}</span>
+                    </div>
+                    <div class="stat-item">
+                        <span class="stat-value">${stops.length}</span>
+                        <span class="stat-label">${tr('guide.restPoints')}</span>
+                    </div>
+                    ${observations.length > 0 ? `
+                    <div class="stat-item">
+                        <span class="stat-value">${observations.filter(o => getObservationCategory(o.category).kind === 'barrier').length}</span>
+                        <span class="stat-label">${tr('guide.barriers')}</span>
+                    </div>
+                    ` : ''}
+                    ${elevationProfile ? `
+                    <div class="stat-item">
+                        <span class="stat-value">${formatGradient(elevationProfile.maxGradient)}</span>
+                        <span class="stat-label">${tr('guide.maxSlope')}</span>
+                    </div>
+                    <div class="stat-item">
+                        <span class="stat-value">${formatGradient(elevationProfile.avgGradient)}</span>
+                        <span class="stat-label">${tr('guide.avgSlope')}</span>
                     </div>
+                    ` : ''}
                 </div>
             </div>
 
+            ${elevationProfile ? this.generateSlopeSection(elevationProfile, language) : ''}
+
+            ${routeStats.movingTime > 0 ? this.generateStatsSection(routeStats, language) : ''}
+
             <!-- Trail Conditions -->
             <div class="card">
-                <h2>🚶 Trail Conditions</h2>
+                <h2>${tr('guide.conditions')}</h2>
                 <div class="warning-box">
-                    <h4>⚠️ Important Notice</h4>
-                    <p>Trail conditions can change due to weather, season, and maintenance. Always check current conditions before visiting.</p>
-                    <p>This information was recorded on ${formattedDate} and may not reflect current conditions.</p>
+                    <h4>${tr('guide.importantNotice')}</h4>
+                    <p>${tr('guide.conditionsChange')}</p>
+                    <p>${tr('guide.recordedOn', { date: formattedDate })}</p>
                 </div>
+                ${routeInfo.review?.flagged ? `
+                <div class="warning-box">
+                    <h4>${tr('guide.incompleteSurvey')}</h4>
+                    <p>${tr('guide.incompleteSurveyText', { completeness: routeInfo.review.completeness })}</p>
+                    ${routeInfo.review.conflicts.length > 0 ? `
+                    <p>${tr('guide.conflictsIntro')}</p>
+                    <ul>${routeInfo.review.conflicts.map(conflict => `<li>${escapeXml(describeConflict(conflict, language))}</li>`).join('')}</ul>
+                    ` : ''}
+                </div>
+                ` : ''}
             </div>
 
-            ${accessibilityData ? this.generateAccessibilitySection(accessibilityData) : ''}
+            ${this.generateScoreSection(accessibilityScore, language)}
+
+            ${accessibilityData ? this.generateAccessibilitySection(accessibilityData, language) : ''}
+
+            ${observations.length > 0 ? this.generateObservationSection(observations, language) : ''}
 
             <!-- Interactive Map -->
             ${locationPoints.length > 0 ? `
@@ -1096,13 +1448,13 @@ generateRouteSummaryHTML(routeData, routeInfo, accessibilityData) {
             <!-- Photos Section -->
             ${photos.length > 0 ? `
             <div class="card photos-section">
-                <h2>📷 Trail Photos (${photos.length})</h2>
+                <h2>${tr('guide.trailPhotos', { count: photos.length })}</h2>
                 <div class="photos-grid">
                     ${photos.map(photo => `
                         <div class="photo-item">
-                            <img src="${photo.content}" alt="Trail photo" onclick="this.style.position='fixed'; this.style.top='0'; this.style.left='0'; this.style.width='100vw'; this.style.height='100vh'; this.style.objectFit='contain'; this.style.zIndex='9999'; this.style.background='rgba(0,0,0,0.9)'; this.onclick=function(){this.style.position=''; this.style.top=''; this.style.left=''; this.style.width=''; this.style.height=''; this.style.objectFit=''; this.style.zIndex=''; this.style.background=''; this.onclick=null;}">
+                            <img src="${photo.content}" alt="${tr('guide.trailPhoto')}" onclick="this.style.position='fixed'; this.style.top='0'; this.style.left='0'; this.style.width='100vw'; this.style.height='100vh'; this.style.objectFit='contain'; this.style.zIndex='9999'; this.style.background='rgba(0,0,0,0.9)'; this.onclick=function(){this.style.position=''; this.style.top=''; this.style.left=''; this.style.width=''; this.style.height=''; this.style.objectFit=''; this.style.zIndex=''; this.style.background=''; this.onclick=null;}">
                             <div class="photo-caption">
-                                <div class="photo-time">${new Date(photo.timestamp).toLocaleString()}</div>
+                                <div class="photo-time">${new Date(photo.timestamp).toLocaleString(locale)}</div>
                             </div>
                         </div>
                     `).join('')}
@@ -1113,24 +1465,42 @@ generateRouteSummaryHTML(routeData, routeInfo, accessibilityData) {
             <!-- Notes Section -->
             ${notes.length > 0 ? `
             <div class="card notes-section">
-                <h2>📝 Trail Notes (${notes.length})</h2>
+                <h2>${tr('guide.trailNotes', { count: notes.length })}</h2>
                 <div class="notes-list">
                     ${notes.map(note => `
                         <div class="note-item">
-                            <div class="note-time">${new Date(note.timestamp).toLocaleString()}</div>
+                            <div class="note-time">${new Date(note.timestamp).toLocaleString(locale)}</div>
                             <div class="note-content">${note.content}</div>
                         </div>
                     `).join('')}
                 </div>
             </div>
             ` : ''}
+
+            <!-- Voice Notes Section -->
+            ${voiceNotes.length > 0 ? `
+            <div class="card notes-section">
+                <h2>${tr('guide.voiceNotes', { count: voiceNotes.length })}</h2>
+                <div class="notes-list">
+                    ${voiceNotes.map((note, index) => `
+                        <div class="note-item voice-note" id="voice-note-${index + 1}">
+                            <div class="note-time">${new Date(note.timestamp).toLocaleString(locale)} · ${this.formatDuration(note.duration || 0)}</div>
+                            ${note.content
+                              ? `<audio controls preload="none" src="${note.content}" aria-label="${tr('guide.voiceNote', { number: index + 1 })}"></audio>`
+                              : `<div class="note-content">${tr('guide.recordingUnavailable')}</div>`}
+                            ${note.transcript ? `<div class="note-content">"${escapeXml(note.transcript)}"</div>` : ''}
+                        </div>
+                    `).join('')}
+                </div>
+            </div>
+            ` : ''}
         </div>
 
         <!-- Footer -->
         <footer class="footer">
-            <p>Generated by <span class="logo">🌲 Access Nature</span></p>
-            <p>Making outdoor spaces accessible for everyone</p>
-            <p>Report generated on ${new Date().toLocaleDateString()}</p>
+            <p>${tr('guide.generatedBy')} <span class="logo">🌲 Access Nature</span></p>
+            <p>${tr('guide.tagline')}</p>
+            <p>${tr('guide.reportGenerated', { date: new Date().toLocaleDateString(locale) })}</p>
         </footer>
     </div>
 
@@ -1148,7 +1518,7 @@ generateRouteSummaryHTML(routeData, routeInfo, accessibilityData) {
         }).addTo(map);
 
         // Add route polyline
-        const routePoints = ${JSON.stringify(locationPoints.map(p => [p.coords.lat, p.coords.lng]))};
+        const routePoints = ${JSON.stringify(splitTrackSegments(locationPoints).map(segment => segment.map(p => [p.coords.lat, p.coords.lng])))};
         const polyline = L.polyline(routePoints, {
             color: '#4a7c59',
             weight: 4,
@@ -1158,13 +1528,13 @@ generateRouteSummaryHTML(routeData, routeInfo, accessibilityData) {
         // Add start marker
         L.marker([${locationPoints[0].coords.lat}, ${locationPoints[0].coords.lng}])
             .addTo(map)
-            .bindPopup('🚩 Start')
+            .bindPopup(${JSON.stringify(tr('guide.start'))})
             .openPopup();
 
         // Add end marker
         L.marker([${locationPoints[locationPoints.length - 1].coords.lat}, ${locationPoints[locationPoints.length - 1].coords.lng}])
             .addTo(map)
-            .bindPopup('🏁 End');
+            .bindPopup(${JSON.stringify(tr('guide.end'))});
 
         // Add photo markers
         ${photos.map(photo => photo.coords ? `
@@ -1177,6 +1547,46 @@ generateRouteSummaryHTML(routeData, routeInfo, accessibilityData) {
         }).addTo(map).bindPopup('<img src="${photo.content}" style="width:200px; border-radius:10px;">');
         ` : '').join('')}
 
+        // Voice note markers play the matching recording in the Voice Notes section
+        function playVoiceNote(number) {
+            const audio = document.querySelector('#voice-note-' + number + ' audio');
+            if (audio) {
+                audio.scrollIntoView({ behavior: 'smooth', block: 'center' });
+                audio.play();
+            }
+        }
+        ${voiceNotes.map((note, index) => note.coords ? `
+        L.marker([${note.coords.lat}, ${note.coords.lng}], {
+            icon: L.divIcon({
+                html: '🎙️',
+                iconSize: [30, 30],
+                className: 'voice-marker'
+            })
+        }).addTo(map).bindPopup(${JSON.stringify(`<strong>${tr('guide.voiceNote', { number: index + 1 })}</strong>${note.transcript ? `<br><em>"${escapeXml(note.transcript)}"</em>` : ''}${note.content ? `<br><button type="button" onclick="playVoiceNote(${index + 1})">${tr('guide.play')}</button>` : ''}`)});
+        ` : '').join('')}
+
+        // Barrier and facility markers
+        ${observations.map(observation => `
+        L.marker([${observation.coords.lat}, ${observation.coords.lng}], {
+            icon: L.divIcon({
+                html: '${getObservationCategory(observation.category).icon}',
+                iconSize: [30, 30],
+                className: 'observation-marker'
+            })
+        }).addTo(map).bindPopup(${JSON.stringify(`<strong>${getObservationCategory(observation.category).icon} ${getCategoryLabel(observation.category, language)}</strong><br>${getSeverityLabel(observation.severity, language)}${formatMeasurements(observation.measurements, language) ? `<br>📏 ${formatMeasurements(observation.measurements, language)}` : ''}${observation.note ? `<br>${escapeXml(observation.note)}` : ''}`)});
+        `).join('')}
+
+        // Add rest point markers
+        ${stops.map(stop => `
+        L.marker([${stop.coords.lat}, ${stop.coords.lng}], {
+            icon: L.divIcon({
+                html: '🪑',
+                iconSize: [30, 30],
+                className: 'stop-marker'
+            })
+        }).addTo(map).bindPopup(${JSON.stringify(tr('guide.restPoint', { minutes: Math.max(1, Math.round((stop.duration || 0) / 60000)) }))});
+        `).join('')}
+
         // Fit map to route bounds
         map.fitBounds(polyline.getBounds(), { padding: [20, 20] });
     </script>
@@ -1189,200 +1599,201 @@ generateRouteSummaryHTML(routeData, routeInfo, accessibilityData) {
 
 // Generate accessibility information section
 // Enhanced generateAccessibilitySection method for export.js
-generateAccessibilitySection(accessibilityData) {
+generateAccessibilitySection(accessibilityData, language = getLanguage()) {
   if (!accessibilityData) return '';
 
-  const formatArray = (arr) => Array.isArray(arr) ? arr.join(', ') : arr;
+  const tr = (key, params = {}) => t(key, params, language);
+  const answer = (name) => escapeXml(formatSurveyAnswer(name, accessibilityData[name], language));
 
   return `
     <div class="card accessibility-info">
-        <h2>♿ Comprehensive Accessibility Information</h2>
+        <h2>${tr('guide.accessibility.title')}</h2>
         <div class="accessibility-grid">
             
             <!-- Basic Information -->
             ${accessibilityData.trailName ? `
             <div class="accessibility-item">
-                <h4>🗺️ Trail Name</h4>
+                <h4>${tr('guide.accessibility.trailName')}</h4>
                 <p>${accessibilityData.trailName}</p>
             </div>
             ` : ''}
             
             ${accessibilityData.location ? `
             <div class="accessibility-item">
-                <h4>📍 Location</h4>
+                <h4>${tr('guide.accessibility.location')}</h4>
                 <p>${accessibilityData.location}</p>
             </div>
             ` : ''}
             
             ${accessibilityData.trailLength ? `
             <div class="accessibility-item">
-                <h4>📏 Trail Length</h4>
-                <p>${accessibilityData.trailLength} km</p>
+                <h4>${tr('guide.accessibility.trailLength')}</h4>
+                <p>${accessibilityData.trailLength} ${tr('common.km')}</p>
             </div>
             ` : ''}
             
             ${accessibilityData.estimatedTime ? `
             <div class="accessibility-item">
-                <h4>⏱️ Estimated Time</h4>
-                <p>${accessibilityData.estimatedTime}</p>
+                <h4>${tr('guide.accessibility.estimatedTime')}</h4>
+                <p>${answer('estimatedTime')}</p>
             </div>
             ` : ''}
 
             <!-- Trip and Route Type -->
             ${accessibilityData.tripType ? `
             <div class="accessibility-item">
-                <h4>🚶 Trip Type</h4>
-                <p>${accessibilityData.tripType}</p>
+                <h4>${tr('guide.accessibility.tripType')}</h4>
+                <p>${answer('tripType')}</p>
             </div>
             ` : ''}
 
             ${accessibilityData.routeType ? `
             <div class="accessibility-item">
-                <h4>🔄 Route Type</h4>
-                <p>${accessibilityData.routeType}</p>
+                <h4>${tr('guide.accessibility.routeType')}</h4>
+                <p>${answer('routeType')}</p>
             </div>
             ` : ''}
             
             <!-- Mobility Accessibility -->
             ${accessibilityData.wheelchairAccess ? `
             <div class="accessibility-item">
-                <h4>♿ Wheelchair Accessibility</h4>
-                <p>${accessibilityData.wheelchairAccess}</p>
+                <h4>${tr('guide.accessibility.wheelchairAccess')}</h4>
+                <p>${answer('wheelchairAccess')}</p>
             </div>
             ` : ''}
 
             ${accessibilityData.disabledParking ? `
             <div class="accessibility-item">
-                <h4>🚗 Disabled Parking</h4>
-                <p>${formatArray(accessibilityData.disabledParking)}</p>
-                ${accessibilityData.parkingSpaces ? `<p>Spaces available: ${accessibilityData.parkingSpaces}</p>` : ''}
+                <h4>${tr('guide.accessibility.disabledParking')}</h4>
+                <p>${answer('disabledParking')}</p>
+                ${accessibilityData.parkingSpaces ? `<p>${tr('guide.accessibility.parkingSpaces', { count: accessibilityData.parkingSpaces })}</p>` : ''}
             </div>
             ` : ''}
 
             <!-- Trail Surface -->
             ${accessibilityData.trailSurface ? `
             <div class="accessibility-item">
-                <h4>🛤️ Trail Surface</h4>
-                <p>${formatArray(accessibilityData.trailSurface)}</p>
+                <h4>${tr('guide.accessibility.trailSurface')}</h4>
+                <p>${answer('trailSurface')}</p>
             </div>
             ` : ''}
 
             ${accessibilityData.surfaceQuality ? `
             <div class="accessibility-item">
-                <h4>🔍 Surface Quality</h4>
-                <p>${accessibilityData.surfaceQuality}</p>
+                <h4>${tr('guide.accessibility.surfaceQuality')}</h4>
+                <p>${answer('surfaceQuality')}</p>
             </div>
             ` : ''}
 
             ${accessibilityData.trailSlopes ? `
             <div class="accessibility-item">
-                <h4>📈 Trail Slopes</h4>
-                <p>${accessibilityData.trailSlopes}</p>
+                <h4>${tr('guide.accessibility.trailSlopes')}</h4>
+                <p>${answer('trailSlopes')}</p>
             </div>
             ` : ''}
 
             <!-- Visual & Environmental -->
             ${accessibilityData.visualAdaptations ? `
             <div class="accessibility-item">
-                <h4>👁️ Visual Adaptations</h4>
-                <p>${formatArray(accessibilityData.visualAdaptations)}</p>
+                <h4>${tr('guide.accessibility.visualAdaptations')}</h4>
+                <p>${answer('visualAdaptations')}</p>
             </div>
             ` : ''}
 
             ${accessibilityData.shadeCoverage ? `
             <div class="accessibility-item">
-                <h4>🌳 Shade Coverage</h4>
-                <p>${accessibilityData.shadeCoverage}</p>
+                <h4>${tr('guide.accessibility.shadeCoverage')}</h4>
+                <p>${answer('shadeCoverage')}</p>
             </div>
             ` : ''}
 
             ${accessibilityData.lighting ? `
             <div class="accessibility-item">
-                <h4>💡 Lighting</h4>
-                <p>${formatArray(accessibilityData.lighting)}</p>
+                <h4>${tr('guide.accessibility.lighting')}</h4>
+                <p>${answer('lighting')}</p>
             </div>
             ` : ''}
 
             <!-- Facilities -->
             ${accessibilityData.waterFountains ? `
             <div class="accessibility-item">
-                <h4>🚰 Water Fountains</h4>
-                <p>${accessibilityData.waterFountains}</p>
+                <h4>${tr('guide.accessibility.waterFountains')}</h4>
+                <p>${answer('waterFountains')}</p>
             </div>
             ` : ''}
 
             ${accessibilityData.seating ? `
             <div class="accessibility-item">
-                <h4>🪑 Seating</h4>
-                <p>${formatArray(accessibilityData.seating)}</p>
+                <h4>${tr('guide.accessibility.seating')}</h4>
+                <p>${answer('seating')}</p>
             </div>
             ` : ''}
 
             ${accessibilityData.picnicAreas ? `
             <div class="accessibility-item">
-                <h4>🧺 Picnic Areas</h4>
-                <p>${formatArray(accessibilityData.picnicAreas)}</p>
-                ${accessibilityData.picnicCount ? `<p>Total areas: ${accessibilityData.picnicCount}</p>` : ''}
-                ${accessibilityData.picnicShade ? `<p>Shaded areas: ${accessibilityData.picnicShade}</p>` : ''}
-                ${accessibilityData.picnicSun ? `<p>Sunny areas: ${accessibilityData.picnicSun}</p>` : ''}
+                <h4>${tr('guide.accessibility.picnicAreas')}</h4>
+                <p>${answer('picnicAreas')}</p>
+                ${accessibilityData.picnicCount ? `<p>${tr('guide.accessibility.picnicCount', { count: accessibilityData.picnicCount })}</p>` : ''}
+                ${accessibilityData.picnicShade ? `<p>${tr('guide.accessibility.picnicShade', { count: accessibilityData.picnicShade })}</p>` : ''}
+                ${accessibilityData.picnicSun ? `<p>${tr('guide.accessibility.picnicSun', { count: accessibilityData.picnicSun })}</p>` : ''}
             </div>
             ` : ''}
 
             ${accessibilityData.accessibleViewpoint ? `
             <div class="accessibility-item">
-                <h4>🔭 Viewpoints</h4>
-                <p>${formatArray(accessibilityData.accessibleViewpoint)}</p>
+                <h4>${tr('guide.accessibility.accessibleViewpoint')}</h4>
+                <p>${answer('accessibleViewpoint')}</p>
             </div>
             ` : ''}
 
             ${accessibilityData.restrooms ? `
             <div class="accessibility-item">
-                <h4>🚻 Accessible Restrooms</h4>
-                <p>${accessibilityData.restrooms}</p>
+                <h4>${tr('guide.accessibility.restrooms')}</h4>
+                <p>${answer('restrooms')}</p>
             </div>
             ` : ''}
 
             <!-- Signage & Navigation -->
             ${accessibilityData.signage ? `
             <div class="accessibility-item">
-                <h4>🗺️ Signage & Navigation</h4>
-                <p>${formatArray(accessibilityData.signage)}</p>
+                <h4>${tr('guide.accessibility.signage')}</h4>
+                <p>${answer('signage')}</p>
             </div>
             ` : ''}
 
             ${accessibilityData.qrCode ? `
             <div class="accessibility-item">
-                <h4>📱 QR Code Information</h4>
-                <p>${formatArray(accessibilityData.qrCode)}</p>
+                <h4>${tr('guide.accessibility.qrCode')}</h4>
+                <p>${answer('qrCode')}</p>
             </div>
             ` : ''}
 
             <!-- Overall Summary -->
             ${accessibilityData.accessibilitySummary ? `
             <div class="accessibility-item summary-item">
-                <h4>📋 Overall Accessibility</h4>
-                <p class="accessibility-summary ${accessibilityData.accessibilitySummary.toLowerCase().replace(/\s+/g, '-')}">${accessibilityData.accessibilitySummary}</p>
+                <h4>${tr('guide.accessibility.accessibilitySummary')}</h4>
+                <p class="accessibility-summary ${escapeXml(accessibilityData.accessibilitySummary)}">${answer('accessibilitySummary')}</p>
             </div>
             ` : ''}
             
             ${accessibilityData.additionalNotes ? `
             <div class="accessibility-item" style="grid-column: 1 / -1;">
-                <h4>📝 Additional Notes</h4>
+                <h4>${tr('guide.accessibility.additionalNotes')}</h4>
                 <p>${accessibilityData.additionalNotes}</p>
             </div>
             ` : ''}
             
             ${accessibilityData.surveyorName ? `
             <div class="accessibility-item">
-                <h4>👤 Surveyed By</h4>
+                <h4>${tr('guide.accessibility.surveyorName')}</h4>
                 <p>${accessibilityData.surveyorName}</p>
             </div>
             ` : ''}
             
             ${accessibilityData.surveyDate ? `
             <div class="accessibility-item">
-                <h4>📅 Survey Date</h4>
-                <p>${new Date(accessibilityData.surveyDate).toLocaleDateString()}</p>
+                <h4>${tr('guide.accessibility.surveyDate')}</h4>
+                <p>${new Date(accessibilityData.surveyDate).toLocaleDateString(getLocale(language))}</p>
             </div>
             ` : ''}
         </div>
@@ -1390,6 +1801,339 @@ generateAccessibilitySection(accessibilityData) {
   `;
 }
 
+// Inline SVG chart of elevation and gradient against distance, with a data table as text alternative
+generateElevationChart(elevationProfile, language = getLanguage()) {
+  const tr = (key, params = {}) => t(key, params, language);
+  const { points, segments } = elevationProfile;
+  if (!points || points.length < 2 || !segments || segments.length === 0) return '';
+
+  const { accessible, ramp } = elevationProfile.thresholds || ADA_GRADIENT_THRESHOLDS;
+  const width = 800;
+  const left = 55;
+  const right = 15;
+  const elevTop = 15;
+  const elevBottom = 195;
+  const gradTop = 225;
+  const gradBottom = 295;
+  const height = 325;
+
+  const totalDistance = points[points.length - 1].distance || 1;
+  const useKm = totalDistance >= 1000;
+  const formatDistance = (meters) => useKm ? `${(meters / 1000).toFixed(2)} ${tr('common.km')}` : `${Math.round(meters)} m`;
+
+  const minElevation = Math.floor(elevationProfile.minElevation);
+  const maxElevation = Math.max(Math.ceil(elevationProfile.maxElevation), minElevation + 10);
+  const gradientRange = Math.min(20, Math.max(10, Math.ceil(elevationProfile.maxGradient)));
+
+  const x = (distance) => left + (distance / totalDistance) * (width - left - right);
+  const yElev = (elevation) => elevBottom - ((elevation - minElevation) / (maxElevation - minElevation)) * (elevBottom - elevTop);
+  const gradMid = (gradTop + gradBottom) / 2;
+  const yGrad = (gradient) => gradMid - (Math.max(-gradientRange, Math.min(gradientRange, gradient)) / gradientRange) * (gradBottom - gradTop) / 2;
+  const px = (value) => value.toFixed(1);
+
+  // Shade runs of moderate/steep segments across both panels
+  const bands = [];
+  segments.forEach(segment => {
+    if (segment.grade === 'accessible') return;
+    const last = bands[bands.length - 1];
+    if (last && last.grade === segment.grade && last.end === segment.startDistance) {
+      last.end = segment.endDistance;
+    } else {
+      bands.push({ grade: segment.grade, start: segment.startDistance, end: segment.endDistance });
+    }
+  });
+
+  // Thin the elevation line to keep the file small on long routes
+  const stride = Math.max(1, Math.ceil(points.length / 400));
+  const linePoints = points.filter((point, index) => index % stride === 0 || index === points.length - 1);
+  const elevationLine = linePoints.map((point, index) => `${index === 0 ? 'M' : 'L'}${px(x(point.distance))},${px(yElev(point.elevation))}`).join(' ');
+  const elevationArea = `${elevationLine} L${px(x(totalDistance))},${elevBottom} L${left},${elevBottom} Z`;
+  const gradientLine = segments.map((segment, index) =>
+    `${index === 0 ? 'M' : 'L'}${px(x(segment.startDistance))},${px(yGrad(segment.gradient))} L${px(x(segment.endDistance))},${px(yGrad(segment.gradient))}`
+  ).join(' ');
+
+  // Group segments into at most ~40 readings; each reports its steepest segment
+  const groupSize = Math.max(1, Math.ceil(segments.length / 40));
+  const readings = [];
+  for (let i = 0; i < segments.length; i += groupSize) {
+    const group = segments.slice(i, i + groupSize);
+    const steepest = group.reduce((a, b) => Math.abs(b.gradient) > Math.abs(a.gradient) ? b : a);
+    const lastSegment = group[group.length - 1];
+    readings.push({
+      startDistance: group[0].startDistance,
+      endDistance: lastSegment.endDistance,
+      elevation: points[lastSegment.endIndex].elevation,
+      gradient: steepest.gradient,
+      grade: steepest.grade
+    });
+  }
+
+  const gradeLabels = {
+    accessible: tr('guide.chart.gradeAccessible', { accessible }),
+    moderate: tr('guide.chart.gradeModerate', { accessible }),
+    steep: tr('guide.chart.gradeSteep', { ramp })
+  };
+  const direction = (gradient) => tr(gradient >= 0 ? 'guide.slopes.uphill' : 'guide.slopes.downhill');
+  const describe = (reading) => tr('guide.chart.reading', {
+    start: formatDistance(reading.startDistance),
+    end: formatDistance(reading.endDistance),
+    elevation: Math.round(reading.elevation),
+    gradient: formatGradient(Math.abs(reading.gradient)),
+    direction: direction(reading.gradient),
+    grade: gradeLabels[reading.grade]
+  });
+
+  const distanceTicks = [0, 0.25, 0.5, 0.75, 1].map(f => f * totalDistance);
+  const elevationTicks = [minElevation, Math.round((minElevation + maxElevation) / 2), maxElevation];
+
+  return `
+        <figure class="elevation-chart">
+            <!-- Distance runs left to right in every language, so the chart keeps LTR text anchoring -->
+            <svg viewBox="0 0 ${width} ${height}" direction="ltr" role="group" aria-labelledby="elevationChartTitle elevationChartDesc">
+                <title id="elevationChartTitle">${tr('guide.chart.title')}</title>
+                <desc id="elevationChartDesc">${tr('guide.chart.description', {
+                  min: Math.round(elevationProfile.minElevation),
+                  max: Math.round(elevationProfile.maxElevation),
+                  distance: formatDistance(totalDistance),
+                  maxGradient: formatGradient(elevationProfile.maxGradient),
+                  avgGradient: formatGradient(elevationProfile.avgGradient),
+                  accessible,
+                  ramp
+                })}</desc>
+
+                <g aria-hidden="true">
+                    ${bands.map(band => `<rect class="band-${band.grade}" x="${px(x(band.start))}" y="${elevTop}" width="${px(Math.max(1, x(band.end) - x(band.start)))}" height="${gradBottom - elevTop}"/>`).join('')}
+
+                    ${elevationTicks.map(tick => `
+                    <line class="grid-line" x1="${left}" x2="${width - right}" y1="${px(yElev(tick))}" y2="${px(yElev(tick))}"/>
+                    <text class="axis-label" x="${left - 6}" y="${px(yElev(tick) + 4)}" text-anchor="end">${tick} m</text>`).join('')}
+
+                    <path class="elevation-area" d="${elevationArea}"/>
+                    <path class="elevation-line" d="${elevationLine}"/>
+
+                    <line class="grid-line" x1="${left}" x2="${width - right}" y1="${gradMid}" y2="${gradMid}"/>
+                    ${[ramp, -ramp].map(limit => `<line class="threshold-line" x1="${left}" x2="${width - right}" y1="${px(yGrad(limit))}" y2="${px(yGrad(limit))}"/>`).join('')}
+                    <text class="axis-label" x="${left - 6}" y="${px(yGrad(ramp) + 4)}" text-anchor="end">+${ramp}%</text>
+                    <text class="axis-label" x="${left - 6}" y="${px(yGrad(-ramp) + 4)}" text-anchor="end">-${ramp}%</text>
+                    <path class="gradient-line" d="${gradientLine}"/>
+
+                    ${distanceTicks.map(tick => `<text class="axis-label" x="${px(x(tick))}" y="${height - 8}" text-anchor="middle">${formatDistance(tick)}</text>`).join('')}
+                </g>
+
+                ${readings.map(reading => `
+                <circle class="chart-point point-${reading.grade}" cx="${px(x(reading.endDistance))}" cy="${px(yElev(reading.elevation))}" r="4" tabindex="0" role="img" aria-label="${describe(reading)}"><title>${describe(reading)}</title></circle>`).join('')}
+            </svg>
+            <p class="chart-readout" id="elevationChartReadout" aria-hidden="true">${tr('guide.chart.readout')}</p>
+            <figcaption>
+                <details>
+                    <summary>${tr('guide.chart.table')}</summary>
+                    <table class="chart-table">
+                        <thead>
+                            <tr><th scope="col">${tr('guide.chart.section')}</th><th scope="col">${tr('guide.chart.elevation')}</th><th scope="col">${tr('guide.chart.steepestSlope')}</th><th scope="col">${tr('guide.chart.ada')}</th></tr>
+                        </thead>
+                        <tbody>
+                            ${readings.map(reading => `
+                            <tr class="row-${reading.grade}">
+                                <th scope="row">${formatDistance(reading.startDistance)} – ${formatDistance(reading.endDistance)}</th>
+                                <td>${Math.round(reading.elevation)} m</td>
+                                <td>${formatGradient(Math.abs(reading.gradient))} ${direction(reading.gradient)}</td>
+                                <td>${gradeLabels[reading.grade]}</td>
+                            </tr>`).join('')}
+                        </tbody>
+                    </table>
+                </details>
+            </figcaption>
+        </figure>
+        <script>
+            document.querySelectorAll('.elevation-chart .chart-point').forEach(function (point) {
+                var show = function () {
+                    document.getElementById('elevationChartReadout').textContent = point.getAttribute('aria-label');
+                };
+                point.addEventListener('mouseenter', show);
+                point.addEventListener('focus', show);
+            });
+        </script>
+  `;
+}
+
+// Per-profile accessibility scores with the factors behind each one
+generateScoreSection(accessibilityScore, language = getLanguage()) {
+  const tr = (key, params = {}) => t(key, params, language);
+  const { basedOn } = accessibilityScore;
+  const sources = [
+    basedOn.survey ? tr('guide.score.sourceSurvey') : null,
+    basedOn.elevation ? tr('guide.score.sourceElevation') : null,
+    basedOn.observations > 0 ? tr('guide.score.sourceObservations', { count: basedOn.observations }) : null
+  ].filter(Boolean);
+
+  return `
+    <div class="card score-section">
+        <h2>${tr('guide.score.title')}</h2>
+        <p>${tr('guide.score.basedOn', { sources: sources.length > 0 ? sources.join(tr('common.listSeparator')) : tr('guide.score.lengthOnly') })}</p>
+        <div class="score-grid">
+            ${Object.entries(accessibilityScore.profiles).map(([id, result]) => {
+              const profile = ACCESSIBILITY_PROFILES[id];
+              const rating = getScoreRating(result.score);
+              return `
+            <div class="score-profile" style="border-top-color: ${rating.color};">
+                <h4>${profile.icon} ${getProfileLabel(id, language)}</h4>
+                <div class="score-value">${result.score === null ? '–' : `${result.score}<small>/100</small>`}</div>
+                <div class="score-rating">${getRatingLabel(rating.id, language)}</div>
+                ${result.blocked ? `<p>${tr('guide.score.impassable')}</p>` : ''}
+                <table class="score-factors">
+                    <caption>${tr('score.coverage', { coverage: result.coverage })}</caption>
+                    <tbody>
+                        ${result.factors.map(factor => `
+                        <tr>
+                            <th scope="row">${getFactorLabel(factor.id, language)}</th>
+                            <td>${escapeXml(describeFactor(factor.detail, language))}</td>
+                            <td class="points">${factor.source === 'unknown' ? '—' : tr('guide.score.points', { points: factor.points, max: factor.maxPoints })}</td>
+                        </tr>`).join('')}
+                    </tbody>
+                </table>
+            </div>
+              `;
+            }).join('')}
+        </div>
+    </div>
+  `;
+}
+
+// Barriers and facilities marked along the route, worst first
+generateObservationSection(observations, language = getLanguage()) {
+  const severityOrder = ['impassable', 'major', 'minor', 'none'];
+  const sorted = [...observations].sort((a, b) => severityOrder.indexOf(a.severity) - severityOrder.indexOf(b.severity));
+
+  return `
+    <div class="card observation-section">
+        <h2>${escapeXml(t('guide.observations', { count: observations.length }, language))}</h2>
+        <ul class="observation-list">
+            ${sorted.map(observation => {
+              const category = getObservationCategory(observation.category);
+              const severity = getObservationSeverity(observation.severity);
+              const categoryLabel = getCategoryLabel(observation.category, language);
+              const measurements = formatMeasurements(observation.measurements, language);
+              return `
+            <li style="border-inline-start-color: ${severity.color};">
+                ${observation.content ? `<img src="${observation.content}" alt="${categoryLabel}">` : ''}
+                <div>
+                    <strong>${category.icon} ${categoryLabel}</strong>
+                    <div class="observation-severity">${getSeverityLabel(observation.severity, language)}</div>
+                    ${measurements ? `<div>📏 ${measurements}</div>` : ''}
+                    ${observation.note ? `<div>${escapeXml(observation.note)}</div>` : ''}
+                    <small>${new Date(observation.timestamp).toLocaleString(getLocale(language))}</small>
+                </div>
+            </li>
+              `;
+            }).join('')}
+        </ul>
+    </div>
+  `;
+}
+
+// Movement figures, per-km splits and how well the GPS tracked the route
+generateStatsSection(routeStats, language = getLanguage()) {
+  const tr = (key, params = {}) => t(key, params, language);
+  const { gps } = routeStats;
+  const hasElevation = routeStats.ascent !== null;
+
+  return `
+    <div class="card stats-section">
+        <h2>${tr('guide.stats.title')}</h2>
+        <div class="stats-grid">
+            <div class="stat-item">
+                <span class="stat-value">${this.formatDuration(routeStats.stoppedTime)}</span>
+                <span class="stat-label">${tr('guide.stats.stoppedTime')}</span>
+            </div>
+            <div class="stat-item">
+                <span class="stat-value">${formatSpeed(routeStats.avgMovingSpeed)}</span>
+                <span class="stat-label">${tr('guide.stats.avgSpeed')}</span>
+            </div>
+            <div class="stat-item">
+                <span class="stat-value">${formatSpeed(routeStats.maxSpeed)}</span>
+                <span class="stat-label">${tr('guide.stats.maxSpeed')}</span>
+            </div>
+        </div>
+        ${routeStats.splits.length > 1 ? `
+        <table class="chart-table splits-table">
+            <caption>${tr('guide.stats.splits')}</caption>
+            <thead>
+                <tr>
+                    <th scope="col">${tr('guide.stats.km')}</th>
+                    <th scope="col">${tr('guide.stats.movingTime')}</th>
+                    <th scope="col">${tr('guide.stats.pace')}</th>
+                    ${hasElevation ? `<th scope="col">${tr('guide.stats.ascent')}</th><th scope="col">${tr('guide.stats.descent')}</th>` : ''}
+                </tr>
+            </thead>
+            <tbody>
+                ${routeStats.splits.map(split => `
+                <tr>
+                    <th scope="row">${split.distance < routeStats.splitDistance ? tr('guide.stats.partialSplit', { number: split.number, distance: split.distance.toFixed(2) }) : split.number}</th>
+                    <td>${this.formatDuration(split.movingTime)}</td>
+                    <td>${formatPace(split.pace)}</td>
+                    ${hasElevation ? `<td>${split.ascent} m</td><td>${split.descent} m</td>` : ''}
+                </tr>`).join('')}
+            </tbody>
+        </table>
+        ` : ''}
+        <p><small>${tr('guide.stats.gpsQuality', {
+          accuracy: gps.meanAccuracy === null ? '–' : Math.round(gps.meanAccuracy),
+          gaps: gps.gapCount,
+          points: gps.pointCount
+        })}</small></p>
+    </div>
+  `;
+}
+
+// Generate slope/gradient section with segments flagged against ADA limits
+generateSlopeSection(elevationProfile, language = getLanguage()) {
+  const tr = (key, params = {}) => t(key, params, language);
+  const { accessible, ramp } = elevationProfile.thresholds || ADA_GRADIENT_THRESHOLDS;
+  const flagged = elevationProfile.segments
+    .filter(segment => segment.grade !== 'accessible')
+    .sort((a, b) => Math.abs(b.gradient) - Math.abs(a.gradient));
+  const listed = flagged.slice(0, 10);
+
+  return `
+    <div class="card slope-section">
+        <h2>${escapeXml(tr('guide.slopes.title'))}</h2>
+        ${this.generateElevationChart(elevationProfile, language)}
+        <div class="stats-grid">
+            <div class="stat-item">
+                <span class="stat-value">${Math.round(elevationProfile.totalAscent)} m</span>
+                <span class="stat-label">${tr('guide.slopes.totalAscent')}</span>
+            </div>
+            <div class="stat-item">
+                <span class="stat-value">${Math.round(elevationProfile.totalDescent)} m</span>
+                <span class="stat-label">${tr('guide.slopes.totalDescent')}</span>
+            </div>
+        </div>
+        ${flagged.length === 0 ? `
+        <div class="accessibility-item">
+            <h4>${tr('guide.slopes.noSteep')}</h4>
+            <p>${tr('guide.slopes.noSteepText', { accessible })}</p>
+        </div>
+        ` : `
+        <div class="warning-box">
+            <h4>${tr('guide.slopes.steep')}</h4>
+            <p>${tr('guide.slopes.steepText', { count: elevationProfile.steepSegmentCount, ramp, distance: elevationProfile.steepDistance })}</p>
+            <p>${tr('guide.slopes.moderateText', { count: elevationProfile.moderateSegmentCount, accessible, ramp })}</p>
+        </div>
+        <ul class="slope-list">
+            ${listed.map(segment => `
+            <li class="${segment.grade}">
+                ${tr('guide.slopes.segment', { start: Math.round(segment.startDistance), end: Math.round(segment.endDistance) })}
+                <strong>${formatGradient(Math.abs(segment.gradient))} ${tr(segment.gradient > 0 ? 'guide.slopes.uphill' : 'guide.slopes.downhill')}</strong>
+            </li>
+            `).join('')}
+        </ul>
+        ${flagged.length > listed.length ? `<p>${tr('guide.slopes.more', { count: flagged.length - listed.length })}</p>` : ''}
+        `}
+        <p><small>${tr('guide.slopes.footnote')}</small></p>
+    </div>
+  `;
+}
+
 // Preview the generated HTML in a new tab
 previewRouteSummary(htmlContent) {
   const blob = new Blob([htmlContent], { type: 'text/html' });
@@ -1,8 +1,9 @@
-// Firebase operations (simplified)
+// Cloud routes (simplified) - through the configured data backend, see src/data/backend.js
+import { getBackend } from '../data/backend.js';
+import { createCloudId } from '../core/cloud-outbox.js';
+
 export class FirebaseController {
   constructor() {
-    this.auth = null;
-    this.db = null;
     this.user = null;
     this.isInitialized = false;
   }
@@ -10,39 +11,25 @@ export class FirebaseController {
   async initialize() {
     if (this.isInitialized) return;
 
-    try {
-      if (typeof firebase === 'undefined') {
-        console.warn('Firebase not loaded, skipping initialization');
-        return;
-      }
-
-      this.auth = firebase.auth();
-      this.db = firebase.firestore();
-      
-      this.setupAuthListener();
-      this.isInitialized = true;
-      console.log('Firebase controller initialized');
-
-    } catch (error) {
-      console.error('Firebase initialization failed:', error);
-    }
+    this.setupAuthListener();
+    this.isInitialized = true;
+    console.log('Firebase controller initialized');
   }
 
+  // Not awaited: offline the live project's sign-in can't load, and the tracker starts without it
   setupAuthListener() {
-    if (!this.auth) return;
-
-    this.auth.onAuthStateChanged((user) => {
+    getBackend().accounts.onChange((user) => {
       this.user = user;
       if (user) {
         console.log('User signed in:', user.email);
       } else {
         console.log('User signed out');
       }
-    });
+    }).catch(error => console.warn('Firebase sign-in unavailable:', error));
   }
 
   async saveRouteToCloud(routeData, metadata = {}) {
-    if (!this.user || !this.db) {
+    if (!this.user) {
       alert('Please sign in to save routes to cloud');
       return;
     }
@@ -52,14 +39,15 @@ export class FirebaseController {
         userId: this.user.uid,
         userEmail: this.user.email,
         routeName: metadata.name || 'Unnamed Route',
-        createdAt: firebase.firestore.FieldValue.serverTimestamp(),
+        createdAt: new Date().toISOString(),
         metadata: metadata,
         routeData: routeData
       };
 
-      const docRef = await this.db.collection('routes').add(routeDoc);
+      const cloudId = createCloudId();
+      await getBackend().routes.save(cloudId, routeDoc);
       alert('Route saved to cloud successfully!');
-      return docRef.id;
+      return cloudId;
     } catch (error) {
       console.error('Failed to save route to cloud:', error);
       alert('Failed to save route to cloud: ' + error.message);
@@ -67,24 +55,19 @@ export class FirebaseController {
   }
 
   async loadMyRoutes() {
-    if (!this.user || !this.db) {
+    if (!this.user) {
       alert('Please sign in to load your routes');
       return;
     }
 
     try {
-      const querySnapshot = await this.db.collection('routes')
-        .where('userId', '==', this.user.uid)
-        .orderBy('createdAt', 'desc')
-        .get();
-
-      const routes = [];
-      querySnapshot.forEach(doc => {
-        routes.push({
-          id: doc.id,
-          ...doc.data()
-        });
-      });
+      // Tombstones of deleted routes are left out. A route uploaded again over its tombstone has lost its
+      // createdAt, so it counts from that upload.
+      const createdAt = (route) => new Date(route.createdAt || route.uploadedAt);
+      const routes = (await getBackend().routes.listByUser(this.user.uid))
+        .filter(route => !route.deleted)
+        .map(route => ({ id: route.cloudId, ...route }))
+        .sort((a, b) => createdAt(b) - createdAt(a));
 
       console.log(`Loaded ${routes.length} routes from cloud`);
       return routes;
@@ -1,9 +1,20 @@
 // Media capture functionality
 import { getCurrentPosition } from '../utils/geolocation.js';
+import { readExif } from '../utils/exif.js';
+import { dialogs } from '../ui/dialog.js';
+
+const MAX_VOICE_NOTE_DURATION = 2 * 60 * 1000; // recordings stop on their own after 2 minutes
+const VOICE_NOTE_MIME_TYPES = ['audio/webm;codecs=opus', 'audio/webm', 'audio/mp4', 'audio/ogg;codecs=opus'];
 
 export class MediaController {
   constructor(appState) {
     this.appState = appState;
+    this.dependencies = {};
+    this.voiceRecording = null;
+  }
+
+  setDependencies(deps) {
+    this.dependencies = deps;
   }
 
   initialize() {
@@ -27,6 +38,17 @@ export class MediaController {
         this.capturePhoto();
       });
     }
+
+    const voiceNoteBtn = document.getElementById('voiceNoteBtn');
+    if (voiceNoteBtn) {
+      voiceNoteBtn.addEventListener('click', () => {
+        this.toggleVoiceNote();
+      });
+      if (!this.isVoiceNoteSupported()) {
+        voiceNoteBtn.disabled = true;
+        voiceNoteBtn.title = 'Voice notes are not supported in this browser';
+      }
+    }
   }
 
   async capturePhoto() {
@@ -46,22 +68,32 @@ export class MediaController {
     if (!file) return;
 
     try {
-      const position = await getCurrentPosition();
-      const coords = {
-        lat: position.coords.latitude,
-        lng: position.coords.longitude
-      };
+      // Read the compass before anything async so the bearing matches the moment of capture
+      const compassHeading = this.dependencies.compass?.getCurrentHeading() ?? null;
+      const exif = await readExif(file);
+      const location = await this.resolvePhotoLocation(exif, compassHeading);
 
-      const compressedImage = await this.compressImage(file, 0.7);
+      const compressedImage = await this.compressImageToBlob(file, 0.7);
+      // The image goes to the media store; the entry keeps its mediaId (or inline content without IndexedDB)
+      const media = await this.appState.storeMedia(compressedImage);
 
-      this.appState.addRoutePoint({
+      const photoEntry = {
         type: 'photo',
-        coords: coords,
-        content: compressedImage,
+        coords: location.coords,
+        ...media,
         timestamp: Date.now(),
-        originalSize: file.size
-      });
+        originalSize: file.size,
+        accuracy: location.accuracy,
+        heading: location.heading,
+        headingSource: location.headingSource,
+        locationSource: location.source
+      };
+      if (exif?.orientation) photoEntry.exifOrientation = exif.orientation;
+      if (exif?.takenAt) photoEntry.takenAt = exif.takenAt;
+
+      this.appState.addRoutePoint(photoEntry);
 
+      console.log(`📷 Photo saved (${location.source} location, bearing ${location.heading ?? 'unknown'})`);
       alert('Photo captured and saved!');
     } catch (error) {
       console.error('Failed to capture photo:', error);
@@ -71,14 +103,53 @@ export class MediaController {
     event.target.value = '';
   }
 
+  // Uploaded photos carry their own EXIF position; camera shots use the live GPS fix
+  async resolvePhotoLocation(exif, compassHeading) {
+    if (exif?.coords) {
+      const heading = exif.heading ?? null;
+      return {
+        coords: exif.coords,
+        accuracy: exif.accuracy,
+        heading,
+        headingSource: heading !== null ? 'exif' : null,
+        source: 'exif'
+      };
+    }
+
+    const position = await getCurrentPosition({ maximumAge: 5000 });
+    const course = position.coords.heading;
+    let heading = compassHeading;
+    let headingSource = heading !== null ? 'compass' : null;
+
+    if (heading === null && typeof exif?.heading === 'number') {
+      heading = exif.heading;
+      headingSource = 'exif';
+    } else if (heading === null && typeof course === 'number' && !isNaN(course)) {
+      // Direction of travel is the best remaining guess at where the camera faced
+      heading = Math.round(course) % 360;
+      headingSource = 'gps';
+    }
+
+    return {
+      coords: {
+        lat: position.coords.latitude,
+        lng: position.coords.longitude
+      },
+      accuracy: typeof position.coords.accuracy === 'number' ? Math.round(position.coords.accuracy) : null,
+      heading,
+      headingSource,
+      source: 'gps'
+    };
+  }
+
   async addTextNote() {
     if (!this.appState.getTrackingState().isTracking) {
       alert('Start tracking first to add notes');
       return;
     }
 
-    const note = prompt('Enter your note:');
-    if (!note || note.trim() === '') return;
+    const note = await dialogs.prompt({ title: '📝 Add note', label: 'Enter your note:', confirmLabel: 'Add note' });
+    if (!note) return;
 
     try {
       const position = await getCurrentPosition();
@@ -101,7 +172,214 @@ export class MediaController {
     }
   }
 
+  isVoiceNoteSupported() {
+    return !!(navigator.mediaDevices?.getUserMedia && window.MediaRecorder);
+  }
+
+  isRecordingVoiceNote() {
+    return this.voiceRecording !== null;
+  }
+
+  async toggleVoiceNote() {
+    if (this.voiceRecording) {
+      await this.stopVoiceNote();
+    } else {
+      await this.startVoiceNote();
+    }
+  }
+
+  async startVoiceNote() {
+    if (this.voiceRecording) return;
+
+    if (!this.appState.getTrackingState().isTracking) {
+      alert('Start tracking first to record voice notes');
+      return;
+    }
+
+    if (!this.isVoiceNoteSupported()) {
+      alert('Voice notes are not supported in this browser');
+      return;
+    }
+
+    let stream = null;
+    try {
+      stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+
+      // The note belongs where recording started, so the fix is requested right away
+      const positionPromise = getCurrentPosition({ maximumAge: 5000 }).catch(error => {
+        console.warn('Location unavailable for voice note:', error);
+        return null;
+      });
+
+      const mimeType = VOICE_NOTE_MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+      const recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+      const recording = {
+        recorder,
+        stream,
+        chunks: [],
+        transcript: [],
+        positionPromise,
+        startedAt: Date.now(),
+        recognition: null,
+        timeout: null
+      };
+
+      recorder.ondataavailable = (event) => {
+        if (event.data.size > 0) recording.chunks.push(event.data);
+      };
+
+      recorder.start();
+      recording.recognition = this.startTranscription(recording);
+      recording.timeout = setTimeout(() => this.stopVoiceNote(), MAX_VOICE_NOTE_DURATION);
+      this.voiceRecording = recording;
+
+      this.updateVoiceNoteButton();
+      this.announce('Recording voice note. Activate the voice note button again to stop.');
+      console.log(`🎙️ Voice note recording started${recording.recognition ? ' with transcription' : ''}`);
+    } catch (error) {
+      console.error('Failed to start voice note:', error);
+      stream?.getTracks().forEach(track => track.stop());
+      alert('Could not start recording: ' + error.message);
+    }
+  }
+
+  // Browser speech recognition runs alongside the recorder when available; returns the recognizer or null
+  startTranscription(recording) {
+    const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
+    if (!SpeechRecognition || localStorage.getItem('voiceNoteTranscription') === 'off') return null;
+
+    try {
+      const recognition = new SpeechRecognition();
+      recognition.continuous = true;
+      recognition.interimResults = false;
+      recognition.lang = document.documentElement.lang || navigator.language || 'en-US';
+
+      recognition.onresult = (event) => {
+        for (let i = event.resultIndex; i < event.results.length; i++) {
+          if (event.results[i].isFinal) {
+            recording.transcript.push(event.results[i][0].transcript.trim());
+          }
+        }
+      };
+      recognition.onerror = (event) => {
+        console.warn('Speech recognition error:', event.error);
+      };
+
+      recognition.start();
+      return recognition;
+    } catch (error) {
+      console.warn('Speech recognition unavailable:', error);
+      return null;
+    }
+  }
+
+  async stopVoiceNote() {
+    const recording = this.voiceRecording;
+    if (!recording) return;
+
+    this.voiceRecording = null;
+    clearTimeout(recording.timeout);
+
+    const recorderStopped = new Promise(resolve => {
+      recording.recorder.onstop = resolve;
+    });
+    // Recognition delivers its last result just before it ends; don't wait forever for it
+    const transcriptDone = recording.recognition
+      ? new Promise(resolve => {
+        recording.recognition.onend = resolve;
+        setTimeout(resolve, 2000);
+      })
+      : Promise.resolve();
+
+    recording.recorder.stop();
+    recording.recognition?.stop();
+    await Promise.all([recorderStopped, transcriptDone]);
+    recording.stream.getTracks().forEach(track => track.stop());
+    this.updateVoiceNoteButton();
+
+    try {
+      const blob = new Blob(recording.chunks, { type: recording.recorder.mimeType || 'audio/webm' });
+      if (blob.size === 0) {
+        throw new Error('No audio was recorded');
+      }
+
+      const position = await recording.positionPromise;
+      const coords = position
+        ? { lat: position.coords.latitude, lng: position.coords.longitude }
+        : this.appState.getLastCoords();
+      if (!coords) {
+        throw new Error('Location unavailable');
+      }
+
+      const media = await this.appState.storeMedia(blob);
+      const entry = {
+        type: 'voice',
+        coords,
+        ...media,
+        mimeType: blob.type,
+        duration: Date.now() - recording.startedAt,
+        timestamp: recording.startedAt
+      };
+      if (position && typeof position.coords.accuracy === 'number') {
+        entry.accuracy = Math.round(position.coords.accuracy);
+      }
+
+      const transcript = recording.transcript.join(' ').trim();
+      if (transcript) entry.transcript = transcript;
+
+      this.appState.addRoutePoint(entry);
+
+      console.log(`🎙️ Voice note saved (${Math.round(entry.duration / 1000)}s${transcript ? ', transcribed' : ''})`);
+      this.announce(transcript ? `Voice note saved: ${transcript}` : 'Voice note saved');
+    } catch (error) {
+      console.error('Failed to save voice note:', error);
+      alert('Failed to save voice note: ' + error.message);
+    }
+  }
+
+  updateVoiceNoteButton() {
+    const voiceNoteBtn = document.getElementById('voiceNoteBtn');
+    if (!voiceNoteBtn) return;
+
+    const isRecording = this.isRecordingVoiceNote();
+    voiceNoteBtn.classList.toggle('recording', isRecording);
+    voiceNoteBtn.setAttribute('aria-pressed', isRecording ? 'true' : 'false');
+    voiceNoteBtn.setAttribute('aria-label', isRecording ? 'Stop recording voice note' : 'Record voice note');
+
+    const label = voiceNoteBtn.querySelector('.menu-label');
+    if (label) label.textContent = isRecording ? 'Stop' : 'Voice';
+  }
+
+  announce(message) {
+    window.AccessNatureApp?.announceToScreenReader?.(message);
+  }
+
   async compressImage(file, quality = 0.7) {
+    const canvas = await this.drawScaledImage(file);
+
+    try {
+      return canvas.toDataURL('image/jpeg', quality);
+    } catch (error) {
+      throw new Error('Image compression failed');
+    }
+  }
+
+  // Same as compressImage but yields a JPEG Blob for the media store
+  async compressImageToBlob(file, quality = 0.7) {
+    const canvas = await this.drawScaledImage(file);
+
+    return new Promise((resolve, reject) => {
+      canvas.toBlob((blob) => {
+        if (blob) {
+          resolve(blob);
+        } else {
+          reject(new Error('Image compression failed'));
+        }
+      }, 'image/jpeg', quality);
+    });
+  }
+
+  drawScaledImage(file, maxWidth = 1200) {
     return new Promise((resolve, reject) => {
       const img = new Image();
       const reader = new FileReader();
@@ -114,19 +392,12 @@ export class MediaController {
         const canvas = document.createElement('canvas');
         const ctx = canvas.getContext('2d');
 
-        const maxWidth = 1200;
         const scale = Math.min(1, maxWidth / img.width);
         canvas.width = img.width * scale;
         canvas.height = img.height * scale;
 
         ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
-        
-        try {
-          const compressedBase64 = canvas.toDataURL('image/jpeg', quality);
-          resolve(compressedBase64);
-        } catch (error) {
-          reject(new Error('Image compression failed'));
-        }
+        resolve(canvas);
       };
 
       img.onerror = () => {
@@ -141,56 +412,70 @@ export class MediaController {
     });
   }
 
-  showPhotoCleanupDialog() {
-    const photos = this.getStoredPhotos();
+  async showPhotoCleanupDialog() {
+    const photos = await this.getStoredPhotos();
 
     if (photos.length === 0) {
       alert('No stored photos found.');
       return;
     }
 
-    const shouldDelete = confirm(`Found ${photos.length} photos. Delete all to free up space?`);
+    const shouldDelete = await dialogs.confirm({
+      title: 'Stored photos',
+      message: `Found ${photos.length} photos. Delete all to free up space?`,
+      confirmLabel: 'Delete all',
+      danger: true
+    });
     if (shouldDelete) {
-      this.deleteAllPhotos();
+      await this.deleteAllPhotos();
       alert('All photos deleted.');
     }
   }
 
-  getStoredPhotos() {
-    const photos = [];
-    
-    this.appState.getRouteData().forEach(entry => {
-      if (entry.type === 'photo' && entry.content) {
-        photos.push(entry);
-      }
-    });
+  async getStoredPhotos() {
+    const isPhoto = entry => (entry.type === 'photo' || entry.type === 'observation') && (entry.content || entry.mediaId);
+    const photos = this.appState.getRouteData().filter(isPhoto);
 
-    this.appState.getSessions().forEach(session => {
+    const sessions = await this.appState.getSessions();
+    sessions.forEach(session => {
       if (session.data) {
-        session.data.forEach(entry => {
-          if (entry.type === 'photo' && entry.content) {
-            photos.push(entry);
-          }
-        });
+        photos.push(...session.data.filter(isPhoto));
       }
     });
 
     return photos;
   }
 
-  deleteAllPhotos() {
+  async deleteAllPhotos() {
+    // Photo entries go; observations stay but lose their photo; voice notes are left alone
+    const hasPhoto = entry => (entry.type === 'photo' || entry.type === 'observation') && (entry.content || entry.mediaId);
+    const removePhotos = entries => entries
+      .filter(entry => entry.type !== 'photo')
+      .map(entry => {
+        if (!hasPhoto(entry)) return entry;
+        const { content, mediaId, mediaSize, ...rest } = entry;
+        return rest;
+      });
+
     // Clear from current route data
     const routeData = this.appState.getRouteData();
-    const filtered = routeData.filter(entry => entry.type !== 'photo');
-    this.appState.routeData = filtered;
+    await this.appState.deleteRouteMedia(routeData.filter(hasPhoto));
+    this.appState.routeData = removePhotos(routeData);
 
     // Clear from all sessions
-    const sessions = this.appState.getSessions();
-    sessions.forEach(session => {
-      if (session.data) {
-        session.data = session.data.filter(entry => entry.type !== 'photo');
+    const sessions = await this.appState.getSessions();
+    for (const session of sessions) {
+      if (!session.data) continue;
+
+      await this.appState.deleteRouteMedia(session.data.filter(hasPhoto));
+      session.data = removePhotos(session.data);
+      session.dataSize = JSON.stringify(session.data).length;
+      if (this.appState.dbReady) {
+        await this.appState.routeDB.updateRoute(session);
       }
-    });
-    localStorage.setItem('sessions', JSON.stringify(sessions));
+    }
+    if (!this.appState.dbReady) {
+      localStorage.setItem('sessions', JSON.stringify(sessions));
+    }
   }
 }
\ No newline at end of file
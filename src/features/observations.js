@@ -0,0 +1,147 @@
+// Barrier and facility observations pinned to the spot where they were marked
+import { getCurrentPosition } from '../utils/geolocation.js';
+import {
+  OBSERVATION_CATEGORIES,
+  OBSERVATION_SEVERITIES,
+  OBSERVATION_MEASUREMENTS,
+  describeObservation,
+  getCategoryLabel,
+  getSeverityLabel,
+  getMeasurementLabel
+} from '../core/observation-types.js';
+import { t } from '../i18n/i18n.js';
+import { dialogs } from '../ui/dialog.js';
+
+export class ObservationController {
+  constructor(appState) {
+    this.appState = appState;
+    this.dependencies = {};
+    this.isMarking = false;
+  }
+
+  setDependencies(deps) {
+    this.dependencies = deps;
+  }
+
+  initialize() {
+    const markObservationBtn = document.getElementById('markObservationBtn');
+    if (markObservationBtn) {
+      markObservationBtn.addEventListener('click', () => {
+        this.markObservation();
+      });
+    }
+  }
+
+  async markObservation() {
+    if (!this.appState.getTrackingState().isTracking) {
+      alert(t('observations.startTrackingFirst'));
+      return;
+    }
+    if (this.isMarking) return;
+
+    this.isMarking = true;
+    try {
+      // The fix is requested straight away so the pin lands where the button was pressed, not where the questions were answered
+      const markedAt = Date.now();
+      const positionRequest = getCurrentPosition({ maximumAge: 5000 });
+      positionRequest.catch(() => {});
+
+      const category = await this.askCategory();
+      if (!category) return;
+
+      const severity = await this.askSeverity(category);
+      if (!severity) return;
+
+      const title = `${OBSERVATION_CATEGORIES[category].icon} ${getCategoryLabel(category)}`;
+      const measurements = await this.askMeasurements(category, title);
+      const note = await dialogs.prompt({ title, label: t('observations.notePrompt') });
+      const wantsPhoto = await dialogs.confirm({
+        title,
+        message: t('observations.addPhoto'),
+        confirmLabel: t('observations.addPhotoButton'),
+        cancelLabel: t('observations.noPhoto')
+      });
+      const photo = wantsPhoto ? await this.pickPhoto() : null;
+
+      const position = await positionRequest;
+      const entry = {
+        type: 'observation',
+        category,
+        severity,
+        measurements,
+        coords: {
+          lat: position.coords.latitude,
+          lng: position.coords.longitude
+        },
+        accuracy: typeof position.coords.accuracy === 'number' ? Math.round(position.coords.accuracy) : null,
+        timestamp: markedAt
+      };
+      if (note) entry.note = note;
+
+      if (photo) {
+        const blob = await this.dependencies.media.compressImageToBlob(photo, 0.7);
+        Object.assign(entry, await this.appState.storeMedia(blob));
+      }
+
+      this.appState.addRoutePoint(entry);
+
+      console.log(`📌 Observation marked: ${entry.category} (${entry.severity})`);
+      alert(t('observations.marked', { description: describeObservation(entry) }));
+    } catch (error) {
+      console.error('Failed to mark observation:', error);
+      alert(t('observations.markFailed', { error: error.message }));
+    } finally {
+      this.isMarking = false;
+    }
+  }
+
+  askCategory() {
+    return dialogs.selectFromList({
+      title: t('observations.whatAreYouMarking'),
+      items: Object.keys(OBSERVATION_CATEGORIES).map(id => ({
+        value: id,
+        label: `${OBSERVATION_CATEGORIES[id].icon} ${getCategoryLabel(id)}`
+      }))
+    });
+  }
+
+  askSeverity(category) {
+    // Facilities are usually fine; barriers usually aren't
+    const suggested = OBSERVATION_CATEGORIES[category].kind === 'feature' ? 'none' : 'minor';
+
+    return dialogs.choose({
+      title: t('observations.howSevere', { category: getCategoryLabel(category).toLowerCase() }),
+      value: suggested,
+      options: Object.keys(OBSERVATION_SEVERITIES).map(id => ({ value: id, label: getSeverityLabel(id) }))
+    });
+  }
+
+  // Measurements are optional; blank or non-numeric answers are skipped
+  async askMeasurements(category, title) {
+    const measurements = {};
+    for (const key of OBSERVATION_CATEGORIES[category].measurements) {
+      const { unit } = OBSERVATION_MEASUREMENTS[key];
+      const answer = await dialogs.prompt({
+        title,
+        label: t('observations.measurementPrompt', { label: getMeasurementLabel(key), unit }),
+        inputMode: 'decimal'
+      });
+      const value = parseFloat(String(answer ?? '').replace(',', '.'));
+      if (!isNaN(value) && value >= 0) measurements[key] = value;
+    }
+    return measurements;
+  }
+
+  // Resolves with the chosen image, or null if the picker is dismissed
+  pickPhoto() {
+    return new Promise((resolve) => {
+      const input = document.createElement('input');
+      input.type = 'file';
+      input.accept = 'image/*';
+      input.capture = 'environment';
+      input.addEventListener('change', () => resolve(input.files[0] || null), { once: true });
+      input.addEventListener('cancel', () => resolve(null), { once: true });
+      input.click();
+    });
+  }
+}
@@ -0,0 +1,360 @@
+// Survey engine - renders, validates, collects and prefills a form from a survey schema
+import { SURVEY_SCHEMA } from './survey-schema.js';
+import { t, getLanguage } from '../i18n/i18n.js';
+
+// Field types whose value is stored as an array of the checked option values
+const MULTI_VALUE_TYPES = ['checkbox'];
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Schema version 1 stored the English option text; version 2 stores these codes instead
+const V1_OPTION_CODES = {
+  estimatedTime: {
+    'under 30 minutes': 'under_30_min', '30-60 minutes': '30_60_min', '1-2 hours': '1_2_hours',
+    '2-4 hours': '2_4_hours', 'half day': 'half_day', 'full day': 'full_day'
+  },
+  tripType: {
+    'beach promenade': 'beach_promenade', 'stream path': 'stream_path', 'park route': 'park_route',
+    'forest trail': 'forest_trail', 'urban route': 'urban_route', 'scenic drive': 'scenic_drive'
+  },
+  routeType: { 'circular': 'circular', 'round trip': 'round_trip' },
+  wheelchairAccess: {
+    'fully accessible': 'full', 'partially accessible': 'partial',
+    'accessible with assistance': 'assisted', 'not accessible': 'not_accessible'
+  },
+  disabledParking: { 'available': 'available' },
+  trailSurface: {
+    'asphalt': 'asphalt', 'concrete': 'concrete', 'stone': 'stone', 'wood/plastic deck': 'deck',
+    'compacted gravel': 'compacted_gravel', 'mixed surfaces': 'mixed', 'grass': 'grass'
+  },
+  surfaceQuality: {
+    'excellent - smooth and well maintained': 'excellent',
+    'fair - minor disruptions, rough patches, bumps, cracks': 'fair',
+    'poor - serious disruptions, protruding stones, large grooves': 'poor',
+    'vegetation blocks passage': 'overgrown'
+  },
+  trailSlopes: {
+    'no slopes to mild slopes (up to 5%)': 'mild',
+    'moderate slopes - assistance recommended (5%-10%)': 'moderate',
+    'steep slopes - not accessible (over 10%)': 'steep'
+  },
+  visualAdaptations: {
+    'raised/protruding borders': 'raised_borders', 'texture/tactile differences': 'tactile',
+    'color contrast differences': 'color_contrast'
+  },
+  shadeCoverage: { 'plenty of shade': 'plenty', 'intermittent shade': 'intermittent', 'no shade': 'none' },
+  lighting: { 'trail is lit in darkness': 'lit' },
+  waterFountains: { 'none': 'none', 'one accessible fountain': 'one', 'multiple fountains along route': 'multiple' },
+  seating: {
+    'no accessible benches': 'none', 'one accessible bench': 'one',
+    'multiple benches along route': 'multiple', 'benches without handrails': 'no_handrails'
+  },
+  picnicAreas: { 'available': 'available' },
+  accessibleViewpoint: { 'available': 'available' },
+  restrooms: {
+    'none': 'none', 'one unisex accessible restroom': 'unisex',
+    'separate accessible restrooms for men and women': 'separate'
+  },
+  signage: {
+    'route map available': 'route_map', 'clear directional signage': 'directional',
+    'simple language signage': 'simple_language', 'large, high-contrast accessible signage': 'high_contrast',
+    'audio explanation compatible with t-mode hearing devices': 'audio'
+  },
+  qrCode: { 'available': 'available' },
+  accessibilitySummary: {
+    'accessible': 'accessible', 'partially accessible': 'partial',
+    'accessible with assistance': 'assisted', 'not accessible': 'not_accessible'
+  }
+};
+
+function today() {
+  return new Date().toISOString().split('T')[0];
+}
+
+export function getSurveyFields(schema = SURVEY_SCHEMA) {
+  return schema.sections.flatMap(section => section.fields);
+}
+
+// Accepts a field definition or a field name
+export function getFieldLabel(field, language = getLanguage()) {
+  const name = typeof field === 'string' ? field : field.name;
+  return t(`survey.fields.${name}.label`, { defaultValue: name }, language);
+}
+
+export function getSectionTitle(section, language = getLanguage()) {
+  const id = typeof section === 'string' ? section : section.id;
+  return t(`survey.sections.${id}`, { defaultValue: id }, language);
+}
+
+// Unknown values (free text, or data from a newer schema) are shown as they were saved
+export function getOptionLabel(fieldName, value, language = getLanguage()) {
+  return t(`survey.fields.${fieldName}.options.${value}`, { defaultValue: String(value) }, language);
+}
+
+// Readable form of a saved answer; checkbox answers are joined into one line
+export function formatSurveyAnswer(fieldName, value, language = getLanguage()) {
+  if (Array.isArray(value)) {
+    return value.map(item => getOptionLabel(fieldName, item, language)).join(t('common.listSeparator', {}, language));
+  }
+  return getOptionLabel(fieldName, value, language);
+}
+
+// Maps a version 1 (English) answer to its option code; codes and unknown values pass through
+export function normalizeSurveyOption(fieldName, value) {
+  if (typeof value !== 'string') return value;
+  return V1_OPTION_CODES[fieldName]?.[value.trim().toLowerCase()] || value;
+}
+
+function getFieldPlaceholder(field, language) {
+  return field.placeholder ? t(`survey.fields.${field.name}.placeholder`, {}, language) : '';
+}
+
+export function isMultiValueField(field) {
+  return MULTI_VALUE_TYPES.includes(field.type);
+}
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+// Fields without visibleWhen are always shown; otherwise the controlling field must match
+export function isFieldVisible(field, data) {
+  const rule = field.visibleWhen;
+  if (!rule) return true;
+
+  const value = data[rule.field];
+  if ('equals' in rule) return value === rule.equals;
+  if ('includes' in rule) return Array.isArray(value) ? value.includes(rule.includes) : value === rule.includes;
+  if ('oneOf' in rule) return rule.oneOf.includes(value);
+  return !isEmpty(value);
+}
+
+function renderControl(field, language) {
+  const name = escapeHtml(field.name);
+  const required = field.required ? ' required aria-required="true"' : '';
+  const placeholder = getFieldPlaceholder(field, language);
+
+  switch (field.type) {
+    case 'textarea':
+      return `<textarea id="${name}" name="${name}" placeholder="${escapeHtml(placeholder)}"${required}></textarea>`;
+
+    case 'select':
+      return `
+        <select id="${name}" name="${name}"${required}>
+          <option value="">${escapeHtml(placeholder || t('common.select', {}, language))}</option>
+          ${field.options.map(option =>
+            `<option value="${escapeHtml(option)}">${escapeHtml(getOptionLabel(field.name, option, language))}</option>`).join('')}
+        </select>`;
+
+    case 'radio':
+    case 'checkbox': {
+      const group = field.type === 'radio' ? 'radio' : 'checkbox';
+      return `
+        <div class="${group}-group" role="${field.type === 'radio' ? 'radiogroup' : 'group'}" aria-labelledby="${name}_label">
+          ${field.options.map((option, index) => `
+            <div class="${group}-item">
+              <input type="${field.type}" id="${name}_${index}" name="${name}" value="${escapeHtml(option)}">
+              <label for="${name}_${index}">${escapeHtml(getOptionLabel(field.name, option, language))}</label>
+            </div>`).join('')}
+        </div>`;
+    }
+
+    default: {
+      const attributes = [
+        field.min !== undefined ? `min="${field.min}"` : '',
+        field.max !== undefined ? `max="${field.max}"` : '',
+        field.step !== undefined ? `step="${field.step}"` : '',
+        placeholder ? `placeholder="${escapeHtml(placeholder)}"` : ''
+      ].filter(Boolean).join(' ');
+      return `<input type="${escapeHtml(field.type)}" id="${name}" name="${name}" ${attributes}${required}>`;
+    }
+  }
+}
+
+function renderField(field, language) {
+  const name = escapeHtml(field.name);
+  const isGroup = field.type === 'radio' || field.type === 'checkbox';
+  const requiredMark = field.required ? ' <span class="required">*</span>' : '';
+  const text = escapeHtml(getFieldLabel(field, language));
+  const label = isGroup
+    ? `<label id="${name}_label">${text}${requiredMark}</label>`
+    : `<label for="${name}">${text}${requiredMark}</label>`;
+
+  return `
+    <div class="form-group" data-field="${name}"${field.visibleWhen ? ' hidden' : ''}>
+      ${label}
+      ${renderControl(field, language)}
+    </div>`;
+}
+
+// Consecutive fields sharing a "row" key are laid out side by side
+function renderSectionFields(fields, language) {
+  const rows = [];
+  fields.forEach(field => {
+    const previous = rows[rows.length - 1];
+    if (field.row && previous && previous.key === field.row) {
+      previous.fields.push(field);
+    } else {
+      rows.push({ key: field.row || null, fields: [field] });
+    }
+  });
+
+  return rows.map(row => `
+    <div class="form-row">
+      ${row.fields.map(field => renderField(field, language)).join('')}
+    </div>`).join('');
+}
+
+// Returns the HTML for every section of the survey (without the surrounding <form>)
+export function renderSurvey(schema = SURVEY_SCHEMA, language = getLanguage()) {
+  return schema.sections.map((section, index) => {
+    const expanded = section.expanded ?? index === 0;
+    return `
+      <div class="section" data-section="${escapeHtml(section.id)}">
+        <div class="section-header" onclick="toggleSection(this)">
+          <h2>${escapeHtml(getSectionTitle(section, language))}</h2>
+          <span class="toggle-icon">▼</span>
+        </div>
+        <div class="section-content${expanded ? ' active' : ''}">
+          ${renderSectionFields(section.fields, language)}
+        </div>
+      </div>`;
+  }).join('');
+}
+
+// Reads every answered field from the form, including ones that are currently hidden
+function readSurveyValues(form, schema) {
+  const raw = {};
+
+  getSurveyFields(schema).forEach(field => {
+    if (isMultiValueField(field)) {
+      const checked = [...form.querySelectorAll(`input[name="${field.name}"]:checked`)].map(input => input.value);
+      if (checked.length > 0) raw[field.name] = checked;
+    } else if (field.type === 'radio') {
+      const checked = form.querySelector(`input[name="${field.name}"]:checked`);
+      if (checked) raw[field.name] = checked.value;
+    } else {
+      const element = form.elements[field.name];
+      const value = element ? element.value.trim() : '';
+      if (value !== '') raw[field.name] = value;
+    }
+  });
+
+  return raw;
+}
+
+// Reads the current form values; hidden conditional fields are left out
+export function collectSurveyData(form, schema = SURVEY_SCHEMA) {
+  const raw = readSurveyValues(form, schema);
+  const data = {};
+  getSurveyFields(schema).forEach(field => {
+    if (field.name in raw && isFieldVisible(field, raw)) data[field.name] = raw[field.name];
+  });
+  data.schemaVersion = schema.version;
+  return data;
+}
+
+// Returns a list of { field, label, message } problems; an empty list means the data is valid
+export function validateSurvey(data, schema = SURVEY_SCHEMA, language = getLanguage()) {
+  const errors = [];
+
+  getSurveyFields(schema).forEach(field => {
+    if (!isFieldVisible(field, data)) return;
+    const value = data[field.name];
+    const label = getFieldLabel(field, language);
+    const problem = (key, params = {}) =>
+      errors.push({ field: field.name, label, message: t(`survey.errors.${key}`, { label, ...params }, language) });
+
+    if (isEmpty(value)) {
+      if (field.required) problem('required');
+      return;
+    }
+
+    if (field.type === 'number') {
+      const number = Number(value);
+      if (isNaN(number)) {
+        problem('number');
+      } else if (field.min !== undefined && number < field.min) {
+        problem('min', { min: field.min });
+      } else if (field.max !== undefined && number > field.max) {
+        problem('max', { max: field.max });
+      }
+    }
+
+    if (field.options) {
+      const values = Array.isArray(value) ? value : [value];
+      if (values.some(item => !field.options.includes(item))) problem('option');
+    }
+  });
+
+  return errors;
+}
+
+// Shows or hides conditional fields to match the current form values
+export function updateSurveyVisibility(form, schema = SURVEY_SCHEMA) {
+  const data = readSurveyValues(form, schema);
+
+  getSurveyFields(schema).filter(field => field.visibleWhen).forEach(field => {
+    const group = form.querySelector(`[data-field="${field.name}"]`);
+    if (group) group.hidden = !isFieldVisible(field, data);
+  });
+}
+
+// Clears the form and fills it from saved data (schema defaults apply where nothing was saved)
+export function prefillSurvey(form, data = {}, schema = SURVEY_SCHEMA) {
+  form.reset();
+
+  getSurveyFields(schema).forEach(field => {
+    let value = data[field.name];
+    if (isEmpty(value) && field.defaultValue !== undefined) {
+      value = field.defaultValue === 'today' ? today() : field.defaultValue;
+    }
+    if (isEmpty(value)) return;
+
+    if (field.type === 'radio' || isMultiValueField(field)) {
+      const values = Array.isArray(value) ? value : [value];
+      form.querySelectorAll(`input[name="${field.name}"]`).forEach(input => {
+        input.checked = values.includes(input.value);
+      });
+    } else {
+      const element = form.elements[field.name];
+      if (element) element.value = value;
+    }
+  });
+
+  updateSurveyVisibility(form, schema);
+}
+
+// Brings saved survey data up to the current schema version. Surveys saved before the schema
+// existed used the same field names and values as version 1; version 2 replaced the English
+// option text with codes. Safe to run on data that is already current.
+export function migrateSurveyData(data, schema = SURVEY_SCHEMA) {
+  if (!data || typeof data !== 'object') return data;
+
+  const migrated = { ...data };
+  if (!migrated.schemaVersion) migrated.schemaVersion = 1;
+
+  if (migrated.schemaVersion < 2) {
+    Object.keys(V1_OPTION_CODES).forEach(name => {
+      const value = migrated[name];
+      if (Array.isArray(value)) {
+        migrated[name] = value.map(item => normalizeSurveyOption(name, item));
+      } else if (value !== undefined) {
+        migrated[name] = normalizeSurveyOption(name, value);
+      }
+    });
+    migrated.schemaVersion = 2;
+  }
+
+  if (migrated.schemaVersion > schema.version) {
+    console.warn(`⚠️ Survey data is from a newer schema (v${migrated.schemaVersion}) than this app (v${schema.version})`);
+  }
+
+  return migrated;
+}
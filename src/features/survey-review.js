@@ -0,0 +1,174 @@
+// Survey review - checks a route's survey for missing sections and answers that contradict measured data
+import { SURVEY_SCHEMA } from './survey-schema.js';
+import { isFieldVisible, migrateSurveyData, getFieldLabel, getSectionTitle } from './survey-engine.js';
+import { getElevationProfile, formatGradient, ADA_GRADIENT_THRESHOLDS } from '../core/elevation.js';
+import { t, getLanguage } from '../i18n/i18n.js';
+
+// Share of survey questions that must be answered before a trail guide is published without a flag
+export const PUBLISH_COMPLETENESS_THRESHOLD = 70;
+
+// Surveyed and measured length may differ this much before it counts as a conflict
+const LENGTH_TOLERANCE = 0.25;
+
+// A single checkbox is a yes/no question, so leaving it unticked is an answer too
+function countsTowardsCompleteness(field, answers) {
+  if (field.optional) return false;
+  if (field.type === 'checkbox' && field.options.length === 1) return false;
+  return isFieldVisible(field, answers);
+}
+
+function isAnswered(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  return value !== undefined && value !== null && String(value).trim() !== '';
+}
+
+// Per-section answered/missing questions. Optional fields, yes/no checkboxes and conditional
+// fields hidden by the current answers don't count.
+export function checkSurveyCompleteness(data, schema = SURVEY_SCHEMA) {
+  const answers = migrateSurveyData(data) || {};
+  let answered = 0;
+  let total = 0;
+
+  const sections = schema.sections.map(section => {
+    const fields = section.fields.filter(field => countsTowardsCompleteness(field, answers));
+    const missing = fields.filter(field => !isAnswered(answers[field.name]));
+
+    answered += fields.length - missing.length;
+    total += fields.length;
+
+    return {
+      id: section.id,
+      answered: fields.length - missing.length,
+      total: fields.length,
+      missingFields: missing.map(field => field.name)
+    };
+  });
+
+  return {
+    completeness: total > 0 ? Math.round(answered / total * 100) : 0,
+    sections,
+    missingSections: sections.filter(section => section.total > 0 && section.answered === 0),
+    incompleteSections: sections.filter(section => section.answered > 0 && section.answered < section.total)
+  };
+}
+
+function countObservations(observations, category, severities = ['none', 'minor']) {
+  return observations.filter(observation => observation.category === category && severities.includes(observation.severity)).length;
+}
+
+// Survey answers that the recorded route disagrees with, as { field, id, params }.
+// Use describeConflict() for the text.
+export function findSurveyConflicts(data, routeData = [], routeInfo = {}) {
+  const answers = migrateSurveyData(data) || {};
+  const conflicts = [];
+  const observations = (routeData || []).filter(entry => entry.type === 'observation');
+  const elevationProfile = getElevationProfile(routeData || [], routeInfo);
+
+  if (elevationProfile && answers.trailSlopes) {
+    const { accessible, ramp } = elevationProfile.thresholds || ADA_GRADIENT_THRESHOLDS;
+    const measured = elevationProfile.maxGradient || 0;
+    const surveyed = answers.trailSlopes;
+
+    if (surveyed === 'mild' && measured > accessible) {
+      conflicts.push({ field: 'trailSlopes', id: 'slopesMild', params: { accessible, measured: formatGradient(measured) } });
+    } else if (surveyed === 'moderate' && measured > 10) {
+      conflicts.push({ field: 'trailSlopes', id: 'slopesModerate', params: { measured: formatGradient(measured) } });
+    } else if (surveyed === 'steep' && measured <= accessible) {
+      conflicts.push({ field: 'trailSlopes', id: 'slopesSteep', params: { measured: formatGradient(measured) } });
+    }
+
+    if (answers.wheelchairAccess === 'full' && measured > ramp) {
+      conflicts.push({ field: 'wheelchairAccess', id: 'wheelchairGradient', params: { measured: formatGradient(measured), ramp } });
+    }
+  }
+
+  const surveyedLength = parseFloat(answers.trailLength);
+  const measuredLength = routeInfo.totalDistance || 0;
+  if (surveyedLength > 0 && measuredLength > 0.1 &&
+      Math.abs(surveyedLength - measuredLength) / measuredLength > LENGTH_TOLERANCE) {
+    conflicts.push({ field: 'trailLength', id: 'trailLength', params: { surveyed: surveyedLength, measured: measuredLength.toFixed(2) } });
+  }
+
+  if (answers.wheelchairAccess === 'full') {
+    const blocking = observations.filter(observation => ['major', 'impassable'].includes(observation.severity)).length;
+    if (blocking > 0) {
+      conflicts.push({ field: 'wheelchairAccess', id: 'wheelchairBarriers', params: { count: blocking } });
+    }
+  }
+
+  if (answers.restrooms === 'none' && countObservations(observations, 'restroom') > 0) {
+    conflicts.push({ field: 'restrooms', id: 'restrooms', params: {} });
+  }
+
+  if (answers.waterFountains === 'none' && countObservations(observations, 'fountain') > 0) {
+    conflicts.push({ field: 'waterFountains', id: 'waterFountains', params: {} });
+  }
+
+  if (Array.isArray(answers.seating) && answers.seating.includes('none') && countObservations(observations, 'bench') > 0) {
+    conflicts.push({ field: 'seating', id: 'seating', params: {} });
+  }
+
+  return conflicts;
+}
+
+// Conflicts stored on guides before they were language-neutral only have their English message
+export function describeConflict(conflict, language = getLanguage()) {
+  if (typeof conflict === 'string') return conflict;
+  if (!conflict.id) return conflict.message || '';
+  return t(`review.conflicts.${conflict.id}`, conflict.params || {}, language);
+}
+
+// Full review used before a trail guide is generated. A guide passes when the survey is complete
+// enough and nothing in it contradicts the recorded route.
+export function reviewSurvey(data, routeData = [], routeInfo = {}, schema = SURVEY_SCHEMA) {
+  const completeness = checkSurveyCompleteness(data, schema);
+  const conflicts = findSurveyConflicts(data, routeData, routeInfo);
+
+  return {
+    ...completeness,
+    hasSurvey: !!data,
+    conflicts,
+    passes: !!data && completeness.completeness >= PUBLISH_COMPLETENESS_THRESHOLD && conflicts.length === 0
+  };
+}
+
+// Plain-text report for alert/confirm dialogs
+export function formatSurveyReview(review, language = getLanguage()) {
+  if (!review.hasSurvey) {
+    return t('review.noSurvey', {}, language);
+  }
+
+  const lines = [t('review.completeness', { completeness: review.completeness, threshold: PUBLISH_COMPLETENESS_THRESHOLD }, language)];
+
+  if (review.missingSections.length > 0) {
+    lines.push('', t('review.missingSections', {}, language));
+    review.missingSections.forEach(section => lines.push(`• ${getSectionTitle(section, language)}`));
+  }
+
+  if (review.incompleteSections.length > 0) {
+    const separator = t('common.listSeparator', {}, language);
+    lines.push('', t('review.incompleteSections', {}, language));
+    review.incompleteSections.forEach(section => {
+      const fields = section.missingFields.map(name => getFieldLabel(name, language)).join(separator);
+      lines.push(`• ${getSectionTitle(section, language)} (${fields})`);
+    });
+  }
+
+  if (review.conflicts.length > 0) {
+    lines.push('', t('review.conflictsHeader', {}, language));
+    review.conflicts.forEach(conflict => lines.push(`• ${describeConflict(conflict, language)}`));
+  }
+
+  return lines.join('\n');
+}
+
+// Compact form stored on the trail guide
+export function summarizeSurveyReview(review) {
+  return {
+    completeness: review.completeness,
+    missingSections: review.missingSections.map(section => section.id),
+    conflicts: review.conflicts.map(({ field, id, params }) => ({ field, id, params })),
+    flagged: !review.passes,
+    reviewedAt: new Date().toISOString()
+  };
+}
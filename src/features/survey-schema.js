@@ -0,0 +1,127 @@
+// Accessibility survey definition - the form, validation and prefill are all generated from this schema.
+// Bump version when field names or option values change and add a migration in survey-engine.js.
+// Fields marked optional don't count towards survey completeness (see survey-review.js).
+// Option values are language-neutral codes; labels, titles and placeholders come from the
+// survey.* keys of the message catalogs (see i18n/locales).
+export const SURVEY_SCHEMA = {
+  id: 'trail-accessibility',
+  version: 2,
+  sections: [
+    {
+      id: 'basic',
+      expanded: true,
+      fields: [
+        { name: 'trailName', type: 'text', required: true, row: 'identity' },
+        { name: 'location', type: 'text', required: true, row: 'identity' },
+        { name: 'trailLength', type: 'number', min: 0, step: 0.1, row: 'size' },
+        {
+          name: 'estimatedTime',
+          type: 'select',
+          placeholder: true,
+          options: ['under_30_min', '30_60_min', '1_2_hours', '2_4_hours', 'half_day', 'full_day'],
+          row: 'size'
+        },
+        {
+          name: 'tripType',
+          type: 'radio',
+          options: ['beach_promenade', 'stream_path', 'park_route', 'forest_trail', 'urban_route', 'scenic_drive'],
+          row: 'kind'
+        },
+        { name: 'routeType', type: 'radio', options: ['circular', 'round_trip'], row: 'kind' }
+      ]
+    },
+    {
+      id: 'mobility',
+      fields: [
+        {
+          name: 'wheelchairAccess',
+          type: 'radio',
+          options: ['full', 'partial', 'assisted', 'not_accessible']
+        },
+        { name: 'disabledParking', type: 'checkbox', options: ['available'], row: 'parking' },
+        {
+          name: 'parkingSpaces',
+          type: 'number',
+          min: 0,
+          row: 'parking',
+          visibleWhen: { field: 'disabledParking', includes: 'available' }
+        }
+      ]
+    },
+    {
+      id: 'surface',
+      fields: [
+        {
+          name: 'trailSurface',
+          type: 'checkbox',
+          options: ['asphalt', 'concrete', 'stone', 'deck', 'compacted_gravel', 'mixed', 'grass']
+        },
+        { name: 'surfaceQuality', type: 'radio', options: ['excellent', 'fair', 'poor', 'overgrown'] },
+        { name: 'trailSlopes', type: 'radio', options: ['mild', 'moderate', 'steep'] }
+      ]
+    },
+    {
+      id: 'visual',
+      fields: [
+        { name: 'visualAdaptations', type: 'checkbox', options: ['raised_borders', 'tactile', 'color_contrast'] },
+        { name: 'shadeCoverage', type: 'radio', options: ['plenty', 'intermittent', 'none'] },
+        { name: 'lighting', type: 'checkbox', options: ['lit'] }
+      ]
+    },
+    {
+      id: 'facilities',
+      fields: [
+        { name: 'waterFountains', type: 'radio', options: ['none', 'one', 'multiple'] },
+        { name: 'seating', type: 'checkbox', options: ['none', 'one', 'multiple', 'no_handrails'] },
+        { name: 'picnicAreas', type: 'checkbox', options: ['available'], row: 'picnic' },
+        {
+          name: 'picnicCount',
+          type: 'number',
+          min: 0,
+          row: 'picnic',
+          visibleWhen: { field: 'picnicAreas', includes: 'available' }
+        },
+        {
+          name: 'picnicShade',
+          type: 'number',
+          min: 0,
+          row: 'picnicSplit',
+          visibleWhen: { field: 'picnicAreas', includes: 'available' }
+        },
+        {
+          name: 'picnicSun',
+          type: 'number',
+          min: 0,
+          row: 'picnicSplit',
+          visibleWhen: { field: 'picnicAreas', includes: 'available' }
+        },
+        { name: 'accessibleViewpoint', type: 'checkbox', options: ['available'] },
+        { name: 'restrooms', type: 'radio', options: ['none', 'unisex', 'separate'] }
+      ]
+    },
+    {
+      id: 'signage',
+      fields: [
+        {
+          name: 'signage',
+          type: 'checkbox',
+          options: ['route_map', 'directional', 'simple_language', 'high_contrast', 'audio']
+        },
+        { name: 'qrCode', type: 'checkbox', options: ['available'] }
+      ]
+    },
+    {
+      id: 'additional',
+      fields: [
+        { name: 'additionalNotes', type: 'textarea', placeholder: true, optional: true },
+        { name: 'surveyorName', type: 'text', row: 'surveyor', optional: true },
+        { name: 'surveyDate', type: 'date', defaultValue: 'today', row: 'surveyor' },
+        {
+          name: 'accessibilitySummary',
+          type: 'radio',
+          options: ['accessible', 'partial', 'assisted', 'not_accessible']
+        }
+      ]
+    }
+  ]
+};
@@ -0,0 +1,144 @@
+// Internationalization - message catalogs, runtime language switching and text direction
+import en from './locales/en.js';
+import he from './locales/he.js';
+import ar from './locales/ar.js';
+
+export const SUPPORTED_LANGUAGES = {
+  en: { name: 'English', dir: 'ltr', locale: 'en-US' },
+  he: { name: 'עברית', dir: 'rtl', locale: 'he-IL' },
+  ar: { name: 'العربية', dir: 'rtl', locale: 'ar-u-nu-latn' }
+};
+
+export const DEFAULT_LANGUAGE = 'en';
+
+const CATALOGS = { en, he, ar };
+const STORAGE_KEY = 'language';
+const listeners = new Set();
+
+// Saved choice first, then the browser's preferred languages
+function detectLanguage() {
+  try {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    if (SUPPORTED_LANGUAGES[saved]) return saved;
+  } catch (error) {
+    // Storage can be unavailable (private mode, file://); fall through to the browser setting
+  }
+
+  const preferred = typeof navigator !== 'undefined' ? (navigator.languages || [navigator.language]) : [];
+  const match = preferred.map(tag => String(tag || '').split('-')[0].toLowerCase()).find(code => SUPPORTED_LANGUAGES[code]);
+  return match || DEFAULT_LANGUAGE;
+}
+
+let currentLanguage = detectLanguage();
+
+function lookup(catalog, key) {
+  return key.split('.').reduce((node, part) => node?.[part], catalog);
+}
+
+export function getLanguage() {
+  return currentLanguage;
+}
+
+export function resolveLanguage(language) {
+  return SUPPORTED_LANGUAGES[language] ? language : DEFAULT_LANGUAGE;
+}
+
+export function getDirection(language = currentLanguage) {
+  return SUPPORTED_LANGUAGES[resolveLanguage(language)].dir;
+}
+
+export function getLocale(language = currentLanguage) {
+  return SUPPORTED_LANGUAGES[resolveLanguage(language)].locale;
+}
+
+// Looks a dotted key up in the language's catalog, falling back to English, then to
+// params.defaultValue, then to the key itself. {name} placeholders are filled from params.
+export function t(key, params = {}, language = currentLanguage) {
+  let message = lookup(CATALOGS[resolveLanguage(language)], key);
+  if (typeof message !== 'string') message = lookup(CATALOGS[DEFAULT_LANGUAGE], key);
+  if (typeof message !== 'string') return params.defaultValue ?? key;
+
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) => (name in params ? String(params[name]) : placeholder));
+}
+
+export function hasMessage(key, language = currentLanguage) {
+  return typeof lookup(CATALOGS[resolveLanguage(language)], key) === 'string' ||
+    typeof lookup(CATALOGS[DEFAULT_LANGUAGE], key) === 'string';
+}
+
+export function formatNumber(value, options = {}, language = currentLanguage) {
+  return new Intl.NumberFormat(getLocale(language), options).format(value);
+}
+
+export function formatDate(value, options = {}, language = currentLanguage) {
+  return new Date(value).toLocaleDateString(getLocale(language), options);
+}
+
+export function formatDateTime(value, options = {}, language = currentLanguage) {
+  return new Date(value).toLocaleString(getLocale(language), options);
+}
+
+// Fills static markup: data-i18n sets the text, data-i18n-attr="placeholder:key;title:key" sets attributes
+export function applyTranslations(root = document) {
+  root.querySelectorAll('[data-i18n]').forEach(element => {
+    element.textContent = t(element.dataset.i18n);
+  });
+
+  root.querySelectorAll('[data-i18n-attr]').forEach(element => {
+    element.dataset.i18nAttr.split(';').forEach(pair => {
+      const [attribute, key] = pair.split(':').map(part => part.trim());
+      if (attribute && key) element.setAttribute(attribute, t(key));
+    });
+  });
+}
+
+// Sets lang/dir on <html> and translates the page
+export function applyDocumentLanguage(doc = document) {
+  doc.documentElement.lang = currentLanguage;
+  doc.documentElement.dir = getDirection();
+  applyTranslations(doc);
+}
+
+export function setLanguage(language) {
+  if (!SUPPORTED_LANGUAGES[language] || language === currentLanguage) return false;
+
+  currentLanguage = language;
+  try {
+    localStorage.setItem(STORAGE_KEY, language);
+  } catch (error) {
+    console.warn('Could not save language preference:', error);
+  }
+
+  if (typeof document !== 'undefined') applyDocumentLanguage();
+  console.log(`🌐 Language switched to ${language}`);
+
+  listeners.forEach(listener => {
+    try {
+      listener(language);
+    } catch (error) {
+      console.error('Language change listener failed:', error);
+    }
+  });
+  return true;
+}
+
+// Returns a function that removes the listener
+export function onLanguageChange(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+// Fills a <select> with the supported languages (each in its own script) and switches on change
+export function setupLanguageSelect(select) {
+  if (!select) return;
+
+  select.innerHTML = Object.entries(SUPPORTED_LANGUAGES)
+    .map(([code, { name }]) => `<option value="${code}" lang="${code}">${name}</option>`)
+    .join('');
+  select.value = currentLanguage;
+
+  select.addEventListener('change', () => setLanguage(select.value));
+  onLanguageChange(language => {
+    select.value = language;
+  });
+}
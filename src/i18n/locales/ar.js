@@ -0,0 +1,951 @@
+// Arabic message catalog (right-to-left). Missing keys fall back to English.
+export default {
+  common: {
+    language: 'اللغة',
+    unknown: 'غير معروف',
+    notRecorded: 'غير مسجّل',
+    select: 'اختر...',
+    km: 'كم',
+    listSeparator: '، '
+  },
+
+  dialog: {
+    ok: 'موافق',
+    cancel: 'إلغاء',
+    required: 'يرجى تعبئة هذا الحقل',
+    chooseOption: 'يرجى اختيار أحد الخيارات',
+    emptyList: 'لا توجد عناصر للاختيار'
+  },
+
+  offline: {
+    unavailable: 'أنت غير متصل بالإنترنت. يتطلب هذا اتصالًا - يرجى المحاولة مجددًا عند توفر الإشارة.',
+    moduleFailed: 'تعذر تحميل جزء من التطبيق. تحقق من الاتصال وحاول مرة أخرى.',
+    ready: 'Access Nature جاهز للعمل دون اتصال',
+    updateTitle: 'يتوفر تحديث',
+    updateMessage: 'تم تنزيل إصدار جديد من Access Nature. هل تريد إعادة التحميل الآن لاستخدامه؟',
+    updateNow: 'إعادة التحميل',
+    updateLater: 'لاحقًا'
+  },
+
+  tracker: {
+    pageTitle: 'Access Nature - متتبّع المسارات',
+    skipToContent: 'انتقل إلى المحتوى الرئيسي',
+    skipToMap: 'انتقل إلى الخريطة',
+    mapLabel: 'خريطة مسار تفاعلية',
+    time: 'الوقت',
+    distance: 'المسافة',
+    pace: 'الوتيرة /كم',
+    compassLabel: 'بوصلة الملاحة',
+    rotationLabel: 'تشغيل/إيقاف تدوير الخريطة',
+    rotationTitle: 'تدوير الخريطة حسب اتجاه الجهاز',
+    syncing: 'جارٍ المزامنة...',
+    accessibilityLabel: 'توثيق ميزات إمكانية الوصول في المسار',
+    accessibilityTitle: 'فتح استبيان إمكانية الوصول',
+    accessibilitySurvey: 'استبيان إمكانية الوصول',
+    playPauseTitle: 'بدء أو إيقاف تتبّع GPS مؤقتًا',
+    startTracking: 'بدء التتبّع',
+    pauseTracking: 'إيقاف التتبّع مؤقتًا',
+    resumeTracking: 'استئناف التتبّع',
+    saveLabel: 'حفظ المسار',
+    saveTitle: 'إيقاف التتبّع وحفظ المسار',
+    mainNavigation: 'التنقّل الرئيسي',
+    noteLabel: 'إضافة ملاحظة نصية',
+    noteTitle: 'إضافة ملاحظة نصية في موقعك الحالي',
+    note: 'ملاحظة',
+    photoLabel: 'التقاط صورة',
+    photoTitle: 'تصوير حالة المسار أو ميزات إمكانية الوصول',
+    photo: 'صورة',
+    voiceLabel: 'تسجيل ملاحظة صوتية',
+    voiceTitle: 'تسجيل ملاحظة صوتية في موقعك الحالي (V)',
+    voice: 'صوت',
+    barrierLabel: 'تحديد عائق أو مرفق',
+    barrierTitle: 'تثبيت عائق أو مرفق (درجة، منحدر، مقعد...) في موقعك الحالي (B)',
+    barrier: 'عائق',
+    homeLabel: 'الانتقال إلى الصفحة الرئيسية',
+    homeTitle: 'العودة إلى الصفحة الرئيسية لـ AccessNature',
+    home: 'الرئيسية',
+    menuLabel: 'فتح القائمة',
+    menuTitle: 'خيارات إضافية وأدوات التصدير',
+    menu: 'القائمة',
+    quickActions: 'إجراءات سريعة',
+    showRoute: '🗺️ عرض المسار',
+    export: '📤 تصدير',
+    saveCloud: '☁️ حفظ في السحابة',
+    loadCloud: '📥 تحميل من السحابة',
+    syncConflicts: '⚠️ تغيّر {count} من المسارات هنا وفي السحابة - زامن من مكتبة المسارات للاختيار',
+    autoPause: '⏸️ الإيقاف التلقائي: {state}',
+    autoPauseOn: 'مفعّل',
+    autoPauseOff: 'معطّل',
+    autoPauseEnabled: 'تم تفعيل الإيقاف التلقائي عند التوقف',
+    autoPauseDisabled: 'تم تعطيل الإيقاف التلقائي عند التوقف',
+    routeSurveys: '📋 استبيانات المسارات',
+    routeLibrary: '📚 مكتبة المسارات',
+    editRoute: '✂️ تحرير المسار',
+    routeStats: '📊 الإحصاءات',
+    offlineMaps: '🗺️ خرائط دون اتصال',
+    exportRoute: 'تصدير المسار',
+    exportRouteButton: '📦 تصدير المسار',
+    exportGPX: '📍 تصدير GPX',
+    exportPDF: '📄 تصدير PDF',
+    exportTrailGuide: '🌐 تصدير دليل المسار',
+    exportGeoJSON: '🗺️ تصدير GeoJSON',
+    exportKML: '🌍 تصدير KML',
+    exportKMZ: '📦 تصدير KMZ',
+    closeSurvey: 'إغلاق نموذج إمكانية الوصول',
+    trackingStarted: 'بدأ تتبّع GPS',
+    trackingPaused: 'تم إيقاف تتبّع GPS مؤقتًا',
+    trackingResumed: 'تم استئناف تتبّع GPS',
+    trackingSaved: 'توقّف التتبّع وتم حفظ المسار',
+    initFailed: 'فشل تشغيل نظام التتبّع: {error}',
+    appInitFailed: 'فشل تشغيل التطبيق: {error}',
+    playPauseFailed: 'فشل بدء/إيقاف التتبّع: {error}',
+    saveFailed: 'فشل حفظ المسار: {error}',
+    backupTitle: 'تم العثور على مسار غير محفوظ',
+    backupFound: '📍 {points} نقطة GPS\n📸 {photos} صورة\n📝 {notes} ملاحظة\n📏 {distance} كم\n⏱️ {time}\n\nهل تريد استعادة هذا المسار؟',
+    restoreBackup: 'استعادة',
+    discardBackup: 'تجاهل',
+    backupRestored: 'تمت استعادة النسخة الاحتياطية للمسار بنجاح',
+    noSavedRoutes: 'لا توجد مسارات محفوظة بعد. احفظ مسارًا لإرفاق استبيان به.',
+    chooseSurveyRoute: '📋 تعديل استبيان إمكانية الوصول لأي مسار؟',
+    appReady: 'متتبّع AccessNature جاهز. اضغط المسافة لبدء التتبّع و A لاستبيان إمكانية الوصول.',
+    noRouteData: 'لا توجد بيانات مسار لعرضها على الخريطة',
+    languageChanged: 'تم تغيير اللغة إلى العربية'
+  },
+
+  saveRoute: {
+    summaryTitle: 'ملخص المسار',
+    saveRoute: 'حفظ المسار',
+    discard: 'تجاهل',
+    discardTitle: 'تجاهل المسار؟',
+    discardMessage: '⚠️ هل أنت متأكد من أنك تريد تجاهل هذا المسار؟ ستفقد كل البيانات!',
+    keepAndSave: 'الإبقاء والحفظ',
+    title: 'حفظ المسار',
+    nameLabel: 'اسم المسار',
+    save: 'حفظ',
+    useDefaultMessage: 'استخدام الاسم الافتراضي "{name}"؟',
+    useDefault: 'استخدام الاسم الافتراضي',
+    dontSave: 'عدم الحفظ',
+    savedLocallyTitle: 'تم حفظ المسار على الجهاز!',
+    signInMessage: '💡 سجّل الدخول لحفظ المسارات في السحابة وإنشاء أدلة مسارات قابلة للمشاركة.\n\nهل تريد تسجيل الدخول الآن؟',
+    signIn: 'تسجيل الدخول',
+    notNow: 'ليس الآن',
+    cloudTitle: 'تم حفظ "{name}" على الجهاز!',
+    cloudMessage: '☁️ هل تريد الحفظ في السحابة وإنشاء دليل للمسار؟',
+    cloudLabel: 'الحفظ في السحابة',
+    continue: 'متابعة',
+    private: '🔒 خاص',
+    privateHint: 'أنت فقط من يمكنه رؤيته (يمكنك نشره لاحقًا)',
+    public: '🌍 عام',
+    publicHint: 'مشاركة مع المجتمع فورًا',
+    skip: '❌ تخطي',
+    skipHint: 'الإبقاء على الجهاز فقط',
+    chooseCloudRoute: '☁️ اختر مسارًا لحفظه في السحابة',
+    routePoints: '{points} نقطة',
+    saveToCloud: '☁️ الحفظ في السحابة',
+    cloudNameLabel: 'أدخل اسمًا لهذا المسار:'
+  },
+
+  importRoute: {
+    title: 'استيراد مسار',
+    clearMessage: 'مسح بيانات المسار الحالي قبل الاستيراد؟',
+    clear: 'مسح',
+    keep: 'إبقاء',
+    surveyTitle: 'استيراد الاستبيان',
+    surveyMessage: 'يتضمن ملف {format} هذا استبيان إمكانية الوصول. هل تريد استبدال استبيان المسار الحالي به؟',
+    replace: 'استبدال',
+    keepCurrent: 'إبقاء الحالي'
+  },
+
+  library: {
+    title: 'مكتبة المسارات',
+    searchLabel: 'البحث في المسارات',
+    searchPlaceholder: 'ابحث بالاسم أو الوسم أو المجلد',
+    sortBy: 'الترتيب حسب',
+    sortNewest: 'الأحدث أولًا',
+    sortOldest: 'الأقدم أولًا',
+    sortLongest: 'أطول مسافة',
+    sortShortest: 'أقصر مسافة',
+    sortLongestTime: 'أطول مدة',
+    sortShortestTime: 'أقصر مدة',
+    sortName: 'الاسم (أ-ي)',
+    folder: 'المجلد',
+    tag: 'الوسم',
+    allFolders: 'كل المجلدات',
+    unfiled: 'بدون مجلد',
+    allTags: 'كل الوسوم',
+    selectShown: 'تحديد كل المعروض',
+    selectRoute: 'تحديد {name}',
+    selectedCount: 'تم تحديد {count}',
+    exportSelected: '📤 تصدير',
+    tagSelected: '🏷️ وسم',
+    moveSelected: '📁 نقل',
+    mergeSelected: '🔗 دمج',
+    uploadSelected: '☁️ رفع',
+    deleteSelected: '🗑️ حذف',
+    loadMore: 'تحميل المزيد',
+    loading: 'جارٍ تحميل المسارات...',
+    loadFailed: 'تعذر تحميل المسارات: {error}',
+    empty: 'لا توجد مسارات محفوظة بعد. سجّل مسارًا واحفظه لتبدأ مكتبتك.',
+    noMatches: 'لا توجد مسارات تطابق عوامل التصفية.',
+    showing: 'عرض {count} مسار',
+    showingMore: 'عرض {count} مسار - يوجد المزيد',
+    routeMeta: '📅 {date} · 📏 {distance} كم · ⏱️ {duration} · 📍 {points} نقطة',
+    duration: '{hours} س {minutes} د',
+    durationMinutes: '{minutes} د',
+    actionView: '🗺️ العرض على الخريطة',
+    actionExport: '📤 تصدير',
+    actionRename: '✏️ إعادة التسمية',
+    actionTags: '🏷️ تعديل الوسوم',
+    actionFolder: '📁 النقل إلى مجلد',
+    actionSurvey: '♿ تعديل استبيان إمكانية الوصول',
+    actionUpload: '☁️ الرفع إلى السحابة',
+    actionDelete: '🗑️ حذف',
+    actionEdit: '✂️ تحرير المسار',
+    actionStats: '📊 الإحصاءات',
+    renameTitle: 'إعادة تسمية المسار',
+    nameLabel: 'اسم المسار',
+    tagsTitle: 'تعديل الوسوم',
+    tagsAddTitle: 'إضافة وسوم إلى {count} مسار',
+    tagsLabel: 'الوسوم، مفصولة بفواصل',
+    tagsPlaceholder: 'مثال: ظل، معبّد، عائلي',
+    folderTitle: 'النقل إلى مجلد',
+    newFolder: '➕ مجلد جديد...',
+    noFolder: '📂 بدون مجلد',
+    newFolderTitle: 'مجلد جديد',
+    folderNameLabel: 'اسم المجلد',
+    deleteTitle: 'حذف المسارات',
+    deleteConfirm: 'حذف {count} مسار نهائيًا مع صورها واستبياناتها؟ لا يمكن التراجع عن ذلك.',
+    delete: 'حذف',
+    deleted: 'تم حذف {count} مسار',
+    mergeTitle: 'دمج {count} مسارات',
+    mergeNameLabel: 'اسم المسار المدمج',
+    mergedName: '{name} + {count} أخرى',
+    mergeNeedsTwo: 'حدد مسارين على الأقل للدمج.',
+    merged: 'تم دمج المسارات في "{name}"',
+    deleteOriginalsTitle: 'الاحتفاظ بالمسارات الأصلية؟',
+    deleteOriginalsMessage: 'تم حفظ المسار المدمج. يمكنك الاحتفاظ بالمسارات الأصلية ({count}) أو حذفها.',
+    keepOriginals: 'الاحتفاظ بالأصلية',
+    deleteOriginals: 'حذف الأصلية',
+    uploadTitle: 'رفع {count} مسار إلى السحابة',
+    uploadLabel: 'الظهور',
+    uploadPrivate: '🔒 خاص',
+    uploadPrivateHint: 'أنت فقط من يرى المسارات وأدلتها',
+    uploadPublic: '🌍 عام',
+    uploadPublicHint: 'تظهر أدلة المسارات في بحث المجتمع',
+    uploadSignIn: 'سجّل الدخول من الصفحة الرئيسية لرفع المسارات إلى السحابة.',
+    uploadResult: '☁️ تم رفع {uploaded} من {count} مسار',
+    uploadFailed: 'فشل الرفع لـ: {names}',
+    uploadQueued: '📮 سيتم رفع {count} مسار عند عودة الاتصال',
+    syncSynced: '☁️ في السحابة',
+    syncPending: '📮 بانتظار الرفع',
+    syncSyncing: '☁️ جارٍ الرفع...',
+    syncFailed: '⚠️ فشل الرفع - ارفعه مجددًا لإعادة المحاولة',
+    syncRoutes: '🔄 مزامنة',
+    syncing: 'جارٍ المزامنة مع السحابة...',
+    syncSignIn: 'سجّل الدخول في الصفحة الرئيسية لمزامنة مساراتك مع السحابة.',
+    syncResult: '🔄 انتهت المزامنة: رُفع {pushed}، نُزّل {pulled}، حُذف {deleted}',
+    syncResolved: 'تمت تسوية {count} من التعارضات',
+    syncConflictsLeft: '⚠️ تُرك {count} من المسارات التي تغيّرت في المكانين كما هي - زامن مرة أخرى للاختيار',
+    syncStepsFailed: 'تعذّرت مزامنة {count} من المسارات وستُعاد المحاولة في المرة القادمة',
+    conflictTitle: 'تعارض في المزامنة: {name}',
+    conflictLabel: 'النسخة التي ستُحفظ',
+    conflictEdited: 'تغيّر هذا المسار على هذا الجهاز ({localDate}) وفي السحابة ({cloudDate}) منذ آخر مزامنة.',
+    conflictDeletedInCloud: 'حُذف هذا المسار من السحابة على جهاز آخر، لكنه تغيّر على هذا الجهاز ({localDate}).',
+    conflictDeletedLocally: 'حُذف هذا المسار على هذا الجهاز ({localDate})، لكنه تغيّر في السحابة بعد ذلك ({cloudDate}).',
+    conflictKeepLocal: '📱 نسخة هذا الجهاز',
+    conflictKeepLocalHint: 'تحلّ محل النسخة في السحابة',
+    conflictKeepCloud: '☁️ نسخة السحابة',
+    conflictKeepCloudHint: 'تحلّ محل النسخة على هذا الجهاز',
+    conflictMerge: '🔀 دمج النسختين',
+    conflictMergeHint: 'يحتفظ بمسار النسخة الأحدث، مع كل الصور والملاحظات من النسختين',
+    conflictKeepRoute: '📱 الاحتفاظ بالمسار',
+    conflictKeepRouteHint: 'يرفعه إلى السحابة مرة أخرى',
+    conflictDeleteHere: '🗑️ حذفه هنا أيضًا',
+    conflictDeleteHereHint: 'يزيل المسار من هذا الجهاز',
+    conflictDeleteCloud: '🗑️ حذفه من السحابة أيضًا',
+    conflictDeleteCloudHint: 'يزيل النسخة في السحابة ودليل المسار الخاص بها',
+    conflictRestore: '☁️ استعادته',
+    conflictRestoreHint: 'ينزّل نسخة السحابة إلى هذا الجهاز',
+    conflictApply: 'حفظ',
+    conflictSkip: 'القرار لاحقًا',
+    updated: 'تم تحديث مكتبة المسارات',
+    notFound: 'هذا المسار لم يعد موجودًا.',
+    actionFailed: 'فشل إجراء مكتبة المسارات: {error}'
+  },
+
+  editor: {
+    titleCurrent: 'تحرير المسار الحالي',
+    titleNamed: 'تحرير "{name}"',
+    pointTools: 'النقطة',
+    routeTools: 'المسار',
+    previousPoint: 'النقطة السابقة ▶',
+    nextPoint: '◀ النقطة التالية',
+    trimStart: '⏮️ قص البداية هنا',
+    trimEnd: '⏭️ قص النهاية هنا',
+    split: '✂️ تقسيم هنا',
+    deletePoint: '🗑️ حذف النقطة',
+    mergeNext: '🔗 دمج المسار التالي',
+    undo: '↩️ تراجع',
+    redo: '↪️ إعادة',
+    saveChanges: '💾 حفظ',
+    cancel: '✕ إلغاء',
+    hint: 'انقر على نقطة أو استخدم مفاتيح الأسهم لتحديدها، ثم اسحبها أو حرّكها باستخدام Shift+الأسهم.',
+    stats: '📏 {distance} كم · ⏱️ {duration} · 📍 {points} نقطة',
+    pendingParts: 'تم فصل {count} جزء',
+    pendingMerged: 'تم دمج {count} مسار',
+    noPointSelected: 'لم يتم تحديد نقطة',
+    pointInfo: 'النقطة {number} من {count} · {time}',
+    opened: 'تم فتح محرر المسار. استخدم مفاتيح الأسهم لتحديد النقاط.',
+    notPossible: 'غير ممكن عند هذه النقطة',
+    done: {
+      trimStart: 'تم قص البداية',
+      trimEnd: 'تم قص النهاية',
+      split: 'تم تقسيم المسار',
+      deletePoint: 'تم حذف النقطة',
+      movePoint: 'تم نقل النقطة',
+      merge: 'تم دمج المسار'
+    },
+    undone: 'تم التراجع: {action}',
+    redone: 'تمت الإعادة: {action}',
+    stopTrackingFirst: 'أوقف التتبع قبل تحرير المسار.',
+    noCurrentRoute: 'لا يوجد مسار مسجل لتحريره. افتح مسارًا محفوظًا من مكتبة المسارات لتحريره.',
+    tooFewPoints: 'يحتوي هذا المسار على أقل من نقطتي GPS، لذا لا يوجد ما يمكن تحريره.',
+    noNextRoute: 'لا يوجد مسار محفوظ مسجل بعد هذا المسار.',
+    mergeTitle: 'دمج المسار التالي',
+    mergeConfirm: 'إلحاق "{name}" ({date}، {distance} كم) بهذا المسار؟ ستتم إزالته من المكتبة عند الحفظ.',
+    merge: 'دمج',
+    saveTitle: 'حفظ التغييرات؟',
+    saveDistance: '📏 المسافة: {before} كم ← {after} كم',
+    saveParts: '✂️ {count} مسار جديد من التقسيم',
+    saveMerged: '🔗 تم الدمج والإزالة: {names}',
+    saveRemovedMedia: '⚠️ سيتم حذف {count} صورة أو تسجيل خارج المسار المحرر',
+    save: 'حفظ',
+    saved: 'تم حفظ تغييرات المسار',
+    partName: '{name} (الجزء {number})',
+    discardTitle: 'تجاهل التغييرات؟',
+    discardMessage: 'ستفقد تعديلاتك على هذا المسار.',
+    discard: 'تجاهل',
+    keepEditing: 'متابعة التحرير',
+    cancelled: 'تم إلغاء تحرير المسار',
+    actionFailed: 'فشل تحرير المسار: {error}'
+  },
+
+  stats: {
+    title: 'إحصاءات المسار',
+    currentRoute: 'المسار الحالي',
+    distance: 'المسافة',
+    elapsedTime: 'الوقت الكلي',
+    movingTime: 'وقت الحركة',
+    stoppedTime: 'وقت التوقف',
+    avgSpeed: 'متوسط سرعة الحركة',
+    maxSpeed: 'السرعة القصوى',
+    pace: 'متوسط الوتيرة',
+    ascent: 'الصعود',
+    descent: 'النزول',
+    splits: 'المقاطع',
+    km: 'كم',
+    partialSplit: '{number} ({distance} كم)',
+    noSplits: 'لا توجد نقاط GPS كافية للمقاطع بعد.',
+    gpsQuality: 'GPS: {points} نقطة، متوسط الدقة ±{accuracy} م، {gaps} انقطاع في الإشارة بمجموع {gapTime}'
+  },
+
+  offlineMaps: {
+    title: 'خرائط دون اتصال',
+    hint: 'حرّك الخريطة إلى المنطقة التي تنوي السير فيها، واختر مستويات التكبير ثم نزّلها. ستعمل الخريطة هناك دون إشارة.',
+    name: 'اسم المنطقة',
+    defaultName: 'منطقة محفوظة في {date}',
+    minZoom: 'من التكبير',
+    maxZoom: 'إلى التكبير',
+    estimate: '{count} بلاطة، نحو {size} ميغابايت',
+    tooMany: '{count} بلاطة عدد كبير جدًا (الحد {limit}). كبّر الخريطة أو اخفض "إلى التكبير".',
+    download: '⬇️ تنزيل المنطقة الظاهرة',
+    stop: '⏹️ إيقاف',
+    starting: 'جارٍ بدء التنزيل...',
+    progress: 'تم تنزيل {done} من {total} بلاطة',
+    done: '"{name}" جاهزة دون اتصال ({saved} بلاطة)',
+    partial: '"{name}": حُفظت {saved} من {total} بلاطة، وفشلت {failed}. حدّثها للمحاولة مجددًا.',
+    stopped: 'توقف التنزيل: حُفظت {saved} من {total} بلاطة لـ "{name}"',
+    budgetStop: 'امتلأت مساحة الخرائط دون اتصال: حُفظت {saved} من {total} بلاطة لـ "{name}"',
+    errorBudget: 'لا توجد مساحة كافية ضمن {budget} ميغابايت المخصصة للخرائط دون اتصال. احذف منطقة أو اختر منطقة أصغر.',
+    errorTooMany: 'تحتوي هذه المنطقة على عدد كبير جدًا من البلاطات (الحد {limit}).',
+    serverNotAllowed: 'لا تسمح خوادم بلاطات OpenStreetMap بتنزيل مناطق الخريطة مسبقًا، لذا تحتاج الخرائط دون اتصال إلى خادم بلاطات خاص بك. راجع "Offline Use" في ملف README لإعداده.',
+    failed: 'فشل تنزيل الخريطة دون اتصال: {error}',
+    offline: 'اتصل بالإنترنت لتنزيل بلاطات الخريطة.',
+    mapNotReady: 'الخريطة ليست جاهزة بعد.',
+    usage: 'تستخدم الخرائط دون اتصال {used} من {budget} ميغابايت',
+    noAreas: 'لا توجد مناطق دون اتصال بعد.',
+    areaMeta: '{tiles} بلاطة · {size} ميغابايت · تكبير {minZoom}-{maxZoom}',
+    freshUntil: 'محدّثة حتى {date}',
+    expired: 'منتهية الصلاحية - حدّثها عند الاتصال',
+    incomplete: 'غير مكتملة ({saved} من {total} بلاطة)',
+    show: '👁️ عرض',
+    refresh: '🔄 تحديث',
+    delete: '🗑️ حذف',
+    showLabel: 'عرض {name} على الخريطة',
+    refreshLabel: 'تنزيل {name} مجددًا',
+    deleteLabel: 'حذف المنطقة دون اتصال {name}',
+    deleteTitle: 'حذف المنطقة دون اتصال؟',
+    deleteMessage: 'لن تكون "{name}" متاحة دون اتصال بعد الآن.',
+    deleted: 'تم حذف "{name}"'
+  },
+
+  survey: {
+    title: '🌲 استبيان شامل لإمكانية الوصول في المسار',
+    description: 'ساعد في إنشاء معلومات مفصّلة عن إمكانية الوصول في الأماكن المفتوحة',
+    currentRoute: '📍 استبيان للمسار الحالي',
+    savedRoute: '📂 استبيان لـ "{name}"',
+    savedRouteFallback: 'مسار محفوظ',
+    close: '✖ إغلاق',
+    submit: '✅ حفظ الاستبيان',
+    cancel: '❌ إلغاء',
+    thanks: 'شكرًا لمساهمتك بمعلومات مفصّلة عن إمكانية الوصول!',
+    fixErrors: 'يرجى تصحيح ما يلي:',
+    saveFailed: '❌ فشل حفظ الاستبيان: {error}',
+    saved: 'تم حفظ الاستبيان - مكتمل بنسبة {completeness}%.',
+    sectionsMissing: 'أقسام لم تُملأ بعد:',
+    belowThreshold: 'تحتاج أدلة المسارات إلى {threshold}% على الأقل لتُنشر دون وسمها بأنها غير مكتملة.',
+    thankYou: 'شكرًا على مساهمتك المفصّلة!',
+    errors: {
+      required: 'الحقل {label} مطلوب',
+      number: 'يجب أن يكون {label} رقمًا',
+      min: 'يجب ألا يقل {label} عن {min}',
+      max: 'يجب ألا يزيد {label} عن {max}',
+      option: 'يحتوي {label} على خيار غير معروف'
+    },
+    sections: {
+      basic: '🗺️ معلومات أساسية عن المسار',
+      mobility: '♿ إمكانية الوصول الحركي',
+      surface: '🛤️ سطح المسار وجودته',
+      visual: '👁️ الميزات البصرية والبيئية',
+      facilities: '🚰 المرافق والخدمات',
+      signage: '🗺️ اللافتات والإرشاد',
+      additional: '📝 معلومات إضافية'
+    },
+    fields: {
+      trailName: { label: 'اسم المسار' },
+      location: { label: 'الموقع/العنوان' },
+      trailLength: { label: 'طول المسار (كم)' },
+      estimatedTime: {
+        label: 'المدة المقدّرة',
+        placeholder: 'اختر المدة',
+        options: {
+          under_30_min: 'أقل من 30 دقيقة',
+          '30_60_min': '30-60 دقيقة',
+          '1_2_hours': '1-2 ساعة',
+          '2_4_hours': '2-4 ساعات',
+          half_day: 'نصف يوم',
+          full_day: 'يوم كامل'
+        }
+      },
+      tripType: {
+        label: 'نوع الرحلة',
+        options: {
+          beach_promenade: 'كورنيش شاطئ',
+          stream_path: 'مسار جدول',
+          park_route: 'مسار في حديقة',
+          forest_trail: 'مسار غابة',
+          urban_route: 'مسار حضري',
+          scenic_drive: 'طريق سياحي بالسيارة'
+        }
+      },
+      routeType: {
+        label: 'نوع المسار',
+        options: { circular: 'دائري', round_trip: 'ذهاب وعودة' }
+      },
+      wheelchairAccess: {
+        label: 'مستوى الوصول بالكرسي المتحرك',
+        options: {
+          full: 'يمكن الوصول إليه بالكامل',
+          partial: 'يمكن الوصول إليه جزئيًا',
+          assisted: 'يمكن الوصول إليه بمساعدة',
+          not_accessible: 'لا يمكن الوصول إليه'
+        }
+      },
+      disabledParking: {
+        label: 'مواقف لذوي الإعاقة',
+        options: { available: 'تتوفر مواقف لذوي الإعاقة' }
+      },
+      parkingSpaces: { label: 'عدد المواقف' },
+      trailSurface: {
+        label: 'أنواع سطح المسار (اختر كل ما ينطبق)',
+        options: {
+          asphalt: 'أسفلت',
+          concrete: 'خرسانة',
+          stone: 'حجر',
+          deck: 'أرضية خشبية/بلاستيكية',
+          compacted_gravel: 'حصى مضغوط',
+          mixed: 'أسطح مختلطة',
+          grass: 'عشب'
+        }
+      },
+      surfaceQuality: {
+        label: 'جودة السطح',
+        options: {
+          excellent: 'ممتازة - ناعم وبصيانة جيدة',
+          fair: 'مقبولة - عوائق بسيطة، بقع خشنة، نتوءات، تشققات',
+          poor: 'سيئة - عوائق كبيرة، حجارة بارزة، أخاديد واسعة',
+          overgrown: 'النباتات تسد الممر'
+        }
+      },
+      trailSlopes: {
+        label: 'منحدرات المسار',
+        options: {
+          mild: 'بدون منحدرات أو منحدرات خفيفة (حتى 5%)',
+          moderate: 'منحدرات متوسطة - يُنصح بالمساعدة (5%-10%)',
+          steep: 'منحدرات حادة - لا يمكن الوصول (أكثر من 10%)'
+        }
+      },
+      visualAdaptations: {
+        label: 'مواءمات لذوي الإعاقة البصرية (اختر كل ما ينطبق)',
+        options: {
+          raised_borders: 'حواف مرتفعة/بارزة',
+          tactile: 'اختلافات في الملمس',
+          color_contrast: 'تباين في الألوان'
+        }
+      },
+      shadeCoverage: {
+        label: 'الظل على المسار',
+        options: { plenty: 'ظل وفير', intermittent: 'ظل متقطع', none: 'بدون ظل' }
+      },
+      lighting: {
+        label: 'الإنارة',
+        options: { lit: 'المسار مضاء في الظلام' }
+      },
+      waterFountains: {
+        label: 'نوافير مياه يمكن الوصول إليها',
+        options: { none: 'لا يوجد', one: 'نافورة واحدة يمكن الوصول إليها', multiple: 'عدة نوافير على طول المسار' }
+      },
+      seating: {
+        label: 'مقاعد يمكن الوصول إليها',
+        options: {
+          none: 'لا توجد مقاعد يمكن الوصول إليها',
+          one: 'مقعد واحد يمكن الوصول إليه',
+          multiple: 'عدة مقاعد على طول المسار',
+          no_handrails: 'مقاعد بدون مساند'
+        }
+      },
+      picnicAreas: {
+        label: 'مناطق نزهة يمكن الوصول إليها',
+        options: { available: 'تتوفر مناطق نزهة يمكن الوصول إليها' }
+      },
+      picnicCount: { label: 'عدد المناطق' },
+      picnicShade: { label: 'مناطق في الظل' },
+      picnicSun: { label: 'مناطق في الشمس' },
+      accessibleViewpoint: {
+        label: 'نقاط المشاهدة',
+        options: { available: 'تتوفر نقطة مشاهدة يمكن الوصول إليها' }
+      },
+      restrooms: {
+        label: 'دورات مياه يمكن الوصول إليها',
+        options: { none: 'لا يوجد', unisex: 'دورة مياه واحدة مشتركة يمكن الوصول إليها', separate: 'دورات مياه منفصلة للرجال والنساء يمكن الوصول إليها' }
+      },
+      signage: {
+        label: 'اللافتات المتوفرة (اختر كل ما ينطبق)',
+        options: {
+          route_map: 'خريطة المسار متوفرة',
+          directional: 'لافتات إرشادية واضحة',
+          simple_language: 'لافتات بلغة بسيطة',
+          high_contrast: 'لافتات كبيرة عالية التباين',
+          audio: 'شرح صوتي متوافق مع أجهزة السمع بوضع T'
+        }
+      },
+      qrCode: {
+        label: 'رمز QR',
+        options: { available: 'يتوفر رمز QR بمعلومات عن الموقع' }
+      },
+      additionalNotes: {
+        label: 'ملاحظات إضافية حول إمكانية الوصول',
+        placeholder: 'يرجى تقديم تفاصيل إضافية عن ميزات إمكانية الوصول أو التحديات أو التوصيات...'
+      },
+      surveyorName: { label: 'اسم القائم بالاستبيان (اختياري)' },
+      surveyDate: { label: 'تاريخ الاستبيان' },
+      accessibilitySummary: {
+        label: 'ملخص عام لإمكانية الوصول',
+        options: {
+          accessible: 'يمكن الوصول إليه',
+          partial: 'يمكن الوصول إليه جزئيًا',
+          assisted: 'يمكن الوصول إليه بمساعدة',
+          not_accessible: 'لا يمكن الوصول إليه'
+        }
+      }
+    }
+  },
+
+  observations: {
+    categories: {
+      step: 'درجة أو رصيف',
+      steep_slope: 'منحدر حاد',
+      narrow_passage: 'ممر ضيق أو بوابة',
+      bench: 'مقعد',
+      fountain: 'نافورة مياه',
+      restroom: 'دورة مياه',
+      parking: 'موقف يمكن الوصول إليه',
+      other: 'عائق آخر'
+    },
+    severities: {
+      none: 'لا مشكلة',
+      minor: 'بسيط - يمكن عبوره بحذر',
+      major: 'كبير - يحتاج إلى مساعدة',
+      impassable: 'لا يمكن عبوره'
+    },
+    measurements: {
+      width: 'العرض',
+      height: 'الارتفاع',
+      gradient: 'الانحدار',
+      length: 'الطول'
+    },
+    startTrackingFirst: 'ابدأ التتبّع أولًا لتحديد العوائق والمرافق',
+    whatAreYouMarking: '📌 ما الذي تحدّده هنا؟',
+    howSevere: 'ما مدى صعوبة {category}؟',
+    measurementPrompt: '{label} بوحدة {unit} (اختياري، اتركه فارغًا للتخطي):',
+    notePrompt: 'أضف ملاحظة (اختياري):',
+    addPhoto: 'هل تريد إضافة صورة؟',
+    addPhotoButton: '📷 إضافة صورة',
+    noPhoto: 'بدون صورة',
+    marked: 'تم تحديد {description} على المسار',
+    markFailed: 'فشل التحديد: {error}'
+  },
+
+  score: {
+    profiles: {
+      wheelchair: 'كرسي متحرك',
+      visual: 'إعاقة بصرية',
+      stroller: 'عربة أطفال',
+      elderly: 'كبار السن'
+    },
+    ratings: {
+      excellent: 'سهل الوصول جدًا',
+      good: 'سهل الوصول غالبًا',
+      limited: 'وصول محدود',
+      difficult: 'غير موصى به',
+      unrated: 'لا توجد بيانات كافية للتقييم'
+    },
+    factors: {
+      surface: 'نوع السطح',
+      quality: 'جودة السطح',
+      slopes: 'المنحدرات',
+      barriers: 'العوائق',
+      length: 'طول المسار',
+      restrooms: 'دورات المياه',
+      seating: 'المقاعد',
+      shade: 'الظل',
+      signage: 'اللافتات',
+      visualAids: 'الوسائل البصرية'
+    },
+    details: {
+      slopesMeasured: 'الأقصى {gradient}، {count} مقطع حاد',
+      noBarriers: 'لم تُحدَّد عوائق',
+      barriers: 'تم تحديد {count}، الأشد: {severity}',
+      length: '{km} كم',
+      restroomsMarked: 'تم تحديد {count} دورة مياه يمكن الوصول إليها',
+      benchesMarked: 'تم تحديد {count} مقعد',
+      signage: '{available} من {total} وسائل إرشاد',
+      visualAids: '{available} من {total} وسائل بصرية'
+    },
+    coverage: 'تم تسجيل {coverage}% من العوامل'
+  },
+
+  review: {
+    noSurvey: '📋 لم يُملأ استبيان إمكانية الوصول لهذا المسار.',
+    completeness: '📋 الاستبيان مكتمل بنسبة {completeness}% (يلزم {threshold}% للنشر)',
+    missingSections: 'أقسام ناقصة:',
+    incompleteSections: 'أقسام غير مكتملة:',
+    conflictsHeader: '⚠️ إجابات تتعارض مع المسار المسجّل:',
+    reportTitle: 'مراجعة دليل المسار "{name}"',
+    publishAnyway: 'هذا الدليل دون مستوى الجودة المطلوب للنشر.\n\n✅ موافق = النشر على أي حال (مع وسمه بأنه غير مكتمل)\n❌ إلغاء = حفظه كخاص في الوقت الحالي',
+    markedIncomplete: 'سيتم وسم دليل المسار بأنه غير مكتمل. يمكنك إكمال الاستبيان لاحقًا من إجراءات سريعة ← 📋 استبيانات المسارات.',
+    conflicts: {
+      slopesMild: 'أُجيب بأن المنحدرات خفيفة (حتى {accessible}%) لكن تم قياس انحدار {measured}',
+      slopesModerate: 'أُجيب بأن المنحدرات متوسطة (5%-10%) لكن تم قياس انحدار {measured}',
+      slopesSteep: 'أُجيب بأن المنحدرات حادة لكن أشد انحدار مقاس هو {measured}',
+      wheelchairGradient: 'حُدّد بأنه يمكن الوصول إليه بالكامل بالكرسي المتحرك لكن انحدار {measured} يتجاوز الحد الأقصى للمنحدر ({ramp}%)',
+      trailLength: 'أُجيب بأن طول المسار {surveyed} كم لكن تم تسجيل {measured} كم',
+      wheelchairBarriers: 'حُدّد بأنه يمكن الوصول إليه بالكامل بالكرسي المتحرك لكن تم تحديد {count} عائق كبير أو غير قابل للعبور على المسار',
+      restrooms: 'أُجيب بعدم وجود دورات مياه يمكن الوصول إليها لكن تم تحديد واحدة على المسار',
+      waterFountains: 'أُجيب بعدم وجود نوافير مياه لكن تم تحديد نافورة على المسار',
+      seating: 'أُجيب بعدم وجود مقاعد يمكن الوصول إليها لكن تم تحديد مقعد على المسار'
+    }
+  },
+
+  guide: {
+    pageTitle: '{name} - دليل مسار سهل الوصول',
+    subtitle: 'دليل مسار سهل الوصول',
+    documentedOn: 'وُثّق في {date}',
+    overview: '📊 نظرة عامة على المسار',
+    kilometers: 'كيلومتر',
+    duration: 'المدة',
+    movingTime: 'وقت الحركة',
+    pace: 'الوتيرة (دقيقة/كم)',
+    gpsPoints: 'نقاط GPS',
+    photos: 'الصور',
+    restPoints: 'نقاط الاستراحة',
+    barriers: 'العوائق',
+    maxSlope: 'أقصى انحدار',
+    avgSlope: 'متوسط الانحدار',
+    conditions: '🚶 حالة المسار',
+    importantNotice: '⚠️ تنبيه مهم',
+    conditionsChange: 'قد تتغير حالة المسار بسبب الطقس والموسم والصيانة. تحقّق دائمًا من الحالة الحالية قبل الزيارة.',
+    recordedOn: 'سُجّلت هذه المعلومات في {date} وقد لا تعكس الحالة الراهنة.',
+    incompleteSurvey: '📋 استبيان إمكانية الوصول غير مكتمل',
+    incompleteSurveyText: 'استبيان هذا المسار مكتمل بنسبة {completeness}%، لذا قد تنقص بعض تفاصيل إمكانية الوصول.',
+    conflictsIntro: 'بعض الإجابات لا تتفق مع ما سُجّل على المسار:',
+    trailPhotos: '📷 صور المسار ({count})',
+    trailPhoto: 'صورة من المسار',
+    trailNotes: '📝 ملاحظات المسار ({count})',
+    voiceNotes: '🎙️ ملاحظات صوتية ({count})',
+    voiceNote: 'ملاحظة صوتية {number}',
+    recordingUnavailable: 'التسجيل غير متوفر',
+    play: '▶ تشغيل',
+    generatedBy: 'أُنشئ بواسطة',
+    tagline: 'نجعل الأماكن المفتوحة في متناول الجميع',
+    reportGenerated: 'أُنشئ التقرير في {date}',
+    start: '🚩 البداية',
+    end: '🏁 النهاية',
+    restPoint: 'نقطة استراحة - {minutes} دقيقة',
+    score: {
+      title: '⭐ درجة إمكانية الوصول',
+      basedOn: 'استنادًا إلى {sources}. يبدأ كل ملف من 100؛ يوضح الجدول ما تم خصمه ولماذا.',
+      sourceSurvey: 'استبيان إمكانية الوصول',
+      sourceElevation: 'المنحدرات المقاسة',
+      sourceObservations: '{count} ملاحظة عن العوائق/المرافق',
+      lengthOnly: 'طول المسار فقط',
+      impassable: '⛔ تم تحديد عائق لا يمكن عبوره على هذا المسار.',
+      points: '{points} (الأقصى {max})'
+    },
+    accessibility: {
+      title: '♿ معلومات شاملة عن إمكانية الوصول',
+      trailName: '🗺️ اسم المسار',
+      location: '📍 الموقع',
+      trailLength: '📏 طول المسار',
+      estimatedTime: '⏱️ الوقت المقدّر',
+      tripType: '🚶 نوع الرحلة',
+      routeType: '🔄 نوع المسار',
+      wheelchairAccess: '♿ الوصول بالكرسي المتحرك',
+      disabledParking: '🚗 مواقف لذوي الإعاقة',
+      parkingSpaces: 'المواقف المتاحة: {count}',
+      trailSurface: '🛤️ سطح المسار',
+      surfaceQuality: '🔍 جودة السطح',
+      trailSlopes: '📈 منحدرات المسار',
+      visualAdaptations: '👁️ المواءمات البصرية',
+      shadeCoverage: '🌳 الظل',
+      lighting: '💡 الإنارة',
+      waterFountains: '🚰 نوافير المياه',
+      seating: '🪑 المقاعد',
+      picnicAreas: '🧺 مناطق النزهة',
+      picnicCount: 'إجمالي المناطق: {count}',
+      picnicShade: 'مناطق مظللة: {count}',
+      picnicSun: 'مناطق مشمسة: {count}',
+      accessibleViewpoint: '🔭 نقاط المشاهدة',
+      restrooms: '🚻 دورات مياه يمكن الوصول إليها',
+      signage: '🗺️ اللافتات والإرشاد',
+      qrCode: '📱 معلومات رمز QR',
+      accessibilitySummary: '📋 إمكانية الوصول العامة',
+      additionalNotes: '📝 ملاحظات إضافية',
+      surveyorName: '👤 أعدّ الاستبيان',
+      surveyDate: '📅 تاريخ الاستبيان'
+    },
+    observations: '♿ العوائق والمرافق ({count})',
+    stats: {
+      title: '🚶 الحركة',
+      stoppedTime: 'وقت التوقف',
+      avgSpeed: 'متوسط السرعة (كم/س)',
+      maxSpeed: 'السرعة القصوى (كم/س)',
+      splits: 'المقاطع لكل كيلومتر',
+      km: 'كم',
+      movingTime: 'وقت الحركة',
+      pace: 'الوتيرة (دقيقة/كم)',
+      ascent: 'الصعود',
+      descent: 'النزول',
+      partialSplit: '{number} ({distance} كم)',
+      gpsQuality: 'جودة GPS: {points} نقطة، متوسط الدقة ±{accuracy} م، {gaps} انقطاع في الإشارة.'
+    },
+    slopes: {
+      title: '⛰️ المنحدرات والانحدار',
+      totalAscent: 'إجمالي الصعود',
+      totalDescent: 'إجمالي النزول',
+      noSteep: '✅ لا توجد مقاطع حادة',
+      noSteepText: 'جميع المقاطع المقاسة ضمن حد الانحدار {accessible}% وفق ADA.',
+      steep: '⚠️ مقاطع حادة',
+      steepText: '{count} مقطع يتجاوز الحد الأقصى للمنحدر وفق ADA ({ramp}%) - {distance} م إجمالًا.',
+      moderateText: '{count} مقطع بين {accessible}% و{ramp}% وقد يحتاج إلى مساعدة.',
+      segment: '{start}–{end} م من البداية:',
+      uphill: 'صعودًا',
+      downhill: 'نزولًا',
+      more: '…و{count} مقطع آخر محدد.',
+      footnote: 'الارتفاعات من نموذج تضاريس؛ الانحدارات متوسطة على مقاطع تبلغ نحو 20 م.'
+    },
+    chart: {
+      title: 'مقطع الارتفاع والانحدار',
+      description: 'الارتفاع من {min} م إلى {max} م على امتداد {distance}. أقصى انحدار {maxGradient}، والمتوسط {avgGradient}. المناطق المظللة تتجاوز حدود ADA البالغة {accessible}% (أصفر) أو {ramp}% (أحمر).',
+      gradeAccessible: 'ضمن {accessible}%',
+      gradeModerate: 'أعلى من حد ADA البالغ {accessible}%',
+      gradeSteep: 'أعلى من الحد الأقصى للمنحدر ({ramp}%)',
+      reading: 'من {start} إلى {end}: الارتفاع {elevation} م، أشد انحدار {gradient} {direction} ({grade})',
+      readout: 'مرّر المؤشر أو انتقل بمفتاح Tab إلى نقطة لعرض التفاصيل.',
+      table: 'جدول بيانات الارتفاع والانحدار',
+      section: 'المقطع',
+      elevation: 'الارتفاع',
+      steepestSlope: 'أشد انحدار',
+      ada: 'ADA'
+    }
+  },
+
+  landing: {
+    pageTitle: 'Access Nature - مسارات في متناول الجميع',
+    tagline: 'نجعل الأماكن المفتوحة في متناول الجميع',
+    welcomeBack: 'مرحبًا بعودتك،',
+    logout: 'تسجيل الخروج',
+    signIn: 'تسجيل الدخول',
+    discoverTitle: 'اكتشف مسارات سهلة الوصول',
+    discoverText: 'تصفّح أدلة المسارات التي ساهم بها المجتمع مع معلومات مفصّلة عن إمكانية الوصول وصور ومراجعات.',
+    featureWheelchair: '♿ وصول بالكرسي المتحرك',
+    featurePhotos: '📷 صور وملاحظات',
+    featureReviews: '⭐ مراجعات المجتمع',
+    featureMaps: '🗺️ خرائط تفاعلية',
+    browseGuides: '🔍 تصفّح أدلة المسارات',
+    quickSearchPlaceholder: 'بحث سريع عن المسارات...',
+    search: 'بحث',
+    mapTitle: 'ارسم مسارًا جديدًا',
+    mapText: 'استخدم تتبّع GPS لتوثيق مسارات جديدة سهلة الوصول. سجّل ميزات إمكانية الوصول والتقط الصور وأنشئ أدلة مسارات للمجتمع.',
+    featureGps: '📱 تتبّع GPS',
+    featureSurvey: '📝 استبيان إمكانية الوصول',
+    featurePhotoDocs: '📷 توثيق بالصور',
+    featureCloud: '☁️ مزامنة سحابية',
+    startTracking: '📍 بدء التتبّع',
+    routesMapped: 'مسارات موثّقة',
+    kmDocumented: 'كم موثّقة',
+    communityImpact: '🌍 أثر المجتمع',
+    publicGuides: 'أدلة مسارات عامة',
+    kilometersMapped: 'كيلومترات موثّقة',
+    wheelchairAccessible: 'مناسبة للكرسي المتحرك',
+    contributors: 'مساهمون',
+    featuredTitle: '⭐ مسارات مميزة سهلة الوصول',
+    loadMore: 'تحميل المزيد من المسارات',
+    about: 'حول',
+    privacy: 'الخصوصية',
+    contact: 'اتصل بنا',
+    help: 'المساعدة',
+    copyright: '© 2024 Access Nature. مسارات في متناول جميع القدرات.',
+    browseTitle: '🔍 تصفّح المسارات سهلة الوصول',
+    close: 'إغلاق',
+    searchPlaceholder: 'ابحث بأسماء المسارات أو المواقع...',
+    searchButton: '🔍 بحث',
+    filterTitle: '🎯 التصفية حسب إمكانية الوصول',
+    wheelchairFilter: 'الوصول بالكرسي المتحرك',
+    difficultyFilter: 'مستوى الصعوبة',
+    difficultyEasy: 'سهل',
+    difficultyModerate: 'متوسط',
+    difficultyDifficult: 'صعب',
+    distanceFilter: 'المسافة',
+    profileFilter: 'مناسب لـ (عام)',
+    profileFilterLabel: 'ملف إمكانية الوصول',
+    profileWheelchair: '♿ مستخدمو الكراسي المتحركة',
+    profileVisual: '👁️ الإعاقة البصرية',
+    profileStroller: '👶 عربات الأطفال',
+    profileElderly: '🧓 الزوار كبار السن',
+    minScoreFilter: 'الحد الأدنى للدرجة',
+    minScoreLabel: 'الحد الأدنى لدرجة إمكانية الوصول',
+    minScore80: '80+ سهل الوصول جدًا',
+    minScore60: '60+ سهل الوصول غالبًا',
+    minScore40: '40+ وصول محدود',
+    sortLabel: 'ترتيب النتائج',
+    sortNewest: 'الأحدث أولًا',
+    sortScore: 'الأعلى درجة أولًا',
+    sortDistance: 'الأقصر أولًا',
+    applyFilters: 'تطبيق عوامل التصفية',
+    results: '📍 نتائج المسارات',
+    resultsCount: 'تم العثور على {count} مسار',
+    loading: 'جارٍ تحميل المسارات...',
+    enterSearchTerm: 'يرجى إدخال كلمة بحث',
+    searchUnavailable: 'البحث غير متاح مؤقتًا',
+    searchUnavailableText: 'يرجى المحاولة مرة أخرى بعد قليل، أو التحقق من الاتصال.',
+    retrySearch: 'إعادة البحث',
+    noTrails: 'لم يتم العثور على مسارات',
+    noTrailsText: 'جرّب تعديل كلمات البحث أو عوامل التصفية',
+    clearFilters: 'مسح عوامل التصفية',
+    by: 'بواسطة {author}',
+    gpsPoints: 'نقاط GPS',
+    views: '👁️ {count} مشاهدة',
+    photos: '📷 {count} صورة',
+    notes: '📝 {count} ملاحظة',
+    scoreBadge: '{profile}: {rating} (تم تسجيل {coverage}% من العوامل)',
+    incompleteSurvey: '⚠️ استبيان غير مكتمل',
+    incompleteSurveyTitle: 'الاستبيان مكتمل بنسبة {completeness}%',
+    incompleteSurveyConflicts: 'الاستبيان مكتمل بنسبة {completeness}%، و{count} إجابة تتعارض مع المسار المسجّل',
+    noFeatured: 'لا توجد مسارات مميزة بعد',
+    noFeaturedText: 'كن أول من يساهم بأدلة مسارات سهلة الوصول!',
+    startMapping: 'ابدأ التوثيق',
+    locationUnknown: 'الموقع غير محدد',
+    viewGuide: 'عرض دليل المسار',
+    featuredSoon: 'المسارات المميزة قريبًا!',
+    featuredSoonText: 'ساعد في بناء مجتمعنا بتوثيق مسارات سهلة الوصول',
+    guideNotFound: '❌ لم يتم العثور على دليل المسار',
+    guidePrivate: '❌ دليل المسار هذا خاص وليس لديك إذن لعرضه.',
+    guideUnavailable: '❌ محتوى دليل المسار غير متوفر',
+    guideLoadFailed: '❌ فشل تحميل دليل المسار: {error}',
+    guideDisplayFailed: '❌ فشل عرض دليل المسار: {error}',
+    guideDownloadFailed: '❌ فشل تنزيل دليل المسار: {error}',
+    popupBlockedTitle: 'تم حظر النافذة المنبثقة',
+    popupBlocked: 'هل تريد تنزيل دليل المسار بدلًا من ذلك؟',
+    downloadGuide: 'تنزيل',
+    guideWindowTitle: '{name} - دليل المسار',
+    signInForGuides: 'يرجى تسجيل الدخول أولًا لعرض أدلة مساراتك',
+    noGuides: 'لم يتم العثور على أدلة مسارات.\n\nلإنشاء أدلة المسارات:\n• سجّل مسارًا في المتتبّع\n• احفظه في السحابة\n• سيتم إنشاء دليل المسار تلقائيًا',
+    guidesLoadFailed: 'فشل تحميل أدلة المسارات: {error}',
+    yourGuides: 'أدلة مساراتك',
+    public: 'عام',
+    private: 'خاص',
+    created: 'أُنشئ: {date}',
+    guideDistance: 'المسافة: {distance} كم',
+    selectGuide: 'اختر دليلًا لعرضه:',
+    aboutText: '🌲 حول Access Nature\n\nنجعل الأماكن المفتوحة في متناول الجميع.\n\nمهمتنا إنشاء قاعدة بيانات شاملة لمعلومات المسارات سهلة الوصول، يوثّقها المجتمع من أجل المجتمع.\n\nالميزات:\n- تتبّع GPS وتوثيق المسارات\n- استبيانات مفصّلة لإمكانية الوصول\n- مشاركة الصور والملاحظات\n- قاعدة بيانات مجتمعية لأدلة المسارات\n- التصدير والمشاركة\n\nانضم إلينا لنجعل الطبيعة في متناول الجميع!',
+    privacyText: '🔒 سياسة الخصوصية\n\nالتزام Access Nature بالخصوصية:\n\nجمع البيانات:\n- نجمع فقط البيانات التي تختار مشاركتها\n- تُخزَّن بيانات المسارات على جهازك افتراضيًا\n- المزامنة السحابية اختيارية وتحت سيطرتك\n- لا تتبّع ولا تحليلات دون موافقتك\n\nتحكّمك:\n- أنت تملك جميع بيانات مساراتك\n- احذف البيانات من جهازك في أي وقت\n- اجعل أدلة المسارات عامة أو خاصة كما تشاء\n- صدّر بياناتك بصيغ متعددة\n\nالمشاركة:\n- أدلة المسارات العامة فقط مرئية للآخرين\n- لا تتم مشاركة المعلومات الشخصية أبدًا\n- بيانات الموقع موجودة فقط في المسارات التي تنشرها\n\nالأمان:\n- البيانات مشفّرة أثناء النقل والتخزين\n- قواعد أمان Firebase تحمي بياناتك\n- تحديثات أمان ومراقبة منتظمة\n\nأسئلة؟ تواصل معنا عبر التطبيق.',
+    contactText: '📧 تواصل مع Access Nature\n\nتواصل مع فريقنا:\n\nالدعم:\n- البريد الإلكتروني: support@accessnature.app\n- وقت الرد: 24-48 ساعة\n- أرفق معلومات الجهاز للمشكلات التقنية\n\nالملاحظات:\n- نرحّب بطلبات الميزات\n- نقدّر الإبلاغ عن الأخطاء\n- اقتراحات إمكانية الوصول لها الأولوية\n\nالشراكات:\n- منظمات المسارات\n- المدافعون عن إمكانية الوصول\n- الشركاء التقنيون\n\nالمجتمع:\n- انضم إلى لقاءاتنا الافتراضية الشهرية\n- شارك قصصك في توثيق إمكانية الوصول\n- ساعد في تحسين توثيق المسارات\n\nنحن هنا لنجعل الطبيعة في متناول الجميع!',
+    helpText: '❓ مساعدة Access Nature\n\nالبدء:\n1. سجّل للمزامنة السحابية (اختياري)\n2. ابدأ تتبّع مسار\n3. التقط الصور وأضف الملاحظات على الطريق\n4. املأ استبيان إمكانية الوصول\n5. احفظ دليل المسار وشاركه\n\nنصائح للتوثيق:\n- أبقِ GPS مفعّلًا لتتبّع دقيق\n- صوّر ميزات إمكانية الوصول الرئيسية\n- دوّن أنواع الأسطح والعوائق والمرافق\n- أضف معلومات الانحدار والعرض\n\nالبحث عن المسارات:\n- استخدم عوامل التصفية لاحتياجات محددة\n- تصفّح حسب الموقع أو الصعوبة\n- اقرأ مراجعات المجتمع وتقييماته\n- نزّل أدلة المسارات للاستخدام دون اتصال\n\nحل المشكلات:\n- تأكد من تفعيل أذونات الموقع\n- استخدم اتصال إنترنت قويًا للمزامنة\n- امسح ذاكرة التخزين المؤقت إذا استمرت المشكلة\n- تواصل مع الدعم للمشكلات التقنية\n\nتوثيقًا ممتعًا! 🥾'
+  },
+
+  auth: {
+    welcome: 'مرحبًا بك في Access Nature',
+    welcomeBack: 'مرحبًا بعودتك!',
+    join: 'انضم إلى Access Nature',
+    close: 'إغلاق',
+    signInTitle: 'تسجيل الدخول إلى حسابك',
+    signInSubtitle: 'تابع رحلتك في توثيق إمكانية الوصول',
+    signUpTitle: 'أنشئ حسابك',
+    signUpSubtitle: 'انضم إلى المجتمع الذي يجعل الطبيعة في متناول الجميع',
+    email: 'البريد الإلكتروني',
+    password: 'كلمة المرور',
+    fullName: 'الاسم الكامل',
+    createPassword: 'أنشئ كلمة مرور',
+    signIn: 'تسجيل الدخول',
+    createAccount: 'إنشاء حساب',
+    or: 'أو',
+    google: 'المتابعة باستخدام Google',
+    noAccount: 'ليس لديك حساب؟',
+    signUpLink: 'سجّل الآن',
+    haveAccount: 'لديك حساب بالفعل؟',
+    signInLink: 'سجّل الدخول',
+    fillAllFields: 'يرجى ملء جميع الحقول',
+    passwordTooShort: 'يجب أن تتكون كلمة المرور من 6 أحرف على الأقل',
+    signedIn: 'مرحبًا بعودتك! 🎉',
+    accountCreated: 'تم إنشاء الحساب بنجاح! مرحبًا بك في Access Nature! 🌲',
+    googleConnected: 'تم الاتصال بـ Google بنجاح! 🎉',
+    googleCancelled: 'تم إلغاء تسجيل الدخول',
+    googleFailed: 'فشل تسجيل الدخول عبر Google. يرجى المحاولة مرة أخرى.',
+    signOut: 'تسجيل الخروج',
+    confirmSignOut: 'هل أنت متأكد أنك تريد تسجيل الخروج؟',
+    signedOut: 'إلى اللقاء! 👋',
+    signOutFailed: 'فشل تسجيل الخروج. يرجى المحاولة مرة أخرى.',
+    errors: {
+      'auth/user-not-found': 'لا يوجد حساب بهذا البريد الإلكتروني',
+      'auth/wrong-password': 'كلمة المرور غير صحيحة',
+      'auth/email-already-in-use': 'يوجد حساب بهذا البريد الإلكتروني بالفعل',
+      'auth/weak-password': 'يجب أن تتكون كلمة المرور من 6 أحرف على الأقل',
+      'auth/invalid-email': 'يرجى إدخال بريد إلكتروني صالح',
+      'auth/too-many-requests': 'محاولات فاشلة كثيرة. يرجى المحاولة لاحقًا',
+      'auth/network-request-failed': 'خطأ في الشبكة. يرجى التحقق من الاتصال',
+      'app/offline': 'أنت غير متصل بالإنترنت. اتصل بالإنترنت وحاول مرة أخرى',
+      default: 'حدث خطأ غير متوقع. يرجى المحاولة مرة أخرى.'
+    }
+  }
+};
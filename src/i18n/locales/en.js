@@ -0,0 +1,951 @@
+// English message catalog - the reference catalog; every key used in the app must exist here
+export default {
+  common: {
+    language: 'Language',
+    unknown: 'Unknown',
+    notRecorded: 'Not recorded',
+    select: 'Select...',
+    km: 'km',
+    listSeparator: ', '
+  },
+
+  dialog: {
+    ok: 'OK',
+    cancel: 'Cancel',
+    required: 'Please fill in this field',
+    chooseOption: 'Please choose an option',
+    emptyList: 'Nothing to choose from'
+  },
+
+  offline: {
+    unavailable: 'You are offline. This needs an internet connection - please try again when you have signal.',
+    moduleFailed: 'Part of the app could not be loaded. Check your connection and try again.',
+    ready: 'Access Nature is ready to work offline',
+    updateTitle: 'Update available',
+    updateMessage: 'A new version of Access Nature has been downloaded. Reload now to use it?',
+    updateNow: 'Reload',
+    updateLater: 'Later'
+  },
+
+  tracker: {
+    pageTitle: 'Access Nature - Trail Tracker',
+    skipToContent: 'Skip to main content',
+    skipToMap: 'Skip to map',
+    mapLabel: 'Interactive trail map',
+    time: 'Time',
+    distance: 'Distance',
+    pace: 'Pace /km',
+    compassLabel: 'Navigation compass',
+    rotationLabel: 'Toggle map rotation',
+    rotationTitle: 'Enable/disable map rotation with device orientation',
+    syncing: 'Syncing...',
+    accessibilityLabel: 'Document trail accessibility features',
+    accessibilityTitle: 'Open accessibility survey',
+    accessibilitySurvey: 'Accessibility Survey',
+    playPauseTitle: 'Start or pause GPS tracking',
+    startTracking: 'Start tracking',
+    pauseTracking: 'Pause tracking',
+    resumeTracking: 'Resume tracking',
+    saveLabel: 'Save route',
+    saveTitle: 'Stop tracking and save route',
+    mainNavigation: 'Main navigation',
+    noteLabel: 'Add text note',
+    noteTitle: 'Add a text note to your current location',
+    note: 'Note',
+    photoLabel: 'Take photo',
+    photoTitle: 'Capture a photo of trail conditions or accessibility features',
+    photo: 'Photo',
+    voiceLabel: 'Record voice note',
+    voiceTitle: 'Record a spoken note at your current location (V)',
+    voice: 'Voice',
+    barrierLabel: 'Mark barrier or feature',
+    barrierTitle: 'Pin a barrier or facility (step, slope, bench...) at your current location (B)',
+    barrier: 'Barrier',
+    homeLabel: 'Go to home page',
+    homeTitle: 'Return to AccessNature home page',
+    home: 'Home',
+    menuLabel: 'Open menu',
+    menuTitle: 'Open additional options and export tools',
+    menu: 'Menu',
+    quickActions: 'Quick Actions',
+    showRoute: '🗺️ Show Route',
+    export: '📤 Export',
+    saveCloud: '☁️ Save Cloud',
+    loadCloud: '📥 Load Cloud',
+    syncConflicts: '⚠️ {count} route(s) changed here and in the cloud - sync from the Route Library to choose',
+    autoPause: '⏸️ Auto-pause: {state}',
+    autoPauseOn: 'On',
+    autoPauseOff: 'Off',
+    autoPauseEnabled: 'Auto-pause at stops enabled',
+    autoPauseDisabled: 'Auto-pause at stops disabled',
+    routeSurveys: '📋 Route Surveys',
+    routeLibrary: '📚 Route Library',
+    editRoute: '✂️ Edit Route',
+    routeStats: '📊 Statistics',
+    offlineMaps: '🗺️ Offline Maps',
+    exportRoute: 'Export Route',
+    exportRouteButton: '📦 Export Route',
+    exportGPX: '📍 Export GPX',
+    exportPDF: '📄 Export PDF',
+    exportTrailGuide: '🌐 Export Trail Guide',
+    exportGeoJSON: '🗺️ Export GeoJSON',
+    exportKML: '🌍 Export KML',
+    exportKMZ: '📦 Export KMZ',
+    closeSurvey: 'Close accessibility form',
+    trackingStarted: 'GPS tracking started',
+    trackingPaused: 'GPS tracking paused',
+    trackingResumed: 'GPS tracking resumed',
+    trackingSaved: 'Tracking stopped, route saved',
+    initFailed: 'Failed to initialize tracking system: {error}',
+    appInitFailed: 'Failed to initialize application: {error}',
+    playPauseFailed: 'Failed to start/pause tracking: {error}',
+    saveFailed: 'Failed to save route: {error}',
+    backupTitle: 'Unsaved route found',
+    backupFound: '📍 {points} GPS points\n📸 {photos} photos\n📝 {notes} notes\n📏 {distance} km\n⏱️ {time}\n\nWould you like to restore this route?',
+    restoreBackup: 'Restore',
+    discardBackup: 'Discard',
+    backupRestored: 'Route backup restored successfully',
+    noSavedRoutes: 'No saved routes yet. Save a route to attach a survey to it.',
+    chooseSurveyRoute: '📋 Edit the accessibility survey of which route?',
+    appReady: 'AccessNature Enhanced Tracker ready. Use spacebar to start tracking, A for accessibility survey.',
+    noRouteData: 'No route data to display on map',
+    languageChanged: 'Language changed to English'
+  },
+
+  saveRoute: {
+    summaryTitle: 'Route Summary',
+    saveRoute: 'Save Route',
+    discard: 'Discard',
+    discardTitle: 'Discard route?',
+    discardMessage: '⚠️ Are you sure you want to discard this route? All data will be lost!',
+    keepAndSave: 'Keep and save',
+    title: 'Save Route',
+    nameLabel: 'Route name',
+    save: 'Save',
+    useDefaultMessage: 'Use default name "{name}"?',
+    useDefault: 'Use default name',
+    dontSave: 'Don\'t save',
+    savedLocallyTitle: 'Route saved locally!',
+    signInMessage: '💡 Sign in to save routes to the cloud and create shareable trail guides.\n\nWould you like to sign in now?',
+    signIn: 'Sign In',
+    notNow: 'Not now',
+    cloudTitle: '"{name}" saved locally!',
+    cloudMessage: '☁️ Would you like to save to cloud and create a trail guide?',
+    cloudLabel: 'Cloud save',
+    continue: 'Continue',
+    private: '🔒 Private',
+    privateHint: 'Only you can see it (you can make it public later)',
+    public: '🌍 Public',
+    publicHint: 'Share with the community immediately',
+    skip: '❌ Skip',
+    skipHint: 'Keep local only',
+    chooseCloudRoute: '☁️ Select a route to save to cloud',
+    routePoints: '{points} points',
+    saveToCloud: '☁️ Save to cloud',
+    cloudNameLabel: 'Enter a name for this route:'
+  },
+
+  importRoute: {
+    title: 'Import route',
+    clearMessage: 'Clear current route data before importing?',
+    clear: 'Clear',
+    keep: 'Keep',
+    surveyTitle: 'Import survey',
+    surveyMessage: 'This {format} file includes an accessibility survey. Replace the current route\'s survey with it?',
+    replace: 'Replace',
+    keepCurrent: 'Keep current'
+  },
+
+  library: {
+    title: 'Route Library',
+    searchLabel: 'Search routes',
+    searchPlaceholder: 'Search by name, tag or folder',
+    sortBy: 'Sort by',
+    sortNewest: 'Newest first',
+    sortOldest: 'Oldest first',
+    sortLongest: 'Longest distance',
+    sortShortest: 'Shortest distance',
+    sortLongestTime: 'Longest duration',
+    sortShortestTime: 'Shortest duration',
+    sortName: 'Name (A-Z)',
+    folder: 'Folder',
+    tag: 'Tag',
+    allFolders: 'All folders',
+    unfiled: 'No folder',
+    allTags: 'All tags',
+    selectShown: 'Select all shown',
+    selectRoute: 'Select {name}',
+    selectedCount: '{count} selected',
+    exportSelected: '📤 Export',
+    tagSelected: '🏷️ Tag',
+    moveSelected: '📁 Move',
+    mergeSelected: '🔗 Merge',
+    uploadSelected: '☁️ Upload',
+    deleteSelected: '🗑️ Delete',
+    loadMore: 'Load more',
+    loading: 'Loading routes...',
+    loadFailed: 'Could not load routes: {error}',
+    empty: 'No saved routes yet. Record and save a route to start your library.',
+    noMatches: 'No routes match these filters.',
+    showing: 'Showing {count} route(s)',
+    showingMore: 'Showing {count} route(s) - more available',
+    routeMeta: '📅 {date} · 📏 {distance} km · ⏱️ {duration} · 📍 {points} points',
+    duration: '{hours}h {minutes}m',
+    durationMinutes: '{minutes} min',
+    actionView: '🗺️ View on map',
+    actionExport: '📤 Export',
+    actionRename: '✏️ Rename',
+    actionTags: '🏷️ Edit tags',
+    actionFolder: '📁 Move to folder',
+    actionSurvey: '♿ Edit accessibility survey',
+    actionUpload: '☁️ Upload to cloud',
+    actionDelete: '🗑️ Delete',
+    actionEdit: '✂️ Edit route',
+    actionStats: '📊 Statistics',
+    renameTitle: 'Rename route',
+    nameLabel: 'Route name',
+    tagsTitle: 'Edit tags',
+    tagsAddTitle: 'Add tags to {count} route(s)',
+    tagsLabel: 'Tags, separated by commas',
+    tagsPlaceholder: 'e.g. shade, paved, family',
+    folderTitle: 'Move to folder',
+    newFolder: '➕ New folder...',
+    noFolder: '📂 No folder',
+    newFolderTitle: 'New folder',
+    folderNameLabel: 'Folder name',
+    deleteTitle: 'Delete routes',
+    deleteConfirm: 'Permanently delete {count} route(s) with their photos and surveys? This cannot be undone.',
+    delete: 'Delete',
+    deleted: '{count} route(s) deleted',
+    mergeTitle: 'Merge {count} routes',
+    mergeNameLabel: 'Name for the merged route',
+    mergedName: '{name} + {count} more',
+    mergeNeedsTwo: 'Select at least two routes to merge.',
+    merged: 'Routes merged into "{name}"',
+    deleteOriginalsTitle: 'Keep the original routes?',
+    deleteOriginalsMessage: 'The merged route was saved. The {count} original routes can be kept or deleted.',
+    keepOriginals: 'Keep originals',
+    deleteOriginals: 'Delete originals',
+    uploadTitle: 'Upload {count} route(s) to cloud',
+    uploadLabel: 'Visibility',
+    uploadPrivate: '🔒 Private',
+    uploadPrivateHint: 'Only you can see the routes and their trail guides',
+    uploadPublic: '🌍 Public',
+    uploadPublicHint: 'Trail guides appear in community search',
+    uploadSignIn: 'Sign in on the home page to upload routes to the cloud.',
+    uploadResult: '☁️ Uploaded {uploaded} of {count} route(s)',
+    uploadFailed: 'Upload failed for: {names}',
+    uploadQueued: '📮 {count} route(s) will be uploaded when the connection is back',
+    syncSynced: '☁️ In the cloud',
+    syncPending: '📮 Waiting to upload',
+    syncSyncing: '☁️ Uploading...',
+    syncFailed: '⚠️ Upload failed - upload again to retry',
+    syncRoutes: '🔄 Sync',
+    syncing: 'Syncing with the cloud...',
+    syncSignIn: 'Sign in on the home page to sync your routes with the cloud.',
+    syncResult: '🔄 Sync finished: {pushed} uploaded, {pulled} downloaded, {deleted} deleted',
+    syncResolved: '{count} conflict(s) settled',
+    syncConflictsLeft: '⚠️ {count} route(s) changed in both places were left as they are - sync again to choose',
+    syncStepsFailed: '{count} route(s) could not be synced and will be tried again next time',
+    conflictTitle: 'Sync conflict: {name}',
+    conflictLabel: 'Version to keep',
+    conflictEdited: 'This route was changed on this device ({localDate}) and in the cloud ({cloudDate}) since it was last synced.',
+    conflictDeletedInCloud: 'This route was deleted from the cloud on another device, but changed on this device ({localDate}).',
+    conflictDeletedLocally: 'This route was deleted on this device ({localDate}), but changed in the cloud since then ({cloudDate}).',
+    conflictKeepLocal: '📱 This device\'s version',
+    conflictKeepLocalHint: 'Replaces the cloud copy',
+    conflictKeepCloud: '☁️ Cloud version',
+    conflictKeepCloudHint: 'Replaces the copy on this device',
+    conflictMerge: '🔀 Merge both',
+    conflictMergeHint: 'Keeps the newer version\'s track, with every photo and note from both',
+    conflictKeepRoute: '📱 Keep the route',
+    conflictKeepRouteHint: 'Uploads it to the cloud again',
+    conflictDeleteHere: '🗑️ Delete it here too',
+    conflictDeleteHereHint: 'Removes the route from this device',
+    conflictDeleteCloud: '🗑️ Delete it from the cloud too',
+    conflictDeleteCloudHint: 'Removes the cloud copy and its trail guide',
+    conflictRestore: '☁️ Restore it',
+    conflictRestoreHint: 'Downloads the cloud version to this device',
+    conflictApply: 'Keep',
+    conflictSkip: 'Decide later',
+    updated: 'Route library updated',
+    notFound: 'That route no longer exists.',
+    actionFailed: 'Route library action failed: {error}'
+  },
+
+  editor: {
+    titleCurrent: 'Edit current route',
+    titleNamed: 'Edit "{name}"',
+    pointTools: 'Point',
+    routeTools: 'Route',
+    previousPoint: '◀ Previous point',
+    nextPoint: 'Next point ▶',
+    trimStart: '⏮️ Trim start here',
+    trimEnd: '⏭️ Trim end here',
+    split: '✂️ Split here',
+    deletePoint: '🗑️ Delete point',
+    mergeNext: '🔗 Merge next route',
+    undo: '↩️ Undo',
+    redo: '↪️ Redo',
+    saveChanges: '💾 Save',
+    cancel: '✕ Cancel',
+    hint: 'Tap a point or use the arrow keys to select it, then drag it or use Shift+arrows to move it.',
+    stats: '📏 {distance} km · ⏱️ {duration} · 📍 {points} points',
+    pendingParts: '{count} part(s) split off',
+    pendingMerged: '{count} route(s) merged in',
+    noPointSelected: 'No point selected',
+    pointInfo: 'Point {number} of {count} · {time}',
+    opened: 'Route editor opened. Use the arrow keys to select points.',
+    notPossible: 'Not possible at this point',
+    done: {
+      trimStart: 'Start trimmed',
+      trimEnd: 'End trimmed',
+      split: 'Route split',
+      deletePoint: 'Point deleted',
+      movePoint: 'Point moved',
+      merge: 'Route merged'
+    },
+    undone: 'Undone: {action}',
+    redone: 'Redone: {action}',
+    stopTrackingFirst: 'Stop tracking before editing the route.',
+    noCurrentRoute: 'There is no recorded route to edit. Open a saved route from the Route Library to edit it.',
+    tooFewPoints: 'This route has fewer than two GPS points, so there is nothing to edit.',
+    noNextRoute: 'There is no saved route recorded after this one.',
+    mergeTitle: 'Merge next route',
+    mergeConfirm: 'Append "{name}" ({date}, {distance} km) to this route? It will be removed from the library when you save.',
+    merge: 'Merge',
+    saveTitle: 'Save changes?',
+    saveDistance: '📏 Distance: {before} km → {after} km',
+    saveParts: '✂️ {count} new route(s) from the split',
+    saveMerged: '🔗 Merged and removed: {names}',
+    saveRemovedMedia: '⚠️ {count} photo(s) or recording(s) outside the edited route will be deleted',
+    save: 'Save',
+    saved: 'Route changes saved',
+    partName: '{name} (part {number})',
+    discardTitle: 'Discard changes?',
+    discardMessage: 'Your edits to this route will be lost.',
+    discard: 'Discard',
+    keepEditing: 'Keep editing',
+    cancelled: 'Route editing cancelled',
+    actionFailed: 'Route edit failed: {error}'
+  },
+
+  stats: {
+    title: 'Route Statistics',
+    currentRoute: 'Current route',
+    distance: 'Distance',
+    elapsedTime: 'Total time',
+    movingTime: 'Moving time',
+    stoppedTime: 'Stopped time',
+    avgSpeed: 'Avg moving speed',
+    maxSpeed: 'Max speed',
+    pace: 'Avg pace',
+    ascent: 'Ascent',
+    descent: 'Descent',
+    splits: 'Splits',
+    km: 'Km',
+    partialSplit: '{number} ({distance} km)',
+    noSplits: 'Not enough GPS points for splits yet.',
+    gpsQuality: 'GPS: {points} points, mean accuracy ±{accuracy} m, {gaps} signal gap(s) totalling {gapTime}'
+  },
+
+  offlineMaps: {
+    title: 'Offline Maps',
+    hint: 'Move the map over the area you plan to walk, pick the zoom levels and download it. The map then works there without signal.',
+    name: 'Area name',
+    defaultName: 'Area saved {date}',
+    minZoom: 'From zoom',
+    maxZoom: 'To zoom',
+    estimate: '{count} tiles, about {size} MB',
+    tooMany: '{count} tiles is too many (limit {limit}). Zoom the map in or lower "To zoom".',
+    download: '⬇️ Download visible area',
+    stop: '⏹️ Stop',
+    starting: 'Starting download...',
+    progress: 'Downloaded {done} of {total} tiles',
+    done: '"{name}" is ready offline ({saved} tiles)',
+    partial: '"{name}": {saved} of {total} tiles saved, {failed} failed. Refresh it to try again.',
+    stopped: 'Download stopped: {saved} of {total} tiles saved for "{name}"',
+    budgetStop: 'The offline map budget is full: {saved} of {total} tiles saved for "{name}"',
+    errorBudget: 'Not enough room in the {budget} MB offline map budget. Delete an area or choose a smaller one.',
+    errorTooMany: 'This area has too many tiles (limit {limit}).',
+    serverNotAllowed: 'The OpenStreetMap tile servers don\'t allow downloading map areas ahead, so offline maps need a tile server of your own. See "Offline Use" in the README to set one up.',
+    failed: 'Offline map download failed: {error}',
+    offline: 'Connect to the internet to download map tiles.',
+    mapNotReady: 'The map is not ready yet.',
+    usage: 'Offline maps use {used} MB of {budget} MB',
+    noAreas: 'No offline areas yet.',
+    areaMeta: '{tiles} tiles · {size} MB · zoom {minZoom}-{maxZoom}',
+    freshUntil: 'fresh until {date}',
+    expired: 'expired - refresh when online',
+    incomplete: 'incomplete ({saved} of {total} tiles)',
+    show: '👁️ Show',
+    refresh: '🔄 Refresh',
+    delete: '🗑️ Delete',
+    showLabel: 'Show {name} on the map',
+    refreshLabel: 'Download {name} again',
+    deleteLabel: 'Delete offline area {name}',
+    deleteTitle: 'Delete offline area?',
+    deleteMessage: '"{name}" will no longer be available offline.',
+    deleted: '"{name}" deleted'
+  },
+
+  survey: {
+    title: '🌲 Comprehensive Trail Accessibility Survey',
+    description: 'Help create detailed accessibility information for outdoor spaces',
+    currentRoute: '📍 Survey for the current route',
+    savedRoute: '📂 Survey for "{name}"',
+    savedRouteFallback: 'saved route',
+    close: '✖ Close',
+    submit: '✅ Save Comprehensive Survey',
+    cancel: '❌ Cancel',
+    thanks: 'Thank you for contributing detailed accessibility information!',
+    fixErrors: 'Please fix the following:',
+    saveFailed: '❌ Failed to save survey: {error}',
+    saved: 'Survey saved - {completeness}% complete.',
+    sectionsMissing: 'Sections not filled in yet:',
+    belowThreshold: 'Trail guides need at least {threshold}% before they can be published without being marked as incomplete.',
+    thankYou: 'Thank you for your detailed contribution!',
+    errors: {
+      required: '{label} is required',
+      number: '{label} must be a number',
+      min: '{label} must be at least {min}',
+      max: '{label} must be at most {max}',
+      option: '{label} has an unknown option'
+    },
+    sections: {
+      basic: '🗺️ Basic Trail Information',
+      mobility: '♿ Mobility Accessibility',
+      surface: '🛤️ Trail Surface & Quality',
+      visual: '👁️ Visual & Environmental Features',
+      facilities: '🚰 Facilities & Amenities',
+      signage: '🗺️ Signage & Navigation',
+      additional: '📝 Additional Information'
+    },
+    fields: {
+      trailName: { label: 'Trail Name' },
+      location: { label: 'Location/Address' },
+      trailLength: { label: 'Trail Length (km)' },
+      estimatedTime: {
+        label: 'Estimated Duration',
+        placeholder: 'Select duration',
+        options: {
+          under_30_min: 'Under 30 minutes',
+          '30_60_min': '30-60 minutes',
+          '1_2_hours': '1-2 hours',
+          '2_4_hours': '2-4 hours',
+          half_day: 'Half day',
+          full_day: 'Full day'
+        }
+      },
+      tripType: {
+        label: 'Trip Type',
+        options: {
+          beach_promenade: 'Beach Promenade',
+          stream_path: 'Stream Path',
+          park_route: 'Park Route',
+          forest_trail: 'Forest Trail',
+          urban_route: 'Urban Route',
+          scenic_drive: 'Scenic Drive'
+        }
+      },
+      routeType: {
+        label: 'Route Type',
+        options: { circular: 'Circular', round_trip: 'Round Trip' }
+      },
+      wheelchairAccess: {
+        label: 'Wheelchair Accessibility Level',
+        options: {
+          full: 'Fully accessible',
+          partial: 'Partially accessible',
+          assisted: 'Accessible with assistance',
+          not_accessible: 'Not accessible'
+        }
+      },
+      disabledParking: {
+        label: 'Disabled Parking',
+        options: { available: 'Disabled parking available' }
+      },
+      parkingSpaces: { label: 'Number of spaces' },
+      trailSurface: {
+        label: 'Trail Surface Types (select all that apply)',
+        options: {
+          asphalt: 'Asphalt',
+          concrete: 'Concrete',
+          stone: 'Stone',
+          deck: 'Wood/Plastic Deck',
+          compacted_gravel: 'Compacted Gravel',
+          mixed: 'Mixed Surfaces',
+          grass: 'Grass'
+        }
+      },
+      surfaceQuality: {
+        label: 'Surface Quality',
+        options: {
+          excellent: 'Excellent - smooth and well maintained',
+          fair: 'Fair - minor disruptions, rough patches, bumps, cracks',
+          poor: 'Poor - serious disruptions, protruding stones, large grooves',
+          overgrown: 'Vegetation blocks passage'
+        }
+      },
+      trailSlopes: {
+        label: 'Trail Slopes',
+        options: {
+          mild: 'No slopes to mild slopes (up to 5%)',
+          moderate: 'Moderate slopes - assistance recommended (5%-10%)',
+          steep: 'Steep slopes - not accessible (over 10%)'
+        }
+      },
+      visualAdaptations: {
+        label: 'Visual Impairment Adaptations (select all that apply)',
+        options: {
+          raised_borders: 'Raised/protruding borders',
+          tactile: 'Texture/tactile differences',
+          color_contrast: 'Color contrast differences'
+        }
+      },
+      shadeCoverage: {
+        label: 'Shade Coverage on Trail',
+        options: { plenty: 'Plenty of shade', intermittent: 'Intermittent shade', none: 'No shade' }
+      },
+      lighting: {
+        label: 'Lighting',
+        options: { lit: 'Trail is lit in darkness' }
+      },
+      waterFountains: {
+        label: 'Accessible Water Fountains',
+        options: { none: 'None', one: 'One accessible fountain', multiple: 'Multiple fountains along route' }
+      },
+      seating: {
+        label: 'Accessible Seating',
+        options: {
+          none: 'No accessible benches',
+          one: 'One accessible bench',
+          multiple: 'Multiple benches along route',
+          no_handrails: 'Benches without handrails'
+        }
+      },
+      picnicAreas: {
+        label: 'Accessible Picnic Areas',
+        options: { available: 'Accessible picnic areas available' }
+      },
+      picnicCount: { label: 'Number of areas' },
+      picnicShade: { label: 'Areas in shade' },
+      picnicSun: { label: 'Areas in sun' },
+      accessibleViewpoint: {
+        label: 'Viewpoints',
+        options: { available: 'Accessible viewpoint available' }
+      },
+      restrooms: {
+        label: 'Accessible Restrooms',
+        options: { none: 'None', unisex: 'One unisex accessible restroom', separate: 'Separate accessible restrooms for men and women' }
+      },
+      signage: {
+        label: 'Available Signage (select all that apply)',
+        options: {
+          route_map: 'Route map available',
+          directional: 'Clear directional signage',
+          simple_language: 'Simple language signage',
+          high_contrast: 'Large, high-contrast accessible signage',
+          audio: 'Audio explanation compatible with T-mode hearing devices'
+        }
+      },
+      qrCode: {
+        label: 'QR Code',
+        options: { available: 'QR code with site information available' }
+      },
+      additionalNotes: {
+        label: 'Additional accessibility notes',
+        placeholder: 'Please provide additional details about accessibility features, challenges, or recommendations...'
+      },
+      surveyorName: { label: 'Surveyor Name (Optional)' },
+      surveyDate: { label: 'Survey Date' },
+      accessibilitySummary: {
+        label: 'Overall Accessibility Summary',
+        options: {
+          accessible: 'Accessible',
+          partial: 'Partially accessible',
+          assisted: 'Accessible with assistance',
+          not_accessible: 'Not accessible'
+        }
+      }
+    }
+  },
+
+  observations: {
+    categories: {
+      step: 'Step or kerb',
+      steep_slope: 'Steep slope',
+      narrow_passage: 'Narrow passage or gate',
+      bench: 'Bench',
+      fountain: 'Water fountain',
+      restroom: 'Restroom',
+      parking: 'Accessible parking',
+      other: 'Other barrier'
+    },
+    severities: {
+      none: 'No problem',
+      minor: 'Minor - passable with care',
+      major: 'Major - needs assistance',
+      impassable: 'Impassable'
+    },
+    measurements: {
+      width: 'Width',
+      height: 'Height',
+      gradient: 'Gradient',
+      length: 'Length'
+    },
+    startTrackingFirst: 'Start tracking first to mark barriers and features',
+    whatAreYouMarking: '📌 What are you marking here?',
+    howSevere: 'How much of a problem is this {category}?',
+    measurementPrompt: '{label} in {unit} (optional, leave blank to skip):',
+    notePrompt: 'Add a note (optional):',
+    addPhoto: 'Add a photo of it?',
+    addPhotoButton: '📷 Add photo',
+    noPhoto: 'No photo',
+    marked: '{description} marked on the route',
+    markFailed: 'Failed to mark observation: {error}'
+  },
+
+  score: {
+    profiles: {
+      wheelchair: 'Wheelchair',
+      visual: 'Visual impairment',
+      stroller: 'Stroller',
+      elderly: 'Elderly'
+    },
+    ratings: {
+      excellent: 'Highly accessible',
+      good: 'Mostly accessible',
+      limited: 'Limited access',
+      difficult: 'Not recommended',
+      unrated: 'Not enough recorded to rate'
+    },
+    factors: {
+      surface: 'Surface type',
+      quality: 'Surface quality',
+      slopes: 'Slopes',
+      barriers: 'Barriers',
+      length: 'Route length',
+      restrooms: 'Restrooms',
+      seating: 'Seating',
+      shade: 'Shade',
+      signage: 'Signage',
+      visualAids: 'Visual aids'
+    },
+    details: {
+      slopesMeasured: 'Max {gradient}, {count} steep segment(s)',
+      noBarriers: 'No barriers marked',
+      barriers: '{count} marked, worst: {severity}',
+      length: '{km} km',
+      restroomsMarked: '{count} accessible restroom(s) marked',
+      benchesMarked: '{count} bench(es) marked',
+      signage: '{available} of {total} wayfinding aids',
+      visualAids: '{available} of {total} visual aids'
+    },
+    coverage: '{coverage}% of factors recorded'
+  },
+
+  review: {
+    noSurvey: '📋 No accessibility survey was filled in for this route.',
+    completeness: '📋 Survey {completeness}% complete ({threshold}% needed to publish)',
+    missingSections: 'Missing sections:',
+    incompleteSections: 'Incomplete sections:',
+    conflictsHeader: '⚠️ Answers that conflict with the recorded route:',
+    reportTitle: 'Trail guide review for "{name}"',
+    publishAnyway: 'This guide is below the publishing quality bar.\n\n✅ OK = Publish anyway (marked as incomplete)\n❌ Cancel = Save it privately for now',
+    markedIncomplete: 'The trail guide will be marked as incomplete. You can complete the survey later from Quick Actions → 📋 Route Surveys.',
+    conflicts: {
+      slopesMild: 'Slopes answered as mild (up to {accessible}%) but a {measured} gradient was measured',
+      slopesModerate: 'Slopes answered as moderate (5%-10%) but a {measured} gradient was measured',
+      slopesSteep: 'Slopes answered as steep but the steepest measured gradient is {measured}',
+      wheelchairGradient: 'Marked fully wheelchair accessible but a {measured} gradient exceeds the {ramp}% ramp maximum',
+      trailLength: 'Trail length answered as {surveyed} km but {measured} km was recorded',
+      wheelchairBarriers: 'Marked fully wheelchair accessible but {count} major or impassable barrier(s) were marked on the route',
+      restrooms: 'No accessible restrooms answered but an accessible restroom was marked on the route',
+      waterFountains: 'No water fountains answered but a fountain was marked on the route',
+      seating: 'No accessible benches answered but a bench was marked on the route'
+    }
+  },
+
+  guide: {
+    pageTitle: '{name} - Accessible Trail Guide',
+    subtitle: 'Accessible Trail Guide',
+    documentedOn: 'Documented on {date}',
+    overview: '📊 Route Overview',
+    kilometers: 'Kilometers',
+    duration: 'Duration',
+    movingTime: 'Moving Time',
+    pace: 'Pace (min/km)',
+    gpsPoints: 'GPS Points',
+    photos: 'Photos',
+    restPoints: 'Rest Points',
+    barriers: 'Barriers',
+    maxSlope: 'Max Slope',
+    avgSlope: 'Avg Slope',
+    conditions: '🚶 Trail Conditions',
+    importantNotice: '⚠️ Important Notice',
+    conditionsChange: 'Trail conditions can change due to weather, season, and maintenance. Always check current conditions before visiting.',
+    recordedOn: 'This information was recorded on {date} and may not reflect current conditions.',
+    incompleteSurvey: '📋 Incomplete accessibility survey',
+    incompleteSurveyText: 'The survey for this trail is {completeness}% complete, so some accessibility details may be missing.',
+    conflictsIntro: 'Some answers disagree with what was recorded on the route:',
+    trailPhotos: '📷 Trail Photos ({count})',
+    trailPhoto: 'Trail photo',
+    trailNotes: '📝 Trail Notes ({count})',
+    voiceNotes: '🎙️ Voice Notes ({count})',
+    voiceNote: 'Voice note {number}',
+    recordingUnavailable: 'Recording not available',
+    play: '▶ Play',
+    generatedBy: 'Generated by',
+    tagline: 'Making outdoor spaces accessible for everyone',
+    reportGenerated: 'Report generated on {date}',
+    start: '🚩 Start',
+    end: '🏁 End',
+    restPoint: 'Rest point - {minutes} min',
+    score: {
+      title: '⭐ Accessibility Score',
+      basedOn: 'Based on {sources}. Each profile starts at 100; the table shows what was taken off and why.',
+      sourceSurvey: 'the accessibility survey',
+      sourceElevation: 'measured slopes',
+      sourceObservations: '{count} barrier/facility observation(s)',
+      lengthOnly: 'route length only',
+      impassable: '⛔ An impassable barrier was marked on this route.',
+      points: '{points} (max {max})'
+    },
+    accessibility: {
+      title: '♿ Comprehensive Accessibility Information',
+      trailName: '🗺️ Trail Name',
+      location: '📍 Location',
+      trailLength: '📏 Trail Length',
+      estimatedTime: '⏱️ Estimated Time',
+      tripType: '🚶 Trip Type',
+      routeType: '🔄 Route Type',
+      wheelchairAccess: '♿ Wheelchair Accessibility',
+      disabledParking: '🚗 Disabled Parking',
+      parkingSpaces: 'Spaces available: {count}',
+      trailSurface: '🛤️ Trail Surface',
+      surfaceQuality: '🔍 Surface Quality',
+      trailSlopes: '📈 Trail Slopes',
+      visualAdaptations: '👁️ Visual Adaptations',
+      shadeCoverage: '🌳 Shade Coverage',
+      lighting: '💡 Lighting',
+      waterFountains: '🚰 Water Fountains',
+      seating: '🪑 Seating',
+      picnicAreas: '🧺 Picnic Areas',
+      picnicCount: 'Total areas: {count}',
+      picnicShade: 'Shaded areas: {count}',
+      picnicSun: 'Sunny areas: {count}',
+      accessibleViewpoint: '🔭 Viewpoints',
+      restrooms: '🚻 Accessible Restrooms',
+      signage: '🗺️ Signage & Navigation',
+      qrCode: '📱 QR Code Information',
+      accessibilitySummary: '📋 Overall Accessibility',
+      additionalNotes: '📝 Additional Notes',
+      surveyorName: '👤 Surveyed By',
+      surveyDate: '📅 Survey Date'
+    },
+    observations: '♿ Barriers & Facilities ({count})',
+    stats: {
+      title: '🚶 Movement',
+      stoppedTime: 'Stopped Time',
+      avgSpeed: 'Avg Speed (km/h)',
+      maxSpeed: 'Max Speed (km/h)',
+      splits: 'Splits per kilometer',
+      km: 'Km',
+      movingTime: 'Moving time',
+      pace: 'Pace (min/km)',
+      ascent: 'Ascent',
+      descent: 'Descent',
+      partialSplit: '{number} ({distance} km)',
+      gpsQuality: 'GPS quality: {points} points, mean accuracy ±{accuracy} m, {gaps} signal gap(s).'
+    },
+    slopes: {
+      title: '⛰️ Slope & Gradient',
+      totalAscent: 'Total Ascent',
+      totalDescent: 'Total Descent',
+      noSteep: '✅ No steep sections',
+      noSteepText: 'All measured segments are within the {accessible}% ADA running slope limit.',
+      steep: '⚠️ Steep sections',
+      steepText: '{count} segment(s) exceed the {ramp}% ADA ramp maximum ({distance} m in total).',
+      moderateText: '{count} segment(s) are between {accessible}% and {ramp}% and may need assistance.',
+      segment: '{start}–{end} m from start:',
+      uphill: 'uphill',
+      downhill: 'downhill',
+      more: '…and {count} more flagged segment(s).',
+      footnote: 'Elevations from a terrain model; gradients are averaged over segments of about 20 m.'
+    },
+    chart: {
+      title: 'Elevation and gradient profile',
+      description: 'Elevation from {min} m to {max} m over {distance}. Maximum slope {maxGradient}, average {avgGradient}. Shaded areas exceed the {accessible}% (yellow) or {ramp}% (red) ADA limits.',
+      gradeAccessible: 'within {accessible}%',
+      gradeModerate: 'over {accessible}% ADA limit',
+      gradeSteep: 'over {ramp}% ramp maximum',
+      reading: '{start} to {end}: elevation {elevation} m, steepest slope {gradient} {direction} ({grade})',
+      readout: 'Hover or tab to a point for details.',
+      table: 'Elevation and gradient data table',
+      section: 'Section',
+      elevation: 'Elevation',
+      steepestSlope: 'Steepest slope',
+      ada: 'ADA'
+    }
+  },
+
+  landing: {
+    pageTitle: 'Access Nature - Making Trails Accessible',
+    tagline: 'Making outdoor spaces accessible for everyone',
+    welcomeBack: 'Welcome back,',
+    logout: 'Logout',
+    signIn: 'Sign In',
+    discoverTitle: 'Discover Accessible Trails',
+    discoverText: 'Browse community-contributed accessible trail guides with detailed accessibility information, photos, and reviews.',
+    featureWheelchair: '♿ Wheelchair Access',
+    featurePhotos: '📷 Photos & Notes',
+    featureReviews: '⭐ Community Reviews',
+    featureMaps: '🗺️ Interactive Maps',
+    browseGuides: '🔍 Browse Trail Guides',
+    quickSearchPlaceholder: 'Quick search trails...',
+    search: 'Search',
+    mapTitle: 'Map a New Trail',
+    mapText: 'Use GPS tracking to document new accessible routes. Record accessibility features, take photos, and create trail guides for the community.',
+    featureGps: '📱 GPS Tracking',
+    featureSurvey: '📝 Accessibility Survey',
+    featurePhotoDocs: '📷 Photo Documentation',
+    featureCloud: '☁️ Cloud Sync',
+    startTracking: '📍 Start Tracking',
+    routesMapped: 'Routes Mapped',
+    kmDocumented: 'km Documented',
+    communityImpact: '🌍 Community Impact',
+    publicGuides: 'Public Trail Guides',
+    kilometersMapped: 'Kilometers Mapped',
+    wheelchairAccessible: 'Wheelchair Accessible',
+    contributors: 'Contributors',
+    featuredTitle: '⭐ Featured Accessible Trails',
+    loadMore: 'Load More Trails',
+    about: 'About',
+    privacy: 'Privacy',
+    contact: 'Contact',
+    help: 'Help',
+    copyright: '© 2024 Access Nature. Making trails accessible for all abilities.',
+    browseTitle: '🔍 Browse Accessible Trails',
+    close: 'Close',
+    searchPlaceholder: 'Search trail names, locations...',
+    searchButton: '🔍 Search',
+    filterTitle: '🎯 Filter by Accessibility',
+    wheelchairFilter: 'Wheelchair Access',
+    difficultyFilter: 'Difficulty Level',
+    difficultyEasy: 'Easy',
+    difficultyModerate: 'Moderate',
+    difficultyDifficult: 'Difficult',
+    distanceFilter: 'Distance',
+    profileFilter: 'Accessible For (overall)',
+    profileFilterLabel: 'Accessibility profile',
+    profileWheelchair: '♿ Wheelchair users',
+    profileVisual: '👁️ Visual impairment',
+    profileStroller: '👶 Strollers',
+    profileElderly: '🧓 Elderly visitors',
+    minScoreFilter: 'Minimum Score',
+    minScoreLabel: 'Minimum accessibility score',
+    minScore80: '80+ Highly accessible',
+    minScore60: '60+ Mostly accessible',
+    minScore40: '40+ Limited access',
+    sortLabel: 'Sort results',
+    sortNewest: 'Newest First',
+    sortScore: 'Highest Score First',
+    sortDistance: 'Shortest First',
+    applyFilters: 'Apply Filters',
+    results: '📍 Trail Results',
+    resultsCount: '{count} trail(s) found',
+    loading: 'Loading trails...',
+    enterSearchTerm: 'Please enter a search term',
+    searchUnavailable: 'Search temporarily unavailable',
+    searchUnavailableText: 'Please try again in a moment, or check your connection.',
+    retrySearch: 'Retry Search',
+    noTrails: 'No trails found',
+    noTrailsText: 'Try adjusting your search terms or filters',
+    clearFilters: 'Clear Filters',
+    by: 'by {author}',
+    gpsPoints: 'GPS Points',
+    views: '👁️ {count} views',
+    photos: '📷 {count} photos',
+    notes: '📝 {count} notes',
+    scoreBadge: '{profile}: {rating} ({coverage}% of factors recorded)',
+    incompleteSurvey: '⚠️ Incomplete survey',
+    incompleteSurveyTitle: 'Survey {completeness}% complete',
+    incompleteSurveyConflicts: 'Survey {completeness}% complete, {count} answer(s) conflict with the recorded route',
+    noFeatured: 'No featured trails yet',
+    noFeaturedText: 'Be the first to contribute accessible trail guides!',
+    startMapping: 'Start Mapping',
+    locationUnknown: 'Location not specified',
+    viewGuide: 'View Trail Guide',
+    featuredSoon: 'Featured trails coming soon!',
+    featuredSoonText: 'Help build our community by mapping accessible trails',
+    guideNotFound: '❌ Trail guide not found',
+    guidePrivate: '❌ This trail guide is private and you don\'t have permission to view it.',
+    guideUnavailable: '❌ Trail guide content not available',
+    guideLoadFailed: '❌ Failed to load trail guide: {error}',
+    guideDisplayFailed: '❌ Failed to display trail guide: {error}',
+    guideDownloadFailed: '❌ Failed to download trail guide: {error}',
+    popupBlockedTitle: 'Popup blocked',
+    popupBlocked: 'Would you like to download the trail guide instead?',
+    downloadGuide: 'Download',
+    guideWindowTitle: '{name} - Trail Guide',
+    signInForGuides: 'Please sign in first to view your trail guides',
+    noGuides: 'No trail guides found.\n\nTo create trail guides:\n• Record a route in the tracker\n• Save it to cloud\n• Trail guide will be auto-generated',
+    guidesLoadFailed: 'Failed to load trail guides: {error}',
+    yourGuides: 'Your Trail Guides',
+    public: 'Public',
+    private: 'Private',
+    created: 'Created: {date}',
+    guideDistance: 'Distance: {distance} km',
+    selectGuide: 'Select a guide to view:',
+    aboutText: '🌲 About Access Nature\n\nMaking outdoor spaces accessible for everyone.\n\nOur mission is to create a comprehensive database of accessible trail information, documented by the community for the community.\n\nFeatures:\n- GPS tracking and route documentation\n- Detailed accessibility surveys\n- Photo and note sharing\n- Community trail guide database\n- Export and sharing capabilities\n\nJoin us in making nature accessible to all!',
+    privacyText: '🔒 Privacy Policy\n\nAccess Nature Privacy Commitment:\n\nDATA COLLECTION:\n- We only collect data you choose to share\n- Route data is stored locally by default\n- Cloud sync is optional and user-controlled\n- No tracking or analytics without consent\n\nYOUR CONTROL:\n- You own all your route data\n- Delete data anytime from your device\n- Make trail guides public/private as you choose\n- Export your data in multiple formats\n\nSHARING:\n- Only public trail guides are visible to others\n- Personal information is never shared\n- Location data is only in routes you publish\n\nSECURITY:\n- Data encrypted in transit and at rest\n- Firebase security rules protect your data\n- Regular security updates and monitoring\n\nQuestions? Contact us through the app.',
+    contactText: '📧 Contact Access Nature\n\nGet in touch with our team:\n\nSUPPORT:\n- Email: support@accessnature.app\n- Response time: 24-48 hours\n- Include device info for technical issues\n\nFEEDBACK:\n- Feature requests welcome\n- Bug reports appreciated\n- Accessibility suggestions prioritized\n\nPARTNERSHIPS:\n- Trail organizations\n- Accessibility advocates\n- Technology collaborators\n\nCOMMUNITY:\n- Join our monthly virtual meetups\n- Share your accessibility mapping stories\n- Help improve trail documentation\n\nWe\'re here to help make nature accessible!',
+    helpText: '❓ Access Nature Help\n\nGETTING STARTED:\n1. Sign up for cloud sync (optional)\n2. Start tracking a trail\n3. Take photos and notes along the way\n4. Fill out accessibility survey\n5. Save and share your trail guide\n\nTRAIL MAPPING TIPS:\n- Keep GPS enabled for accurate tracking\n- Take photos of key accessibility features\n- Note surface types, obstacles, facilities\n- Include gradient and width information\n\nSEARCHING TRAILS:\n- Use filters for specific accessibility needs\n- Browse by location or difficulty\n- Read community reviews and ratings\n- Download trail guides for offline use\n\nTROUBLESHOOTING:\n- Ensure location permissions enabled\n- Use strong internet for cloud sync\n- Clear browser cache if issues persist\n- Contact support for technical problems\n\nHappy trail mapping! 🥾'
+  },
+
+  auth: {
+    welcome: 'Welcome to Access Nature',
+    welcomeBack: 'Welcome Back!',
+    join: 'Join Access Nature',
+    close: 'Close',
+    signInTitle: 'Sign In to Your Account',
+    signInSubtitle: 'Continue your accessibility mapping journey',
+    signUpTitle: 'Create Your Account',
+    signUpSubtitle: 'Join the community making nature accessible',
+    email: 'Email address',
+    password: 'Password',
+    fullName: 'Full name',
+    createPassword: 'Create password',
+    signIn: 'Sign In',
+    createAccount: 'Create Account',
+    or: 'or',
+    google: 'Continue with Google',
+    noAccount: 'Don\'t have an account?',
+    signUpLink: 'Sign up',
+    haveAccount: 'Already have an account?',
+    signInLink: 'Sign in',
+    fillAllFields: 'Please fill in all fields',
+    passwordTooShort: 'Password must be at least 6 characters',
+    signedIn: 'Welcome back! 🎉',
+    accountCreated: 'Account created successfully! Welcome to Access Nature! 🌲',
+    googleConnected: 'Successfully connected with Google! 🎉',
+    googleCancelled: 'Sign-in was cancelled',
+    googleFailed: 'Google sign-in failed. Please try again.',
+    signOut: 'Sign out',
+    confirmSignOut: 'Are you sure you want to sign out?',
+    signedOut: 'See you next time! 👋',
+    signOutFailed: 'Logout failed. Please try again.',
+    errors: {
+      'auth/user-not-found': 'No account found with this email address',
+      'auth/wrong-password': 'Incorrect password',
+      'auth/email-already-in-use': 'An account with this email already exists',
+      'auth/weak-password': 'Password should be at least 6 characters',
+      'auth/invalid-email': 'Please enter a valid email address',
+      'auth/too-many-requests': 'Too many failed attempts. Please try again later',
+      'auth/network-request-failed': 'Network error. Please check your connection',
+      'app/offline': 'You are offline. Connect to the internet and try again',
+      default: 'An unexpected error occurred. Please try again.'
+    }
+  }
+};
@@ -0,0 +1,951 @@
+// Hebrew message catalog (right-to-left). Missing keys fall back to English.
+export default {
+  common: {
+    language: 'שפה',
+    unknown: 'לא ידוע',
+    notRecorded: 'לא תועד',
+    select: 'בחירה...',
+    km: 'ק"מ',
+    listSeparator: ', '
+  },
+
+  dialog: {
+    ok: 'אישור',
+    cancel: 'ביטול',
+    required: 'נא למלא שדה זה',
+    chooseOption: 'נא לבחור אפשרות',
+    emptyList: 'אין מה לבחור'
+  },
+
+  offline: {
+    unavailable: 'אין חיבור לאינטרנט. פעולה זו דורשת חיבור - נסו שוב כשתהיה קליטה.',
+    moduleFailed: 'לא ניתן היה לטעון חלק מהאפליקציה. בדקו את החיבור ונסו שוב.',
+    ready: 'Access Nature מוכנה לעבודה ללא חיבור',
+    updateTitle: 'עדכון זמין',
+    updateMessage: 'גרסה חדשה של Access Nature הורדה. לטעון מחדש עכשיו כדי להשתמש בה?',
+    updateNow: 'טעינה מחדש',
+    updateLater: 'אחר כך'
+  },
+
+  tracker: {
+    pageTitle: 'Access Nature - מתעד מסלולים',
+    skipToContent: 'דילוג לתוכן הראשי',
+    skipToMap: 'דילוג למפה',
+    mapLabel: 'מפת מסלול אינטראקטיבית',
+    time: 'זמן',
+    distance: 'מרחק',
+    pace: 'קצב לק"מ',
+    compassLabel: 'מצפן ניווט',
+    rotationLabel: 'הפעלה/כיבוי של סיבוב המפה',
+    rotationTitle: 'סיבוב המפה לפי כיוון המכשיר',
+    syncing: 'מסנכרן...',
+    accessibilityLabel: 'תיעוד מאפייני הנגישות של המסלול',
+    accessibilityTitle: 'פתיחת סקר הנגישות',
+    accessibilitySurvey: 'סקר נגישות',
+    playPauseTitle: 'התחלה או השהיה של מעקב GPS',
+    startTracking: 'התחלת מעקב',
+    pauseTracking: 'השהיית מעקב',
+    resumeTracking: 'המשך מעקב',
+    saveLabel: 'שמירת המסלול',
+    saveTitle: 'עצירת המעקב ושמירת המסלול',
+    mainNavigation: 'ניווט ראשי',
+    noteLabel: 'הוספת הערה כתובה',
+    noteTitle: 'הוספת הערה כתובה במיקום הנוכחי',
+    note: 'הערה',
+    photoLabel: 'צילום תמונה',
+    photoTitle: 'צילום תנאי השביל או מאפייני נגישות',
+    photo: 'תמונה',
+    voiceLabel: 'הקלטת הערה קולית',
+    voiceTitle: 'הקלטת הערה קולית במיקום הנוכחי (V)',
+    voice: 'קול',
+    barrierLabel: 'סימון מכשול או מתקן',
+    barrierTitle: 'נעיצת מכשול או מתקן (מדרגה, שיפוע, ספסל...) במיקום הנוכחי (B)',
+    barrier: 'מכשול',
+    homeLabel: 'מעבר לדף הבית',
+    homeTitle: 'חזרה לדף הבית של AccessNature',
+    home: 'בית',
+    menuLabel: 'פתיחת התפריט',
+    menuTitle: 'אפשרויות נוספות וכלי ייצוא',
+    menu: 'תפריט',
+    quickActions: 'פעולות מהירות',
+    showRoute: '🗺️ הצגת המסלול',
+    export: '📤 ייצוא',
+    saveCloud: '☁️ שמירה בענן',
+    loadCloud: '📥 טעינה מהענן',
+    syncConflicts: '⚠️ {count} מסלולים השתנו כאן וגם בענן - סנכרנו מספריית המסלולים כדי לבחור',
+    autoPause: '⏸️ השהיה אוטומטית: {state}',
+    autoPauseOn: 'פועלת',
+    autoPauseOff: 'כבויה',
+    autoPauseEnabled: 'השהיה אוטומטית בעצירות הופעלה',
+    autoPauseDisabled: 'השהיה אוטומטית בעצירות כובתה',
+    routeSurveys: '📋 סקרי מסלולים',
+    routeLibrary: '📚 ספריית מסלולים',
+    editRoute: '✂️ עריכת מסלול',
+    routeStats: '📊 סטטיסטיקה',
+    offlineMaps: '🗺️ מפות לא מקוונות',
+    exportRoute: 'ייצוא מסלול',
+    exportRouteButton: '📦 ייצוא מסלול',
+    exportGPX: '📍 ייצוא GPX',
+    exportPDF: '📄 ייצוא PDF',
+    exportTrailGuide: '🌐 ייצוא מדריך מסלול',
+    exportGeoJSON: '🗺️ ייצוא GeoJSON',
+    exportKML: '🌍 ייצוא KML',
+    exportKMZ: '📦 ייצוא KMZ',
+    closeSurvey: 'סגירת טופס הנגישות',
+    trackingStarted: 'מעקב GPS התחיל',
+    trackingPaused: 'מעקב GPS הושהה',
+    trackingResumed: 'מעקב GPS התחדש',
+    trackingSaved: 'המעקב נעצר והמסלול נשמר',
+    initFailed: 'אתחול מערכת המעקב נכשל: {error}',
+    appInitFailed: 'אתחול היישום נכשל: {error}',
+    playPauseFailed: 'התחלה/השהיה של המעקב נכשלה: {error}',
+    saveFailed: 'שמירת המסלול נכשלה: {error}',
+    backupTitle: 'נמצא מסלול שלא נשמר',
+    backupFound: '📍 {points} נקודות GPS\n📸 {photos} תמונות\n📝 {notes} הערות\n📏 {distance} ק"מ\n⏱️ {time}\n\nלשחזר את המסלול?',
+    restoreBackup: 'שחזור',
+    discardBackup: 'מחיקה',
+    backupRestored: 'גיבוי המסלול שוחזר בהצלחה',
+    noSavedRoutes: 'אין עדיין מסלולים שמורים. שמרו מסלול כדי לצרף אליו סקר.',
+    chooseSurveyRoute: '📋 את סקר הנגישות של איזה מסלול לערוך?',
+    appReady: 'מתעד AccessNature מוכן. מקש רווח מתחיל מעקב, A פותח את סקר הנגישות.',
+    noRouteData: 'אין נתוני מסלול להצגה על המפה',
+    languageChanged: 'השפה שונתה לעברית'
+  },
+
+  saveRoute: {
+    summaryTitle: 'סיכום מסלול',
+    saveRoute: 'שמירת מסלול',
+    discard: 'מחיקה',
+    discardTitle: 'למחוק את המסלול?',
+    discardMessage: '⚠️ האם אתם בטוחים שברצונכם למחוק את המסלול? כל הנתונים יאבדו!',
+    keepAndSave: 'להשאיר ולשמור',
+    title: 'שמירת מסלול',
+    nameLabel: 'שם המסלול',
+    save: 'שמירה',
+    useDefaultMessage: 'להשתמש בשם ברירת המחדל "{name}"?',
+    useDefault: 'שם ברירת מחדל',
+    dontSave: 'לא לשמור',
+    savedLocallyTitle: 'המסלול נשמר במכשיר!',
+    signInMessage: '💡 התחברו כדי לשמור מסלולים בענן וליצור מדריכי שבילים לשיתוף.\n\nלהתחבר עכשיו?',
+    signIn: 'התחברות',
+    notNow: 'לא עכשיו',
+    cloudTitle: '"{name}" נשמר במכשיר!',
+    cloudMessage: '☁️ לשמור בענן וליצור מדריך שביל?',
+    cloudLabel: 'שמירה בענן',
+    continue: 'המשך',
+    private: '🔒 פרטי',
+    privateHint: 'רק אתם יכולים לראות אותו (אפשר לפרסם מאוחר יותר)',
+    public: '🌍 ציבורי',
+    publicHint: 'שיתוף עם הקהילה מיד',
+    skip: '❌ דילוג',
+    skipHint: 'לשמור במכשיר בלבד',
+    chooseCloudRoute: '☁️ בחרו מסלול לשמירה בענן',
+    routePoints: '{points} נקודות',
+    saveToCloud: '☁️ שמירה בענן',
+    cloudNameLabel: 'הזינו שם למסלול:'
+  },
+
+  importRoute: {
+    title: 'ייבוא מסלול',
+    clearMessage: 'לנקות את נתוני המסלול הנוכחי לפני הייבוא?',
+    clear: 'ניקוי',
+    keep: 'להשאיר',
+    surveyTitle: 'ייבוא סקר',
+    surveyMessage: 'קובץ {format} זה כולל סקר נגישות. להחליף בו את הסקר של המסלול הנוכחי?',
+    replace: 'החלפה',
+    keepCurrent: 'להשאיר את הנוכחי'
+  },
+
+  library: {
+    title: 'ספריית מסלולים',
+    searchLabel: 'חיפוש מסלולים',
+    searchPlaceholder: 'חיפוש לפי שם, תגית או תיקייה',
+    sortBy: 'מיון לפי',
+    sortNewest: 'החדשים ביותר',
+    sortOldest: 'הישנים ביותר',
+    sortLongest: 'המרחק הארוך ביותר',
+    sortShortest: 'המרחק הקצר ביותר',
+    sortLongestTime: 'משך הזמן הארוך ביותר',
+    sortShortestTime: 'משך הזמן הקצר ביותר',
+    sortName: 'שם (א-ת)',
+    folder: 'תיקייה',
+    tag: 'תגית',
+    allFolders: 'כל התיקיות',
+    unfiled: 'ללא תיקייה',
+    allTags: 'כל התגיות',
+    selectShown: 'בחירת כל המוצגים',
+    selectRoute: 'בחירת {name}',
+    selectedCount: '{count} נבחרו',
+    exportSelected: '📤 ייצוא',
+    tagSelected: '🏷️ תיוג',
+    moveSelected: '📁 העברה',
+    mergeSelected: '🔗 מיזוג',
+    uploadSelected: '☁️ העלאה',
+    deleteSelected: '🗑️ מחיקה',
+    loadMore: 'טעינת עוד',
+    loading: 'טוען מסלולים...',
+    loadFailed: 'לא ניתן לטעון מסלולים: {error}',
+    empty: 'עדיין אין מסלולים שמורים. הקליטו ושמרו מסלול כדי להתחיל את הספרייה.',
+    noMatches: 'אין מסלולים שתואמים לסינון.',
+    showing: 'מוצגים {count} מסלולים',
+    showingMore: 'מוצגים {count} מסלולים - יש עוד',
+    routeMeta: '📅 {date} · 📏 {distance} ק"מ · ⏱️ {duration} · 📍 {points} נקודות',
+    duration: '{hours} ש\' {minutes} ד\'',
+    durationMinutes: '{minutes} דק\'',
+    actionView: '🗺️ הצגה על המפה',
+    actionExport: '📤 ייצוא',
+    actionRename: '✏️ שינוי שם',
+    actionTags: '🏷️ עריכת תגיות',
+    actionFolder: '📁 העברה לתיקייה',
+    actionSurvey: '♿ עריכת סקר הנגישות',
+    actionUpload: '☁️ העלאה לענן',
+    actionDelete: '🗑️ מחיקה',
+    actionEdit: '✂️ עריכת מסלול',
+    actionStats: '📊 סטטיסטיקה',
+    renameTitle: 'שינוי שם המסלול',
+    nameLabel: 'שם המסלול',
+    tagsTitle: 'עריכת תגיות',
+    tagsAddTitle: 'הוספת תגיות ל-{count} מסלולים',
+    tagsLabel: 'תגיות, מופרדות בפסיקים',
+    tagsPlaceholder: 'למשל: צל, סלול, משפחות',
+    folderTitle: 'העברה לתיקייה',
+    newFolder: '➕ תיקייה חדשה...',
+    noFolder: '📂 ללא תיקייה',
+    newFolderTitle: 'תיקייה חדשה',
+    folderNameLabel: 'שם התיקייה',
+    deleteTitle: 'מחיקת מסלולים',
+    deleteConfirm: 'למחוק לצמיתות {count} מסלולים יחד עם התמונות והסקרים שלהם? לא ניתן לבטל פעולה זו.',
+    delete: 'מחיקה',
+    deleted: '{count} מסלולים נמחקו',
+    mergeTitle: 'מיזוג {count} מסלולים',
+    mergeNameLabel: 'שם למסלול הממוזג',
+    mergedName: '{name} + עוד {count}',
+    mergeNeedsTwo: 'בחרו לפחות שני מסלולים למיזוג.',
+    merged: 'המסלולים מוזגו אל "{name}"',
+    deleteOriginalsTitle: 'לשמור את המסלולים המקוריים?',
+    deleteOriginalsMessage: 'המסלול הממוזג נשמר. אפשר לשמור או למחוק את {count} המסלולים המקוריים.',
+    keepOriginals: 'שמירת המקוריים',
+    deleteOriginals: 'מחיקת המקוריים',
+    uploadTitle: 'העלאת {count} מסלולים לענן',
+    uploadLabel: 'נראות',
+    uploadPrivate: '🔒 פרטי',
+    uploadPrivateHint: 'רק אתם יכולים לראות את המסלולים ואת מדריכי המסלול שלהם',
+    uploadPublic: '🌍 ציבורי',
+    uploadPublicHint: 'מדריכי המסלול יופיעו בחיפוש הקהילתי',
+    uploadSignIn: 'יש להתחבר בדף הבית כדי להעלות מסלולים לענן.',
+    uploadResult: '☁️ הועלו {uploaded} מתוך {count} מסלולים',
+    uploadFailed: 'ההעלאה נכשלה עבור: {names}',
+    uploadQueued: '📮 {count} מסלולים יועלו כשהחיבור יחזור',
+    syncSynced: '☁️ בענן',
+    syncPending: '📮 ממתין להעלאה',
+    syncSyncing: '☁️ מעלה...',
+    syncFailed: '⚠️ ההעלאה נכשלה - העלו שוב כדי לנסות מחדש',
+    syncRoutes: '🔄 סנכרון',
+    syncing: 'מסנכרן עם הענן...',
+    syncSignIn: 'התחברו בדף הבית כדי לסנכרן את המסלולים שלכם עם הענן.',
+    syncResult: '🔄 הסנכרון הסתיים: {pushed} הועלו, {pulled} הורדו, {deleted} נמחקו',
+    syncResolved: '{count} התנגשויות נפתרו',
+    syncConflictsLeft: '⚠️ {count} מסלולים שהשתנו בשני המקומות נשארו כפי שהם - סנכרנו שוב כדי לבחור',
+    syncStepsFailed: 'לא ניתן היה לסנכרן {count} מסלולים; ננסה שוב בפעם הבאה',
+    conflictTitle: 'התנגשות סנכרון: {name}',
+    conflictLabel: 'הגרסה שתישמר',
+    conflictEdited: 'המסלול השתנה במכשיר הזה ({localDate}) וגם בענן ({cloudDate}) מאז הסנכרון האחרון.',
+    conflictDeletedInCloud: 'המסלול נמחק מהענן במכשיר אחר, אבל השתנה במכשיר הזה ({localDate}).',
+    conflictDeletedLocally: 'המסלול נמחק במכשיר הזה ({localDate}), אבל השתנה בענן מאז ({cloudDate}).',
+    conflictKeepLocal: '📱 הגרסה של המכשיר הזה',
+    conflictKeepLocalHint: 'מחליפה את העותק בענן',
+    conflictKeepCloud: '☁️ הגרסה שבענן',
+    conflictKeepCloudHint: 'מחליפה את העותק במכשיר הזה',
+    conflictMerge: '🔀 מיזוג שתיהן',
+    conflictMergeHint: 'שומר את המסלול מהגרסה החדשה יותר, עם כל התמונות וההערות משתיהן',
+    conflictKeepRoute: '📱 שמירת המסלול',
+    conflictKeepRouteHint: 'מעלה אותו שוב לענן',
+    conflictDeleteHere: '🗑️ מחיקה גם כאן',
+    conflictDeleteHereHint: 'מסיר את המסלול מהמכשיר הזה',
+    conflictDeleteCloud: '🗑️ מחיקה גם מהענן',
+    conflictDeleteCloudHint: 'מסיר את העותק בענן ואת מדריך השביל שלו',
+    conflictRestore: '☁️ שחזור',
+    conflictRestoreHint: 'מוריד את הגרסה שבענן למכשיר הזה',
+    conflictApply: 'שמירה',
+    conflictSkip: 'להחליט אחר כך',
+    updated: 'ספריית המסלולים עודכנה',
+    notFound: 'המסלול הזה כבר לא קיים.',
+    actionFailed: 'הפעולה בספריית המסלולים נכשלה: {error}'
+  },
+
+  editor: {
+    titleCurrent: 'עריכת המסלול הנוכחי',
+    titleNamed: 'עריכת "{name}"',
+    pointTools: 'נקודה',
+    routeTools: 'מסלול',
+    previousPoint: 'הנקודה הקודמת ▶',
+    nextPoint: '◀ הנקודה הבאה',
+    trimStart: '⏮️ חיתוך ההתחלה כאן',
+    trimEnd: '⏭️ חיתוך הסוף כאן',
+    split: '✂️ פיצול כאן',
+    deletePoint: '🗑️ מחיקת נקודה',
+    mergeNext: '🔗 מיזוג המסלול הבא',
+    undo: '↩️ ביטול',
+    redo: '↪️ ביצוע מחדש',
+    saveChanges: '💾 שמירה',
+    cancel: '✕ יציאה',
+    hint: 'הקישו על נקודה או השתמשו במקשי החיצים כדי לבחור אותה, ואז גררו אותה או הזיזו אותה עם Shift+חיצים.',
+    stats: '📏 {distance} ק"מ · ⏱️ {duration} · 📍 {points} נקודות',
+    pendingParts: '{count} חלקים פוצלו',
+    pendingMerged: '{count} מסלולים מוזגו',
+    noPointSelected: 'לא נבחרה נקודה',
+    pointInfo: 'נקודה {number} מתוך {count} · {time}',
+    opened: 'עורך המסלול נפתח. השתמשו במקשי החיצים כדי לבחור נקודות.',
+    notPossible: 'לא ניתן בנקודה זו',
+    done: {
+      trimStart: 'ההתחלה נחתכה',
+      trimEnd: 'הסוף נחתך',
+      split: 'המסלול פוצל',
+      deletePoint: 'הנקודה נמחקה',
+      movePoint: 'הנקודה הוזזה',
+      merge: 'המסלול מוזג'
+    },
+    undone: 'בוטל: {action}',
+    redone: 'בוצע מחדש: {action}',
+    stopTrackingFirst: 'יש לעצור את המעקב לפני עריכת המסלול.',
+    noCurrentRoute: 'אין מסלול מוקלט לעריכה. פתחו מסלול שמור מספריית המסלולים כדי לערוך אותו.',
+    tooFewPoints: 'במסלול זה פחות משתי נקודות GPS, כך שאין מה לערוך.',
+    noNextRoute: 'אין מסלול שמור שהוקלט אחרי המסלול הזה.',
+    mergeTitle: 'מיזוג המסלול הבא',
+    mergeConfirm: 'לצרף את "{name}" ({date}, {distance} ק"מ) למסלול זה? הוא יוסר מהספרייה בעת השמירה.',
+    merge: 'מיזוג',
+    saveTitle: 'לשמור את השינויים?',
+    saveDistance: '📏 מרחק: {before} ק"מ ← {after} ק"מ',
+    saveParts: '✂️ {count} מסלולים חדשים מהפיצול',
+    saveMerged: '🔗 מוזגו והוסרו: {names}',
+    saveRemovedMedia: '⚠️ {count} תמונות או הקלטות מחוץ למסלול הערוך יימחקו',
+    save: 'שמירה',
+    saved: 'השינויים במסלול נשמרו',
+    partName: '{name} (חלק {number})',
+    discardTitle: 'לבטל את השינויים?',
+    discardMessage: 'העריכות שלכם במסלול זה יאבדו.',
+    discard: 'ביטול השינויים',
+    keepEditing: 'המשך עריכה',
+    cancelled: 'עריכת המסלול בוטלה',
+    actionFailed: 'עריכת המסלול נכשלה: {error}'
+  },
+
+  stats: {
+    title: 'סטטיסטיקת מסלול',
+    currentRoute: 'המסלול הנוכחי',
+    distance: 'מרחק',
+    elapsedTime: 'זמן כולל',
+    movingTime: 'זמן תנועה',
+    stoppedTime: 'זמן עצירה',
+    avgSpeed: 'מהירות תנועה ממוצעת',
+    maxSpeed: 'מהירות מרבית',
+    pace: 'קצב ממוצע',
+    ascent: 'עלייה',
+    descent: 'ירידה',
+    splits: 'מקטעים',
+    km: 'ק"מ',
+    partialSplit: '{number} ({distance} ק"מ)',
+    noSplits: 'אין עדיין מספיק נקודות GPS למקטעים.',
+    gpsQuality: 'GPS: {points} נקודות, דיוק ממוצע ±{accuracy} מ\', {gaps} פערי קליטה, סה"כ {gapTime}'
+  },
+
+  offlineMaps: {
+    title: 'מפות לא מקוונות',
+    hint: 'הזיזו את המפה אל האזור שבו תטיילו, בחרו רמות זום והורידו אותו. המפה תעבוד שם גם ללא קליטה.',
+    name: 'שם האזור',
+    defaultName: 'אזור שנשמר ב-{date}',
+    minZoom: 'מזום',
+    maxZoom: 'עד זום',
+    estimate: '{count} אריחים, כ-{size} MB',
+    tooMany: '{count} אריחים הם יותר מדי (המגבלה {limit}). הגדילו את המפה או הנמיכו את "עד זום".',
+    download: '⬇️ הורדת האזור המוצג',
+    stop: '⏹️ עצירה',
+    starting: 'מתחילים בהורדה...',
+    progress: 'הורדו {done} מתוך {total} אריחים',
+    done: '"{name}" זמין ללא חיבור ({saved} אריחים)',
+    partial: '"{name}": נשמרו {saved} מתוך {total} אריחים, {failed} נכשלו. רעננו כדי לנסות שוב.',
+    stopped: 'ההורדה נעצרה: נשמרו {saved} מתוך {total} אריחים עבור "{name}"',
+    budgetStop: 'מכסת המפות הלא מקוונות מלאה: נשמרו {saved} מתוך {total} אריחים עבור "{name}"',
+    errorBudget: 'אין מספיק מקום במכסת המפות הלא מקוונות ({budget} MB). מחקו אזור או בחרו אזור קטן יותר.',
+    errorTooMany: 'באזור זה יש יותר מדי אריחים (המגבלה {limit}).',
+    serverNotAllowed: 'שרתי האריחים של OpenStreetMap אינם מאפשרים להוריד אזורי מפה מראש, ולכן מפות לא מקוונות דורשות שרת אריחים משלכם. ראו "Offline Use" בקובץ README כדי להגדיר אחד.',
+    failed: 'הורדת המפה הלא מקוונת נכשלה: {error}',
+    offline: 'התחברו לאינטרנט כדי להוריד אריחי מפה.',
+    mapNotReady: 'המפה עדיין לא מוכנה.',
+    usage: 'מפות לא מקוונות תופסות {used} MB מתוך {budget} MB',
+    noAreas: 'אין עדיין אזורים לא מקוונים.',
+    areaMeta: '{tiles} אריחים · {size} MB · זום {minZoom}-{maxZoom}',
+    freshUntil: 'עדכני עד {date}',
+    expired: 'פג תוקף - רעננו כשיש חיבור',
+    incomplete: 'חלקי ({saved} מתוך {total} אריחים)',
+    show: '👁️ הצגה',
+    refresh: '🔄 רענון',
+    delete: '🗑️ מחיקה',
+    showLabel: 'הצגת {name} על המפה',
+    refreshLabel: 'הורדה מחדש של {name}',
+    deleteLabel: 'מחיקת האזור הלא מקוון {name}',
+    deleteTitle: 'למחוק את האזור הלא מקוון?',
+    deleteMessage: '"{name}" לא יהיה זמין עוד ללא חיבור.',
+    deleted: '"{name}" נמחק'
+  },
+
+  survey: {
+    title: '🌲 סקר נגישות מקיף למסלול',
+    description: 'עזרו ליצור מידע נגישות מפורט על מרחבים פתוחים',
+    currentRoute: '📍 סקר עבור המסלול הנוכחי',
+    savedRoute: '📂 סקר עבור "{name}"',
+    savedRouteFallback: 'מסלול שמור',
+    close: '✖ סגירה',
+    submit: '✅ שמירת הסקר',
+    cancel: '❌ ביטול',
+    thanks: 'תודה שתרמתם מידע נגישות מפורט!',
+    fixErrors: 'יש לתקן את הפריטים הבאים:',
+    saveFailed: '❌ שמירת הסקר נכשלה: {error}',
+    saved: 'הסקר נשמר - {completeness}% הושלמו.',
+    sectionsMissing: 'חלקים שעדיין לא מולאו:',
+    belowThreshold: 'מדריכי מסלול צריכים לפחות {threshold}% כדי להתפרסם בלי סימון "לא שלם".',
+    thankYou: 'תודה על התרומה המפורטת!',
+    errors: {
+      required: 'השדה {label} הוא חובה',
+      number: 'השדה {label} חייב להיות מספר',
+      min: 'השדה {label} חייב להיות לפחות {min}',
+      max: 'השדה {label} יכול להיות לכל היותר {max}',
+      option: 'בשדה {label} נבחרה אפשרות לא מוכרת'
+    },
+    sections: {
+      basic: '🗺️ מידע בסיסי על המסלול',
+      mobility: '♿ נגישות לניידות',
+      surface: '🛤️ משטח ואיכות השביל',
+      visual: '👁️ מאפיינים חזותיים וסביבתיים',
+      facilities: '🚰 מתקנים ושירותים',
+      signage: '🗺️ שילוט והתמצאות',
+      additional: '📝 מידע נוסף'
+    },
+    fields: {
+      trailName: { label: 'שם המסלול' },
+      location: { label: 'מיקום/כתובת' },
+      trailLength: { label: 'אורך המסלול (ק"מ)' },
+      estimatedTime: {
+        label: 'משך משוער',
+        placeholder: 'בחירת משך',
+        options: {
+          under_30_min: 'פחות מ-30 דקות',
+          '30_60_min': '30-60 דקות',
+          '1_2_hours': '1-2 שעות',
+          '2_4_hours': '2-4 שעות',
+          half_day: 'חצי יום',
+          full_day: 'יום שלם'
+        }
+      },
+      tripType: {
+        label: 'סוג הטיול',
+        options: {
+          beach_promenade: 'טיילת חוף',
+          stream_path: 'שביל נחל',
+          park_route: 'מסלול בפארק',
+          forest_trail: 'שביל יער',
+          urban_route: 'מסלול עירוני',
+          scenic_drive: 'נסיעת נוף'
+        }
+      },
+      routeType: {
+        label: 'סוג המסלול',
+        options: { circular: 'מעגלי', round_trip: 'הלוך ושוב' }
+      },
+      wheelchairAccess: {
+        label: 'רמת נגישות לכיסא גלגלים',
+        options: {
+          full: 'נגיש לחלוטין',
+          partial: 'נגיש חלקית',
+          assisted: 'נגיש בעזרת מלווה',
+          not_accessible: 'לא נגיש'
+        }
+      },
+      disabledParking: {
+        label: 'חניית נכים',
+        options: { available: 'יש חניית נכים' }
+      },
+      parkingSpaces: { label: 'מספר מקומות' },
+      trailSurface: {
+        label: 'סוגי משטח (יש לסמן את כל המתאימים)',
+        options: {
+          asphalt: 'אספלט',
+          concrete: 'בטון',
+          stone: 'אבן',
+          deck: 'דק עץ/פלסטיק',
+          compacted_gravel: 'חצץ מהודק',
+          mixed: 'משטחים מעורבים',
+          grass: 'דשא'
+        }
+      },
+      surfaceQuality: {
+        label: 'איכות המשטח',
+        options: {
+          excellent: 'מצוינת - חלק ומתוחזק היטב',
+          fair: 'סבירה - הפרעות קלות, טלאים, בליטות, סדקים',
+          poor: 'ירודה - הפרעות חמורות, אבנים בולטות, חריצים גדולים',
+          overgrown: 'צמחייה חוסמת את המעבר'
+        }
+      },
+      trailSlopes: {
+        label: 'שיפועי המסלול',
+        options: {
+          mild: 'ללא שיפועים עד שיפועים מתונים (עד 5%)',
+          moderate: 'שיפועים בינוניים - מומלץ מלווה (5%-10%)',
+          steep: 'שיפועים תלולים - לא נגיש (מעל 10%)'
+        }
+      },
+      visualAdaptations: {
+        label: 'התאמות ללקויי ראייה (יש לסמן את כל המתאימים)',
+        options: {
+          raised_borders: 'שוליים מוגבהים/בולטים',
+          tactile: 'הבדלי מרקם/מישוש',
+          color_contrast: 'ניגודיות צבעים'
+        }
+      },
+      shadeCoverage: {
+        label: 'הצללה לאורך המסלול',
+        options: { plenty: 'הרבה צל', intermittent: 'צל לסירוגין', none: 'ללא צל' }
+      },
+      lighting: {
+        label: 'תאורה',
+        options: { lit: 'המסלול מואר בחושך' }
+      },
+      waterFountains: {
+        label: 'ברזיות נגישות',
+        options: { none: 'אין', one: 'ברזייה נגישה אחת', multiple: 'מספר ברזיות לאורך המסלול' }
+      },
+      seating: {
+        label: 'ישיבה נגישה',
+        options: {
+          none: 'אין ספסלים נגישים',
+          one: 'ספסל נגיש אחד',
+          multiple: 'מספר ספסלים לאורך המסלול',
+          no_handrails: 'ספסלים ללא מסעדי יד'
+        }
+      },
+      picnicAreas: {
+        label: 'פינות פיקניק נגישות',
+        options: { available: 'יש פינות פיקניק נגישות' }
+      },
+      picnicCount: { label: 'מספר פינות' },
+      picnicShade: { label: 'פינות בצל' },
+      picnicSun: { label: 'פינות בשמש' },
+      accessibleViewpoint: {
+        label: 'נקודות תצפית',
+        options: { available: 'יש נקודת תצפית נגישה' }
+      },
+      restrooms: {
+        label: 'שירותים נגישים',
+        options: { none: 'אין', unisex: 'תא שירותים נגיש אחד לשני המינים', separate: 'שירותים נגישים נפרדים לגברים ולנשים' }
+      },
+      signage: {
+        label: 'שילוט קיים (יש לסמן את כל המתאימים)',
+        options: {
+          route_map: 'מפת מסלול',
+          directional: 'שילוט הכוונה ברור',
+          simple_language: 'שילוט בשפה פשוטה',
+          high_contrast: 'שילוט נגיש גדול ובניגודיות גבוהה',
+          audio: 'הסבר קולי התואם למכשירי שמיעה במצב T'
+        }
+      },
+      qrCode: {
+        label: 'קוד QR',
+        options: { available: 'יש קוד QR עם מידע על האתר' }
+      },
+      additionalNotes: {
+        label: 'הערות נגישות נוספות',
+        placeholder: 'פרטים נוספים על מאפייני נגישות, קשיים או המלצות...'
+      },
+      surveyorName: { label: 'שם הסוקר/ת (לא חובה)' },
+      surveyDate: { label: 'תאריך הסקר' },
+      accessibilitySummary: {
+        label: 'סיכום נגישות כללי',
+        options: {
+          accessible: 'נגיש',
+          partial: 'נגיש חלקית',
+          assisted: 'נגיש בעזרת מלווה',
+          not_accessible: 'לא נגיש'
+        }
+      }
+    }
+  },
+
+  observations: {
+    categories: {
+      step: 'מדרגה או אבן שפה',
+      steep_slope: 'שיפוע תלול',
+      narrow_passage: 'מעבר צר או שער',
+      bench: 'ספסל',
+      fountain: 'ברזייה',
+      restroom: 'שירותים',
+      parking: 'חניה נגישה',
+      other: 'מכשול אחר'
+    },
+    severities: {
+      none: 'אין בעיה',
+      minor: 'קל - עביר בזהירות',
+      major: 'משמעותי - נדרש סיוע',
+      impassable: 'לא עביר'
+    },
+    measurements: {
+      width: 'רוחב',
+      height: 'גובה',
+      gradient: 'שיפוע',
+      length: 'אורך'
+    },
+    startTrackingFirst: 'יש להתחיל מעקב לפני סימון מכשולים ומתקנים',
+    whatAreYouMarking: '📌 מה מסמנים כאן?',
+    howSevere: 'עד כמה {category} מהווה בעיה?',
+    measurementPrompt: '{label} ב-{unit} (לא חובה, אפשר להשאיר ריק):',
+    notePrompt: 'הוספת הערה (לא חובה):',
+    addPhoto: 'להוסיף תמונה?',
+    addPhotoButton: '📷 הוספת תמונה',
+    noPhoto: 'בלי תמונה',
+    marked: '{description} סומן על המסלול',
+    markFailed: 'הסימון נכשל: {error}'
+  },
+
+  score: {
+    profiles: {
+      wheelchair: 'כיסא גלגלים',
+      visual: 'לקות ראייה',
+      stroller: 'עגלת ילדים',
+      elderly: 'גיל שלישי'
+    },
+    ratings: {
+      excellent: 'נגיש מאוד',
+      good: 'נגיש ברובו',
+      limited: 'נגישות מוגבלת',
+      difficult: 'לא מומלץ',
+      unrated: 'אין מספיק נתונים לדירוג'
+    },
+    factors: {
+      surface: 'סוג משטח',
+      quality: 'איכות משטח',
+      slopes: 'שיפועים',
+      barriers: 'מכשולים',
+      length: 'אורך המסלול',
+      restrooms: 'שירותים',
+      seating: 'ישיבה',
+      shade: 'צל',
+      signage: 'שילוט',
+      visualAids: 'עזרים חזותיים'
+    },
+    details: {
+      slopesMeasured: 'מקסימום {gradient}, {count} קטעים תלולים',
+      noBarriers: 'לא סומנו מכשולים',
+      barriers: '{count} סומנו, החמור ביותר: {severity}',
+      length: '{km} ק"מ',
+      restroomsMarked: 'סומנו {count} שירותים נגישים',
+      benchesMarked: 'סומנו {count} ספסלים',
+      signage: '{available} מתוך {total} עזרי התמצאות',
+      visualAids: '{available} מתוך {total} עזרים חזותיים'
+    },
+    coverage: '{coverage}% מהגורמים תועדו'
+  },
+
+  review: {
+    noSurvey: '📋 לא מולא סקר נגישות למסלול הזה.',
+    completeness: '📋 הסקר הושלם ב-{completeness}% (נדרשים {threshold}% לפרסום)',
+    missingSections: 'חלקים חסרים:',
+    incompleteSections: 'חלקים שלא הושלמו:',
+    conflictsHeader: '⚠️ תשובות שסותרות את המסלול המתועד:',
+    reportTitle: 'בדיקת מדריך המסלול "{name}"',
+    publishAnyway: 'המדריך מתחת לרף האיכות לפרסום.\n\n✅ אישור = לפרסם בכל זאת (יסומן כלא שלם)\n❌ ביטול = לשמור בינתיים כפרטי',
+    markedIncomplete: 'מדריך המסלול יסומן כלא שלם. אפשר להשלים את הסקר מאוחר יותר דרך פעולות מהירות ← 📋 סקרי מסלולים.',
+    conflicts: {
+      slopesMild: 'השיפועים סומנו כמתונים (עד {accessible}%) אבל נמדד שיפוע של {measured}',
+      slopesModerate: 'השיפועים סומנו כבינוניים (5%-10%) אבל נמדד שיפוע של {measured}',
+      slopesSteep: 'השיפועים סומנו כתלולים אבל השיפוע התלול ביותר שנמדד הוא {measured}',
+      wheelchairGradient: 'סומן כנגיש לחלוטין לכיסא גלגלים אבל שיפוע של {measured} חורג מהמקסימום לרמפה ({ramp}%)',
+      trailLength: 'אורך המסלול סומן כ-{surveyed} ק"מ אבל תועדו {measured} ק"מ',
+      wheelchairBarriers: 'סומן כנגיש לחלוטין לכיסא גלגלים אבל סומנו במסלול {count} מכשולים משמעותיים או לא עבירים',
+      restrooms: 'סומן שאין שירותים נגישים אבל במסלול סומנו שירותים נגישים',
+      waterFountains: 'סומן שאין ברזיות אבל במסלול סומנה ברזייה',
+      seating: 'סומן שאין ספסלים נגישים אבל במסלול סומן ספסל'
+    }
+  },
+
+  guide: {
+    pageTitle: '{name} - מדריך מסלול נגיש',
+    subtitle: 'מדריך מסלול נגיש',
+    documentedOn: 'תועד ב-{date}',
+    overview: '📊 סקירת המסלול',
+    kilometers: 'קילומטרים',
+    duration: 'משך',
+    movingTime: 'זמן תנועה',
+    pace: 'קצב (דק\'/ק"מ)',
+    gpsPoints: 'נקודות GPS',
+    photos: 'תמונות',
+    restPoints: 'נקודות מנוחה',
+    barriers: 'מכשולים',
+    maxSlope: 'שיפוע מרבי',
+    avgSlope: 'שיפוע ממוצע',
+    conditions: '🚶 תנאי המסלול',
+    importantNotice: '⚠️ הודעה חשובה',
+    conditionsChange: 'תנאי המסלול עשויים להשתנות בגלל מזג אוויר, עונה ותחזוקה. מומלץ לבדוק את התנאים העדכניים לפני הביקור.',
+    recordedOn: 'המידע תועד ב-{date} וייתכן שאינו משקף את המצב הנוכחי.',
+    incompleteSurvey: '📋 סקר נגישות לא שלם',
+    incompleteSurveyText: 'הסקר של המסלול הושלם ב-{completeness}% בלבד, ולכן ייתכן שחסרים פרטי נגישות.',
+    conflictsIntro: 'חלק מהתשובות אינן תואמות את מה שתועד במסלול:',
+    trailPhotos: '📷 תמונות מהמסלול ({count})',
+    trailPhoto: 'תמונה מהמסלול',
+    trailNotes: '📝 הערות מהמסלול ({count})',
+    voiceNotes: '🎙️ הערות קוליות ({count})',
+    voiceNote: 'הערה קולית {number}',
+    recordingUnavailable: 'ההקלטה אינה זמינה',
+    play: '▶ השמעה',
+    generatedBy: 'נוצר על ידי',
+    tagline: 'הופכים את המרחבים הפתוחים לנגישים לכולם',
+    reportGenerated: 'הדוח הופק ב-{date}',
+    start: '🚩 התחלה',
+    end: '🏁 סיום',
+    restPoint: 'נקודת מנוחה - {minutes} דק\'',
+    score: {
+      title: '⭐ ציון נגישות',
+      basedOn: 'מבוסס על {sources}. כל פרופיל מתחיל מ-100; הטבלה מפרטת מה הופחת ולמה.',
+      sourceSurvey: 'סקר הנגישות',
+      sourceElevation: 'שיפועים שנמדדו',
+      sourceObservations: '{count} סימוני מכשולים/מתקנים',
+      lengthOnly: 'אורך המסלול בלבד',
+      impassable: '⛔ במסלול סומן מכשול לא עביר.',
+      points: '{points} (מקסימום {max})'
+    },
+    accessibility: {
+      title: '♿ מידע נגישות מקיף',
+      trailName: '🗺️ שם המסלול',
+      location: '📍 מיקום',
+      trailLength: '📏 אורך המסלול',
+      estimatedTime: '⏱️ זמן משוער',
+      tripType: '🚶 סוג הטיול',
+      routeType: '🔄 סוג המסלול',
+      wheelchairAccess: '♿ נגישות לכיסא גלגלים',
+      disabledParking: '🚗 חניית נכים',
+      parkingSpaces: 'מקומות פנויים: {count}',
+      trailSurface: '🛤️ משטח המסלול',
+      surfaceQuality: '🔍 איכות המשטח',
+      trailSlopes: '📈 שיפועי המסלול',
+      visualAdaptations: '👁️ התאמות חזותיות',
+      shadeCoverage: '🌳 הצללה',
+      lighting: '💡 תאורה',
+      waterFountains: '🚰 ברזיות',
+      seating: '🪑 ישיבה',
+      picnicAreas: '🧺 פינות פיקניק',
+      picnicCount: 'סך הכול פינות: {count}',
+      picnicShade: 'פינות מוצלות: {count}',
+      picnicSun: 'פינות שמש: {count}',
+      accessibleViewpoint: '🔭 נקודות תצפית',
+      restrooms: '🚻 שירותים נגישים',
+      signage: '🗺️ שילוט והתמצאות',
+      qrCode: '📱 מידע בקוד QR',
+      accessibilitySummary: '📋 נגישות כללית',
+      additionalNotes: '📝 הערות נוספות',
+      surveyorName: '👤 נסקר על ידי',
+      surveyDate: '📅 תאריך הסקר'
+    },
+    observations: '♿ מכשולים ומתקנים ({count})',
+    stats: {
+      title: '🚶 תנועה',
+      stoppedTime: 'זמן עצירה',
+      avgSpeed: 'מהירות ממוצעת (קמ"ש)',
+      maxSpeed: 'מהירות מרבית (קמ"ש)',
+      splits: 'מקטעים לכל קילומטר',
+      km: 'ק"מ',
+      movingTime: 'זמן תנועה',
+      pace: 'קצב (דק\'/ק"מ)',
+      ascent: 'עלייה',
+      descent: 'ירידה',
+      partialSplit: '{number} ({distance} ק"מ)',
+      gpsQuality: 'איכות GPS: {points} נקודות, דיוק ממוצע ±{accuracy} מ\', {gaps} פערי קליטה.'
+    },
+    slopes: {
+      title: '⛰️ שיפועים',
+      totalAscent: 'סך עלייה',
+      totalDescent: 'סך ירידה',
+      noSteep: '✅ אין קטעים תלולים',
+      noSteepText: 'כל הקטעים שנמדדו בתוך מגבלת השיפוע של ADA ({accessible}%).',
+      steep: '⚠️ קטעים תלולים',
+      steepText: '{count} קטעים חורגים מהמקסימום לרמפה לפי ADA ({ramp}%) - {distance} מ\' בסך הכול.',
+      moderateText: '{count} קטעים בין {accessible}% ל-{ramp}% ועשויים לדרוש סיוע.',
+      segment: '{start}–{end} מ\' מנקודת ההתחלה:',
+      uphill: 'בעלייה',
+      downhill: 'בירידה',
+      more: '…ועוד {count} קטעים מסומנים.',
+      footnote: 'הגבהים לקוחים ממודל פני שטח; השיפועים ממוצעים על פני קטעים של כ-20 מ\'.'
+    },
+    chart: {
+      title: 'פרופיל גובה ושיפוע',
+      description: 'גובה מ-{min} מ\' עד {max} מ\' לאורך {distance}. שיפוע מרבי {maxGradient}, ממוצע {avgGradient}. אזורים מוצללים חורגים ממגבלות ADA של {accessible}% (צהוב) או {ramp}% (אדום).',
+      gradeAccessible: 'עד {accessible}%',
+      gradeModerate: 'מעל מגבלת ADA של {accessible}%',
+      gradeSteep: 'מעל המקסימום לרמפה ({ramp}%)',
+      reading: '{start} עד {end}: גובה {elevation} מ\', השיפוע התלול ביותר {gradient} {direction} ({grade})',
+      readout: 'רחפו או עברו בטאב לנקודה כדי לראות פרטים.',
+      table: 'טבלת נתוני גובה ושיפוע',
+      section: 'קטע',
+      elevation: 'גובה',
+      steepestSlope: 'השיפוע התלול ביותר',
+      ada: 'ADA'
+    }
+  },
+
+  landing: {
+    pageTitle: 'Access Nature - מסלולים נגישים לכולם',
+    tagline: 'הופכים את המרחבים הפתוחים לנגישים לכולם',
+    welcomeBack: 'ברוכים השבים,',
+    logout: 'התנתקות',
+    signIn: 'התחברות',
+    discoverTitle: 'גלו מסלולים נגישים',
+    discoverText: 'עיינו במדריכי מסלולים נגישים שהקהילה תרמה, עם מידע נגישות מפורט, תמונות וחוות דעת.',
+    featureWheelchair: '♿ נגישות לכיסא גלגלים',
+    featurePhotos: '📷 תמונות והערות',
+    featureReviews: '⭐ חוות דעת מהקהילה',
+    featureMaps: '🗺️ מפות אינטראקטיביות',
+    browseGuides: '🔍 עיון במדריכי מסלולים',
+    quickSearchPlaceholder: 'חיפוש מהיר של מסלולים...',
+    search: 'חיפוש',
+    mapTitle: 'מיפוי מסלול חדש',
+    mapText: 'תעדו מסלולים נגישים חדשים בעזרת מעקב GPS. רשמו מאפייני נגישות, צלמו תמונות וצרו מדריכי מסלולים לקהילה.',
+    featureGps: '📱 מעקב GPS',
+    featureSurvey: '📝 סקר נגישות',
+    featurePhotoDocs: '📷 תיעוד בתמונות',
+    featureCloud: '☁️ סנכרון לענן',
+    startTracking: '📍 התחלת מעקב',
+    routesMapped: 'מסלולים שמופו',
+    kmDocumented: 'ק"מ שתועדו',
+    communityImpact: '🌍 ההשפעה של הקהילה',
+    publicGuides: 'מדריכי מסלולים ציבוריים',
+    kilometersMapped: 'קילומטרים שמופו',
+    wheelchairAccessible: 'נגישים לכיסא גלגלים',
+    contributors: 'תורמים',
+    featuredTitle: '⭐ מסלולים נגישים מומלצים',
+    loadMore: 'טעינת מסלולים נוספים',
+    about: 'אודות',
+    privacy: 'פרטיות',
+    contact: 'צור קשר',
+    help: 'עזרה',
+    copyright: '© 2024 Access Nature. מסלולים נגישים לכל היכולות.',
+    browseTitle: '🔍 עיון במסלולים נגישים',
+    close: 'סגירה',
+    searchPlaceholder: 'חיפוש לפי שם מסלול או מיקום...',
+    searchButton: '🔍 חיפוש',
+    filterTitle: '🎯 סינון לפי נגישות',
+    wheelchairFilter: 'נגישות לכיסא גלגלים',
+    difficultyFilter: 'רמת קושי',
+    difficultyEasy: 'קל',
+    difficultyModerate: 'בינוני',
+    difficultyDifficult: 'קשה',
+    distanceFilter: 'מרחק',
+    profileFilter: 'נגיש עבור (כללי)',
+    profileFilterLabel: 'פרופיל נגישות',
+    profileWheelchair: '♿ משתמשי כיסא גלגלים',
+    profileVisual: '👁️ לקות ראייה',
+    profileStroller: '👶 עגלות ילדים',
+    profileElderly: '🧓 מבקרים בגיל השלישי',
+    minScoreFilter: 'ציון מינימלי',
+    minScoreLabel: 'ציון נגישות מינימלי',
+    minScore80: '80+ נגיש מאוד',
+    minScore60: '60+ נגיש ברובו',
+    minScore40: '40+ נגישות מוגבלת',
+    sortLabel: 'מיון התוצאות',
+    sortNewest: 'החדשים קודם',
+    sortScore: 'הציון הגבוה קודם',
+    sortDistance: 'הקצרים קודם',
+    applyFilters: 'החלת מסננים',
+    results: '📍 תוצאות',
+    resultsCount: 'נמצאו {count} מסלולים',
+    loading: 'טוען מסלולים...',
+    enterSearchTerm: 'נא להזין מונח חיפוש',
+    searchUnavailable: 'החיפוש אינו זמין כרגע',
+    searchUnavailableText: 'נסו שוב בעוד רגע, או בדקו את החיבור.',
+    retrySearch: 'ניסיון חוזר',
+    noTrails: 'לא נמצאו מסלולים',
+    noTrailsText: 'נסו לשנות את מונחי החיפוש או את המסננים',
+    clearFilters: 'ניקוי מסננים',
+    by: 'מאת {author}',
+    gpsPoints: 'נקודות GPS',
+    views: '👁️ {count} צפיות',
+    photos: '📷 {count} תמונות',
+    notes: '📝 {count} הערות',
+    scoreBadge: '{profile}: {rating} ({coverage}% מהגורמים תועדו)',
+    incompleteSurvey: '⚠️ סקר לא שלם',
+    incompleteSurveyTitle: 'הסקר הושלם ב-{completeness}%',
+    incompleteSurveyConflicts: 'הסקר הושלם ב-{completeness}%, {count} תשובות סותרות את המסלול המתועד',
+    noFeatured: 'אין עדיין מסלולים מומלצים',
+    noFeaturedText: 'היו הראשונים לתרום מדריכי מסלולים נגישים!',
+    startMapping: 'להתחיל למפות',
+    locationUnknown: 'מיקום לא צוין',
+    viewGuide: 'צפייה במדריך המסלול',
+    featuredSoon: 'מסלולים מומלצים בקרוב!',
+    featuredSoonText: 'עזרו לבנות את הקהילה במיפוי מסלולים נגישים',
+    guideNotFound: '❌ מדריך המסלול לא נמצא',
+    guidePrivate: '❌ מדריך המסלול הזה פרטי ואין לך הרשאה לצפות בו.',
+    guideUnavailable: '❌ תוכן מדריך המסלול אינו זמין',
+    guideLoadFailed: '❌ טעינת מדריך המסלול נכשלה: {error}',
+    guideDisplayFailed: '❌ הצגת מדריך המסלול נכשלה: {error}',
+    guideDownloadFailed: '❌ הורדת מדריך המסלול נכשלה: {error}',
+    popupBlockedTitle: 'החלון הקופץ נחסם',
+    popupBlocked: 'להוריד את מדריך המסלול במקום זאת?',
+    downloadGuide: 'הורדה',
+    guideWindowTitle: '{name} - מדריך מסלול',
+    signInForGuides: 'יש להתחבר כדי לצפות במדריכי המסלולים שלך',
+    noGuides: 'לא נמצאו מדריכי מסלולים.\n\nכדי ליצור מדריכי מסלולים:\n• תעדו מסלול במתעד\n• שמרו אותו בענן\n• מדריך המסלול ייווצר אוטומטית',
+    guidesLoadFailed: 'טעינת מדריכי המסלולים נכשלה: {error}',
+    yourGuides: 'מדריכי המסלולים שלך',
+    public: 'ציבורי',
+    private: 'פרטי',
+    created: 'נוצר: {date}',
+    guideDistance: 'מרחק: {distance} ק"מ',
+    selectGuide: 'בחרו מדריך לצפייה:',
+    aboutText: '🌲 אודות Access Nature\n\nהופכים את המרחבים הפתוחים לנגישים לכולם.\n\nהמטרה שלנו היא לבנות מאגר מקיף של מידע על מסלולים נגישים, שמתועד על ידי הקהילה ובשביל הקהילה.\n\nיכולות:\n- מעקב GPS ותיעוד מסלולים\n- סקרי נגישות מפורטים\n- שיתוף תמונות והערות\n- מאגר קהילתי של מדריכי מסלולים\n- ייצוא ושיתוף\n\nהצטרפו אלינו כדי להנגיש את הטבע לכולם!',
+    privacyText: '🔒 מדיניות פרטיות\n\nהמחויבות של Access Nature לפרטיות:\n\nאיסוף נתונים:\n- אנחנו אוספים רק נתונים שבחרתם לשתף\n- נתוני מסלולים נשמרים כברירת מחדל במכשיר\n- הסנכרון לענן הוא אופציונלי ובשליטתכם\n- אין מעקב או ניתוח נתונים ללא הסכמה\n\nהשליטה בידיים שלכם:\n- כל נתוני המסלולים שייכים לכם\n- אפשר למחוק נתונים מהמכשיר בכל עת\n- אתם קובעים אם מדריך מסלול יהיה ציבורי או פרטי\n- אפשר לייצא את הנתונים במגוון פורמטים\n\nשיתוף:\n- רק מדריכי מסלולים ציבוריים גלויים לאחרים\n- מידע אישי לעולם אינו משותף\n- נתוני מיקום נכללים רק במסלולים שאתם מפרסמים\n\nאבטחה:\n- הנתונים מוצפנים בהעברה ובאחסון\n- כללי האבטחה של Firebase מגינים על הנתונים\n- עדכוני אבטחה וניטור שוטפים\n\nשאלות? צרו איתנו קשר דרך היישום.',
+    contactText: '📧 יצירת קשר עם Access Nature\n\nאפשר לפנות לצוות שלנו:\n\nתמיכה:\n- דוא"ל: support@accessnature.app\n- זמן מענה: 24-48 שעות\n- בבעיות טכניות צרפו פרטי מכשיר\n\nמשוב:\n- נשמח לבקשות לתכונות חדשות\n- נודה על דיווחי באגים\n- הצעות נגישות מקבלות עדיפות\n\nשיתופי פעולה:\n- ארגוני שבילים\n- פעילי נגישות\n- שותפים טכנולוגיים\n\nקהילה:\n- מפגשים מקוונים חודשיים\n- שתפו סיפורים ממיפוי נגישות\n- עזרו לשפר את תיעוד המסלולים\n\nאנחנו כאן כדי להנגיש את הטבע!',
+    helpText: '❓ עזרה ב-Access Nature\n\nצעדים ראשונים:\n1. הירשמו לסנכרון בענן (לא חובה)\n2. התחילו לתעד מסלול\n3. צלמו תמונות והוסיפו הערות בדרך\n4. מלאו את סקר הנגישות\n5. שמרו ושתפו את מדריך המסלול\n\nטיפים למיפוי:\n- השאירו את ה-GPS פעיל למעקב מדויק\n- צלמו את מאפייני הנגישות העיקריים\n- רשמו סוגי משטח, מכשולים ומתקנים\n- ציינו שיפועים ורוחב מעברים\n\nחיפוש מסלולים:\n- השתמשו במסננים לצרכי נגישות ספציפיים\n- עיינו לפי מיקום או רמת קושי\n- קראו חוות דעת ודירוגים מהקהילה\n- הורידו מדריכי מסלולים לשימוש לא מקוון\n\nפתרון בעיות:\n- ודאו שהרשאות המיקום פעילות\n- לסנכרון בענן נדרש חיבור אינטרנט טוב\n- אם הבעיה נמשכת נקו את מטמון הדפדפן\n- לבעיות טכניות פנו לתמיכה\n\nמיפוי מהנה! 🥾'
+  },
+
+  auth: {
+    welcome: 'ברוכים הבאים ל-Access Nature',
+    welcomeBack: 'ברוכים השבים!',
+    join: 'הצטרפות ל-Access Nature',
+    close: 'סגירה',
+    signInTitle: 'התחברות לחשבון',
+    signInSubtitle: 'המשיכו במסע מיפוי הנגישות שלכם',
+    signUpTitle: 'יצירת חשבון',
+    signUpSubtitle: 'הצטרפו לקהילה שמנגישה את הטבע',
+    email: 'כתובת דוא"ל',
+    password: 'סיסמה',
+    fullName: 'שם מלא',
+    createPassword: 'בחירת סיסמה',
+    signIn: 'התחברות',
+    createAccount: 'יצירת חשבון',
+    or: 'או',
+    google: 'המשך עם Google',
+    noAccount: 'אין לך חשבון?',
+    signUpLink: 'להרשמה',
+    haveAccount: 'כבר יש לך חשבון?',
+    signInLink: 'להתחברות',
+    fillAllFields: 'נא למלא את כל השדות',
+    passwordTooShort: 'הסיסמה חייבת להכיל לפחות 6 תווים',
+    signedIn: 'ברוכים השבים! 🎉',
+    accountCreated: 'החשבון נוצר בהצלחה! ברוכים הבאים ל-Access Nature! 🌲',
+    googleConnected: 'ההתחברות עם Google הצליחה! 🎉',
+    googleCancelled: 'ההתחברות בוטלה',
+    googleFailed: 'ההתחברות עם Google נכשלה. נסו שוב.',
+    signOut: 'התנתקות',
+    confirmSignOut: 'להתנתק מהחשבון?',
+    signedOut: 'להתראות! 👋',
+    signOutFailed: 'ההתנתקות נכשלה. נסו שוב.',
+    errors: {
+      'auth/user-not-found': 'לא נמצא חשבון עם כתובת הדוא"ל הזו',
+      'auth/wrong-password': 'סיסמה שגויה',
+      'auth/email-already-in-use': 'כבר קיים חשבון עם כתובת הדוא"ל הזו',
+      'auth/weak-password': 'הסיסמה צריכה להכיל לפחות 6 תווים',
+      'auth/invalid-email': 'נא להזין כתובת דוא"ל תקינה',
+      'auth/too-many-requests': 'יותר מדי ניסיונות כושלים. נסו שוב מאוחר יותר',
+      'auth/network-request-failed': 'שגיאת רשת. בדקו את החיבור',
+      'app/offline': 'אין חיבור לאינטרנט. התחברו ונסו שוב',
+      default: 'אירעה שגיאה לא צפויה. נסו שוב.'
+    }
+  }
+};
@@ -1,5 +1,19 @@
 // Landing page controller
-import { auth, db } from '../firebase-setup.js';
+import { ACCESSIBILITY_PROFILES, getScoreRating, getProfileScore, getOverallScore, getProfileLabel, getRatingLabel } from './core/accessibility-score.js';
+import { formatSurveyAnswer, normalizeSurveyOption } from './features/survey-engine.js';
+import { dialogs } from './ui/dialog.js';
+import { registerServiceWorker } from './ui/pwa.js';
+import { isOfflineError } from './utils/firebase-loader.js';
+import { getBackend } from './data/backend.js';
+import {
+  t,
+  getLanguage,
+  formatDate,
+  DEFAULT_LANGUAGE,
+  applyDocumentLanguage,
+  setupLanguageSelect,
+  onLanguageChange
+} from './i18n/i18n.js';
 
 class LandingPageController {
   constructor() {
@@ -8,6 +22,8 @@ class LandingPageController {
     this.currentSearch = '';
     this.lastVisible = null;
     this.isLoading = false;
+    this.displayedResults = null;
+    this.displayedFeatured = null;
   }
 
 async initialize() {
@@ -87,7 +103,7 @@ async initialize() {
     const searchTerm = searchInput?.value?.trim();
     
     if (!searchTerm) {
-      alert('Please enter a search term');
+      alert(t('landing.enterSearchTerm'));
       return;
     }
 
@@ -108,20 +124,11 @@ async searchTrails() {
     
     console.log('Searching trails:', searchTerm || 'all trails');
     
-    const { collection, query, where, getDocs } = await import("https://www.gstatic.com/firebasejs/10.5.0/firebase-firestore.js");
-    
     // Simple query without orderBy
-    let guidesQuery = query(
-      collection(db, 'trail_guides'),
-      where('isPublic', '==', true)
-    );
-    
-    const querySnapshot = await getDocs(guidesQuery);
+    const publicGuides = await getBackend().trailGuides.listPublic();
     const guides = [];
     
-    querySnapshot.forEach(doc => {
-      const data = doc.data();
-      
+    publicGuides.forEach(data => {
       // Apply text search filter on client side
       if (searchTerm) {
         const searchLower = searchTerm.toLowerCase();
@@ -135,8 +142,9 @@ async searchTrails() {
       }
       
       // Apply other filters on client side
+      // Older guides store the English label rather than the option code
       if (this.currentFilters.wheelchairAccess && 
-          data.accessibility?.wheelchairAccess !== this.currentFilters.wheelchairAccess) {
+          normalizeSurveyOption('wheelchairAccess', data.accessibility?.wheelchairAccess) !== this.currentFilters.wheelchairAccess) {
         return;
       }
       
@@ -153,14 +161,18 @@ async searchTrails() {
         }
       }
       
-      guides.push({
-        id: doc.id,
-        ...data
-      });
+      // Guides saved before scoring existed, or with too little recorded to rate, never pass a minimum
+      if (this.currentFilters.minScore) {
+        const score = this.getTrailScore(data, this.currentFilters.scoreProfile);
+        if (score === null || score < Number(this.currentFilters.minScore)) {
+          return;
+        }
+      }
+      
+      guides.push(data);
     });
     
-    // Sort client-side by creation date (newest first)
-    guides.sort((a, b) => new Date(b.generatedAt) - new Date(a.generatedAt));
+    this.sortTrailResults(guides);
     
     console.log(`Found ${guides.length} trails matching criteria`);
     this.displayTrailResults(guides);
@@ -174,9 +186,9 @@ async searchTrails() {
       resultsContainer.innerHTML = `
         <div class="empty-state">
           <div class="empty-state-icon">⚠️</div>
-          <h3>Search temporarily unavailable</h3>
-          <p>Please try again in a moment, or check your connection.</p>
-          <button onclick="searchTrails()" class="nav-card-button primary">Retry Search</button>
+          <h3>${t('landing.searchUnavailable')}</h3>
+          <p>${t('landing.searchUnavailableText')}</p>
+          <button onclick="searchTrails()" class="nav-card-button primary">${t('landing.retrySearch')}</button>
         </div>
       `;
     }
@@ -190,24 +202,53 @@ async searchTrails() {
     this.currentFilters = {
       wheelchairAccess: document.getElementById('wheelchairFilter')?.value || '',
       difficulty: document.getElementById('difficultyFilter')?.value || '',
-      distance: document.getElementById('distanceFilter')?.value || ''
+      distance: document.getElementById('distanceFilter')?.value || '',
+      scoreProfile: document.getElementById('scoreProfileFilter')?.value || '',
+      minScore: document.getElementById('minScoreFilter')?.value || '',
+      sort: document.getElementById('sortResults')?.value || 'newest'
     };
     
     console.log('🎯 Applying filters:', this.currentFilters);
     this.searchTrails();
   }
 
+  // Score for one profile, or the overall score when no profile is chosen; null for unscored and unrated guides
+  getTrailScore(guide, profile) {
+    const accessibilityScore = guide.accessibilityScore;
+    if (!accessibilityScore) return null;
+    
+    return profile
+      ? getProfileScore(accessibilityScore.profiles?.[profile], accessibilityScore.version)
+      : getOverallScore(accessibilityScore);
+  }
+
+  sortTrailResults(guides) {
+    const { sort, scoreProfile } = this.currentFilters;
+    
+    if (sort === 'score') {
+      // Unscored and unrated guides go last
+      guides.sort((a, b) => (this.getTrailScore(b, scoreProfile) ?? -1) - (this.getTrailScore(a, scoreProfile) ?? -1));
+    } else if (sort === 'distance') {
+      guides.sort((a, b) => (a.metadata?.totalDistance || 0) - (b.metadata?.totalDistance || 0));
+    } else {
+      // Newest first
+      guides.sort((a, b) => new Date(b.generatedAt) - new Date(a.generatedAt));
+    }
+    return guides;
+  }
+
   displayTrailResults(guides) {
     const resultsContainer = document.getElementById('trailResults');
     if (!resultsContainer) return;
+    this.displayedResults = guides;
     
     if (guides.length === 0) {
       resultsContainer.innerHTML = `
         <div class="empty-state">
           <div class="empty-state-icon">🔍</div>
-          <h3>No trails found</h3>
-          <p>Try adjusting your search terms or filters</p>
-          <button onclick="clearFilters()" class="nav-card-button primary">Clear Filters</button>
+          <h3>${t('landing.noTrails')}</h3>
+          <p>${t('landing.noTrailsText')}</p>
+          <button onclick="clearFilters()" class="nav-card-button primary">${t('landing.clearFilters')}</button>
         </div>
       `;
       return;
@@ -217,17 +258,26 @@ async searchTrails() {
     resultsContainer.innerHTML = resultsHTML;
   }
 
+  // Guides store survey option codes (older ones English labels); both display in the current language
+  formatAnswer(fieldName, value) {
+    const normalized = Array.isArray(value)
+      ? value.map(item => normalizeSurveyOption(fieldName, item))
+      : normalizeSurveyOption(fieldName, value);
+    return formatSurveyAnswer(fieldName, normalized);
+  }
+
   createTrailResultCard(guide) {
-    const date = new Date(guide.generatedAt).toLocaleDateString();
+    const date = formatDate(guide.generatedAt);
     const accessibility = guide.accessibility || {};
     const metadata = guide.metadata || {};
     const community = guide.community || {};
+    const profileScores = guide.accessibilityScore?.profiles || {};
     
     return `
       <div class="trail-result-card" onclick="viewTrailGuide('${guide.id}')">
         <div class="trail-result-header">
           <div class="trail-result-name">${guide.routeName}</div>
-          <div class="trail-result-author">by ${guide.userEmail}</div>
+          <div class="trail-result-author">${t('landing.by', { author: guide.userEmail })}</div>
           <div class="trail-result-date">${date}</div>
         </div>
         
@@ -239,20 +289,38 @@ async searchTrails() {
             </div>
             <div class="trail-stat">
               <span class="trail-stat-value">${metadata.locationCount || 0}</span>
-              <span class="trail-stat-label">GPS Points</span>
+              <span class="trail-stat-label">${t('landing.gpsPoints')}</span>
             </div>
           </div>
           
+          ${guide.accessibilityScore ? `
+          <div class="trail-score-badges">
+            ${Object.entries(ACCESSIBILITY_PROFILES).map(([id, profile]) => {
+              if (!profileScores[id]) return '';
+              const score = this.getTrailScore(guide, id);
+              const rating = getScoreRating(score);
+              return `
+              <span class="trail-score-badge${id === this.currentFilters.scoreProfile ? ' selected' : ''}" style="border-color: ${rating.color};" title="${t('landing.scoreBadge', { profile: getProfileLabel(id), rating: getRatingLabel(rating.id), coverage: profileScores[id].coverage })}">
+                ${profile.icon} ${score ?? '–'}
+              </span>
+            `;
+            }).join('')}
+          </div>
+          ` : ''}
+          
           <div class="trail-accessibility-tags">
-            ${accessibility.wheelchairAccess ? `<span class="accessibility-tag">♿ ${accessibility.wheelchairAccess}</span>` : ''}
+            ${accessibility.wheelchairAccess ? `<span class="accessibility-tag">♿ ${this.formatAnswer('wheelchairAccess', accessibility.wheelchairAccess)}</span>` : ''}
             ${accessibility.difficulty ? `<span class="accessibility-tag">🥾 ${accessibility.difficulty}</span>` : ''}
-            ${accessibility.trailSurface ? `<span class="accessibility-tag">🛤️ ${accessibility.trailSurface}</span>` : ''}
+            ${accessibility.trailSurface ? `<span class="accessibility-tag">🛤️ ${this.formatAnswer('trailSurface', accessibility.trailSurface)}</span>` : ''}
+            ${guide.review?.flagged ? `<span class="accessibility-tag incomplete" title="${guide.review.conflicts?.length
+              ? t('landing.incompleteSurveyConflicts', { completeness: guide.review.completeness, count: guide.review.conflicts.length })
+              : t('landing.incompleteSurveyTitle', { completeness: guide.review.completeness })}">${t('landing.incompleteSurvey')}</span>` : ''}
           </div>
           
           <div class="trail-community-stats">
-            <span>👁️ ${community.views || 0} views</span>
-            <span>📷 ${metadata.photoCount || 0} photos</span>
-            <span>📝 ${metadata.noteCount || 0} notes</span>
+            <span>${t('landing.views', { count: community.views || 0 })}</span>
+            <span>${t('landing.photos', { count: metadata.photoCount || 0 })}</span>
+            <span>${t('landing.notes', { count: metadata.noteCount || 0 })}</span>
           </div>
         </div>
       </div>
@@ -295,27 +363,21 @@ async loadCommunityStats() {
   try {
     console.log('Loading community stats...');
     
-    const { collection, query, where, getDocs } = await import("https://www.gstatic.com/firebasejs/10.5.0/firebase-firestore.js");
-    
     // Remove the orderBy to avoid index requirements
-    const publicGuidesQuery = query(
-      collection(db, 'trail_guides'), 
-      where('isPublic', '==', true)
-    );
-    
-    const guidesSnapshot = await getDocs(publicGuidesQuery);
+    const publicGuides = await getBackend().trailGuides.listPublic();
     
     let totalKm = 0;
     let accessibleTrails = 0;
     const uniqueUsers = new Set();
-    const publicGuidesCount = guidesSnapshot.size;
+    const publicGuidesCount = publicGuides.length;
     
-    guidesSnapshot.forEach(doc => {
-      const data = doc.data();
+    publicGuides.forEach(data => {
       totalKm += data.metadata?.totalDistance || 0;
       uniqueUsers.add(data.userId);
       
-      if (data.accessibility?.wheelchairAccess === 'Fully Accessible') {
+      // Scored guides count when rated excellent (unrated ones don't); older guides by their survey answer
+      const wheelchairScore = this.getTrailScore(data, 'wheelchair');
+      if (data.accessibilityScore ? getScoreRating(wheelchairScore).id === 'excellent' : normalizeSurveyOption('wheelchairAccess', data.accessibility?.wheelchairAccess) === 'full') {
         accessibleTrails++;
       }
     });
@@ -344,23 +406,8 @@ async loadFeaturedTrails() {
   try {
     console.log('Loading featured trails...');
     
-    const { collection, query, where, getDocs } = await import("https://www.gstatic.com/firebasejs/10.5.0/firebase-firestore.js");
-    
     // Simple query without orderBy to avoid index issues
-    const featuredQuery = query(
-      collection(db, 'trail_guides'),
-      where('isPublic', '==', true)
-    );
-    
-    const querySnapshot = await getDocs(featuredQuery);
-    const featured = [];
-    
-    querySnapshot.forEach(doc => {
-      featured.push({
-        id: doc.id,
-        ...doc.data()
-      });
-    });
+    const featured = await getBackend().trailGuides.listPublic();
     
     // Sort client-side by creation date (newest first)
     featured.sort((a, b) => new Date(b.generatedAt) - new Date(a.generatedAt));
@@ -380,14 +427,15 @@ async loadFeaturedTrails() {
   displayFeaturedTrails(trails) {
     const container = document.getElementById('featuredTrails');
     if (!container) return;
+    this.displayedFeatured = trails;
     
     if (trails.length === 0) {
       container.innerHTML = `
         <div class="empty-state">
           <div class="empty-state-icon">⭐</div>
-          <h3>No featured trails yet</h3>
-          <p>Be the first to contribute accessible trail guides!</p>
-          <button onclick="openTracker()" class="nav-card-button primary">Start Mapping</button>
+          <h3>${t('landing.noFeatured')}</h3>
+          <p>${t('landing.noFeaturedText')}</p>
+          <button onclick="openTracker()" class="nav-card-button primary">${t('landing.startMapping')}</button>
         </div>
       `;
       return;
@@ -408,20 +456,20 @@ async loadFeaturedTrails() {
         <div class="trail-info">
           <div class="trail-name">${trail.routeName}</div>
           <div class="trail-meta">
-            <span>📍 ${accessibility.location || 'Location not specified'}</span>
-            <span>📅 ${new Date(trail.generatedAt).toLocaleDateString()}</span>
+            <span>📍 ${accessibility.location || t('landing.locationUnknown')}</span>
+            <span>📅 ${formatDate(trail.generatedAt)}</span>
           </div>
           <div class="trail-accessibility">
-            ${accessibility.wheelchairAccess ? `<span class="accessibility-badge">♿ ${accessibility.wheelchairAccess}</span>` : ''}
+            ${accessibility.wheelchairAccess ? `<span class="accessibility-badge">♿ ${this.formatAnswer('wheelchairAccess', accessibility.wheelchairAccess)}</span>` : ''}
             ${accessibility.difficulty ? `<span class="accessibility-badge">🥾 ${accessibility.difficulty}</span>` : ''}
           </div>
           <div class="trail-stats">
             <span>📏 ${(metadata.totalDistance || 0).toFixed(1)} km</span>
-            <span>👁️ ${community.views || 0} views</span>
-            <span>📷 ${metadata.photoCount || 0} photos</span>
+            <span>${t('landing.views', { count: community.views || 0 })}</span>
+            <span>${t('landing.photos', { count: metadata.photoCount || 0 })}</span>
           </div>
           <button class="view-trail-btn" onclick="viewTrailGuide('${trail.id}')">
-            View Trail Guide
+            ${t('landing.viewGuide')}
           </button>
         </div>
       </div>
@@ -434,8 +482,8 @@ async loadFeaturedTrails() {
       container.innerHTML = `
         <div class="empty-state">
           <div class="empty-state-icon">🌲</div>
-          <h3>Featured trails coming soon!</h3>
-          <p>Help build our community by mapping accessible trails</p>
+          <h3>${t('landing.featuredSoon')}</h3>
+          <p>${t('landing.featuredSoonText')}</p>
         </div>
       `;
     }
@@ -462,28 +510,21 @@ async updateUserStats() {
 // Add this new method to load cloud stats
 async loadUserCloudStats() {
   try {
-    const { collection, query, where, getDocs } = await import("https://www.gstatic.com/firebasejs/10.5.0/firebase-firestore.js");
-    const { auth } = await import('../firebase-setup.js');
-    
-    // Get user's routes from Firebase
-    const routesQuery = query(
-      collection(db, 'routes'),
-      where('userId', '==', auth.currentUser.uid)
-    );
-    
-    const routesSnapshot = await getDocs(routesQuery);
+    const backend = getBackend();
+    const user = await backend.accounts.getCurrentUser();
     let totalDistance = 0;
     
-    routesSnapshot.forEach(doc => {
-      const data = doc.data();
+    // Get user's routes from the cloud; tombstones of deleted routes don't count
+    const routes = (await backend.routes.listByUser(user.uid)).filter(data => !data.deleted);
+    routes.forEach(data => {
       totalDistance += data.totalDistance || 0;
     });
     
     // Update display
-    this.updateElement('totalRoutes', routesSnapshot.size);
+    this.updateElement('totalRoutes', routes.length);
     this.updateElement('totalDistance', totalDistance.toFixed(1));
     
-    console.log(`User stats: ${routesSnapshot.size} routes, ${totalDistance.toFixed(1)} km`);
+    console.log(`User stats: ${routes.length} routes, ${totalDistance.toFixed(1)} km`);
     
   } catch (error) {
     console.error('Failed to load cloud stats:', error);
@@ -519,7 +560,7 @@ loadLocalStats() {
   updateResultsCount(count) {
     const element = document.getElementById('resultsCount');
     if (element) {
-      element.textContent = `${count} trail${count !== 1 ? 's' : ''} found`;
+      element.textContent = t('landing.resultsCount', { count });
     }
   }
 
@@ -528,7 +569,7 @@ loadLocalStats() {
     if (container) {
       container.innerHTML = `
         <div class="loading">
-          Loading trails... <span class="loading-spinner">⏳</span>
+          ${t('landing.loading')} <span class="loading-spinner">⏳</span>
         </div>
       `;
     }
@@ -540,110 +581,20 @@ loadLocalStats() {
 
   // Info Functions
   showAbout() {
-    alert(`🌲 About Access Nature
-
-Making outdoor spaces accessible for everyone.
-
-Our mission is to create a comprehensive database of accessible trail information, documented by the community for the community.
-
-Features:
-- GPS tracking and route documentation
-- Detailed accessibility surveys
-- Photo and note sharing
-- Community trail guide database
-- Export and sharing capabilities
-
-Join us in making nature accessible to all!`);
+    alert(t('landing.aboutText'));
   }
 
   // Info Functions (continued)
   showPrivacy() {
-    alert(`🔒 Privacy Policy
-
-Access Nature Privacy Commitment:
-
-DATA COLLECTION:
-- We only collect data you choose to share
-- Route data is stored locally by default
-- Cloud sync is optional and user-controlled
-- No tracking or analytics without consent
-
-YOUR CONTROL:
-- You own all your route data
-- Delete data anytime from your device
-- Make trail guides public/private as you choose
-- Export your data in multiple formats
-
-SHARING:
-- Only public trail guides are visible to others
-- Personal information is never shared
-- Location data is only in routes you publish
-
-SECURITY:
-- Data encrypted in transit and at rest
-- Firebase security rules protect your data
-- Regular security updates and monitoring
-
-Questions? Contact us through the app.`);
+    alert(t('landing.privacyText'));
   }
 
   showContact() {
-    alert(`📧 Contact Access Nature
-
-Get in touch with our team:
-
-SUPPORT:
-- Email: support@accessnature.app
-- Response time: 24-48 hours
-- Include device info for technical issues
-
-FEEDBACK:
-- Feature requests welcome
-- Bug reports appreciated
-- Accessibility suggestions prioritized
-
-PARTNERSHIPS:
-- Trail organizations
-- Accessibility advocates
-- Technology collaborators
-
-COMMUNITY:
-- Join our monthly virtual meetups
-- Share your accessibility mapping stories
-- Help improve trail documentation
-
-We're here to help make nature accessible!`);
+    alert(t('landing.contactText'));
   }
 
   showHelp() {
-    alert(`❓ Access Nature Help
-
-GETTING STARTED:
-1. Sign up for cloud sync (optional)
-2. Start tracking a trail
-3. Take photos and notes along the way
-4. Fill out accessibility survey
-5. Save and share your trail guide
-
-TRAIL MAPPING TIPS:
-- Keep GPS enabled for accurate tracking
-- Take photos of key accessibility features
-- Note surface types, obstacles, facilities
-- Include gradient and width information
-
-SEARCHING TRAILS:
-- Use filters for specific accessibility needs
-- Browse by location or difficulty
-- Read community reviews and ratings
-- Download trail guides for offline use
-
-TROUBLESHOOTING:
-- Ensure location permissions enabled
-- Use strong internet for cloud sync
-- Clear browser cache if issues persist
-- Contact support for technical problems
-
-Happy trail mapping! 🥾`);
+    alert(t('landing.helpText'));
   }
 
   // Additional utility functions
@@ -664,6 +615,9 @@ Happy trail mapping! 🥾`);
     document.getElementById('wheelchairFilter').value = '';
     document.getElementById('difficultyFilter').value = '';
     document.getElementById('distanceFilter').value = '';
+    document.getElementById('scoreProfileFilter').value = '';
+    document.getElementById('minScoreFilter').value = '';
+    document.getElementById('sortResults').value = 'newest';
     document.getElementById('trailSearch').value = '';
     
     this.currentFilters = {};
@@ -719,19 +673,17 @@ async debugTrailGuides() {
   try {
     console.log('🐛 Debugging trail guides...');
     
-    const { collection, getDocs, query, limit } = await import("https://www.gstatic.com/firebasejs/10.5.0/firebase-firestore.js");
+    const trailGuides = getBackend().trailGuides;
     
     // Check ALL trail guides (public and private)
-    const allGuidesQuery = query(collection(db, 'trail_guides'), limit(10));
-    const allSnapshot = await getDocs(allGuidesQuery);
+    const allGuides = await trailGuides.listAll({ limit: 10 });
     
-    console.log('📊 Total trail guides in database:', allSnapshot.size);
+    console.log('📊 Total trail guides in database:', allGuides.length);
     
-    if (allSnapshot.size > 0) {
-      allSnapshot.forEach(doc => {
-        const data = doc.data();
+    if (allGuides.length > 0) {
+      allGuides.forEach(data => {
         console.log('📄 Trail guide:', {
-          id: doc.id,
+          id: data.id,
           name: data.routeName,
           isPublic: data.isPublic,
           userId: data.userId,
@@ -740,14 +692,8 @@ async debugTrailGuides() {
       });
       
       // Check specifically for public guides
-      const { where } = await import("https://www.gstatic.com/firebasejs/10.5.0/firebase-firestore.js");
-      const publicQuery = query(
-        collection(db, 'trail_guides'), 
-        where('isPublic', '==', true),
-        limit(10)
-      );
-      const publicSnapshot = await getDocs(publicQuery);
-      console.log('🌍 Public trail guides:', publicSnapshot.size);
+      const publicGuides = await trailGuides.listPublic({ limit: 10 });
+      console.log('🌍 Public trail guides:', publicGuides.length);
       
     } else {
       console.log('❌ No trail guides found in database');
@@ -763,37 +709,29 @@ async viewTrailGuide(guideId) {
   try {
     console.log('👁️ Viewing trail guide:', guideId);
     
-    // Import Firestore functions
-    const { doc, getDoc, updateDoc, increment } = await import("https://www.gstatic.com/firebasejs/10.5.0/firebase-firestore.js");
-    
     // Get the trail guide document
-    const guideRef = doc(db, 'trail_guides', guideId);
-    const guideSnap = await getDoc(guideRef);
+    const backend = getBackend();
+    const guideData = await backend.trailGuides.get(guideId);
     
-    if (!guideSnap.exists()) {
-      alert('❌ Trail guide not found');
+    if (!guideData) {
+      alert(t('landing.guideNotFound'));
       return;
     }
     
-    const guideData = guideSnap.data();
-    
     // Check if it's public or user owns it
-    const { auth } = await import('../firebase-setup.js');
-    const currentUser = auth.currentUser;
+    const currentUser = await backend.accounts.getCurrentUser();
     
     const canView = guideData.isPublic || (currentUser && currentUser.uid === guideData.userId);
     
     if (!canView) {
-      alert('❌ This trail guide is private and you don\'t have permission to view it.');
+      alert(t('landing.guidePrivate'));
       return;
     }
     
     // Increment view count (only for public guides and if not the owner)
     if (guideData.isPublic && (!currentUser || currentUser.uid !== guideData.userId)) {
       try {
-        await updateDoc(guideRef, {
-          'community.views': increment(1)
-        });
+        await backend.trailGuides.recordView(guideId);
         console.log('📈 View count incremented');
       } catch (error) {
         console.warn('Failed to increment view count:', error);
@@ -801,16 +739,49 @@ async viewTrailGuide(guideId) {
       }
     }
     
+    // Guides are stored in their author's language (English before it was recorded)
+    let htmlContent = guideData.htmlContent;
+    if (guideData.routeId && (guideData.language || DEFAULT_LANGUAGE) !== getLanguage()) {
+      htmlContent = await this.regenerateTrailGuide(guideData) || htmlContent;
+    }
+    
     // Show the HTML content
-    if (guideData.htmlContent) {
-      this.displayTrailGuideHTML(guideData.htmlContent, guideData.routeName);
+    if (htmlContent) {
+      this.displayTrailGuideHTML(htmlContent, guideData.routeName);
     } else {
-      alert('❌ Trail guide content not available');
+      alert(t('landing.guideUnavailable'));
     }
     
   } catch (error) {
     console.error('❌ Failed to view trail guide:', error);
-    alert('❌ Failed to load trail guide: ' + error.message);
+    alert(t('landing.guideLoadFailed', { error: error.message }));
+  }
+}
+
+// Rebuilds a guide page in the reader's language from its cloud route; null when the route can't be read
+async regenerateTrailGuide(guideData) {
+  try {
+    const route = await getBackend().routes.get(guideData.routeId);
+    
+    if (!route || route.deleted) {
+      return null;
+    }
+    
+    const { ExportController } = await import('./features/export.js');
+    const routeInfo = {
+      name: route.routeName || guideData.routeName,
+      date: route.originalDate || route.createdAt,
+      totalDistance: route.totalDistance || 0,
+      elapsedTime: route.elapsedTime || 0,
+      elevationProfile: route.elevationProfile,
+      review: guideData.review
+    };
+    
+    console.log(`🌐 Regenerating trail guide in ${getLanguage()}`);
+    return new ExportController(null).generateRouteSummaryHTML(route.routeData || [], routeInfo, route.accessibilityData);
+  } catch (error) {
+    console.warn('⚠️ Could not regenerate trail guide, showing the stored version:', error);
+    return null;
   }
 }
 
@@ -826,13 +797,18 @@ displayTrailGuideHTML(htmlContent, routeName) {
     
     if (!newWindow) {
       // Popup blocked, offer download instead
-      const downloadConfirm = confirm('Popup blocked! Would you like to download the trail guide instead?');
-      if (downloadConfirm) {
-        this.downloadTrailGuide(htmlContent, routeName);
-      }
+      dialogs.confirm({
+        title: t('landing.popupBlockedTitle'),
+        message: t('landing.popupBlocked'),
+        confirmLabel: t('landing.downloadGuide')
+      }).then(downloadConfirm => {
+        if (downloadConfirm) {
+          this.downloadTrailGuide(htmlContent, routeName);
+        }
+      });
     } else {
       // Set window title
-      newWindow.document.title = `${routeName} - Trail Guide`;
+      newWindow.document.title = t('landing.guideWindowTitle', { name: routeName });
     }
     
     // Clean up URL after delay
@@ -840,7 +816,7 @@ displayTrailGuideHTML(htmlContent, routeName) {
     
   } catch (error) {
     console.error('❌ Failed to display trail guide:', error);
-    alert('❌ Failed to display trail guide: ' + error.message);
+    alert(t('landing.guideDisplayFailed', { error: error.message }));
   }
 }
 
@@ -865,18 +841,18 @@ downloadTrailGuide(htmlContent, routeName) {
     
   } catch (error) {
     console.error('❌ Failed to download trail guide:', error);
-    alert('❌ Failed to download trail guide: ' + error.message);
+    alert(t('landing.guideDownloadFailed', { error: error.message }));
   }
 }
 
 // UPDATED: Check authentication status for landing page
 async checkLandingAuth() {
   try {
-    const { auth } = await import('../firebase-setup.js');
+    const user = await getBackend().accounts.getCurrentUser();
     return {
-      isSignedIn: !!auth.currentUser,
-      user: auth.currentUser,
-      email: auth.currentUser?.email
+      isSignedIn: !!user,
+      user,
+      email: user?.email
     };
   } catch (error) {
     console.error('Auth check failed:', error);
@@ -907,6 +883,10 @@ async initialize() {
   try {
     console.log('🏠 Initializing landing page...');
     
+    applyDocumentLanguage();
+    setupLanguageSelect(document.getElementById('languageSelect'));
+    onLanguageChange(() => this.handleLanguageChange());
+    
     this.setupEventListeners();
     await this.updateLandingAuthStatus(); // Add this line
     await this.loadCommunityStats();
@@ -919,6 +899,18 @@ async initialize() {
   }
 }
 
+// Static text is translated by the i18n module; cards rendered from Firestore data are rebuilt here
+handleLanguageChange() {
+  if (this.displayedResults) {
+    this.displayTrailResults(this.displayedResults);
+    this.updateResultsCount(this.displayedResults.length);
+  }
+  
+  if (this.displayedFeatured) {
+    this.displayFeaturedTrails(this.displayedFeatured);
+  }
+}
+
 async loadMyTrailGuides() {
   try {
     console.log('🌐 Loading trail guides from landing page...');
@@ -926,35 +918,17 @@ async loadMyTrailGuides() {
     // Check if user is signed in
     const authStatus = await this.checkLandingAuth();
     if (!authStatus.isSignedIn) {
-      alert('Please sign in first to view your trail guides');
+      alert(t('landing.signInForGuides'));
       return;
     }
 
-    // Import Firestore functions
-    const { collection, query, where, orderBy, getDocs } = await import("https://www.gstatic.com/firebasejs/10.5.0/firebase-firestore.js");
-    const { db, auth } = await import('../firebase-setup.js');
-    
     // Query user's trail guides
-    const guidesQuery = query(
-      collection(db, 'trail_guides'),
-      where('userId', '==', auth.currentUser.uid),
-      orderBy('generatedAt', 'desc')
-    );
-    
-    const querySnapshot = await getDocs(guidesQuery);
-    const guides = [];
-    
-    querySnapshot.forEach(doc => {
-      guides.push({
-        id: doc.id,
-        ...doc.data()
-      });
-    });
+    const guides = await getBackend().trailGuides.listByUser(authStatus.user.uid, { newestFirst: true });
     
     console.log(`Found ${guides.length} trail guides`);
     
     if (guides.length === 0) {
-      alert('No trail guides found.\n\nTo create trail guides:\n• Record a route in the tracker\n• Save it to cloud\n• Trail guide will be auto-generated');
+      alert(t('landing.noGuides'));
       return;
     }
     
@@ -962,33 +936,32 @@ async loadMyTrailGuides() {
     
   } catch (error) {
     console.error('Failed to load trail guides:', error);
-    alert('Failed to load trail guides: ' + error.message);
+    alert(t('landing.guidesLoadFailed', { error: error.message }));
   }
 }
 
 // Add this method too
-displayLandingGuides(guides) {
-  let message = 'Your Trail Guides:\n\n';
-  
-  guides.forEach((guide, index) => {
-    const date = new Date(guide.generatedAt).toLocaleDateString();
-    const visibility = guide.isPublic ? 'Public' : 'Private';
+async displayLandingGuides(guides) {
+  const items = guides.map(guide => {
+    const date = formatDate(guide.generatedAt);
+    const visibility = guide.isPublic ? t('landing.public') : t('landing.private');
     
-    message += `${index + 1}. ${guide.routeName} (${visibility})\n`;
-    message += `   Created: ${date}\n`;
+    let description = `${visibility}\n${t('landing.created', { date })}`;
     if (guide.metadata) {
-      message += `   Distance: ${(guide.metadata.totalDistance || 0).toFixed(1)} km\n`;
+      description += `\n${t('landing.guideDistance', { distance: (guide.metadata.totalDistance || 0).toFixed(1) })}`;
     }
-    message += '\n';
+    
+    return { value: guide, label: guide.routeName, description };
   });
 
-  message += `Select a guide to view (1-${guides.length}), or 0 to cancel:`;
-  
-  const choice = prompt(message);
-  const choiceNum = parseInt(choice);
+  const guide = await dialogs.selectFromList({
+    title: t('landing.yourGuides'),
+    message: t('landing.selectGuide'),
+    items
+  });
   
-  if (choiceNum >= 1 && choiceNum <= guides.length) {
-    this.viewTrailGuide(guides[choiceNum - 1].id);
+  if (guide) {
+    this.viewTrailGuide(guide.id);
   }
 }
 }
@@ -1079,11 +1052,7 @@ setupModalEventListeners() {
 
   async setupAuthStateListener() {
     try {
-      // Import Firebase auth
-      const { onAuthStateChanged } = await import("https://www.gstatic.com/firebasejs/10.5.0/firebase-auth.js");
-      const { auth } = await import('../firebase-setup.js');
-      
-      onAuthStateChanged(auth, (user) => {
+      await getBackend().accounts.onChange((user) => {
         this.currentUser = user;
         this.updateAuthStatus();
         
@@ -1139,7 +1108,7 @@ showLoginForm() {
   
   if (loginForm) loginForm.style.display = 'block';
   if (signupForm) signupForm.style.display = 'none';
-  if (title) title.textContent = 'Welcome Back!';
+  if (title) title.textContent = t('auth.welcomeBack');
 }
 
 showSignupForm() {
@@ -1149,7 +1118,7 @@ showSignupForm() {
   
   if (signupForm) signupForm.style.display = 'block';
   if (loginForm) loginForm.style.display = 'none';
-  if (title) title.textContent = 'Join Access Nature';
+  if (title) title.textContent = t('auth.join');
 }
 
   closeAuthModal() {
@@ -1199,11 +1168,11 @@ showSignupForm() {
             margin: 0;
             font-size: 1.8rem;
             font-weight: 600;
-          ">Welcome to Access Nature</h2>
-          <button onclick="window.landingAuth.closeAuthModal()" style="
+          ">${t('auth.welcome')}</h2>
+          <button onclick="window.landingAuth.closeAuthModal()" aria-label="${t('auth.close')}" style="
             position: absolute;
             top: 15px;
-            right: 20px;
+            inset-inline-end: 20px;
             background: rgba(255, 255, 255, 0.2);
             color: white;
             border: none;
@@ -1221,15 +1190,16 @@ showSignupForm() {
         <!-- Login Form -->
         <div id="loginFormContent" class="form-content" style="padding: 30px;">
           <div style="text-align: center; margin-bottom: 30px;">
-            <h3 style="margin: 0 0 8px 0; font-size: 1.4rem; color: #333;">Sign In to Your Account</h3>
-            <p style="margin: 0; color: #666; font-size: 0.95rem;">Continue your accessibility mapping journey</p>
+            <h3 style="margin: 0 0 8px 0; font-size: 1.4rem; color: #333;">${t('auth.signInTitle')}</h3>
+            <p style="margin: 0; color: #666; font-size: 0.95rem;">${t('auth.signInSubtitle')}</p>
           </div>
           
           <form id="loginFormEl" style="margin-bottom: 25px;">
             <div style="margin-bottom: 20px; position: relative;">
-              <input type="email" id="loginEmailInput" placeholder="Email address" required style="
+              <input type="email" id="loginEmailInput" placeholder="${t('auth.email')}" required style="
                 width: 100%;
-                padding: 15px 20px 15px 50px;
+                padding: 15px 20px;
+                padding-inline-start: 50px;
                 border: 2px solid #e1e5e9;
                 border-radius: 12px;
                 font-size: 16px;
@@ -1238,7 +1208,7 @@ showSignupForm() {
               ">
               <span style="
                 position: absolute;
-                left: 18px;
+                inset-inline-start: 18px;
                 top: 50%;
                 transform: translateY(-50%);
                 font-size: 18px;
@@ -1246,9 +1216,10 @@ showSignupForm() {
             </div>
             
             <div style="margin-bottom: 20px; position: relative;">
-              <input type="password" id="loginPasswordInput" placeholder="Password" required style="
+              <input type="password" id="loginPasswordInput" placeholder="${t('auth.password')}" required style="
                 width: 100%;
-                padding: 15px 20px 15px 50px;
+                padding: 15px 20px;
+                padding-inline-start: 50px;
                 border: 2px solid #e1e5e9;
                 border-radius: 12px;
                 font-size: 16px;
@@ -1257,7 +1228,7 @@ showSignupForm() {
               ">
               <span style="
                 position: absolute;
-                left: 18px;
+                inset-inline-start: 18px;
                 top: 50%;
                 transform: translateY(-50%);
                 font-size: 18px;
@@ -1276,7 +1247,7 @@ showSignupForm() {
               cursor: pointer;
               margin-bottom: 20px;
             ">
-              <span class="btn-text">Sign In</span>
+              <span class="btn-text">${t('auth.signIn')}</span>
               <span class="btn-spinner hidden">⏳</span>
             </button>
           </form>
@@ -1287,7 +1258,7 @@ showSignupForm() {
               padding: 0 20px;
               color: #666;
               font-size: 14px;
-            ">or</span>
+            ">${t('auth.or')}</span>
             <div style="
               position: absolute;
               top: 50%;
@@ -1313,12 +1284,12 @@ showSignupForm() {
             justify-content: center;
             gap: 12px;
           ">
-            <span>Continue with Google</span>
+            <span>${t('auth.google')}</span>
           </button>
           
           <div style="text-align: center; padding-top: 20px; border-top: 1px solid #e1e5e9;">
             <p style="margin: 0; color: #666; font-size: 14px;">
-              Don't have an account? 
+              ${t('auth.noAccount')} 
               <button type="button" onclick="window.landingAuth.showSignupForm()" style="
                 background: none;
                 border: none;
@@ -1327,7 +1298,7 @@ showSignupForm() {
                 cursor: pointer;
                 text-decoration: underline;
                 font-size: 14px;
-              ">Sign up</button>
+              ">${t('auth.signUpLink')}</button>
             </p>
           </div>
         </div>
@@ -1335,15 +1306,16 @@ showSignupForm() {
         <!-- Signup Form (hidden initially) -->
         <div id="signupFormContent" class="form-content" style="padding: 30px; display: none;">
           <div style="text-align: center; margin-bottom: 30px;">
-            <h3 style="margin: 0 0 8px 0; font-size: 1.4rem; color: #333;">Create Your Account</h3>
-            <p style="margin: 0; color: #666; font-size: 0.95rem;">Join the community making nature accessible</p>
+            <h3 style="margin: 0 0 8px 0; font-size: 1.4rem; color: #333;">${t('auth.signUpTitle')}</h3>
+            <p style="margin: 0; color: #666; font-size: 0.95rem;">${t('auth.signUpSubtitle')}</p>
           </div>
           
           <form id="signupFormEl" style="margin-bottom: 25px;">
             <div style="margin-bottom: 20px; position: relative;">
-              <input type="text" id="signupNameInput" placeholder="Full name" required style="
+              <input type="text" id="signupNameInput" placeholder="${t('auth.fullName')}" required style="
                 width: 100%;
-                padding: 15px 20px 15px 50px;
+                padding: 15px 20px;
+                padding-inline-start: 50px;
                 border: 2px solid #e1e5e9;
                 border-radius: 12px;
                 font-size: 16px;
@@ -1352,7 +1324,7 @@ showSignupForm() {
               ">
               <span style="
                 position: absolute;
-                left: 18px;
+                inset-inline-start: 18px;
                 top: 50%;
                 transform: translateY(-50%);
                 font-size: 18px;
@@ -1360,9 +1332,10 @@ showSignupForm() {
             </div>
             
             <div style="margin-bottom: 20px; position: relative;">
-              <input type="email" id="signupEmailInput" placeholder="Email address" required style="
+              <input type="email" id="signupEmailInput" placeholder="${t('auth.email')}" required style="
                 width: 100%;
-                padding: 15px 20px 15px 50px;
+                padding: 15px 20px;
+                padding-inline-start: 50px;
                 border: 2px solid #e1e5e9;
                 border-radius: 12px;
                 font-size: 16px;
@@ -1371,7 +1344,7 @@ showSignupForm() {
               ">
               <span style="
                 position: absolute;
-                left: 18px;
+                inset-inline-start: 18px;
                 top: 50%;
                 transform: translateY(-50%);
                 font-size: 18px;
@@ -1379,9 +1352,10 @@ showSignupForm() {
             </div>
             
             <div style="margin-bottom: 20px; position: relative;">
-              <input type="password" id="signupPasswordInput" placeholder="Create password" required style="
+              <input type="password" id="signupPasswordInput" placeholder="${t('auth.createPassword')}" required style="
                 width: 100%;
-                padding: 15px 20px 15px 50px;
+                padding: 15px 20px;
+                padding-inline-start: 50px;
                 border: 2px solid #e1e5e9;
                 border-radius: 12px;
                 font-size: 16px;
@@ -1390,7 +1364,7 @@ showSignupForm() {
               ">
               <span style="
                 position: absolute;
-                left: 18px;
+                inset-inline-start: 18px;
                 top: 50%;
                 transform: translateY(-50%);
                 font-size: 18px;
@@ -1409,7 +1383,7 @@ showSignupForm() {
               cursor: pointer;
               margin-bottom: 20px;
             ">
-              <span class="btn-text">Create Account</span>
+              <span class="btn-text">${t('auth.createAccount')}</span>
               <span class="btn-spinner hidden">⏳</span>
             </button>
           </form>
@@ -1420,7 +1394,7 @@ showSignupForm() {
               padding: 0 20px;
               color: #666;
               font-size: 14px;
-            ">or</span>
+            ">${t('auth.or')}</span>
             <div style="
               position: absolute;
               top: 50%;
@@ -1446,12 +1420,12 @@ showSignupForm() {
             justify-content: center;
             gap: 12px;
           ">
-            <span>Continue with Google</span>
+            <span>${t('auth.google')}</span>
           </button>
           
           <div style="text-align: center; padding-top: 20px; border-top: 1px solid #e1e5e9;">
             <p style="margin: 0; color: #666; font-size: 14px;">
-              Already have an account? 
+              ${t('auth.haveAccount')} 
               <button type="button" onclick="window.landingAuth.showLoginForm()" style="
                 background: none;
                 border: none;
@@ -1460,7 +1434,7 @@ showSignupForm() {
                 cursor: pointer;
                 text-decoration: underline;
                 font-size: 14px;
-              ">Sign in</button>
+              ">${t('auth.signInLink')}</button>
             </p>
           </div>
         </div>
@@ -1483,7 +1457,7 @@ showSignupForm() {
 
     if (loginForm) loginForm.classList.add('active');
     if (signupForm) signupForm.classList.remove('active');
-    if (title) title.textContent = 'Welcome Back!';
+    if (title) title.textContent = t('auth.welcomeBack');
   }
 
   switchToSignup() {
@@ -1493,7 +1467,7 @@ showSignupForm() {
 
     if (signupForm) signupForm.classList.add('active');
     if (loginForm) loginForm.classList.remove('active');
-    if (title) title.textContent = 'Join Access Nature';
+    if (title) title.textContent = t('auth.join');
   }
 
 async handleLogin(event) {
@@ -1504,25 +1478,18 @@ async handleLogin(event) {
   const passwordInput = document.getElementById('loginPasswordInput');
   
   if (!emailInput?.value || !passwordInput?.value) {
-    this.showAuthError('Please fill in all fields');
+    this.showAuthError(t('auth.fillAllFields'));
     return;
   }
 
   try {
     this.setButtonLoading(loginBtn, true);
     
-    const { signInWithEmailAndPassword } = await import("https://www.gstatic.com/firebasejs/10.5.0/firebase-auth.js");
-    const { auth } = await import('../firebase-setup.js');
-    
-    const userCredential = await signInWithEmailAndPassword(
-      auth, 
-      emailInput.value, 
-      passwordInput.value
-    );
+    const user = await getBackend().accounts.signIn(emailInput.value, passwordInput.value);
     
-    console.log('✅ Login successful:', userCredential.user.email);
+    console.log('✅ Login successful:', user.email);
     this.closeAuthModal();
-    this.showSuccessMessage('Welcome back! 🎉');
+    this.showSuccessMessage(t('auth.signedIn'));
     
   } catch (error) {
     console.error('❌ Login failed:', error);
@@ -1541,43 +1508,27 @@ async handleSignup(event) {
   const passwordInput = document.getElementById('signupPasswordInput');
   
   if (!nameInput?.value || !emailInput?.value || !passwordInput?.value) {
-    this.showAuthError('Please fill in all fields');
+    this.showAuthError(t('auth.fillAllFields'));
     return;
   }
 
   if (passwordInput.value.length < 6) {
-    this.showAuthError('Password must be at least 6 characters');
+    this.showAuthError(t('auth.passwordTooShort'));
     return;
   }
 
   try {
     this.setButtonLoading(signupBtn, true);
     
-    const { createUserWithEmailAndPassword } = await import("https://www.gstatic.com/firebasejs/10.5.0/firebase-auth.js");
-    const { doc, setDoc } = await import("https://www.gstatic.com/firebasejs/10.5.0/firebase-firestore.js");
-    const { auth, db } = await import('../firebase-setup.js');
-    
-    const userCredential = await createUserWithEmailAndPassword(
-      auth, 
-      emailInput.value, 
-      passwordInput.value
-    );
-    
-    const user = userCredential.user;
-    
-    // Save user profile to Firestore
-    await setDoc(doc(db, "users", user.uid), {
-      uid: user.uid,
-      email: user.email,
-      name: nameInput.value,
-      createdAt: new Date().toISOString(),
-      routesCount: 0,
-      totalDistance: 0
-    });
+    const backend = getBackend();
+    const user = await backend.accounts.signUp(emailInput.value, passwordInput.value);
+    
+    // Save user profile to the cloud
+    await backend.users.createProfile(user, { name: nameInput.value });
     
     console.log('✅ Signup successful:', user.email);
     this.closeAuthModal();
-    this.showSuccessMessage('Account created successfully! Welcome to Access Nature! 🌲');
+    this.showSuccessMessage(t('auth.accountCreated'));
     
   } catch (error) {
     console.error('❌ Signup failed:', error);
@@ -1589,57 +1540,50 @@ async handleSignup(event) {
 
 async handleGoogleAuth() {
   try {
-    const { GoogleAuthProvider, signInWithPopup } = await import("https://www.gstatic.com/firebasejs/10.5.0/firebase-auth.js");
-    const { doc, setDoc } = await import("https://www.gstatic.com/firebasejs/10.5.0/firebase-firestore.js");
-    const { auth, db } = await import('../firebase-setup.js');
-    
-    const provider = new GoogleAuthProvider();
-    const result = await signInWithPopup(auth, provider);
-    const user = result.user;
+    const backend = getBackend();
+    const { user, isNewUser } = await backend.accounts.signInWithGoogle();
     
     // Check if this is a new user and save profile
-    if (result._tokenResponse?.isNewUser) {
-      await setDoc(doc(db, "users", user.uid), {
-        uid: user.uid,
-        email: user.email,
+    if (isNewUser) {
+      await backend.users.createProfile(user, {
         name: user.displayName || 'Google User',
-        createdAt: new Date().toISOString(),
-        routesCount: 0,
-        totalDistance: 0,
         provider: 'google'
       });
     }
     
     console.log('✅ Google sign-in successful:', user.email);
     this.closeAuthModal();
-    this.showSuccessMessage('Successfully connected with Google! 🎉');
+    this.showSuccessMessage(t('auth.googleConnected'));
     
   } catch (error) {
     console.error('❌ Google sign-in failed:', error);
     
     if (error.code === 'auth/popup-closed-by-user') {
-      this.showAuthError('Sign-in was cancelled');
+      this.showAuthError(t('auth.googleCancelled'));
+    } else if (isOfflineError(error)) {
+      this.showAuthError(error.message);
     } else {
-      this.showAuthError('Google sign-in failed. Please try again.');
+      this.showAuthError(t('auth.googleFailed'));
     }
   }
 }
 
   async handleLogout() {
     try {
-      const confirmed = confirm('Are you sure you want to sign out?');
+      const confirmed = await dialogs.confirm({
+        title: t('auth.signOut'),
+        message: t('auth.confirmSignOut'),
+        confirmLabel: t('auth.signOut')
+      });
       if (!confirmed) return;
 
-      const { signOut } = await import("https://www.gstatic.com/firebasejs/10.5.0/firebase-auth.js");
-      const { auth } = await import('./firebase-setup.js');
-
-      await signOut(auth);
+      await getBackend().accounts.signOut();
       console.log('👋 Logout successful');
-      this.showSuccessMessage('See you next time! 👋');
+      this.showSuccessMessage(t('auth.signedOut'));
       
     } catch (error) {
       console.error('❌ Logout failed:', error);
-      this.showAuthError('Logout failed. Please try again.');
+      this.showAuthError(t('auth.signOutFailed'));
     }
   }
 
@@ -1740,17 +1684,7 @@ async handleGoogleAuth() {
   }
 
   getFriendlyErrorMessage(errorCode) {
-    const errorMessages = {
-      'auth/user-not-found': 'No account found with this email address',
-      'auth/wrong-password': 'Incorrect password',
-      'auth/email-already-in-use': 'An account with this email already exists',
-      'auth/weak-password': 'Password should be at least 6 characters',
-      'auth/invalid-email': 'Please enter a valid email address',
-      'auth/too-many-requests': 'Too many failed attempts. Please try again later',
-      'auth/network-request-failed': 'Network error. Please check your connection'
-    };
-
-    return errorMessages[errorCode] || 'An unexpected error occurred. Please try again.';
+    return t(`auth.errors.${errorCode}`, { defaultValue: t('auth.errors.default') });
   }
 }
 
@@ -1773,6 +1707,8 @@ export { LandingAuthController };
 
 // Initialize landing page when DOM is ready
 document.addEventListener('DOMContentLoaded', async () => {
+  registerServiceWorker();
+
   const landingController = new LandingPageController();
   await landingController.initialize();
   landingController.setupGlobalFunctions();
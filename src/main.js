@@ -5,11 +5,13 @@ import { TrackingController } from './core/tracking.js';
 import { TimerController } from './core/timer.js';
 import { NavigationController } from './ui/navigation.js';
 import { CompassController } from './ui/compass.js';
+import { ObservationController } from './features/observations.js';
 import { AccessibilityForm } from './features/accessibility.js';
 import { MediaController } from './features/media.js';
 import { ExportController } from './features/export.js';
 import { FirebaseController } from './features/firebase.js';
 import { AuthController } from './features/auth.js';
+import { dialogs, trapFocus, announceToScreenReader } from './ui/dialog.js';
 
 class AccessNatureTrackerV2 {
   constructor() {
@@ -35,8 +37,9 @@ class AccessNatureTrackerV2 {
       this.controllers.compass = new CompassController();
 
       // Initialize feature controllers
-      this.controllers.accessibility = new AccessibilityForm();
+      this.controllers.accessibility = new AccessibilityForm(this.controllers.state);
       this.controllers.media = new MediaController(this.controllers.state);
+      this.controllers.observations = new ObservationController(this.controllers.state);
       this.controllers.export = new ExportController(this.controllers.state);
       this.controllers.firebase = new FirebaseController();
       this.controllers.auth = new AuthController();
@@ -83,6 +86,14 @@ class AccessNatureTrackerV2 {
     this.controllers.compass.setDependencies({
       map: this.controllers.map
     });
+
+    this.controllers.media.setDependencies({
+      compass: this.controllers.compass
+    });
+
+    this.controllers.observations.setDependencies({
+      media: this.controllers.media
+    });
   }
 
   async initializeControllers() {
@@ -343,6 +354,14 @@ class AccessibleTrackingInterface {
           e.preventDefault();
           document.getElementById('takePhotoBtn')?.click();
           break;
+        case 'v':
+          e.preventDefault();
+          this.controllers.media.toggleVoiceNote();
+          break;
+        case 'b':
+          e.preventDefault();
+          this.controllers.observations.markObservation();
+          break;
         case 'n':
           e.preventDefault();
           this.addTextNote();
@@ -409,23 +428,7 @@ class AccessibleTrackingInterface {
   }
 
   trapFocus(e, container) {
-    const focusableElements = container.querySelectorAll(
-      'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])'
-    );
-    const firstElement = focusableElements[0];
-    const lastElement = focusableElements[focusableElements.length - 1];
-
-    if (e.shiftKey) {
-      if (document.activeElement === firstElement) {
-        lastElement.focus();
-        e.preventDefault();
-      }
-    } else {
-      if (document.activeElement === lastElement) {
-        firstElement.focus();
-        e.preventDefault();
-      }
-    }
+    trapFocus(e, container);
   }
 
   setupVoiceControlSupport() {
@@ -440,23 +443,7 @@ class AccessibleTrackingInterface {
   }
 
   announceToScreenReader(message, priority = 'polite') {
-    const announcement = document.createElement('div');
-    announcement.setAttribute('aria-live', priority);
-    announcement.setAttribute('aria-atomic', 'true');
-    announcement.className = 'sr-only';
-    announcement.textContent = message;
-    
-    document.body.appendChild(announcement);
-    
-    // Clean up after announcement
-    setTimeout(() => {
-      if (announcement.parentNode) {
-        document.body.removeChild(announcement);
-      }
-    }, 1000);
-
-    // Also log for debugging
-    console.log(`📢 Screen reader: ${message}`);
+    announceToScreenReader(message, priority);
   }
 
   openAccessibilityForm() {
@@ -506,7 +493,7 @@ class AccessibleTrackingInterface {
   }
 
   async showRestoreDialog(backupData) {
-    return new Promise((resolve) => {
+    return new Promise(async (resolve) => {
       try {
         if (!backupData || typeof backupData !== 'object') {
           console.error('Invalid backup data structure');
@@ -522,9 +509,7 @@ class AccessibleTrackingInterface {
         const photos = routeData.filter(p => p && p.type === 'photo').length;
         const notes = routeData.filter(p => p && p.type === 'text').length;
 
-        const restoreMessage = `🔄 UNSAVED ROUTE FOUND!
-
-📅 Created: ${backupDate}
+        const restoreMessage = `📅 Created: ${backupDate}
 
 📊 Route Details:
 📏 Distance: ${distance} km
@@ -534,12 +519,14 @@ class AccessibleTrackingInterface {
 
 This route was not saved before the app was closed.
 
-Would you like to restore it?
-
-✅ OK = Restore and continue route
-❌ Cancel = Start fresh (data will be lost)`;
+Would you like to restore it?`;
 
-        const shouldRestore = confirm(restoreMessage);
+        const shouldRestore = await dialogs.confirm({
+          title: '🔄 Unsaved route found',
+          message: restoreMessage,
+          confirmLabel: 'Restore and continue',
+          cancelLabel: 'Start fresh'
+        });
         
         if (shouldRestore) {
           console.log('👤 User chose to restore route');
@@ -556,15 +543,19 @@ Would you like to restore it?
             resolve(false);
           }
         } else {
-          const confirmDiscard = confirm(`⚠️ Are you sure you want to discard this route?
-
-This will permanently delete:
+          const confirmDiscard = await dialogs.confirm({
+            title: '⚠️ Discard this route?',
+            message: `This will permanently delete:
 - ${distance} km of tracked distance
 - ${locationPoints} GPS points
 - ${photos} photos
 - ${notes} notes
 
-This action cannot be undone!`);
+This action cannot be undone!`,
+            confirmLabel: 'Discard',
+            cancelLabel: 'Restore instead',
+            danger: true
+          });
           
           if (confirmDiscard) {
             this.controllers.state.clearRouteBackup();
@@ -628,9 +619,9 @@ document.addEventListener('DOMContentLoaded', async () => {
 });
 
 // Global functions for HTML onclick handlers (maintain compatibility)
-window.openAccessibilityForm = (callback) => {
+window.openAccessibilityForm = (callback, options) => {
   console.log('🔧 Opening accessibility form');
-  app?.getController('accessibility')?.open(callback);
+  app?.getController('accessibility')?.open(callback, options);
 };
 
 window.closeAccessibilityForm = () => {
@@ -688,9 +679,15 @@ window.triggerImport = () => {
   app?.getController('export')?.triggerImport();
 };
 
-window.confirmAndResetApp = () => {
+window.confirmAndResetApp = async () => {
   console.log('🔄 Confirming app reset');
-  if (confirm('Reset everything? This will delete all data and cannot be undone.')) {
+  const confirmed = await dialogs.confirm({
+    title: 'Reset everything?',
+    message: 'This will delete all data and cannot be undone.',
+    confirmLabel: 'Reset',
+    danger: true
+  });
+  if (confirmed) {
     app?.getController('state')?.clearAllAppData();
     location.reload();
   }
@@ -12,6 +12,15 @@ import { ExportController } from './features/export.js';
 import { FirebaseController } from './features/firebase.js';
 import { NavigationController } from './ui/navigation.js';
 import { CompassController } from './ui/compass.js';
+import { RouteLibraryController } from './ui/route-library.js';
+import { RouteEditorController } from './ui/route-editor.js';
+import { StatsPanelController } from './ui/stats-panel.js';
+import { OfflineMapsController } from './ui/offline-maps.js';
+import { ObservationController } from './features/observations.js';
+import { dialogs, announceToScreenReader } from './ui/dialog.js';
+import { registerServiceWorker } from './ui/pwa.js';
+import { isBackendReachable } from './data/backend.js';
+import { t, formatDate, applyDocumentLanguage, setupLanguageSelect, onLanguageChange } from './i18n/i18n.js';
 
 // Enhanced tracking interface that integrates with your existing system
 class EnhancedTrackingInterface {
@@ -27,12 +36,18 @@ class EnhancedTrackingInterface {
     this.mapController = new MapController();
     this.trackingController = new TrackingController(this.appState);
     this.timerController = new TimerController();
-    this.accessibilityForm = new AccessibilityForm();
+    this.accessibilityForm = new AccessibilityForm(this.appState);
     this.mediaController = new MediaController(this.appState);
+    this.observationController = new ObservationController(this.appState);
     this.exportController = new ExportController(this.appState);
     this.firebaseController = new FirebaseController();
     this.navigationController = new NavigationController();
     this.compassController = new CompassController();
+    this.routeLibrary = new RouteLibraryController(this.appState);
+    this.routeEditor = new RouteEditorController(this.appState);
+    this.statsPanel = new StatsPanelController(this.appState);
+    this.offlineMaps = new OfflineMapsController(this.appState);
+    this.authController = null; // loaded by initializeCloud()
     
     this.initializeSystem();
   }
@@ -40,8 +55,17 @@ class EnhancedTrackingInterface {
   async initializeSystem() {
     try {
       console.log('🔧 Setting up integrated system...');
+
+      // Translate the static page before controllers render anything into it
+      applyDocumentLanguage();
+      setupLanguageSelect(document.getElementById('languageSelect'));
+      onLanguageChange(() => this.handleLanguageChange());
       
       // Set up dependencies between controllers
+      this.mapController.setDependencies({
+        tileCache: this.appState.tileCache
+      });
+
       this.trackingController.setDependencies({
         map: this.mapController,
         timer: this.timerController
@@ -50,20 +74,56 @@ class EnhancedTrackingInterface {
       this.compassController.setDependencies({
         map: this.mapController
       });
+
+      this.mediaController.setDependencies({
+        compass: this.compassController
+      });
+
+      this.observationController.setDependencies({
+        media: this.mediaController
+      });
       
       this.exportController.setDependencies({
         map: this.mapController
       });
 
+      this.routeLibrary.setDependencies({
+        map: this.mapController,
+        export: this.exportController,
+        tracking: this.trackingController,
+        navigation: this.navigationController,
+        editor: this.routeEditor,
+        stats: this.statsPanel
+      });
+
+      this.routeEditor.setDependencies({
+        map: this.mapController,
+        navigation: this.navigationController
+      });
+
+      this.statsPanel.setDependencies({
+        navigation: this.navigationController
+      });
+
+      this.offlineMaps.setDependencies({
+        map: this.mapController,
+        navigation: this.navigationController
+      });
+
       // Initialize all controllers
       await this.mapController.initialize();
       this.timerController.initialize();
       this.accessibilityForm.initialize();
       this.mediaController.initialize();
+      this.observationController.initialize();
       this.exportController.initialize();
       await this.firebaseController.initialize();
       this.navigationController.initialize();
       this.compassController.initialize();
+      this.routeLibrary.initialize();
+      this.routeEditor.initialize();
+      this.statsPanel.initialize();
+      this.offlineMaps.initialize();
 
       // Set up enhanced UI controls
       this.initializeEnhancedControls();
@@ -75,13 +135,63 @@ class EnhancedTrackingInterface {
       
       this.announceAppReady();
       console.log('✅ Enhanced Tracking Interface Ready!');
+
+      // Cache the app for the next time there's no signal
+      registerServiceWorker();
+
+      // Sign-in and cloud uploads load in the background, so the tracker starts without a connection
+      this.initializeCloud();
       
     } catch (error) {
       console.error('❌ Failed to initialize system:', error);
-      alert('Failed to initialize tracking system: ' + error.message);
+      alert(t('tracker.initFailed', { error: error.message }));
+    }
+  }
+
+  // auth.js is loaded on its own, so the tracker works even when sign-in can't start (e.g. offline).
+  // Uploads waiting in the cloud outbox are sent once the user is signed in, and routes are synced
+  // with the cloud on sign-in and whenever the connection comes back.
+  async initializeCloud() {
+    const outbox = this.appState.cloudOutbox;
+    try {
+      const { default: authController } = await import('./features/auth.js');
+      authController.onLogin((user) => {
+        outbox.flush({ force: true });
+        this.syncRoutes(user);
+      });
+      authController.watchCloudOutbox(outbox);
+      await authController.initialize();
+      this.authController = authController;
+
+      await outbox.start(() => authController.getCurrentUser());
+      window.addEventListener('online', () => this.syncRoutes(authController.getCurrentUser()));
+      console.log('☁️ Cloud sync ready');
+    } catch (error) {
+      console.warn('☁️ Cloud features unavailable:', error);
     }
   }
 
+  // Background sync: conflicts are left for the user to settle from the route library
+  async syncRoutes(user) {
+    if (!user || !isBackendReachable()) return;
+
+    try {
+      const { conflicts } = await this.appState.routeSync.sync(user);
+      if (conflicts > 0) {
+        this.authController?.showCloudSyncIndicator(t('tracker.syncConflicts', { count: conflicts }));
+      }
+    } catch (error) {
+      console.warn('🔄 Route sync failed:', error);
+    }
+  }
+
+  // Static markup is re-translated by i18n; buttons whose text depends on state are redrawn here
+  handleLanguageChange() {
+    this.updatePlayPauseButton(this.state);
+    this.updateAutoPauseButton();
+    this.announceToScreenReader(t('tracker.languageChanged'));
+  }
+
   initializeEnhancedControls() {
     console.log('🎮 Setting up enhanced controls...');
     
@@ -113,9 +223,36 @@ class EnhancedTrackingInterface {
       mapRotationToggle.addEventListener('click', () => this.toggleMapRotation());
     }
 
+    const autoPauseToggle = document.getElementById('autoPauseToggleBtn');
+    if (autoPauseToggle) {
+      this.updateAutoPauseButton();
+      autoPauseToggle.addEventListener('click', () => this.toggleAutoPause());
+    }
+
+    const savedRouteSurveyBtn = document.getElementById('savedRouteSurveyBtn');
+    if (savedRouteSurveyBtn) {
+      savedRouteSurveyBtn.addEventListener('click', () => this.openSavedRouteSurvey());
+    }
+
     console.log('✅ Enhanced controls setup complete');
   }
 
+  toggleAutoPause() {
+    const enabled = !this.trackingController.isAutoPauseEnabled();
+    this.trackingController.setAutoPause(enabled);
+    this.updateAutoPauseButton();
+    this.announceToScreenReader(t(enabled ? 'tracker.autoPauseEnabled' : 'tracker.autoPauseDisabled'));
+  }
+
+  updateAutoPauseButton() {
+    const button = document.getElementById('autoPauseToggleBtn');
+    if (!button || !this.trackingController) return;
+
+    const enabled = this.trackingController.isAutoPauseEnabled();
+    button.textContent = t('tracker.autoPause', { state: t(enabled ? 'tracker.autoPauseOn' : 'tracker.autoPauseOff') });
+    button.setAttribute('aria-pressed', String(enabled));
+  }
+
   async handlePlayPause() {
     console.log(`🎯 handlePlayPause - Current state: ${this.state}`);
     
@@ -133,7 +270,7 @@ class EnhancedTrackingInterface {
             this.state = 'tracking';
             this.updatePlayPauseButton('tracking');
             this.enableSaveButton();
-            this.announceToScreenReader('GPS tracking started');
+            this.announceToScreenReader(t('tracker.trackingStarted'));
           }
           break;
           
@@ -144,7 +281,7 @@ class EnhancedTrackingInterface {
           if (pauseSuccess) {
             this.state = 'paused';
             this.updatePlayPauseButton('paused');
-            this.announceToScreenReader('GPS tracking paused');
+            this.announceToScreenReader(t('tracker.trackingPaused'));
           }
           break;
           
@@ -155,7 +292,7 @@ class EnhancedTrackingInterface {
           if (resumeSuccess) {
             this.state = 'tracking';
             this.updatePlayPauseButton('tracking');
-            this.announceToScreenReader('GPS tracking resumed');
+            this.announceToScreenReader(t('tracker.trackingResumed'));
           }
           break;
       }
@@ -164,7 +301,7 @@ class EnhancedTrackingInterface {
       
     } catch (error) {
       console.error('❌ Play/Pause action failed:', error);
-      alert('Failed to start/pause tracking: ' + error.message);
+      alert(t('tracker.playPauseFailed', { error: error.message }));
     }
   }
 
@@ -181,7 +318,7 @@ class EnhancedTrackingInterface {
           this.updatePlayPauseButton('idle');
           this.updateSaveButton('saving');
           
-          this.announceToScreenReader('Tracking stopped, route saved');
+          this.announceToScreenReader(t('tracker.trackingSaved'));
           
           // Reset save button after animation
           setTimeout(() => {
@@ -191,7 +328,7 @@ class EnhancedTrackingInterface {
         
       } catch (error) {
         console.error('❌ Save action failed:', error);
-        alert('Failed to save route: ' + error.message);
+        alert(t('tracker.saveFailed', { error: error.message }));
       }
     } else {
       console.log('⚠️ Cannot save - not currently tracking');
@@ -204,18 +341,18 @@ class EnhancedTrackingInterface {
 
     switch(state) {
       case 'idle':
-        playPauseBtn.innerHTML = '<span aria-hidden="true">▶</span><span class="sr-only">Start Tracking</span>';
-        playPauseBtn.setAttribute('aria-label', 'Start tracking');
+        playPauseBtn.innerHTML = `<span aria-hidden="true">▶</span><span class="sr-only">${t('tracker.startTracking')}</span>`;
+        playPauseBtn.setAttribute('aria-label', t('tracker.startTracking'));
         playPauseBtn.className = 'control-button play-pause-btn';
         break;
       case 'tracking':
-        playPauseBtn.innerHTML = '<span aria-hidden="true">⏸</span><span class="sr-only">Pause Tracking</span>';
-        playPauseBtn.setAttribute('aria-label', 'Pause tracking');
+        playPauseBtn.innerHTML = `<span aria-hidden="true">⏸</span><span class="sr-only">${t('tracker.pauseTracking')}</span>`;
+        playPauseBtn.setAttribute('aria-label', t('tracker.pauseTracking'));
         playPauseBtn.className = 'control-button play-pause-btn tracking';
         break;
       case 'paused':
-        playPauseBtn.innerHTML = '<span aria-hidden="true">▶</span><span class="sr-only">Resume Tracking</span>';
-        playPauseBtn.setAttribute('aria-label', 'Resume tracking');
+        playPauseBtn.innerHTML = `<span aria-hidden="true">▶</span><span class="sr-only">${t('tracker.resumeTracking')}</span>`;
+        playPauseBtn.setAttribute('aria-label', t('tracker.resumeTracking'));
         playPauseBtn.className = 'control-button play-pause-btn paused';
         break;
     }
@@ -467,6 +604,14 @@ disconnectFromCompassController() {
           e.preventDefault();
           this.addTextNote();
           break;
+        case 'v':
+          e.preventDefault();
+          this.toggleVoiceNote();
+          break;
+        case 'b':
+          e.preventDefault();
+          this.markObservation();
+          break;
       }
     });
   }
@@ -477,23 +622,26 @@ disconnectFromCompassController() {
     try {
       const backup = await this.appState.checkForUnsavedRoute();
       if (backup) {
-        const message = `🔥 Found unsaved route backup:
-        
-📍 ${backup.routeData.filter(p => p.type === 'location').length} GPS points
-📸 ${backup.routeData.filter(p => p.type === 'photo').length} photos  
-📝 ${backup.routeData.filter(p => p.type === 'text').length} notes
-📏 ${backup.totalDistance?.toFixed(2) || 0} km
-⏱️ ${this.formatTime(backup.elapsedTime || 0)}
-
-Would you like to restore this route?`;
-
-        const shouldRestore = confirm(message);
+        const message = t('tracker.backupFound', {
+          points: backup.routeData.filter(p => p.type === 'location').length,
+          photos: backup.routeData.filter(p => p.type === 'photo').length,
+          notes: backup.routeData.filter(p => p.type === 'text').length,
+          distance: backup.totalDistance?.toFixed(2) || 0,
+          time: this.formatTime(backup.elapsedTime || 0)
+        });
+
+        const shouldRestore = await dialogs.confirm({
+          title: t('tracker.backupTitle'),
+          message,
+          confirmLabel: t('tracker.restoreBackup'),
+          cancelLabel: t('tracker.discardBackup')
+        });
         if (shouldRestore) {
           console.log('🔧 Restoring backup route...');
           const restored = this.appState.restoreFromBackup(backup);
           
           if (restored) {
-            this.announceToScreenReader('Route backup restored successfully');
+            this.announceToScreenReader(t('tracker.backupRestored'));
             
             // Update timer display if there's elapsed time
             if (backup.elapsedTime) {
@@ -514,9 +662,27 @@ Would you like to restore this route?`;
     }
   }
 
-  openAccessibilityForm() {
+  openAccessibilityForm(options = {}, callback = null) {
     console.log('♿ Opening accessibility form...');
-    this.accessibilityForm.open();
+    this.accessibilityForm.open(callback, options);
+  }
+
+  // Pick a saved route and open its accessibility survey
+  async openSavedRouteSurvey() {
+    const sessions = await this.appState.getSessions();
+    if (sessions.length === 0) {
+      alert(t('tracker.noSavedRoutes'));
+      return;
+    }
+
+    const route = await dialogs.selectFromList({
+      title: t('tracker.chooseSurveyRoute'),
+      items: sessions.map(session => ({ value: session, label: session.name, description: formatDate(session.date) }))
+    });
+    if (route) {
+      this.navigationController.hideAllPanels();
+      this.openAccessibilityForm({ routeId: route.id, routeName: route.name });
+    }
   }
 
   closeAccessibilityForm() {
@@ -533,6 +699,19 @@ Would you like to restore this route?`;
     }
   }
 
+  async toggleVoiceNote() {
+    try {
+      await this.mediaController.toggleVoiceNote();
+    } catch (error) {
+      console.error('❌ Voice note failed:', error);
+    }
+  }
+
+  async markObservation() {
+    console.log('📌 Marking barrier or feature...');
+    await this.observationController.markObservation();
+  }
+
   async addTextNote() {
     console.log('📝 Adding text note...');
     try {
@@ -557,27 +736,13 @@ Would you like to restore this route?`;
     }
   }
 
-  announceToScreenReader(message) {
-    console.log('🔊 Screen reader announcement:', message);
-    
-    const announcement = document.createElement('div');
-    announcement.setAttribute('aria-live', 'polite');
-    announcement.setAttribute('aria-atomic', 'true');
-    announcement.className = 'sr-only';
-    announcement.textContent = message;
-    
-    document.body.appendChild(announcement);
-    
-    setTimeout(() => {
-      if (document.body.contains(announcement)) {
-        document.body.removeChild(announcement);
-      }
-    }, 1000);
+  announceToScreenReader(message, priority = 'polite') {
+    announceToScreenReader(message, priority);
   }
 
   announceAppReady() {
     setTimeout(() => {
-      this.announceToScreenReader('AccessNature Enhanced Tracker ready. Use spacebar to start tracking, A for accessibility survey.');
+      this.announceToScreenReader(t('tracker.appReady'));
     }, 1000);
   }
 
@@ -593,7 +758,13 @@ Would you like to restore this route?`;
       'export': this.exportController,
       'firebase': this.firebaseController,
       'navigation': this.navigationController,
-      'compass': this.compassController
+      'compass': this.compassController,
+      'observations': this.observationController,
+      'library': this.routeLibrary,
+      'editor': this.routeEditor,
+      'stats': this.statsPanel,
+      'offlineMaps': this.offlineMaps,
+      'auth': this.authController
     };
     
     return controllers[name];
@@ -612,10 +783,10 @@ Would you like to restore this route?`;
 }
 
 // Global functions for compatibility with your existing HTML onclick handlers
-window.openAccessibilityForm = function() {
+window.openAccessibilityForm = function(callback, options) {
   console.log('🌍 Global openAccessibilityForm called');
   if (window.AccessNatureApp) {
-    window.AccessNatureApp.openAccessibilityForm();
+    window.AccessNatureApp.openAccessibilityForm(options, callback);
   }
 };
 
@@ -654,7 +825,7 @@ window.showRouteDataOnMap = function() {
       if (routeData.length > 0) {
         map.showRouteData(routeData);
       } else {
-        alert('No route data to display on map');
+        alert(t('tracker.noRouteData'));
       }
     }
   }
@@ -695,6 +866,6 @@ document.addEventListener('DOMContentLoaded', async function() {
     
   } catch (error) {
     console.error('❌ Failed to initialize Enhanced AccessNature App:', error);
-    alert('Failed to initialize application: ' + error.message);
+    alert(t('tracker.appInitFailed', { error: error.message }));
   }
 });
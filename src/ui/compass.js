@@ -3,8 +3,10 @@ export class CompassController {
   constructor() {
     this.isRotationEnabled = false;
     this.currentHeading = 0;
+    this.lastHeadingTime = 0;
     this.dependencies = {};
     this.orientationHandler = null;
+    this.headingHandler = null;
   }
 
   setDependencies(deps) {
@@ -14,6 +16,7 @@ export class CompassController {
   initialize() {
     this.setupToggleButton();
     this.checkDeviceSupport();
+    this.startHeadingUpdates();
     console.log('Compass controller initialized');
   }
 
@@ -91,22 +94,50 @@ export class CompassController {
     console.log('Compass rotation disabled');
   }
 
-  handleOrientationChange(event) {
-    if (!this.isRotationEnabled) return;
+  // Keeps the heading fresh (for photo bearings) even while map rotation is off
+  startHeadingUpdates() {
+    if (this.headingHandler || !window.DeviceOrientationEvent) return;
+
+    // Chrome only reports north-referenced alpha on the "absolute" event
+    const eventName = 'ondeviceorientationabsolute' in window ? 'deviceorientationabsolute' : 'deviceorientation';
+    this.headingHandler = (event) => {
+      this.recordHeading(this.readHeading(event));
+    };
+    this.headingEventName = eventName;
+    window.addEventListener(eventName, this.headingHandler);
+  }
+
+  stopHeadingUpdates() {
+    if (!this.headingHandler) return;
 
-    let heading = null;
+    window.removeEventListener(this.headingEventName, this.headingHandler);
+    this.headingHandler = null;
+  }
 
+  readHeading(event) {
     // Try different sources for compass heading
-    if (typeof event.webkitCompassHeading !== "undefined") {
+    if (typeof event.webkitCompassHeading === 'number') {
       // iOS Safari
-      heading = event.webkitCompassHeading;
+      return event.webkitCompassHeading;
     } else if (event.alpha !== null && event.alpha !== undefined) {
       // Android Chrome and others
-      heading = 360 - event.alpha;
+      return (360 - event.alpha) % 360;
     }
+    return null;
+  }
+
+  recordHeading(heading) {
+    if (heading === null || isNaN(heading)) return false;
+
+    this.currentHeading = heading;
+    this.lastHeadingTime = Date.now();
+    return true;
+  }
+
+  handleOrientationChange(event) {
+    if (!this.isRotationEnabled) return;
 
-    if (heading !== null) {
-      this.currentHeading = heading;
+    if (this.recordHeading(this.readHeading(event))) {
       this.updateRotations();
     }
   }
@@ -165,8 +196,10 @@ export class CompassController {
     needleElement.style.transform = 'rotate(0deg)';
   }
 
-  getCurrentHeading() {
-    return this.currentHeading;
+  // Degrees clockwise from north, or null when no reading arrived recently
+  getCurrentHeading(maxAge = 5000) {
+    if (!this.lastHeadingTime || Date.now() - this.lastHeadingTime > maxAge) return null;
+    return Math.round(this.currentHeading) % 360;
   }
 
   isRotationActive() {
@@ -175,6 +208,7 @@ export class CompassController {
 
   cleanup() {
     this.disableRotation();
+    this.stopHeadingUpdates();
     console.log('Compass controller cleaned up');
   }
 }
\ No newline at end of file
@@ -0,0 +1,314 @@
+// Accessible modal dialogs - promise-based replacements for prompt()/confirm()
+import { t } from '../i18n/i18n.js';
+
+const FOCUSABLE_SELECTOR = 'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])';
+
+// Keeps Tab / Shift+Tab cycling inside the container
+export function trapFocus(e, container) {
+  const focusableElements = [...container.querySelectorAll(FOCUSABLE_SELECTOR)].filter(element => !element.disabled);
+  if (focusableElements.length === 0) return;
+
+  const firstElement = focusableElements[0];
+  const lastElement = focusableElements[focusableElements.length - 1];
+
+  if (e.shiftKey) {
+    if (document.activeElement === firstElement || !container.contains(document.activeElement)) {
+      lastElement.focus();
+      e.preventDefault();
+    }
+  } else {
+    if (document.activeElement === lastElement || !container.contains(document.activeElement)) {
+      firstElement.focus();
+      e.preventDefault();
+    }
+  }
+}
+
+export function announceToScreenReader(message, priority = 'polite') {
+  const announcement = document.createElement('div');
+  announcement.setAttribute('aria-live', priority);
+  announcement.setAttribute('aria-atomic', 'true');
+  announcement.className = 'sr-only';
+  announcement.textContent = message;
+
+  document.body.appendChild(announcement);
+
+  // Clean up after announcement
+  setTimeout(() => {
+    if (announcement.parentNode) {
+      document.body.removeChild(announcement);
+    }
+  }, 1000);
+
+  console.log(`📢 Screen reader: ${message}`);
+}
+
+function createElement(tag, className, text) {
+  const element = document.createElement(tag);
+  if (className) element.className = className;
+  if (text !== undefined && text !== null) element.textContent = text;
+  return element;
+}
+
+let dialogCount = 0;
+
+export class DialogController {
+  constructor() {
+    // One dialog at a time; later requests wait for the open one to close
+    this.queue = Promise.resolve();
+  }
+
+  // Resolves true/false
+  confirm({ title, message = '', confirmLabel = t('dialog.ok'), cancelLabel = t('dialog.cancel'), danger = false } = {}) {
+    return this.open({
+      title,
+      message,
+      cancelValue: false,
+      build: () => ({
+        actions: [
+          { label: cancelLabel, value: false },
+          { label: confirmLabel, value: true, primary: true, danger }
+        ]
+      })
+    });
+  }
+
+  // Resolves the entered text (trimmed), or null when cancelled
+  prompt({ title, message = '', label = title, defaultValue = '', placeholder = '', required = false, type = 'text', inputMode = '', confirmLabel = t('dialog.ok'), cancelLabel = t('dialog.cancel') } = {}) {
+    return this.open({
+      title,
+      message,
+      cancelValue: null,
+      build: ({ id, body, showError }) => {
+        const input = createElement('input', 'dialog-input');
+        input.id = `${id}-input`;
+        input.type = type;
+        input.value = defaultValue ?? '';
+        input.placeholder = placeholder;
+        if (inputMode) input.inputMode = inputMode;
+
+        const inputLabel = createElement('label', 'dialog-label', label);
+        inputLabel.htmlFor = input.id;
+        body.append(inputLabel, input);
+
+        return {
+          initialFocus: input,
+          submitOnEnter: true,
+          actions: [
+            { label: cancelLabel, value: null },
+            {
+              label: confirmLabel,
+              primary: true,
+              value: () => {
+                const value = input.value.trim();
+                if (required && !value) {
+                  showError(t('dialog.required'), input);
+                  return undefined;
+                }
+                return value;
+              }
+            }
+          ]
+        };
+      }
+    });
+  }
+
+  // Radio group; options are { value, label, description }. Resolves the chosen value, or null
+  choose({ title, message = '', label = title, options = [], value, confirmLabel = t('dialog.ok'), cancelLabel = t('dialog.cancel') } = {}) {
+    return this.open({
+      title,
+      message,
+      cancelValue: null,
+      build: ({ id, body, showError }) => {
+        const fieldset = createElement('fieldset', 'dialog-choices');
+        fieldset.appendChild(createElement('legend', 'sr-only', label));
+
+        const radios = options.map((option, index) => {
+          const radio = createElement('input');
+          radio.type = 'radio';
+          radio.name = `${id}-choice`;
+          radio.id = `${id}-choice-${index}`;
+          radio.checked = option.value === value;
+
+          const optionLabel = createElement('label', 'dialog-choice');
+          optionLabel.htmlFor = radio.id;
+          const text = createElement('span', 'dialog-choice-text');
+          text.appendChild(createElement('span', 'dialog-choice-label', option.label));
+          if (option.description) {
+            text.appendChild(createElement('span', 'dialog-choice-description', option.description));
+          }
+          optionLabel.append(radio, text);
+          fieldset.appendChild(optionLabel);
+          return radio;
+        });
+        body.appendChild(fieldset);
+
+        return {
+          initialFocus: radios.find(radio => radio.checked) || radios[0],
+          submitOnEnter: true,
+          actions: [
+            { label: cancelLabel, value: null },
+            {
+              label: confirmLabel,
+              primary: true,
+              value: () => {
+                const index = radios.findIndex(radio => radio.checked);
+                if (index === -1) {
+                  showError(t('dialog.chooseOption'), radios[0]);
+                  return undefined;
+                }
+                return options[index].value;
+              }
+            }
+          ]
+        };
+      }
+    });
+  }
+
+  // List of items to pick from; items are { value, label, description }. Resolves the picked value, or null
+  selectFromList({ title, message = '', items = [], emptyMessage = t('dialog.emptyList'), cancelLabel = t('dialog.cancel') } = {}) {
+    return this.open({
+      title,
+      message,
+      cancelValue: null,
+      build: ({ body, close }) => {
+        let firstItem = null;
+
+        if (items.length === 0) {
+          body.appendChild(createElement('p', 'dialog-empty', emptyMessage));
+        } else {
+          const list = createElement('ul', 'dialog-list');
+          items.forEach(item => {
+            const button = createElement('button', 'dialog-list-item');
+            button.type = 'button';
+            button.appendChild(createElement('span', 'dialog-list-label', item.label));
+            if (item.description) {
+              button.appendChild(createElement('span', 'dialog-list-description', item.description));
+            }
+            button.addEventListener('click', () => close(item.value));
+
+            const listItem = createElement('li');
+            listItem.appendChild(button);
+            list.appendChild(listItem);
+            firstItem = firstItem || button;
+          });
+          body.appendChild(list);
+        }
+
+        return {
+          initialFocus: firstItem,
+          actions: [{ label: cancelLabel, value: null }]
+        };
+      }
+    });
+  }
+
+  open(config) {
+    const result = this.queue.then(() => this.show(config));
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  show({ title, message, cancelValue, build }) {
+    return new Promise(resolve => {
+      const id = `dialog-${++dialogCount}`;
+      const previousFocus = document.activeElement;
+
+      const backdrop = createElement('div', 'dialog-backdrop');
+      const dialog = createElement('div', 'dialog');
+      dialog.setAttribute('role', 'dialog');
+      dialog.setAttribute('aria-modal', 'true');
+
+      const heading = createElement('h2', 'dialog-title', title);
+      heading.id = `${id}-title`;
+      dialog.setAttribute('aria-labelledby', heading.id);
+      dialog.appendChild(heading);
+
+      if (message) {
+        const description = createElement('p', 'dialog-message', message);
+        description.id = `${id}-message`;
+        dialog.setAttribute('aria-describedby', description.id);
+        dialog.appendChild(description);
+      }
+
+      const body = createElement('div', 'dialog-body');
+      const error = createElement('p', 'dialog-error');
+      error.id = `${id}-error`;
+      error.hidden = true;
+      dialog.append(body, error);
+
+      const close = (value) => {
+        document.removeEventListener('keydown', handleKeydown, true);
+        backdrop.remove();
+        if (previousFocus && typeof previousFocus.focus === 'function' && document.contains(previousFocus)) {
+          previousFocus.focus();
+        }
+        resolve(value);
+      };
+
+      const showError = (text, field) => {
+        error.textContent = text;
+        error.hidden = false;
+        if (field) {
+          field.setAttribute('aria-invalid', 'true');
+          field.setAttribute('aria-describedby', error.id);
+          field.focus();
+        }
+        announceToScreenReader(text, 'assertive');
+      };
+
+      const { actions, initialFocus, submitOnEnter } = build({ id, body, close, showError });
+
+      // Function values are validators: undefined keeps the dialog open
+      const runAction = (action) => {
+        const value = typeof action.value === 'function' ? action.value() : action.value;
+        if (value !== undefined) close(value);
+      };
+
+      const actionBar = createElement('div', 'dialog-actions');
+      let primaryAction = null;
+      let primaryButton = null;
+      actions.forEach(action => {
+        const button = createElement('button', `dialog-button${action.primary ? ' primary' : ''}${action.danger ? ' danger' : ''}`, action.label);
+        button.type = 'button';
+        button.addEventListener('click', () => runAction(action));
+        actionBar.appendChild(button);
+        if (action.primary) {
+          primaryAction = action;
+          primaryButton = button;
+        }
+      });
+      dialog.appendChild(actionBar);
+
+      const handleKeydown = (e) => {
+        if (e.key === 'Escape') {
+          e.preventDefault();
+          e.stopPropagation();
+          close(cancelValue);
+        } else if (e.key === 'Tab') {
+          trapFocus(e, dialog);
+        } else if (e.key === 'Enter' && submitOnEnter && primaryAction && e.target.tagName === 'INPUT') {
+          e.preventDefault();
+          runAction(primaryAction);
+        }
+        // Keep the tracker's single-key shortcuts from firing underneath
+        e.stopPropagation();
+      };
+      document.addEventListener('keydown', handleKeydown, true);
+
+      backdrop.addEventListener('click', (e) => {
+        if (e.target === backdrop) close(cancelValue);
+      });
+
+      backdrop.appendChild(dialog);
+      document.body.appendChild(backdrop);
+
+      (initialFocus || primaryButton || actionBar.querySelector('button'))?.focus();
+    });
+  }
+}
+
+// Shared instance used by the controllers
+export const dialogs = new DialogController();
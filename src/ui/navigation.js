@@ -1,4 +1,6 @@
 // Navigation and UI panel management
+import { dialogs } from './dialog.js';
+
 export class NavigationController {
   constructor() {
     this.currentPanel = null;
@@ -14,6 +16,7 @@ export class NavigationController {
     window.showStorageMonitor = () => this.showStorageMonitor();
     window.clearAllSessions = () => this.clearAllSessions();
     window.clearAllAppData = () => this.clearAllAppData();
+    window.showRouteManager = () => this.showRouteManager();
   }
 
   togglePanel(panelId) {
@@ -48,7 +51,7 @@ export class NavigationController {
 🗄️ Storage Type: ${storageInfo.storageType}
 📊 Usage: ${storageInfo.usageFormatted} / ${storageInfo.quotaFormatted}
 📈 Used: ${storageInfo.usagePercent}%
-${storageInfo.indexedDBSupported ? '✅ Large Storage Available' : '⚠️ Limited Storage (localStorage)'}
+${typeof storageInfo.mediaCount === 'number' ? `📷 Photos & voice notes: ${storageInfo.mediaCount} (${storageInfo.mediaSizeFormatted})\n` : ''}${storageInfo.indexedDBSupported ? '✅ Large Storage Available' : '⚠️ Limited Storage (localStorage)'}
 ${storageInfo.migrationCompleted ? '✅ Migration Completed' : '🔄 Migration Pending'}
 
 💡 Benefits of IndexedDB:
@@ -67,38 +70,20 @@ ${storageInfo.usagePercent > 80 ? '⚠️ Storage nearly full! Consider exportin
   }
 }
 
-  getStorageInfo() {
+  async getStorageInfo() {
     let totalSize = 0;
-    let photoCount = 0;
-    let photoSize = 0;
 
     for (let i = 0; i < localStorage.length; i++) {
-      const key = localStorage.key(i);
-      const value = localStorage.getItem(key);
+      const value = localStorage.getItem(localStorage.key(i));
       if (value) {
         totalSize += new Blob([value]).size;
-        
-        // Count photos in sessions
-        if (key === 'sessions') {
-          try {
-            const sessions = JSON.parse(value);
-            sessions.forEach(session => {
-              if (session.data) {
-                session.data.forEach(entry => {
-                  if (entry.type === 'photo' && entry.content) {
-                    photoCount++;
-                    photoSize += new Blob([entry.content]).size;
-                  }
-                });
-              }
-            });
-          } catch (error) {
-            console.warn('Error parsing sessions for storage info:', error);
-          }
-        }
       }
     }
 
+    // Photos and voice notes live in the IndexedDB media store, which keeps its own counts
+    const state = window.AccessNatureApp?.getController('state');
+    const { count: photoCount, size: photoSize } = state ? await state.getMediaUsage() : { count: 0, size: 0 };
+
     const maxSize = 5 * 1024 * 1024; // 5MB typical localStorage limit
     const usagePercent = (totalSize / maxSize) * 100;
 
@@ -112,8 +97,13 @@ ${storageInfo.usagePercent > 80 ? '⚠️ Storage nearly full! Consider exportin
     };
   }
 
-  clearAllSessions() {
-    const confirmed = confirm('⚠️ Are you sure you want to clear all saved routes? This cannot be undone!');
+  async clearAllSessions() {
+    const confirmed = await dialogs.confirm({
+      title: 'Clear saved routes',
+      message: '⚠️ Are you sure you want to clear all saved routes? This cannot be undone!',
+      confirmLabel: 'Clear routes',
+      danger: true
+    });
     if (confirmed) {
       localStorage.removeItem('sessions');
       localStorage.removeItem('route_backup');
@@ -121,8 +111,13 @@ ${storageInfo.usagePercent > 80 ? '⚠️ Storage nearly full! Consider exportin
     }
   }
 
-  clearAllAppData() {
-    const confirmed = confirm('⚠️ This will permanently delete all routes, photos, and settings. Continue?');
+  async clearAllAppData() {
+    const confirmed = await dialogs.confirm({
+      title: 'Clear all app data',
+      message: '⚠️ This will permanently delete all routes, photos, and settings. Continue?',
+      confirmLabel: 'Delete everything',
+      danger: true
+    });
     if (confirmed) {
       const keysToKeep = ['darkMode']; // Keep user preferences
       const allKeys = Object.keys(localStorage);
@@ -150,101 +145,16 @@ ${storageInfo.usagePercent > 80 ? '⚠️ Storage nearly full! Consider exportin
     delete window.showStorageMonitor;
     delete window.clearAllSessions;
     delete window.clearAllAppData;
+    delete window.showRouteManager;
   }
 
-  // Enhanced route management
-async showRouteManager() {
-  try {
-    const app = window.AccessNatureApp;
-    const state = app?.getController('state');
-    const routes = await state?.getSessions();
-    
-    if (!routes || routes.length === 0) {
-      alert('📂 No saved routes found.\n\nStart tracking to create your first route!');
-      return;
-    }
-
-    let message = `📂 Route Manager (${routes.length} routes):\n\n`;
-    
-    routes.slice(0, 10).forEach((route, index) => {
-      const date = new Date(route.date).toLocaleDateString();
-      const size = route.dataSize ? ` (${this.formatBytes(route.dataSize)})` : '';
-      message += `${index + 1}. ${route.name}\n`;
-      message += `   📅 ${date} | 📏 ${route.totalDistance?.toFixed(2) || 0} km${size}\n\n`;
-    });
-
-    if (routes.length > 10) {
-      message += `... and ${routes.length - 10} more routes\n\n`;
-    }
-
-    message += `Actions:\n`;
-    message += `• Enter number (1-${Math.min(routes.length, 10)}) to manage specific route\n`;
-    message += `• Type "all" to see all routes\n`;
-    message += `• Type "export" to export all routes\n`;
-    message += `• Cancel to close`;
-
-    const choice = prompt(message);
-    
-    if (!choice) return;
-    
-    if (choice.toLowerCase() === 'all') {
-      this.showAllRoutes(routes);
-    } else if (choice.toLowerCase() === 'export') {
-      this.exportAllRoutes(routes);
+  // Saved routes are managed in the route library panel
+  showRouteManager() {
+    const library = window.AccessNatureApp?.getController('library');
+    if (library) {
+      library.open();
     } else {
-      const index = parseInt(choice) - 1;
-      if (index >= 0 && index < Math.min(routes.length, 10)) {
-        this.manageRoute(routes[index]);
-      }
+      console.warn('Route library not available');
     }
-    
-  } catch (error) {
-    console.error('❌ Failed to show route manager:', error);
-    alert('❌ Failed to load routes');
-  }
-}
-
-manageRoute(route) {
-  const date = new Date(route.date).toLocaleDateString();
-  const actions = `🗂️ Manage "${route.name}":
-
-📅 Created: ${date}
-📏 Distance: ${route.totalDistance?.toFixed(2) || 0} km
-📊 Data Points: ${route.data?.length || 0}
-${route.dataSize ? `💾 Size: ${this.formatBytes(route.dataSize)}` : ''}
-
-Actions:
-1. 👁️ View on map
-2. 📤 Export route
-3. 📋 Copy details
-4. 🗑️ Delete route
-5. ❌ Cancel
-
-Enter choice (1-5):`;
-
-  const choice = prompt(actions);
-  
-  switch (choice) {
-    case '1':
-      this.viewRouteOnMap(route);
-      break;
-    case '2':
-      this.exportSingleRoute(route);
-      break;
-    case '3':
-      this.copyRouteDetails(route);
-      break;
-    case '4':
-      this.deleteRoute(route);
-      break;
   }
 }
-
-formatBytes(bytes) {
-  if (bytes === 0) return '0 Bytes';
-  const k = 1024;
-  const sizes = ['Bytes', 'KB', 'MB', 'GB'];
-  const i = Math.floor(Math.log(bytes) / Math.log(k));
-  return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
-}
-}
\ No newline at end of file
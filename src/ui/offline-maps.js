@@ -0,0 +1,328 @@
+// Offline maps panel - download the visible map area ahead of a walk, and manage the areas already stored
+import { dialogs } from './dialog.js';
+import { countAreaTiles, getTileBudget, canDownloadAreas, MAX_AREA_TILES, AVERAGE_TILE_SIZE, TILE_MAX_ZOOM } from '../core/tile-cache.js';
+import { t, formatDate, formatNumber, onLanguageChange } from '../i18n/i18n.js';
+
+const MIN_OFFLINE_ZOOM = 10;
+const DEFAULT_MAX_ZOOM = 17;
+
+// The status line is a live region, so progress is only re-announced every this many percent
+const STATUS_STEP = 10;
+
+const toMegabytes = (bytes) => formatNumber(bytes / 1048576, { maximumFractionDigits: 1 });
+
+export class OfflineMapsController {
+  constructor(appState) {
+    this.appState = appState;
+    this.dependencies = {};
+    this.elements = {};
+    this.download = null; // AbortController of the download in progress
+    this.mapListening = false;
+  }
+
+  setDependencies(deps) {
+    this.dependencies = deps;
+  }
+
+  initialize() {
+    const byId = (id) => document.getElementById(id);
+    this.panel = byId('offlineMapsPanel');
+    if (!this.panel) {
+      console.warn('Offline maps panel not found');
+      return;
+    }
+
+    this.elements = {
+      name: byId('offlineAreaName'),
+      minZoom: byId('offlineMinZoom'),
+      maxZoom: byId('offlineMaxZoom'),
+      estimate: byId('offlineMapsEstimate'),
+      download: byId('offlineDownloadBtn'),
+      stop: byId('offlineStopBtn'),
+      progress: byId('offlineMapsProgress'),
+      status: byId('offlineMapsStatus'),
+      usage: byId('offlineMapsUsage'),
+      list: byId('offlineAreaList')
+    };
+
+    // The tile server is only picked on load, so this holds until the page reloads
+    this.downloadAllowed = canDownloadAreas();
+    [this.elements.minZoom, this.elements.maxZoom].forEach(select => {
+      for (let zoom = MIN_OFFLINE_ZOOM; zoom <= TILE_MAX_ZOOM; zoom++) {
+        select.add(new Option(String(zoom), String(zoom)));
+      }
+      select.addEventListener('change', () => this.updateEstimate());
+    });
+
+    byId('offlineMapsBtn')?.addEventListener('click', () => this.open());
+    this.elements.download.addEventListener('click', () => this.downloadVisibleArea());
+    this.elements.stop.addEventListener('click', () => this.download?.abort());
+
+    onLanguageChange(() => {
+      if (this.isOpen()) {
+        this.updateEstimate();
+        this.renderAreas();
+      }
+    });
+
+    console.log('🗺️ Offline maps initialized');
+  }
+
+  isOpen() {
+    return !this.panel.classList.contains('hidden');
+  }
+
+  async open() {
+    const map = this.dependencies.map?.map;
+    if (!map) {
+      alert(t('offlineMaps.mapNotReady'));
+      return;
+    }
+
+    const navigation = this.dependencies.navigation;
+    if (navigation) {
+      navigation.hideAllPanels();
+      navigation.togglePanel('offlineMapsPanel');
+    } else {
+      this.panel.classList.remove('hidden');
+    }
+
+    if (!this.mapListening) {
+      map.on('moveend', () => {
+        if (this.isOpen()) this.updateEstimate();
+      });
+      this.mapListening = true;
+    }
+
+    // Start from what's on screen: the current zoom up to trail detail
+    if (!this.download) {
+      const zoom = Math.min(TILE_MAX_ZOOM, Math.max(MIN_OFFLINE_ZOOM, Math.round(map.getZoom())));
+      this.elements.minZoom.value = String(zoom);
+      this.elements.maxZoom.value = String(Math.max(zoom, DEFAULT_MAX_ZOOM));
+      this.elements.name.value = '';
+      this.elements.name.placeholder = t('offlineMaps.defaultName', { date: formatDate(Date.now()) });
+    }
+
+    this.updateEstimate();
+    await this.renderAreas();
+    this.elements.name.focus();
+  }
+
+  getVisibleBounds() {
+    const bounds = this.dependencies.map.map.getBounds();
+    return { north: bounds.getNorth(), south: bounds.getSouth(), east: bounds.getEast(), west: bounds.getWest() };
+  }
+
+  getZoomRange() {
+    const first = Number(this.elements.minZoom.value);
+    const second = Number(this.elements.maxZoom.value);
+    return { minZoom: Math.min(first, second), maxZoom: Math.max(first, second) };
+  }
+
+  updateEstimate() {
+    // With the default OpenStreetMap servers nothing can be downloaded; the panel says why
+    if (!this.downloadAllowed) {
+      this.elements.estimate.textContent = t('offlineMaps.serverNotAllowed');
+      this.elements.estimate.classList.add('offline-maps-warning');
+      this.elements.download.disabled = true;
+      return;
+    }
+
+    const { minZoom, maxZoom } = this.getZoomRange();
+    const count = countAreaTiles(this.getVisibleBounds(), minZoom, maxZoom);
+    const tooMany = count > MAX_AREA_TILES;
+
+    this.elements.estimate.textContent = tooMany
+      ? t('offlineMaps.tooMany', { count: formatNumber(count), limit: formatNumber(MAX_AREA_TILES) })
+      : t('offlineMaps.estimate', { count: formatNumber(count), size: toMegabytes(count * AVERAGE_TILE_SIZE) });
+    this.elements.estimate.classList.toggle('offline-maps-warning', tooMany);
+    if (!this.download) this.elements.download.disabled = tooMany;
+  }
+
+  downloadVisibleArea() {
+    const { minZoom, maxZoom } = this.getZoomRange();
+    return this.runDownload({
+      name: this.elements.name.value.trim() || this.elements.name.placeholder,
+      bounds: this.getVisibleBounds(),
+      minZoom,
+      maxZoom
+    });
+  }
+
+  refreshArea(area) {
+    return this.runDownload({ id: area.id, name: area.name, bounds: area.bounds, minZoom: area.minZoom, maxZoom: area.maxZoom });
+  }
+
+  async runDownload(options) {
+    if (this.download) return;
+    if (!this.downloadAllowed) {
+      alert(t('offlineMaps.serverNotAllowed'));
+      return;
+    }
+    if (!navigator.onLine) {
+      alert(t('offlineMaps.offline'));
+      return;
+    }
+
+    this.download = new AbortController();
+    this.setDownloading(true);
+    this.setStatus(t('offlineMaps.starting'));
+    let lastStep = -1;
+
+    try {
+      const result = await this.appState.tileCache.downloadArea({
+        ...options,
+        signal: this.download.signal,
+        onProgress: ({ done, total }) => {
+          this.elements.progress.max = total;
+          this.elements.progress.value = done;
+          const step = Math.floor(done / total * 100 / STATUS_STEP);
+          if (step !== lastStep) {
+            lastStep = step;
+            this.setStatus(t('offlineMaps.progress', { done: formatNumber(done), total: formatNumber(total) }));
+          }
+        }
+      });
+
+      const saved = result.done - result.failed;
+      const params = { name: options.name, saved: formatNumber(saved), total: formatNumber(result.total) };
+      let message;
+      if (result.overBudget) {
+        message = t('offlineMaps.budgetStop', params);
+      } else if (result.cancelled) {
+        message = t('offlineMaps.stopped', params);
+      } else if (result.failed > 0) {
+        message = t('offlineMaps.partial', { ...params, failed: formatNumber(result.failed) });
+      } else {
+        message = t('offlineMaps.done', params);
+      }
+      this.setStatus(message);
+    } catch (error) {
+      console.error('❌ Offline map download failed:', error);
+      const message = {
+        budget: t('offlineMaps.errorBudget', { budget: toMegabytes(getTileBudget()) }),
+        tooManyTiles: t('offlineMaps.errorTooMany', { limit: formatNumber(MAX_AREA_TILES) }),
+        serverNotAllowed: t('offlineMaps.serverNotAllowed')
+      }[error.code] || t('offlineMaps.failed', { error: error.message });
+      this.setStatus(message);
+      alert(message);
+    } finally {
+      this.download = null;
+      this.setDownloading(false);
+      this.updateEstimate();
+      await this.renderAreas();
+    }
+  }
+
+  setDownloading(downloading) {
+    this.elements.download.disabled = downloading;
+    this.elements.download.classList.toggle('hidden', downloading);
+    this.elements.stop.classList.toggle('hidden', !downloading);
+    this.elements.progress.classList.toggle('hidden', !downloading);
+    if (downloading) {
+      this.elements.progress.value = 0;
+      this.elements.stop.focus();
+    } else {
+      this.elements.download.focus();
+    }
+    this.elements.list.querySelectorAll('button[data-action="refresh"], button[data-action="delete"]')
+      .forEach(button => { button.disabled = downloading || (button.dataset.action === 'refresh' && !this.downloadAllowed); });
+  }
+
+  setStatus(message) {
+    this.elements.status.textContent = message;
+  }
+
+  async renderAreas() {
+    let areas;
+    let usage;
+    try {
+      [areas, usage] = await Promise.all([this.appState.tileCache.getAreas(), this.appState.tileCache.getUsage()]);
+    } catch (error) {
+      console.warn('Offline areas unavailable:', error);
+      this.elements.usage.textContent = '';
+      this.elements.list.replaceChildren();
+      return;
+    }
+
+    this.elements.usage.textContent = t('offlineMaps.usage', { used: toMegabytes(usage.size), budget: toMegabytes(usage.budget) });
+
+    if (areas.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'offline-maps-empty';
+      empty.textContent = t('offlineMaps.noAreas');
+      this.elements.list.replaceChildren(empty);
+      return;
+    }
+
+    const now = Date.now();
+    this.elements.list.replaceChildren(...areas.map(area => {
+      const item = document.createElement('li');
+      item.className = 'offline-area';
+
+      const name = document.createElement('span');
+      name.className = 'library-route-name';
+      name.textContent = area.name;
+
+      const meta = document.createElement('span');
+      meta.className = 'library-route-meta';
+      const state = area.expiresAt <= now
+        ? t('offlineMaps.expired')
+        : area.complete
+          ? t('offlineMaps.freshUntil', { date: formatDate(area.expiresAt) })
+          : t('offlineMaps.incomplete', { saved: formatNumber(area.savedCount), total: formatNumber(area.tileCount) });
+      meta.textContent = `${t('offlineMaps.areaMeta', {
+        tiles: formatNumber(area.savedCount),
+        size: toMegabytes(area.size),
+        minZoom: area.minZoom,
+        maxZoom: area.maxZoom
+      })} · ${state}`;
+
+      const actions = document.createElement('div');
+      actions.className = 'offline-area-actions';
+      const buttons = {
+        show: () => this.showArea(area),
+        refresh: () => this.refreshArea(area),
+        delete: () => this.deleteArea(area)
+      };
+      Object.entries(buttons).forEach(([action, handler]) => {
+        const button = document.createElement('button');
+        button.className = 'popup-button';
+        button.dataset.action = action;
+        button.textContent = t(`offlineMaps.${action}`);
+        button.setAttribute('aria-label', t(`offlineMaps.${action}Label`, { name: area.name }));
+        button.disabled = action === 'refresh' ? Boolean(this.download) || !this.downloadAllowed : Boolean(this.download) && action !== 'show';
+        button.addEventListener('click', handler);
+        actions.appendChild(button);
+      });
+
+      item.append(name, meta, actions);
+      return item;
+    }));
+  }
+
+  showArea(area) {
+    const { north, south, east, west } = area.bounds;
+    this.dependencies.navigation?.hideAllPanels();
+    this.dependencies.map.map.fitBounds([[south, west], [north, east]]);
+  }
+
+  async deleteArea(area) {
+    const confirmed = await dialogs.confirm({
+      title: t('offlineMaps.deleteTitle'),
+      message: t('offlineMaps.deleteMessage', { name: area.name }),
+      confirmLabel: t('offlineMaps.delete'),
+      danger: true
+    });
+    if (!confirmed) return;
+
+    try {
+      await this.appState.tileCache.deleteArea(area.id);
+      this.setStatus(t('offlineMaps.deleted', { name: area.name }));
+    } catch (error) {
+      console.error('❌ Failed to delete offline area:', error);
+      alert(t('offlineMaps.failed', { error: error.message }));
+    }
+    await this.renderAreas();
+  }
+}
@@ -0,0 +1,54 @@
+// Service worker registration - offline app shell, and a prompt when a new release has been downloaded
+import { dialogs, announceToScreenReader } from './dialog.js';
+import { t } from '../i18n/i18n.js';
+
+const SERVICE_WORKER_URL = new URL('../../sw.js', import.meta.url);
+
+export async function registerServiceWorker() {
+  if (!('serviceWorker' in navigator)) {
+    console.log('📴 Service workers not supported - offline mode unavailable');
+    return null;
+  }
+
+  try {
+    const hadController = Boolean(navigator.serviceWorker.controller);
+    const registration = await navigator.serviceWorker.register(SERVICE_WORKER_URL);
+    console.log('📦 Service worker registered:', registration.scope);
+
+    // A release installed during an earlier visit is still waiting for the old pages to close
+    if (registration.waiting && hadController) {
+      promptForUpdate(registration.waiting);
+    }
+
+    registration.addEventListener('updatefound', () => {
+      const worker = registration.installing;
+      worker?.addEventListener('statechange', () => {
+        if (worker.state !== 'installed') return;
+        if (navigator.serviceWorker.controller) {
+          promptForUpdate(worker);
+        } else {
+          announceToScreenReader(t('offline.ready'));
+          console.log('✅ App shell cached for offline use');
+        }
+      });
+    });
+
+    return registration;
+  } catch (error) {
+    console.warn('Service worker registration failed:', error);
+    return null;
+  }
+}
+
+async function promptForUpdate(worker) {
+  const reload = await dialogs.confirm({
+    title: t('offline.updateTitle'),
+    message: t('offline.updateMessage'),
+    confirmLabel: t('offline.updateNow'),
+    cancelLabel: t('offline.updateLater')
+  });
+  if (!reload) return;
+
+  navigator.serviceWorker.addEventListener('controllerchange', () => window.location.reload(), { once: true });
+  worker.postMessage({ type: 'SKIP_WAITING' });
+}
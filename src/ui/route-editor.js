@@ -0,0 +1,511 @@
+// Route editor - trim, split, merge, move and delete points of a route on the map, with undo/redo
+import { RouteEditSession, isEditablePoint, computeRouteStats } from '../core/route-edit.js';
+import { isMediaEntry } from '../core/media-store.js';
+import { splitTrackSegments } from '../utils/calculations.js';
+import { dialogs, announceToScreenReader } from './dialog.js';
+import { t, formatDate, formatDateTime, formatNumber, onLanguageChange } from '../i18n/i18n.js';
+
+const ROUTE_COLOR = '#4CAF50';
+const PART_COLOR = '#FF9800';
+const SELECTED_COLOR = '#1976D2';
+
+// Shift+arrow moves the selected point this far, for editing without dragging
+const NUDGE_METERS = 2;
+const METERS_PER_DEGREE = 111320;
+
+// The tracker's single-key shortcuts, swallowed while editing so a stray key doesn't take a photo
+const TRACKER_SHORTCUTS = [' ', 'a', 'r', 'p', 'n', 'v', 'b'];
+
+export class RouteEditorController {
+  constructor(appState) {
+    this.appState = appState;
+    this.dependencies = {};
+    this.elements = {};
+    this.session = null;
+    this.route = null; // the saved route being edited, null for the unsaved one
+    this.mergedRoutes = new Map(); // id -> saved route loaded for merging; the session tracks which are merged
+    this.selectedIndex = null; // entry index of the selected point
+    this.layer = null;
+    this.handle = null;
+    this.handleKeydown = (e) => this.onKeydown(e);
+  }
+
+  setDependencies(deps) {
+    this.dependencies = deps;
+  }
+
+  initialize() {
+    const byId = (id) => document.getElementById(id);
+    this.bar = byId('routeEditorBar');
+    if (!this.bar) {
+      console.warn('Route editor toolbar not found');
+      return;
+    }
+
+    this.elements = {
+      title: byId('route-editor-title'),
+      stats: byId('routeEditorStats'),
+      point: byId('routeEditorPoint')
+    };
+
+    byId('editRouteBtn')?.addEventListener('click', () => this.editCurrentRoute());
+
+    const actions = {
+      routeEditorPrevBtn: () => this.selectAdjacent(-1),
+      routeEditorNextBtn: () => this.selectAdjacent(1),
+      routeEditorTrimStartBtn: () => this.edit(session => session.trimStart(this.selectedIndex)),
+      routeEditorTrimEndBtn: () => this.edit(session => session.trimEnd(this.selectedIndex)),
+      routeEditorSplitBtn: () => this.edit(session => session.split(this.selectedIndex)),
+      routeEditorDeleteBtn: () => this.deleteSelectedPoint(),
+      routeEditorMergeBtn: () => this.mergeNextRoute(),
+      routeEditorUndoBtn: () => this.undo(),
+      routeEditorRedoBtn: () => this.redo(),
+      routeEditorSaveBtn: () => this.save(),
+      routeEditorCancelBtn: () => this.cancel()
+    };
+    this.buttons = {};
+    Object.entries(actions).forEach(([id, handler]) => {
+      const button = byId(id);
+      if (!button) return;
+      button.addEventListener('click', () => this.runAction(handler));
+      this.buttons[id] = button;
+    });
+
+    onLanguageChange(() => {
+      if (this.session) this.updateToolbar();
+    });
+
+    console.log('✂️ Route editor initialized');
+  }
+
+  isEditing() {
+    return this.session !== null;
+  }
+
+  editCurrentRoute() {
+    if (this.appState.getTrackingState().isTracking) {
+      alert(t('editor.stopTrackingFirst'));
+      return false;
+    }
+
+    const routeData = this.appState.getRouteData();
+    if (routeData.filter(isEditablePoint).length < 2) {
+      alert(t('editor.noCurrentRoute'));
+      return false;
+    }
+
+    return this.open(routeData, { elapsedTime: this.appState.getElapsedTime() });
+  }
+
+  async editSavedRoute(id) {
+    const route = await this.appState.getRoute(id);
+    if (!route) {
+      alert(t('library.notFound'));
+      return false;
+    }
+    if ((route.data || []).filter(isEditablePoint).length < 2) {
+      alert(t('editor.tooFewPoints'));
+      return false;
+    }
+
+    return this.open(route.data, { elapsedTime: route.elapsedTime || 0, route });
+  }
+
+  open(entries, { elapsedTime, route = null }) {
+    if (this.session) this.close();
+
+    const mapController = this.dependencies.map;
+    if (!mapController?.map) {
+      console.warn('Map not ready for route editing');
+      return false;
+    }
+
+    this.session = new RouteEditSession(entries, { elapsedTime });
+    this.route = route;
+    this.mergedRoutes.clear();
+    this.selectedIndex = null;
+
+    this.dependencies.navigation?.hideAllPanels();
+    mapController.clearRouteDisplay();
+    this.renderer = L.canvas({ padding: 0.5 });
+    this.layer = L.layerGroup().addTo(mapController.map);
+
+    document.body.classList.add('route-editing');
+    this.bar.classList.remove('hidden');
+    document.addEventListener('keydown', this.handleKeydown, true);
+
+    this.draw();
+    this.fitRoute();
+    this.updateToolbar();
+    this.buttons.routeEditorNextBtn?.focus();
+    announceToScreenReader(t('editor.opened'));
+    console.log(`✂️ Editing ${route ? `"${route.name}"` : 'current route'} (${this.session.getPointIndexes().length} points)`);
+    return true;
+  }
+
+  // Leaves the editor and shows the route as it is stored now
+  close() {
+    document.removeEventListener('keydown', this.handleKeydown, true);
+    document.body.classList.remove('route-editing');
+    this.bar.classList.add('hidden');
+
+    this.layer?.remove();
+    this.layer = null;
+    this.handle = null;
+    this.session = null;
+    this.mergedRoutes.clear();
+    this.selectedIndex = null;
+  }
+
+  // Toolbar and keyboard actions share the error handling
+  async runAction(action) {
+    try {
+      await action();
+    } catch (error) {
+      console.error('❌ Route edit failed:', error);
+      alert(t('editor.actionFailed', { error: error.message }));
+    }
+  }
+
+  // Applies an edit to the session; returns false when the edit wasn't possible at the selected point
+  edit(change) {
+    if (!this.session) return false;
+
+    const action = change(this.session);
+    if (!action) {
+      announceToScreenReader(t('editor.notPossible'));
+      return false;
+    }
+
+    // Trimming the start moves the selected point to the front
+    if (action === 'trimStart') {
+      this.selectedIndex = this.session.getPointIndexes()[0];
+    }
+    this.afterChange();
+    announceToScreenReader(t(`editor.done.${action}`));
+    return true;
+  }
+
+  deleteSelectedPoint() {
+    const points = this.session.getPointIndexes();
+    const position = points.indexOf(this.selectedIndex);
+    if (!this.edit(session => session.deletePoint(this.selectedIndex))) return;
+
+    // The following point moves up into the deleted one's place
+    const remaining = this.session.getPointIndexes();
+    this.selectedIndex = remaining[Math.min(position, remaining.length - 1)];
+    this.afterChange();
+  }
+
+  undo() {
+    const action = this.session?.undo();
+    if (!action) return;
+    this.afterChange();
+    announceToScreenReader(t('editor.undone', { action: t(`editor.done.${action}`) }));
+  }
+
+  redo() {
+    const action = this.session?.redo();
+    if (!action) return;
+    this.afterChange();
+    announceToScreenReader(t('editor.redone', { action: t(`editor.done.${action}`) }));
+  }
+
+  afterChange() {
+    if (!isEditablePoint(this.session.entries[this.selectedIndex])) {
+      this.selectedIndex = null;
+    }
+    this.draw();
+    this.updateToolbar();
+  }
+
+  // Appends the saved route recorded after this one (or after the last one merged)
+  async mergeNextRoute() {
+    if (!this.route) return;
+
+    const lastMerged = this.session.merged[this.session.merged.length - 1];
+    const after = lastMerged ? this.mergedRoutes.get(lastMerged.id) : this.route;
+    const next = await this.appState.getNextRoute(after);
+    if (!next) {
+      alert(t('editor.noNextRoute'));
+      return;
+    }
+
+    const confirmed = await dialogs.confirm({
+      title: t('editor.mergeTitle'),
+      message: t('editor.mergeConfirm', {
+        name: next.name,
+        date: formatDate(next.date),
+        distance: formatNumber(next.totalDistance || 0, { maximumFractionDigits: 2 })
+      }),
+      confirmLabel: t('editor.merge')
+    });
+    if (!confirmed) return;
+
+    this.mergedRoutes.set(next.id, next);
+    if (this.edit(session => session.mergeRoute(next))) {
+      this.fitRoute();
+    }
+  }
+
+  async save() {
+    if (!this.session?.isDirty()) return;
+
+    const { session } = this;
+    const before = computeDistance(session.initialState.entries);
+    const stats = session.getStats();
+    const removedMedia = this.countRemovedMedia();
+
+    const details = [t('editor.saveDistance', { before: formatKm(before), after: formatKm(stats.distance) })];
+    if (session.parts.length > 0) details.push(t('editor.saveParts', { count: session.parts.length }));
+    if (session.merged.length > 0) details.push(t('editor.saveMerged', { names: session.merged.map(route => route.name).join(', ') }));
+    if (removedMedia > 0) details.push(t('editor.saveRemovedMedia', { count: removedMedia }));
+
+    const confirmed = await dialogs.confirm({
+      title: t('editor.saveTitle'),
+      message: details.join('\n'),
+      confirmLabel: t('editor.save'),
+      danger: removedMedia > 0
+    });
+    if (!confirmed) return;
+
+    const entries = session.entries;
+    if (this.route) {
+      const name = this.route.name;
+      await this.appState.applyRouteEdit(this.route.id, {
+        data: entries,
+        totalDistance: stats.distance,
+        elapsedTime: stats.elapsedTime,
+        parts: session.parts.map((data, index) => ({
+          name: t('editor.partName', { name, number: index + 2 }),
+          data,
+          totalDistance: computeDistance(data),
+          elapsedTime: session.estimateElapsedTime(data)
+        })),
+        mergedIds: session.merged.map(route => route.id)
+      });
+    } else {
+      await this.appState.replaceRouteData(entries, { totalDistance: stats.distance, elapsedTime: stats.elapsedTime });
+    }
+
+    this.close();
+    this.dependencies.map?.showRouteData(entries);
+    announceToScreenReader(t('editor.saved'));
+  }
+
+  async cancel() {
+    if (!this.session) return;
+
+    if (this.session.isDirty()) {
+      const discard = await dialogs.confirm({
+        title: t('editor.discardTitle'),
+        message: t('editor.discardMessage'),
+        confirmLabel: t('editor.discard'),
+        cancelLabel: t('editor.keepEditing'),
+        danger: true
+      });
+      if (!discard) return;
+    }
+
+    const original = this.session.initialState.entries;
+    this.close();
+    this.dependencies.map?.showRouteData(original);
+    announceToScreenReader(t('editor.cancelled'));
+  }
+
+  // Photos and recordings that saving would delete: trimmed off, or left out of every part
+  countRemovedMedia() {
+    const { session } = this;
+    const kept = new Set([session.entries, ...session.parts].flat().filter(isMediaEntry));
+    const original = [session.initialState.entries, ...session.merged.map(({ id }) => this.mergedRoutes.get(id).data || [])].flat();
+    return original.filter(entry => isMediaEntry(entry) && !kept.has(entry)).length;
+  }
+
+  selectPoint(index) {
+    this.selectedIndex = index;
+    this.draw();
+    this.updateToolbar();
+  }
+
+  selectAdjacent(step) {
+    const points = this.session.getPointIndexes();
+    const position = points.indexOf(this.selectedIndex);
+    const next = position === -1
+      ? (step > 0 ? 0 : points.length - 1)
+      : Math.max(0, Math.min(points.length - 1, position + step));
+
+    this.selectPoint(points[next]);
+    const { coords } = this.session.entries[this.selectedIndex];
+    this.dependencies.map.map.panTo([coords.lat, coords.lng]);
+  }
+
+  // Moves the selected point a few meters north, south, east or west
+  nudgeSelected(dLat, dLng) {
+    const entry = this.session.entries[this.selectedIndex];
+    if (!isEditablePoint(entry)) return;
+
+    const { lat, lng } = entry.coords;
+    const metersPerDegreeLng = METERS_PER_DEGREE * Math.cos(lat * Math.PI / 180);
+    this.edit(session => session.movePoint(this.selectedIndex, {
+      lat: lat + dLat * NUDGE_METERS / METERS_PER_DEGREE,
+      lng: lng + dLng * NUDGE_METERS / metersPerDegreeLng
+    }));
+  }
+
+  draw() {
+    const { session, layer, renderer } = this;
+    layer.clearLayers();
+    this.handle = null;
+
+    // Parts split off are dashed: they will be saved as routes of their own
+    session.parts.forEach(part => {
+      this.drawTrack(part.filter(isEditablePoint), { color: PART_COLOR, dashArray: '8 8' });
+    });
+
+    const points = session.entries.filter(isEditablePoint);
+    this.drawTrack(points, { color: ROUTE_COLOR });
+
+    session.entries.forEach((entry, index) => {
+      if (!isEditablePoint(entry)) return;
+      const selected = index === this.selectedIndex;
+      L.circleMarker([entry.coords.lat, entry.coords.lng], {
+        renderer,
+        radius: selected ? 7 : 4,
+        color: selected ? SELECTED_COLOR : ROUTE_COLOR,
+        fillColor: '#ffffff',
+        fillOpacity: 1,
+        weight: 2
+      })
+        .on('click', () => this.selectPoint(index))
+        .addTo(layer);
+    });
+
+    const selected = session.entries[this.selectedIndex];
+    if (isEditablePoint(selected)) {
+      this.handle = L.marker([selected.coords.lat, selected.coords.lng], {
+        draggable: true,
+        keyboard: false,
+        icon: L.divIcon({ className: 'route-editor-handle', iconSize: [24, 24] })
+      })
+        .on('dragend', () => {
+          const { lat, lng } = this.handle.getLatLng();
+          this.edit(editSession => editSession.movePoint(this.selectedIndex, { lat, lng }));
+        })
+        .addTo(layer);
+    }
+  }
+
+  drawTrack(points, style) {
+    if (points.length < 2) return;
+    const lines = splitTrackSegments(points).map(segment => segment.map(point => [point.coords.lat, point.coords.lng]));
+    L.polyline(lines, { ...style, weight: 4, opacity: 0.8, interactive: false }).addTo(this.layer);
+  }
+
+  fitRoute() {
+    const points = [this.session.entries, ...this.session.parts].flat().filter(isEditablePoint);
+    if (points.length === 0) return;
+    this.dependencies.map.map.fitBounds(L.latLngBounds(points.map(point => [point.coords.lat, point.coords.lng])), { padding: [30, 30] });
+  }
+
+  updateToolbar() {
+    const { session } = this;
+    const stats = session.getStats();
+    const points = session.getPointIndexes();
+    const position = points.indexOf(this.selectedIndex);
+
+    this.elements.title.textContent = this.route
+      ? t('editor.titleNamed', { name: this.route.name })
+      : t('editor.titleCurrent');
+
+    const summary = [t('editor.stats', {
+      distance: formatKm(stats.distance),
+      duration: formatDuration(stats.elapsedTime),
+      points: stats.pointCount
+    })];
+    if (session.parts.length > 0) summary.push(t('editor.pendingParts', { count: session.parts.length }));
+    if (session.merged.length > 0) summary.push(t('editor.pendingMerged', { count: session.merged.length }));
+    this.elements.stats.textContent = summary.join(' · ');
+
+    const entry = session.entries[this.selectedIndex];
+    this.elements.point.textContent = position === -1
+      ? t('editor.noPointSelected')
+      : t('editor.pointInfo', {
+        number: position + 1,
+        count: points.length,
+        time: entry.timestamp ? formatDateTime(entry.timestamp, { timeStyle: 'medium' }) : '-'
+      });
+
+    const inner = position > 0 && position < points.length - 1;
+    const disabled = {
+      routeEditorPrevBtn: position === 0,
+      routeEditorNextBtn: position === points.length - 1,
+      routeEditorTrimStartBtn: !inner,
+      routeEditorTrimEndBtn: !inner,
+      // Splitting and merging create and remove saved routes, so they need one
+      routeEditorSplitBtn: !inner || !this.route,
+      routeEditorMergeBtn: !this.route,
+      routeEditorDeleteBtn: position === -1 || points.length <= 2,
+      routeEditorUndoBtn: !session.canUndo(),
+      routeEditorRedoBtn: !session.canRedo(),
+      routeEditorSaveBtn: !session.isDirty()
+    };
+    Object.entries(disabled).forEach(([id, value]) => {
+      if (this.buttons[id]) this.buttons[id].disabled = value;
+    });
+  }
+
+  onKeydown(e) {
+    // Open dialogs and form fields keep their own keys
+    if (document.querySelector('.dialog-backdrop')) return;
+    if (['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) return;
+
+    const key = e.key.toLowerCase();
+    const command = e.ctrlKey || e.metaKey;
+    let handled = true;
+
+    if (command && key === 'z') {
+      this.runAction(() => (e.shiftKey ? this.redo() : this.undo()));
+    } else if (command && key === 'y') {
+      this.runAction(() => this.redo());
+    } else if (command && key === 's') {
+      this.runAction(() => this.save());
+    } else if (e.shiftKey && key.startsWith('arrow') && this.selectedIndex !== null) {
+      const [dLat, dLng] = { arrowup: [1, 0], arrowdown: [-1, 0], arrowleft: [0, -1], arrowright: [0, 1] }[key];
+      this.nudgeSelected(dLat, dLng);
+    } else if (key === 'arrowleft' || key === 'arrowright') {
+      // In right-to-left layouts the previous point is to the right
+      const rtl = document.documentElement.dir === 'rtl';
+      this.selectAdjacent((key === 'arrowright') !== rtl ? 1 : -1);
+    } else if ((key === 'delete' || key === 'backspace') && this.selectedIndex !== null) {
+      this.runAction(() => this.deleteSelectedPoint());
+    } else if (key === 'escape') {
+      this.runAction(() => this.cancel());
+    } else if (!command && TRACKER_SHORTCUTS.includes(key)) {
+      // Swallowed, but a focused button still gets its Space
+      e.stopPropagation();
+      return;
+    } else {
+      handled = false;
+    }
+
+    if (handled) {
+      e.preventDefault();
+      e.stopPropagation();
+    }
+  }
+}
+
+function computeDistance(entries) {
+  return computeRouteStats(entries).distance;
+}
+
+function formatKm(distance) {
+  return formatNumber(distance, { maximumFractionDigits: 2 });
+}
+
+function formatDuration(milliseconds) {
+  const totalMinutes = Math.round((milliseconds || 0) / 60000);
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  return hours > 0 ? t('library.duration', { hours, minutes }) : t('library.durationMinutes', { minutes });
+}
@@ -0,0 +1,711 @@
+// Route library - searchable, sortable list of saved routes with tags, folders and bulk actions
+import { dialogs, announceToScreenReader } from './dialog.js';
+import { normalizeTags } from '../core/route-query.js';
+import { CONFLICT_REASONS, RESOLUTIONS, getCloudStamp } from '../core/route-sync.js';
+import { t, formatDate, formatNumber, onLanguageChange } from '../i18n/i18n.js';
+
+const SEARCH_DELAY = 250;
+
+// Folder filter values: '' = all folders, UNFILED = routes without one, FOLDER_PREFIX + name = that folder
+const UNFILED = 'unfiled';
+const FOLDER_PREFIX = 'folder:';
+
+// Cloud sync state of a route -> its label
+const SYNC_LABELS = {
+  synced: 'library.syncSynced',
+  pending: 'library.syncPending',
+  syncing: 'library.syncSyncing',
+  failed: 'library.syncFailed'
+};
+
+// Choices offered for each kind of sync conflict -> their label keys
+const CONFLICT_CHOICES = {
+  [CONFLICT_REASONS.EDITED]: [
+    [RESOLUTIONS.LOCAL, 'library.conflictKeepLocal'],
+    [RESOLUTIONS.CLOUD, 'library.conflictKeepCloud'],
+    [RESOLUTIONS.MERGE, 'library.conflictMerge']
+  ],
+  [CONFLICT_REASONS.DELETED_IN_CLOUD]: [
+    [RESOLUTIONS.LOCAL, 'library.conflictKeepRoute'],
+    [RESOLUTIONS.CLOUD, 'library.conflictDeleteHere']
+  ],
+  [CONFLICT_REASONS.DELETED_LOCALLY]: [
+    [RESOLUTIONS.LOCAL, 'library.conflictDeleteCloud'],
+    [RESOLUTIONS.CLOUD, 'library.conflictRestore']
+  ]
+};
+
+export class RouteLibraryController {
+  constructor(appState) {
+    this.appState = appState;
+    this.dependencies = {};
+    this.elements = {};
+    this.query = { sort: 'date', direction: 'desc', search: '', folder: null, tag: null };
+    this.routes = []; // summaries of the pages loaded so far
+    this.next = null;
+    this.selected = new Map(); // id -> name, kept across searches and pages
+    this.syncStates = new Map(); // id -> state of its writes waiting in the cloud outbox
+    this.syncLabels = new Map(); // id -> sync label element of the routes shown
+    this.loadToken = 0;
+    this.searchTimer = null;
+  }
+
+  setDependencies(deps) {
+    this.dependencies = deps;
+  }
+
+  initialize() {
+    const byId = (id) => document.getElementById(id);
+    this.panel = byId('routeLibraryPanel');
+    if (!this.panel) {
+      console.warn('Route library panel not found');
+      return;
+    }
+
+    this.elements = {
+      search: byId('librarySearch'),
+      sort: byId('librarySort'),
+      folder: byId('libraryFolder'),
+      tag: byId('libraryTag'),
+      selectAll: byId('librarySelectAll'),
+      count: byId('librarySelectionCount'),
+      list: byId('libraryList'),
+      status: byId('libraryStatus'),
+      more: byId('libraryMoreBtn')
+    };
+
+    byId('routeLibraryBtn')?.addEventListener('click', () => this.open());
+    byId('librarySyncBtn')?.addEventListener('click', () => this.runAction(() => this.syncRoutes()));
+
+    this.elements.search.addEventListener('input', () => {
+      clearTimeout(this.searchTimer);
+      this.searchTimer = setTimeout(() => {
+        this.query.search = this.elements.search.value.trim();
+        this.loadPage({ reset: true });
+      }, SEARCH_DELAY);
+    });
+
+    this.elements.sort.addEventListener('change', () => {
+      const [sort, direction] = this.elements.sort.value.split(':');
+      Object.assign(this.query, { sort, direction });
+      this.loadPage({ reset: true });
+    });
+
+    this.elements.folder.addEventListener('change', () => {
+      const value = this.elements.folder.value;
+      this.query.folder = value === '' ? null : value === UNFILED ? '' : value.slice(FOLDER_PREFIX.length);
+      this.loadPage({ reset: true });
+    });
+
+    this.elements.tag.addEventListener('change', () => {
+      this.query.tag = this.elements.tag.value || null;
+      this.loadPage({ reset: true });
+    });
+
+    this.elements.selectAll.addEventListener('change', () => this.toggleSelectAll(this.elements.selectAll.checked));
+    this.elements.more.addEventListener('click', () => this.loadPage());
+
+    const bulkActions = {
+      libraryExportBtn: () => this.exportSelected(),
+      libraryTagBtn: () => this.tagSelected(),
+      libraryMoveBtn: () => this.moveSelected(),
+      libraryMergeBtn: () => this.mergeSelected(),
+      libraryCloudBtn: () => this.uploadSelected(),
+      libraryDeleteBtn: () => this.deleteSelected()
+    };
+    this.bulkButtons = Object.entries(bulkActions).map(([id, handler]) => {
+      const button = byId(id);
+      button?.addEventListener('click', () => this.runAction(handler));
+      return button;
+    }).filter(Boolean);
+
+    onLanguageChange(() => {
+      this.renderFilters(this.folders || [], this.tags || []);
+      this.render();
+    });
+
+    this.appState.cloudOutbox?.onChange(() => {
+      if (!this.panel.classList.contains('hidden')) this.refreshSyncStates();
+    });
+
+    this.updateSelection();
+    console.log('📚 Route library initialized');
+  }
+
+  async open() {
+    const navigation = this.dependencies.navigation;
+    if (navigation) {
+      navigation.hideAllPanels();
+      navigation.togglePanel('routeLibraryPanel');
+    } else {
+      this.panel.classList.remove('hidden');
+    }
+
+    // Filters first: a folder or tag that is gone resets the query before the list loads
+    await this.refreshFilters();
+    await this.loadPage({ reset: true });
+    this.elements.search.focus();
+  }
+
+  // Loads the next page, or the first one again after the query or the routes changed
+  async loadPage({ reset = false } = {}) {
+    const token = ++this.loadToken;
+    this.setStatus(t('library.loading'));
+    this.elements.more.disabled = true;
+
+    try {
+      const [{ routes, next }, syncStates] = await Promise.all([
+        this.appState.getRoutePage({ ...this.query, after: reset ? null : this.next }),
+        this.loadSyncStates()
+      ]);
+      if (token !== this.loadToken) return; // a newer query took over
+      this.syncStates = syncStates;
+
+      // Keep summaries only, so the routes' point data can be released
+      const summaries = routes.map(route => this.summarize(route));
+      this.routes = reset ? summaries : [...this.routes, ...summaries];
+      this.next = next;
+      this.render();
+    } catch (error) {
+      console.error('❌ Failed to load route library:', error);
+      this.setStatus(t('library.loadFailed', { error: error.message }));
+    } finally {
+      if (token === this.loadToken) this.elements.more.disabled = false;
+    }
+  }
+
+  summarize(route) {
+    const data = route.data || [];
+    return {
+      id: route.id,
+      name: route.name,
+      date: route.date,
+      totalDistance: route.totalDistance || 0,
+      elapsedTime: route.elapsedTime || 0,
+      points: data.filter(entry => entry.type === 'location').length,
+      tags: normalizeTags(route.tags),
+      folder: route.folder || '',
+      inCloud: Boolean(route.cloudId) // given a cloud ID when first uploaded
+    };
+  }
+
+  async loadSyncStates() {
+    try {
+      return await this.appState.cloudOutbox.getRouteStates();
+    } catch (error) {
+      console.warn('Cloud sync state unavailable:', error);
+      return new Map();
+    }
+  }
+
+  // Writes waiting in the outbox come first; a route with none left that has been uploaded is in the cloud
+  getSyncState(route) {
+    return this.syncStates.get(route.id) || (route.inCloud ? 'synced' : null);
+  }
+
+  // Updates the sync labels in place, so the list keeps its focus and scroll position while uploads run
+  async refreshSyncStates() {
+    const previous = this.syncStates;
+    this.syncStates = await this.loadSyncStates();
+
+    this.routes.forEach(route => {
+      // Its writes all went through
+      if (previous.has(route.id) && !this.syncStates.has(route.id)) route.inCloud = true;
+      const label = this.syncLabels.get(route.id);
+      if (label) this.updateSyncLabel(label, route);
+    });
+  }
+
+  updateSyncLabel(label, route) {
+    const state = this.getSyncState(route);
+    label.textContent = state ? t(SYNC_LABELS[state]) : '';
+    label.dataset.state = state || '';
+    label.classList.toggle('hidden', !state);
+  }
+
+  async refreshFilters() {
+    try {
+      const [folders, tags] = await Promise.all([this.appState.getRouteFolders(), this.appState.getRouteTags()]);
+      this.folders = folders;
+      this.tags = tags;
+      this.renderFilters(folders, tags);
+    } catch (error) {
+      console.warn('Could not load route folders and tags:', error);
+    }
+  }
+
+  renderFilters(folders, tags) {
+    const { folder, tag } = this.elements;
+    const option = (value, label) => {
+      const element = document.createElement('option');
+      element.value = value;
+      element.textContent = label;
+      return element;
+    };
+
+    const folderValue = folder.value;
+    folder.replaceChildren(
+      option('', t('library.allFolders')),
+      option(UNFILED, t('library.unfiled')),
+      ...folders.map(name => option(FOLDER_PREFIX + name, `📁 ${name}`))
+    );
+    folder.value = [...folder.options].some(item => item.value === folderValue) ? folderValue : '';
+
+    const tagValue = tag.value;
+    tag.replaceChildren(
+      option('', t('library.allTags')),
+      ...tags.map(name => option(name, `🏷️ ${name}`))
+    );
+    tag.value = tags.includes(tagValue) ? tagValue : '';
+
+    // A folder or tag that no longer exists stops filtering
+    this.query.folder = folder.value === '' ? null : folder.value === UNFILED ? '' : folder.value.slice(FOLDER_PREFIX.length);
+    this.query.tag = tag.value || null;
+  }
+
+  render() {
+    const { list } = this.elements;
+    this.syncLabels.clear();
+    list.replaceChildren(...this.routes.map(route => this.createRouteItem(route)));
+
+    const filtered = Boolean(this.query.search || this.query.folder !== null || this.query.tag);
+    if (this.routes.length === 0) {
+      this.setStatus(t(filtered ? 'library.noMatches' : 'library.empty'));
+    } else {
+      this.setStatus(t(this.next ? 'library.showingMore' : 'library.showing', { count: this.routes.length }));
+    }
+
+    this.elements.more.classList.toggle('hidden', !this.next);
+    this.updateSelection();
+  }
+
+  createRouteItem(route) {
+    const item = document.createElement('li');
+    item.className = 'library-item';
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.className = 'library-checkbox';
+    checkbox.checked = this.selected.has(route.id);
+    checkbox.setAttribute('aria-label', t('library.selectRoute', { name: route.name }));
+    checkbox.addEventListener('change', () => {
+      if (checkbox.checked) {
+        this.selected.set(route.id, route.name);
+      } else {
+        this.selected.delete(route.id);
+      }
+      this.updateSelection();
+    });
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'library-route';
+    button.addEventListener('click', () => this.runAction(() => this.manageRoute(route)));
+
+    const name = document.createElement('span');
+    name.className = 'library-route-name';
+    name.textContent = route.name;
+
+    const meta = document.createElement('span');
+    meta.className = 'library-route-meta';
+    meta.textContent = t('library.routeMeta', {
+      date: formatDate(route.date),
+      distance: formatNumber(route.totalDistance, { maximumFractionDigits: 2 }),
+      duration: this.formatDuration(route.elapsedTime),
+      points: route.points
+    });
+    button.append(name, meta);
+
+    if (route.folder || route.tags.length > 0) {
+      const labels = document.createElement('span');
+      labels.className = 'library-route-labels';
+      labels.textContent = [
+        route.folder ? `📁 ${route.folder}` : '',
+        ...route.tags.map(tag => `🏷️ ${tag}`)
+      ].filter(Boolean).join('  ');
+      button.appendChild(labels);
+    }
+
+    const sync = document.createElement('span');
+    sync.className = 'library-route-sync';
+    this.updateSyncLabel(sync, route);
+    this.syncLabels.set(route.id, sync);
+    button.appendChild(sync);
+
+    item.append(checkbox, button);
+    return item;
+  }
+
+  formatDuration(milliseconds) {
+    const totalMinutes = Math.round((milliseconds || 0) / 60000);
+    const hours = Math.floor(totalMinutes / 60);
+    const minutes = totalMinutes % 60;
+    return hours > 0 ? t('library.duration', { hours, minutes }) : t('library.durationMinutes', { minutes });
+  }
+
+  setStatus(message) {
+    this.elements.status.textContent = message;
+  }
+
+  toggleSelectAll(checked) {
+    this.routes.forEach(route => {
+      if (checked) {
+        this.selected.set(route.id, route.name);
+      } else {
+        this.selected.delete(route.id);
+      }
+    });
+    this.elements.list.querySelectorAll('.library-checkbox').forEach(checkbox => {
+      checkbox.checked = checked;
+    });
+    this.updateSelection();
+  }
+
+  updateSelection() {
+    const count = this.selected.size;
+    const shownSelected = this.routes.filter(route => this.selected.has(route.id)).length;
+    const { selectAll } = this.elements;
+
+    selectAll.checked = this.routes.length > 0 && shownSelected === this.routes.length;
+    selectAll.indeterminate = shownSelected > 0 && shownSelected < this.routes.length;
+    selectAll.disabled = this.routes.length === 0;
+
+    this.elements.count.textContent = count > 0 ? t('library.selectedCount', { count }) : '';
+    this.bulkButtons.forEach(button => {
+      button.disabled = button.id === 'libraryMergeBtn' ? count < 2 : count === 0;
+    });
+  }
+
+  // Bulk and per-route actions share the error handling and the refresh afterwards
+  async runAction(action) {
+    try {
+      const changed = await action();
+      if (changed) {
+        await this.refreshFilters();
+        await this.loadPage({ reset: true });
+      }
+    } catch (error) {
+      console.error('❌ Route library action failed:', error);
+      alert(t('library.actionFailed', { error: error.message }));
+    }
+  }
+
+  async loadRoutes(ids) {
+    const routes = await Promise.all(ids.map(id => this.appState.getRoute(id)));
+    return routes.filter(Boolean);
+  }
+
+  // Returns true when the library needs reloading
+  async manageRoute(summary) {
+    const action = await dialogs.selectFromList({
+      title: summary.name,
+      message: t('library.routeMeta', {
+        date: formatDate(summary.date),
+        distance: formatNumber(summary.totalDistance, { maximumFractionDigits: 2 }),
+        duration: this.formatDuration(summary.elapsedTime),
+        points: summary.points
+      }),
+      items: [
+        { value: 'view', label: t('library.actionView') },
+        { value: 'edit', label: t('library.actionEdit') },
+        { value: 'stats', label: t('library.actionStats') },
+        { value: 'export', label: t('library.actionExport') },
+        { value: 'rename', label: t('library.actionRename') },
+        { value: 'tags', label: t('library.actionTags') },
+        { value: 'folder', label: t('library.actionFolder') },
+        { value: 'survey', label: t('library.actionSurvey') },
+        { value: 'upload', label: t('library.actionUpload') },
+        { value: 'delete', label: t('library.actionDelete') }
+      ]
+    });
+    if (!action) return false;
+
+    const ids = [summary.id];
+    switch (action) {
+      case 'view':
+        return this.viewRoute(summary.id);
+      case 'edit':
+        await this.dependencies.editor?.editSavedRoute(summary.id);
+        return false;
+      case 'stats':
+        await this.dependencies.stats?.showSavedRoute(summary.id);
+        return false;
+      case 'export':
+        return this.exportRoutes(ids);
+      case 'rename': {
+        const name = await dialogs.prompt({
+          title: t('library.renameTitle'),
+          label: t('library.nameLabel'),
+          defaultValue: summary.name,
+          required: true
+        });
+        if (!name || name === summary.name) return false;
+        await this.appState.updateRouteDetails(summary.id, { name });
+        if (this.selected.has(summary.id)) this.selected.set(summary.id, name);
+        return true;
+      }
+      case 'tags': {
+        const tags = await dialogs.prompt({
+          title: t('library.tagsTitle'),
+          label: t('library.tagsLabel'),
+          defaultValue: summary.tags.join(', '),
+          placeholder: t('library.tagsPlaceholder')
+        });
+        if (tags === null) return false;
+        await this.appState.updateRouteDetails(summary.id, { tags });
+        return true;
+      }
+      case 'folder':
+        return this.moveRoutes(ids, summary.folder);
+      case 'survey':
+        this.dependencies.navigation?.hideAllPanels();
+        window.openAccessibilityForm?.(null, { routeId: summary.id, routeName: summary.name });
+        return false;
+      case 'upload':
+        return this.uploadRoutes(ids);
+      case 'delete':
+        return this.deleteRoutes(ids);
+      default:
+        return false;
+    }
+  }
+
+  async viewRoute(id) {
+    const route = await this.appState.getRoute(id);
+    if (!route) {
+      alert(t('library.notFound'));
+      return true;
+    }
+    this.dependencies.navigation?.hideAllPanels();
+    this.dependencies.map?.showRouteData(route.data || []);
+    return false;
+  }
+
+  exportSelected() {
+    return this.exportRoutes([...this.selected.keys()]);
+  }
+
+  async exportRoutes(ids) {
+    const exporter = this.dependencies.export;
+    const routes = await this.loadRoutes(ids);
+    if (!exporter || routes.length === 0) return false;
+
+    if (routes.length === 1) {
+      await exporter.exportSavedRoute(routes[0]);
+    } else {
+      await exporter.exportRoutes(routes, { exportType: 'selected_routes', filename: `routes-export-${Date.now()}.json` });
+    }
+    return false;
+  }
+
+  async tagSelected() {
+    const ids = [...this.selected.keys()];
+    const input = await dialogs.prompt({
+      title: t('library.tagsAddTitle', { count: ids.length }),
+      label: t('library.tagsLabel'),
+      placeholder: t('library.tagsPlaceholder'),
+      required: true
+    });
+    const tags = normalizeTags(input);
+    if (tags.length === 0) return false;
+
+    for (const route of await this.loadRoutes(ids)) {
+      await this.appState.updateRouteDetails(route.id, { tags: [...(route.tags || []), ...tags] });
+    }
+    announceToScreenReader(t('library.updated'));
+    return true;
+  }
+
+  moveSelected() {
+    return this.moveRoutes([...this.selected.keys()]);
+  }
+
+  async moveRoutes(ids, currentFolder = null) {
+    const folder = await this.chooseFolder(currentFolder);
+    if (folder === null) return false;
+
+    for (const id of ids) {
+      await this.appState.updateRouteDetails(id, { folder });
+    }
+    announceToScreenReader(t('library.updated'));
+    return true;
+  }
+
+  // Resolves a folder name, '' for no folder, or null when cancelled
+  async chooseFolder(currentFolder = null) {
+    const folders = await this.appState.getRouteFolders();
+    const NEW_FOLDER = {};
+
+    const choice = await dialogs.selectFromList({
+      title: t('library.folderTitle'),
+      items: [
+        ...folders.filter(name => name !== currentFolder).map(name => ({ value: name, label: `📁 ${name}` })),
+        { value: NEW_FOLDER, label: t('library.newFolder') },
+        ...(currentFolder !== '' ? [{ value: '', label: t('library.noFolder') }] : [])
+      ]
+    });
+    if (choice !== NEW_FOLDER) return choice;
+
+    return dialogs.prompt({
+      title: t('library.newFolderTitle'),
+      label: t('library.folderNameLabel'),
+      required: true
+    });
+  }
+
+  async mergeSelected() {
+    const ids = [...this.selected.keys()];
+    if (ids.length < 2) {
+      alert(t('library.mergeNeedsTwo'));
+      return false;
+    }
+
+    const [firstName] = this.selected.values();
+    const name = await dialogs.prompt({
+      title: t('library.mergeTitle', { count: ids.length }),
+      label: t('library.mergeNameLabel'),
+      defaultValue: t('library.mergedName', { name: firstName, count: ids.length - 1 }),
+      required: true
+    });
+    if (!name) return false;
+
+    const merged = await this.appState.mergeRoutes(ids, name);
+    this.selected.clear();
+    announceToScreenReader(t('library.merged', { name }));
+
+    const deleteOriginals = await dialogs.confirm({
+      title: t('library.deleteOriginalsTitle'),
+      message: t('library.deleteOriginalsMessage', { count: merged.mergedFrom.length }),
+      confirmLabel: t('library.deleteOriginals'),
+      cancelLabel: t('library.keepOriginals'),
+      danger: true
+    });
+    if (deleteOriginals) {
+      await this.appState.deleteRoutes(merged.mergedFrom);
+    }
+    return true;
+  }
+
+  uploadSelected() {
+    return this.uploadRoutes([...this.selected.keys()]);
+  }
+
+  async uploadRoutes(ids) {
+    const app = window.AccessNatureApp;
+    const authController = app?.getController('auth');
+    const tracking = this.dependencies.tracking;
+    if (!authController?.isAuthenticated?.() || !tracking) {
+      alert(t('library.uploadSignIn'));
+      return false;
+    }
+
+    const visibility = await dialogs.choose({
+      title: t('library.uploadTitle', { count: ids.length }),
+      label: t('library.uploadLabel'),
+      value: 'private',
+      options: [
+        { value: 'private', label: t('library.uploadPrivate'), description: t('library.uploadPrivateHint') },
+        { value: 'public', label: t('library.uploadPublic'), description: t('library.uploadPublicHint') }
+      ]
+    });
+    if (!visibility) return false;
+
+    const failed = [];
+    let queued = 0;
+    const routes = await this.loadRoutes(ids);
+    for (const route of routes) {
+      try {
+        // Stored photos are inlined for upload, as when saving a new route
+        const routeData = await this.appState.resolveRouteMedia(route.data || []);
+        const accessibilityData = await this.appState.getRouteSurvey(route.id);
+        const status = await tracking.saveRouteToCloud(routeData, { ...route, makePublic: visibility === 'public' }, accessibilityData, authController);
+        if (status === 'queued') queued++;
+      } catch (error) {
+        console.error(`❌ Upload failed for "${route.name}":`, error);
+        failed.push(route.name);
+      }
+    }
+
+    const messages = [t('library.uploadResult', { uploaded: routes.length - failed.length - queued, count: routes.length })];
+    if (queued > 0) messages.push(t('library.uploadQueued', { count: queued }));
+    if (failed.length > 0) messages.push(t('library.uploadFailed', { names: failed.join(', ') }));
+    alert(messages.join('\n\n'));
+
+    // Uploaded routes now have a cloud ID and show their sync state
+    return true;
+  }
+
+  // Two-way sync with the user's cloud routes; conflicts are put to the user one at a time
+  async syncRoutes() {
+    const user = window.AccessNatureApp?.getController('auth')?.getCurrentUser?.();
+    if (!user) {
+      alert(t('library.syncSignIn'));
+      return false;
+    }
+
+    this.setStatus(t('library.syncing'));
+    let result;
+    try {
+      result = await this.appState.routeSync.sync(user, {
+        resolveConflict: (conflict) => this.resolveConflict(conflict)
+      });
+    } catch (error) {
+      this.render(); // the route count replaces the sync status again
+      throw error;
+    }
+
+    const messages = [t('library.syncResult', { pushed: result.pushed, pulled: result.pulled, deleted: result.deleted })];
+    if (result.resolved > 0) messages.push(t('library.syncResolved', { count: result.resolved }));
+    if (result.conflicts > 0) messages.push(t('library.syncConflictsLeft', { count: result.conflicts }));
+    if (result.failed > 0) messages.push(t('library.syncStepsFailed', { count: result.failed }));
+    alert(messages.join('\n\n'));
+    return true;
+  }
+
+  // Resolves to a RESOLUTIONS value, or null to leave the route as it is
+  resolveConflict({ reason, local, tombstone, cloud }) {
+    const name = local?.name || tombstone?.name || cloud?.routeName;
+    const dates = {
+      localDate: formatDate(local?.updatedAt || local?.date || tombstone?.deletedAt),
+      cloudDate: cloud ? formatDate(getCloudStamp(cloud)) : ''
+    };
+    const messageKeys = {
+      [CONFLICT_REASONS.EDITED]: 'library.conflictEdited',
+      [CONFLICT_REASONS.DELETED_IN_CLOUD]: 'library.conflictDeletedInCloud',
+      [CONFLICT_REASONS.DELETED_LOCALLY]: 'library.conflictDeletedLocally'
+    };
+
+    return dialogs.choose({
+      title: t('library.conflictTitle', { name }),
+      message: t(messageKeys[reason], dates),
+      label: t('library.conflictLabel'),
+      value: RESOLUTIONS.LOCAL,
+      confirmLabel: t('library.conflictApply'),
+      cancelLabel: t('library.conflictSkip'),
+      options: CONFLICT_CHOICES[reason].map(([value, key]) => ({
+        value,
+        label: t(key),
+        description: t(`${key}Hint`)
+      }))
+    });
+  }
+
+  deleteSelected() {
+    return this.deleteRoutes([...this.selected.keys()]);
+  }
+
+  async deleteRoutes(ids) {
+    const confirmed = await dialogs.confirm({
+      title: t('library.deleteTitle'),
+      message: t('library.deleteConfirm', { count: ids.length }),
+      confirmLabel: t('library.delete'),
+      danger: true
+    });
+    if (!confirmed) return false;
+
+    const deleted = await this.appState.deleteRoutes(ids);
+    ids.forEach(id => this.selected.delete(id));
+    announceToScreenReader(t('library.deleted', { count: deleted }));
+    return true;
+  }
+}
@@ -0,0 +1,172 @@
+// Route statistics panel - moving time, pace, speed, per-km splits and GPS quality for the current or a saved route
+import { calculateRouteStats, formatPace, formatSpeed } from '../core/route-stats.js';
+import { t, formatNumber, onLanguageChange } from '../i18n/i18n.js';
+
+export class StatsPanelController {
+  constructor(appState) {
+    this.appState = appState;
+    this.dependencies = {};
+    this.current = null; // { name, stats } on display, redrawn when the language changes
+  }
+
+  setDependencies(deps) {
+    this.dependencies = deps;
+  }
+
+  initialize() {
+    this.panel = document.getElementById('statsPanel');
+    this.content = document.getElementById('statsContent');
+    if (!this.panel || !this.content) {
+      console.warn('Statistics panel not found');
+      return;
+    }
+
+    document.getElementById('routeStatsBtn')?.addEventListener('click', () => this.showCurrentRoute());
+
+    onLanguageChange(() => {
+      if (this.current) this.render();
+    });
+
+    console.log('📊 Statistics panel initialized');
+  }
+
+  showCurrentRoute() {
+    const routeData = this.appState.getRouteData();
+    if (!routeData.some(entry => entry.type === 'location')) {
+      alert(t('tracker.noRouteData'));
+      return false;
+    }
+
+    const stats = calculateRouteStats(routeData, {
+      totalDistance: this.appState.getTotalDistance(),
+      elapsedTime: this.appState.getElapsedTime()
+    });
+    return this.open(t('stats.currentRoute'), stats);
+  }
+
+  async showSavedRoute(id) {
+    const route = await this.appState.getRoute(id);
+    if (!route) {
+      alert(t('library.notFound'));
+      return false;
+    }
+    return this.open(route.name, calculateRouteStats(route.data || [], route));
+  }
+
+  open(name, stats) {
+    this.current = { name, stats };
+    this.render();
+
+    const navigation = this.dependencies.navigation;
+    if (navigation) {
+      navigation.hideAllPanels();
+      navigation.togglePanel('statsPanel');
+    } else {
+      this.panel.classList.remove('hidden');
+    }
+    return true;
+  }
+
+  render() {
+    const { name, stats } = this.current;
+    const number = (value, digits = 1) => formatNumber(value, { minimumFractionDigits: digits, maximumFractionDigits: digits });
+
+    const heading = document.createElement('p');
+    heading.className = 'stats-route-name';
+    heading.textContent = name;
+
+    const items = [
+      [t('stats.distance'), `${number(stats.totalDistance, 2)} km`],
+      [t('stats.elapsedTime'), this.formatTime(stats.elapsedTime)],
+      [t('stats.movingTime'), this.formatTime(stats.movingTime)],
+      [t('stats.stoppedTime'), this.formatTime(stats.stoppedTime)],
+      [t('stats.avgSpeed'), `${formatSpeed(stats.avgMovingSpeed)} km/h`],
+      [t('stats.maxSpeed'), `${formatSpeed(stats.maxSpeed)} km/h`],
+      [t('stats.pace'), `${formatPace(stats.avgPace)} /km`]
+    ];
+    if (stats.ascent !== null) {
+      items.push([t('stats.ascent'), `${Math.round(stats.ascent)} m`], [t('stats.descent'), `${Math.round(stats.descent)} m`]);
+    }
+
+    const grid = document.createElement('dl');
+    grid.className = 'stats-grid';
+    items.forEach(([label, value]) => {
+      const item = document.createElement('div');
+      item.className = 'stats-item';
+      const term = document.createElement('dt');
+      term.textContent = label;
+      const detail = document.createElement('dd');
+      detail.textContent = value;
+      item.append(term, detail);
+      grid.appendChild(item);
+    });
+
+    const { gps } = stats;
+    const quality = document.createElement('p');
+    quality.className = 'stats-gps';
+    quality.textContent = t('stats.gpsQuality', {
+      accuracy: gps.meanAccuracy === null ? '–' : Math.round(gps.meanAccuracy),
+      points: gps.pointCount,
+      gaps: gps.gapCount,
+      gapTime: this.formatTime(gps.gapTime)
+    });
+
+    this.content.replaceChildren(heading, grid, this.renderSplits(stats), quality);
+  }
+
+  renderSplits(stats) {
+    if (stats.splits.length === 0) {
+      const empty = document.createElement('p');
+      empty.className = 'stats-empty';
+      empty.textContent = t('stats.noSplits');
+      return empty;
+    }
+
+    const hasElevation = stats.ascent !== null;
+    const table = document.createElement('table');
+    table.className = 'stats-splits';
+
+    const caption = document.createElement('caption');
+    caption.textContent = t('stats.splits');
+    table.appendChild(caption);
+
+    const headings = [t('stats.km'), t('stats.movingTime'), t('stats.pace')];
+    if (hasElevation) headings.push(t('stats.ascent'), t('stats.descent'));
+    const headRow = table.createTHead().insertRow();
+    headings.forEach(text => {
+      const cell = document.createElement('th');
+      cell.scope = 'col';
+      cell.textContent = text;
+      headRow.appendChild(cell);
+    });
+
+    const body = table.createTBody();
+    stats.splits.forEach(split => {
+      const row = body.insertRow();
+      const label = document.createElement('th');
+      label.scope = 'row';
+      label.textContent = split.distance < stats.splitDistance
+        ? t('stats.partialSplit', { number: split.number, distance: formatNumber(split.distance, { maximumFractionDigits: 2 }) })
+        : split.number;
+      row.appendChild(label);
+
+      const values = [this.formatTime(split.movingTime), formatPace(split.pace)];
+      if (hasElevation) values.push(`${split.ascent} m`, `${split.descent} m`);
+      values.forEach(value => {
+        row.insertCell().textContent = value;
+      });
+    });
+
+    return table;
+  }
+
+  // 3725000 -> "1:02:05"
+  formatTime(milliseconds) {
+    const totalSeconds = Math.round((milliseconds || 0) / 1000);
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+    const pad = (value) => String(value).padStart(2, '0');
+    return hours > 0 ? `${hours}:${pad(minutes)}:${pad(seconds)}` : `${minutes}:${pad(seconds)}`;
+  }
+}
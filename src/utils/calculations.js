@@ -13,6 +13,16 @@ export function haversineDistance(coord1, coord2) {
   return R * (2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a)));
 }
 
+// Split location points into track segments at points flagged with segmentBreak
+export function splitTrackSegments(locationPoints) {
+  const segments = [];
+  locationPoints.forEach((point, index) => {
+    if (index === 0 || point.segmentBreak) segments.push([]);
+    segments[segments.length - 1].push(point);
+  });
+  return segments;
+}
+
 export function calculateBearing(coord1, coord2) {
   const toRad = deg => deg * Math.PI / 180;
   const toDeg = rad => rad * 180 / Math.PI;
@@ -28,6 +38,13 @@ export function calculateBearing(coord1, coord2) {
   return (bearing + 360) % 360;
 }
 
+// 45 -> "45° NE"
+export function formatBearing(degrees) {
+  const directions = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+  const normalized = ((Math.round(degrees) % 360) + 360) % 360;
+  return `${normalized}° ${directions[Math.round(normalized / 45) % 8]}`;
+}
+
 export function formatDistance(distanceKm) {
   if (distanceKm < 0.001) {
     return '0 m';
@@ -0,0 +1,171 @@
+// Minimal EXIF reader for JPEG photos - GPS position, camera bearing, orientation and capture time
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+const TAGS = {
+  orientation: 0x0112,
+  exifPointer: 0x8769,
+  gpsPointer: 0x8825,
+  dateTimeOriginal: 0x9003
+};
+
+const GPS_TAGS = {
+  latitudeRef: 0x0001,
+  latitude: 0x0002,
+  longitudeRef: 0x0003,
+  longitude: 0x0004,
+  altitudeRef: 0x0005,
+  altitude: 0x0006,
+  imgDirectionRef: 0x0010,
+  imgDirection: 0x0011,
+  horizontalError: 0x001F
+};
+
+// Returns the TIFF block offset inside the APP1 "Exif" segment, or -1
+function findExifOffset(view) {
+  if (view.byteLength < 4 || view.getUint16(0) !== 0xFFD8) return -1;
+
+  let offset = 2;
+  while (offset + 4 <= view.byteLength) {
+    const marker = view.getUint16(offset);
+    if ((marker & 0xFF00) !== 0xFF00) return -1;
+
+    const length = view.getUint16(offset + 2);
+    if (marker === 0xFFE1 && offset + 10 <= view.byteLength &&
+        view.getUint32(offset + 4) === 0x45786966 && view.getUint16(offset + 8) === 0) { // "Exif\0\0"
+      return offset + 10;
+    }
+    // Start of scan - image data follows, no metadata after this
+    if (marker === 0xFFDA) return -1;
+    offset += 2 + length;
+  }
+  return -1;
+}
+
+function readValue(view, tiff, little, type, count, valueOffset) {
+  const size = TYPE_SIZES[type];
+  if (!size) return null;
+
+  const start = size * count > 4 ? tiff + view.getUint32(valueOffset, little) : valueOffset;
+  if (start + size * count > view.byteLength) return null;
+
+  if (type === 2) {
+    let text = '';
+    for (let i = 0; i < count; i++) {
+      const code = view.getUint8(start + i);
+      if (code === 0) break;
+      text += String.fromCharCode(code);
+    }
+    return text;
+  }
+
+  const values = [];
+  for (let i = 0; i < count; i++) {
+    const at = start + i * size;
+    if (type === 1 || type === 7) values.push(view.getUint8(at));
+    else if (type === 3) values.push(view.getUint16(at, little));
+    else if (type === 4) values.push(view.getUint32(at, little));
+    else if (type === 9) values.push(view.getInt32(at, little));
+    else if (type === 5) {
+      const denominator = view.getUint32(at + 4, little);
+      values.push(denominator ? view.getUint32(at, little) / denominator : 0);
+    } else if (type === 10) {
+      const denominator = view.getInt32(at + 4, little);
+      values.push(denominator ? view.getInt32(at, little) / denominator : 0);
+    }
+  }
+  return count === 1 ? values[0] : values;
+}
+
+function readIFD(view, tiff, little, ifdOffset) {
+  const tags = {};
+  const start = tiff + ifdOffset;
+  if (start + 2 > view.byteLength) return tags;
+
+  const entries = view.getUint16(start, little);
+  for (let i = 0; i < entries; i++) {
+    const entry = start + 2 + i * 12;
+    if (entry + 12 > view.byteLength) break;
+
+    const tag = view.getUint16(entry, little);
+    const type = view.getUint16(entry + 2, little);
+    const count = view.getUint32(entry + 4, little);
+    tags[tag] = readValue(view, tiff, little, type, count, entry + 8);
+  }
+  return tags;
+}
+
+function toDecimalDegrees(dms, ref) {
+  if (!Array.isArray(dms) || dms.length < 3) return null;
+
+  const degrees = dms[0] + dms[1] / 60 + dms[2] / 3600;
+  return ref === 'S' || ref === 'W' ? -degrees : degrees;
+}
+
+// EXIF dates look like "2024:05:01 14:30:00" in the camera's local time
+function parseExifDate(value) {
+  const match = typeof value === 'string' && value.match(/^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/);
+  if (!match) return null;
+
+  const [, year, month, day, hour, minute, second] = match.map(Number);
+  const time = new Date(year, month - 1, day, hour, minute, second).getTime();
+  return isNaN(time) ? null : time;
+}
+
+// Parses EXIF from a JPEG ArrayBuffer; returns null when the image has no EXIF block
+export function parseExif(buffer) {
+  const view = new DataView(buffer);
+  const tiff = findExifOffset(view);
+  if (tiff < 0 || tiff + 8 > view.byteLength) return null;
+
+  const byteOrder = view.getUint16(tiff);
+  if (byteOrder !== 0x4949 && byteOrder !== 0x4D4D) return null;
+  const little = byteOrder === 0x4949;
+
+  const ifd0 = readIFD(view, tiff, little, view.getUint32(tiff + 4, little));
+  const exifIFD = ifd0[TAGS.exifPointer] ? readIFD(view, tiff, little, ifd0[TAGS.exifPointer]) : {};
+  const gpsIFD = ifd0[TAGS.gpsPointer] ? readIFD(view, tiff, little, ifd0[TAGS.gpsPointer]) : {};
+
+  const result = {
+    orientation: typeof ifd0[TAGS.orientation] === 'number' ? ifd0[TAGS.orientation] : null,
+    takenAt: parseExifDate(exifIFD[TAGS.dateTimeOriginal]),
+    coords: null,
+    altitude: null,
+    accuracy: null,
+    heading: null,
+    headingRef: null
+  };
+
+  const lat = toDecimalDegrees(gpsIFD[GPS_TAGS.latitude], gpsIFD[GPS_TAGS.latitudeRef]);
+  const lng = toDecimalDegrees(gpsIFD[GPS_TAGS.longitude], gpsIFD[GPS_TAGS.longitudeRef]);
+  // 0,0 is what some cameras write when they had no fix
+  if (lat !== null && lng !== null && !(lat === 0 && lng === 0) && Math.abs(lat) <= 90 && Math.abs(lng) <= 180) {
+    result.coords = { lat, lng };
+  }
+
+  if (typeof gpsIFD[GPS_TAGS.altitude] === 'number') {
+    result.altitude = gpsIFD[GPS_TAGS.altitudeRef] === 1 ? -gpsIFD[GPS_TAGS.altitude] : gpsIFD[GPS_TAGS.altitude];
+  }
+  if (typeof gpsIFD[GPS_TAGS.horizontalError] === 'number') {
+    result.accuracy = gpsIFD[GPS_TAGS.horizontalError];
+  }
+  if (typeof gpsIFD[GPS_TAGS.imgDirection] === 'number') {
+    result.heading = Math.round(gpsIFD[GPS_TAGS.imgDirection]) % 360;
+    result.headingRef = gpsIFD[GPS_TAGS.imgDirectionRef] === 'M' ? 'magnetic' : 'true';
+  }
+
+  return result;
+}
+
+// Reads EXIF from an image File/Blob; resolves to null for non-JPEGs or unreadable files
+export async function readExif(file) {
+  if (!file || (file.type && !/jpe?g/i.test(file.type))) return null;
+
+  try {
+    // EXIF lives in the first APP1 segment, which is capped at 64KB
+    const buffer = await file.slice(0, 128 * 1024).arrayBuffer();
+    return parseExif(buffer);
+  } catch (error) {
+    console.warn('Failed to read EXIF data:', error);
+    return null;
+  }
+}
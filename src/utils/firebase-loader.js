@@ -0,0 +1,36 @@
+// Lazy Firebase SDK imports - offline, a failed import() becomes an error users can read instead of a failed module fetch
+import { t } from '../i18n/i18n.js';
+
+export const FIREBASE_SDK_URL = 'https://www.gstatic.com/firebasejs/10.5.0';
+
+// Error code of the failure, for catch blocks that map codes to messages
+export const OFFLINE_ERROR_CODE = 'app/offline';
+
+async function importModule(url) {
+  try {
+    return await import(url);
+  } catch (cause) {
+    console.warn(`📴 Could not load ${url}:`, cause);
+    const error = new Error(navigator.onLine ? t('offline.moduleFailed') : t('offline.unavailable'));
+    error.code = OFFLINE_ERROR_CODE;
+    error.cause = cause;
+    throw error;
+  }
+}
+
+export function loadFirestore() {
+  return importModule(`${FIREBASE_SDK_URL}/firebase-firestore.js`);
+}
+
+export function loadFirebaseAuth() {
+  return importModule(`${FIREBASE_SDK_URL}/firebase-auth.js`);
+}
+
+// firebase-setup.js imports the SDK too, so it fails the same way offline
+export function loadFirebaseSetup() {
+  return importModule(new URL('../../firebase-setup.js', import.meta.url).href);
+}
+
+export function isOfflineError(error) {
+  return error?.code === OFFLINE_ERROR_CODE;
+}
@@ -0,0 +1,204 @@
+// GeoJSON (RFC 7946) reading and writing for routes
+import { haversineDistance, splitTrackSegments } from './calculations.js';
+import { getObservationCategory, getCategoryLabel, normalizeObservation } from '../core/observation-types.js';
+import { getOptionLabel } from '../features/survey-engine.js';
+
+function position(entry) {
+  const coords = [entry.coords.lng, entry.coords.lat];
+  if (typeof entry.elevation === 'number') coords.push(entry.elevation);
+  return coords;
+}
+
+function hasCoords(entry) {
+  return entry.coords && typeof entry.coords.lat === 'number' && typeof entry.coords.lng === 'number';
+}
+
+// Builds a FeatureCollection: the track as a (Multi)LineString plus Point features for notes, photos, rest points and observations
+export function buildGeoJSON(routeData, routeInfo = {}, accessibilityData = null) {
+  const entries = (routeData || []).filter(hasCoords);
+  const locationPoints = entries.filter(entry => entry.type === 'location');
+  const segments = splitTrackSegments(locationPoints).filter(segment => segment.length > 1);
+  const features = [];
+
+  if (segments.length > 0) {
+    features.push({
+      type: 'Feature',
+      geometry: segments.length === 1
+        ? { type: 'LineString', coordinates: segments[0].map(position) }
+        : { type: 'MultiLineString', coordinates: segments.map(segment => segment.map(position)) },
+      properties: {
+        featureType: 'route',
+        name: routeInfo.name || accessibilityData?.trailName || 'Access Nature Route',
+        description: routeInfo.description ||
+          (accessibilityData?.accessibilitySummary ? getOptionLabel('accessibilitySummary', accessibilityData.accessibilitySummary) : ''),
+        date: routeInfo.date || null,
+        totalDistance: routeInfo.totalDistance || 0,
+        elapsedTime: routeInfo.elapsedTime || 0,
+        // Per-vertex times in the same nesting as the coordinates (the "coordTimes" convention)
+        coordTimes: segments.length === 1
+          ? segments[0].map(entry => new Date(entry.timestamp).toISOString())
+          : segments.map(segment => segment.map(entry => new Date(entry.timestamp).toISOString())),
+        accessibility: accessibilityData || null,
+        creator: 'Access Nature'
+      }
+    });
+  }
+
+  const counters = { text: 0, photo: 0, stop: 0, observation: 0 };
+  const featureTypes = { text: 'note', photo: 'photo', stop: 'rest', observation: 'observation' };
+  entries.filter(entry => featureTypes[entry.type]).forEach(entry => {
+    const index = ++counters[entry.type];
+    const properties = {
+      featureType: featureTypes[entry.type],
+      time: new Date(entry.timestamp).toISOString()
+    };
+
+    if (entry.type === 'text') {
+      properties.name = `Note ${index}`;
+      properties.content = entry.content || '';
+    } else if (entry.type === 'photo') {
+      properties.name = `Photo ${index}`;
+      if (typeof entry.heading === 'number') properties.heading = entry.heading;
+      if (typeof entry.accuracy === 'number') properties.accuracy = entry.accuracy;
+    } else if (entry.type === 'observation') {
+      properties.name = getCategoryLabel(entry.category);
+      properties.category = entry.category;
+      properties.kind = getObservationCategory(entry.category).kind;
+      properties.severity = entry.severity;
+      properties.measurements = entry.measurements || {};
+      if (entry.note) properties.note = entry.note;
+      if (typeof entry.accuracy === 'number') properties.accuracy = entry.accuracy;
+    } else {
+      properties.name = `Rest point ${index}`;
+      properties.duration = Math.round(entry.duration || 0);
+    }
+
+    features.push({
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: position(entry) },
+      properties
+    });
+  });
+
+  return {
+    type: 'FeatureCollection',
+    features
+  };
+}
+
+// Parses GeoJSON (FeatureCollection, Feature or bare geometry) into { routeInfo, accessibilityData, routeData, skipped }
+export function parseGeoJSON(data) {
+  const features = data.type === 'FeatureCollection' ? data.features || []
+    : data.type === 'Feature' ? [data]
+    : [{ type: 'Feature', geometry: data, properties: {} }];
+
+  const routeData = [];
+  const waypoints = [];
+  let routeProperties = null;
+  let skipped = 0;
+  const baseTime = Date.now();
+
+  const toEntry = (coordinate, time) => {
+    const [lng, lat, elevation] = coordinate;
+    if (typeof lat !== 'number' || typeof lng !== 'number') return null;
+
+    const entry = { coords: { lat, lng } };
+    if (typeof elevation === 'number') entry.elevation = elevation;
+
+    const timestamp = time ? new Date(time).getTime() : NaN;
+    if (!isNaN(timestamp)) entry.timestamp = timestamp;
+    return entry;
+  };
+
+  const addLine = (coordinates, times) => {
+    const segmentStart = routeData.length;
+    coordinates.forEach((coordinate, index) => {
+      const entry = toEntry(coordinate, times?.[index]);
+      if (!entry) {
+        skipped++;
+        return;
+      }
+      if (typeof entry.timestamp !== 'number') {
+        const previous = routeData[routeData.length - 1];
+        entry.timestamp = previous ? previous.timestamp + 1000 : baseTime;
+        entry.estimatedTime = true;
+      }
+      routeData.push({ type: 'location', ...entry });
+    });
+    if (segmentStart > 0 && routeData.length > segmentStart) {
+      routeData[segmentStart].segmentBreak = true;
+    }
+  };
+
+  features.forEach(feature => {
+    const geometry = feature?.geometry;
+    const properties = feature?.properties || {};
+    if (!geometry) {
+      skipped++;
+      return;
+    }
+
+    if (geometry.type === 'LineString') {
+      routeProperties = routeProperties || properties;
+      addLine(geometry.coordinates || [], properties.coordTimes);
+    } else if (geometry.type === 'MultiLineString') {
+      routeProperties = routeProperties || properties;
+      (geometry.coordinates || []).forEach((line, index) => addLine(line, properties.coordTimes?.[index]));
+    } else if (geometry.type === 'Point') {
+      const entry = toEntry(geometry.coordinates || [], properties.time || properties.timestamp);
+      if (!entry) {
+        skipped++;
+        return;
+      }
+
+      if (properties.featureType === 'rest') {
+        waypoints.push({ type: 'stop', ...entry, duration: properties.duration || 0, endTime: (entry.timestamp || 0) + (properties.duration || 0) });
+      } else if (properties.featureType === 'observation') {
+        const accuracy = typeof properties.accuracy === 'number' ? { accuracy: properties.accuracy } : {};
+        waypoints.push({ type: 'observation', ...entry, ...normalizeObservation(properties), ...accuracy });
+      } else if (properties.featureType === 'photo') {
+        // Image data isn't carried in GeoJSON; keep the location as a note
+        waypoints.push({ type: 'text', ...entry, content: `📷 ${properties.name || 'Photo location'}` });
+      } else {
+        const content = properties.content || properties.description || properties.name || 'Point of interest';
+        waypoints.push({ type: 'text', ...entry, content });
+      }
+    } else {
+      skipped++;
+    }
+  });
+
+  // Timed points slot in by time; untimed ones go at the end
+  const lastTime = routeData.length > 0 ? routeData[routeData.length - 1].timestamp : baseTime;
+  waypoints.forEach((waypoint, index) => {
+    if (typeof waypoint.timestamp !== 'number') {
+      waypoint.timestamp = lastTime + index + 1;
+      routeData.push(waypoint);
+      return;
+    }
+    const insertAt = routeData.findIndex(entry => entry.timestamp > waypoint.timestamp);
+    routeData.splice(insertAt === -1 ? routeData.length : insertAt, 0, waypoint);
+  });
+
+  const locationPoints = routeData.filter(entry => entry.type === 'location');
+  const properties = routeProperties || {};
+  const totalDistance = typeof properties.totalDistance === 'number' && properties.totalDistance > 0
+    ? properties.totalDistance
+    : locationPoints.reduce((sum, entry, index) =>
+      index === 0 || entry.segmentBreak ? sum : sum + haversineDistance(locationPoints[index - 1].coords, entry.coords), 0);
+
+  return {
+    routeInfo: {
+      name: properties.name || null,
+      description: properties.description || null,
+      totalDistance,
+      elapsedTime: properties.elapsedTime || (locationPoints.length > 1
+        ? Math.max(0, locationPoints[locationPoints.length - 1].timestamp - locationPoints[0].timestamp)
+        : 0),
+      date: properties.date || (locationPoints[0] ? new Date(locationPoints[0].timestamp).toISOString() : new Date().toISOString())
+    },
+    accessibilityData: properties.accessibility || null,
+    routeData,
+    skipped
+  };
+}
@@ -17,24 +17,60 @@ export function getCurrentPosition(options = {}) {
   });
 }
 
+// Elevation lookups use the Open-Meteo API shape: ?latitude=a,b&longitude=c,d -> { elevation: [...] }
+export const DEFAULT_ELEVATION_ENDPOINT = 'https://api.open-meteo.com/v1/elevation';
+const ELEVATION_BATCH_SIZE = 100; // Open-Meteo's per-request coordinate limit
+
+// A local stand-in server can be used by setting localStorage 'elevationEndpoint'
+export function getElevationEndpoint() {
+  return localStorage.getItem('elevationEndpoint') || DEFAULT_ELEVATION_ENDPOINT;
+}
+
+export function setElevationEndpoint(url) {
+  if (url) {
+    localStorage.setItem('elevationEndpoint', url);
+  } else {
+    localStorage.removeItem('elevationEndpoint');
+  }
+}
+
 export async function getElevation(lat, lng) {
-  try {
-    const url = `https://api.open-meteo.com/v1/elevation?latitude=${lat}&longitude=${lng}`;
-    const response = await fetch(url);
-    
-    if (!response.ok) throw new Error(`HTTP ${response.status}`);
-    
-    const data = await response.json();
-    
-    if (Array.isArray(data.elevation) && data.elevation.length > 0) {
-      return data.elevation[0];
+  const [elevation] = await getElevations([{ lat, lng }]);
+  return elevation;
+}
+
+// Resolve elevations (meters) for many coordinates; failed lookups come back as null
+export async function getElevations(coordsList, { batchSize = ELEVATION_BATCH_SIZE } = {}) {
+  const endpoint = getElevationEndpoint();
+  const elevations = new Array(coordsList.length).fill(null);
+
+  for (let start = 0; start < coordsList.length; start += batchSize) {
+    const batch = coordsList.slice(start, start + batchSize);
+    // The endpoint may carry its own query parameters, e.g. an API key
+    const url = new URL(endpoint, globalThis.location?.href);
+    url.searchParams.set('latitude', batch.map(c => c.lat.toFixed(6)).join(','));
+    url.searchParams.set('longitude', batch.map(c => c.lng.toFixed(6)).join(','));
+
+    try {
+      const response = await fetch(url);
+      
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      
+      const data = await response.json();
+      
+      if (Array.isArray(data.elevation)) {
+        data.elevation.forEach((value, i) => {
+          if (typeof value === 'number' && i < batch.length) {
+            elevations[start + i] = value;
+          }
+        });
+      }
+    } catch (error) {
+      console.warn(`Elevation fetch failed for points ${start}-${start + batch.length - 1}:`, error);
     }
-    
-    return null;
-  } catch (error) {
-    console.warn('Elevation fetch failed:', error);
-    return null;
   }
+
+  return elevations;
 }
 
 export function isMobileDevice() {
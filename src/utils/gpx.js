@@ -0,0 +1,484 @@
+// GPX 1.1 reading and writing, including Access Nature extension elements
+import { haversineDistance, splitTrackSegments } from './calculations.js';
+import { getCategoryLabel, getSeverityLabel, normalizeObservation, OBSERVATION_MEASUREMENTS } from '../core/observation-types.js';
+import { getOptionLabel, getSurveyFields } from '../features/survey-engine.js';
+
+export const GPX_NAMESPACE = 'http://www.topografix.com/GPX/1/1';
+export const ACCESS_NATURE_NAMESPACE = 'https://accessnature.app/xmlns/gpx/1';
+const HDOP_METERS = 5; // approximate meters of horizontal error per unit of HDOP
+
+export function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function isoTime(timestamp) {
+  const date = new Date(timestamp);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+function isXmlName(name) {
+  return /^[A-Za-z_][\w.-]*$/.test(name);
+}
+
+function pointAttributes(coords) {
+  return `lat="${coords.lat.toFixed(7)}" lon="${coords.lng.toFixed(7)}"`;
+}
+
+function timeElement(timestamp, indent) {
+  const time = isoTime(timestamp);
+  return time ? `\n${indent}<time>${time}</time>` : '';
+}
+
+function elevationElement(entry, indent) {
+  return typeof entry.elevation === 'number' ? `\n${indent}<ele>${entry.elevation.toFixed(1)}</ele>` : '';
+}
+
+function buildAccessibilityExtension(accessibilityData, indent) {
+  const fields = Object.entries(accessibilityData || {})
+    .filter(([key, value]) => isXmlName(key) && value !== null && value !== undefined && value !== '');
+
+  if (fields.length === 0) return '';
+
+  const lines = fields.map(([key, value]) => {
+    if (Array.isArray(value)) {
+      const items = value.map(item => `<an:item>${escapeXml(item)}</an:item>`).join('');
+      return `${indent}  <an:${key}>${items}</an:${key}>`;
+    }
+    return `${indent}  <an:${key}>${escapeXml(value)}</an:${key}>`;
+  });
+
+  return `\n${indent}<an:accessibility>\n${lines.join('\n')}\n${indent}</an:accessibility>`;
+}
+
+function buildWaypoint(entry, index) {
+  const indent = '    ';
+  let name;
+  let desc = '';
+  let type;
+  let extensions = '';
+
+  if (entry.type === 'text') {
+    const text = String(entry.content || '');
+    name = text.length > 40 ? `${text.slice(0, 37)}...` : text || `Note ${index}`;
+    desc = text;
+    type = 'note';
+  } else if (entry.type === 'photo') {
+    name = `Photo ${index}`;
+    type = 'photo';
+    if (typeof entry.heading === 'number' || typeof entry.accuracy === 'number') {
+      extensions = `
+${indent}<extensions>
+${indent}  <an:photo>${typeof entry.heading === 'number' ? `
+${indent}    <an:heading>${entry.heading}</an:heading>` : ''}${typeof entry.accuracy === 'number' ? `
+${indent}    <an:accuracy>${entry.accuracy.toFixed(1)}</an:accuracy>` : ''}
+${indent}  </an:photo>
+${indent}</extensions>`;
+    }
+  } else if (entry.type === 'observation') {
+    name = `${getCategoryLabel(entry.category)} (${getSeverityLabel(entry.severity)})`;
+    desc = entry.note || '';
+    type = 'observation';
+    const measurements = Object.entries(entry.measurements || {})
+      .filter(([key, value]) => OBSERVATION_MEASUREMENTS[key] && typeof value === 'number')
+      .map(([key, value]) => `
+${indent}      <an:${key}>${value}</an:${key}>`).join('');
+    extensions = `
+${indent}<extensions>
+${indent}  <an:observation>
+${indent}    <an:category>${escapeXml(entry.category)}</an:category>
+${indent}    <an:severity>${escapeXml(entry.severity)}</an:severity>${measurements ? `
+${indent}    <an:measurements>${measurements}
+${indent}    </an:measurements>` : ''}${typeof entry.accuracy === 'number' ? `
+${indent}    <an:accuracy>${entry.accuracy.toFixed(1)}</an:accuracy>` : ''}
+${indent}  </an:observation>
+${indent}</extensions>`;
+  } else {
+    const minutes = Math.max(1, Math.round((entry.duration || 0) / 60000));
+    name = `Rest point (${minutes} min)`;
+    type = 'rest';
+    extensions = `
+${indent}<extensions>
+${indent}  <an:stop>
+${indent}    <an:duration>${Math.round(entry.duration || 0)}</an:duration>${entry.endTime ? `
+${indent}    <an:endTime>${isoTime(entry.endTime)}</an:endTime>` : ''}
+${indent}  </an:stop>
+${indent}</extensions>`;
+  }
+
+  return `
+  <wpt ${pointAttributes(entry.coords)}>${elevationElement(entry, indent)}${timeElement(entry.timestamp, indent)}
+${indent}<name>${escapeXml(name)}</name>${desc ? `
+${indent}<desc>${escapeXml(desc)}</desc>` : ''}
+${indent}<type>${type}</type>${extensions}
+  </wpt>`;
+}
+
+function buildTrackPoint(entry) {
+  const indent = '        ';
+  let extra = '';
+
+  if (typeof entry.accuracy === 'number') {
+    extra += `\n${indent}<hdop>${(entry.accuracy / HDOP_METERS).toFixed(1)}</hdop>`;
+    extra += `\n${indent}<extensions><an:accuracy>${entry.accuracy.toFixed(1)}</an:accuracy></extensions>`;
+  }
+
+  return `
+      <trkpt ${pointAttributes(entry.coords)}>${elevationElement(entry, indent)}${timeElement(entry.timestamp, indent)}${extra}
+      </trkpt>`;
+}
+
+// Builds a GPX 1.1 document from route entries; routeInfo supplies name/description/stats
+export function buildGPX(routeData, routeInfo = {}, accessibilityData = null) {
+  const entries = (routeData || []).filter(entry => entry.coords &&
+    typeof entry.coords.lat === 'number' && typeof entry.coords.lng === 'number');
+  const locationPoints = entries.filter(entry => entry.type === 'location');
+  const waypoints = entries.filter(entry => ['text', 'photo', 'stop', 'observation'].includes(entry.type));
+
+  const name = routeInfo.name || accessibilityData?.trailName || 'Access Nature Route';
+  const description = routeInfo.description ||
+    [
+      `${(routeInfo.totalDistance || 0).toFixed(2)} km route recorded with Access Nature`,
+      accessibilityData?.location,
+      accessibilityData?.accessibilitySummary && getOptionLabel('accessibilitySummary', accessibilityData.accessibilitySummary)
+    ].filter(Boolean).join(' - ');
+  const metadataTime = isoTime(routeInfo.date || locationPoints[0]?.timestamp || Date.now());
+
+  const counters = { text: 0, photo: 0, stop: 0, observation: 0 };
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="Access Nature"
+  xmlns="${GPX_NAMESPACE}"
+  xmlns:an="${ACCESS_NATURE_NAMESPACE}"
+  xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+  xsi:schemaLocation="${GPX_NAMESPACE} http://www.topografix.com/GPX/1/1/gpx.xsd">
+  <metadata>
+    <name>${escapeXml(name)}</name>
+    <desc>${escapeXml(description)}</desc>${metadataTime ? `
+    <time>${metadataTime}</time>` : ''}
+    <extensions>
+      <an:route>
+        <an:totalDistance>${(routeInfo.totalDistance || 0).toFixed(4)}</an:totalDistance>
+        <an:elapsedTime>${Math.round(routeInfo.elapsedTime || 0)}</an:elapsedTime>
+      </an:route>${buildAccessibilityExtension(accessibilityData, '      ')}
+    </extensions>
+  </metadata>${waypoints.map(entry => buildWaypoint(entry, ++counters[entry.type])).join('')}
+  <trk>
+    <name>${escapeXml(name)}</name>${splitTrackSegments(locationPoints).map(segment => `
+    <trkseg>${segment.map(buildTrackPoint).join('')}
+    </trkseg>`).join('')}
+  </trk>
+</gpx>
+`;
+}
+
+function childText(element, tagName) {
+  const child = Array.from(element.children).find(node => node.localName === tagName);
+  return child ? child.textContent.trim() : null;
+}
+
+function extensionElements(element, localName) {
+  return Array.from(element.getElementsByTagNameNS(ACCESS_NATURE_NAMESPACE, localName));
+}
+
+// XML only carries text, so numeric answers are turned back into numbers on import
+const NUMERIC_SURVEY_FIELDS = new Set([
+  'schemaVersion',
+  ...getSurveyFields().filter(field => field.type === 'number').map(field => field.name)
+]);
+
+function parseAccessibilityExtension(gpxDoc) {
+  const container = gpxDoc.getElementsByTagNameNS(ACCESS_NATURE_NAMESPACE, 'accessibility')[0];
+  if (!container) return null;
+
+  const data = {};
+  Array.from(container.children).forEach(field => {
+    const items = Array.from(field.children).filter(node => node.localName === 'item');
+    if (items.length > 0) {
+      data[field.localName] = items.map(item => item.textContent);
+    } else if (NUMERIC_SURVEY_FIELDS.has(field.localName)) {
+      data[field.localName] = parseNumber(field.textContent.trim()) ?? field.textContent;
+    } else {
+      data[field.localName] = field.textContent;
+    }
+  });
+
+  return data;
+}
+
+function parseNumber(text) {
+  if (text === null || text === '') return null;
+  const value = parseFloat(text);
+  return isNaN(value) ? null : value;
+}
+
+// Parses a GPX document into { name, description, routeInfo, accessibilityData, routeData, report }.
+// Every <trkseg> and <rte> becomes its own segment; the first point of each later segment is marked
+// with segmentBreak. Problems are counted in the report rather than dropped silently.
+export function parseGPX(text) {
+  const gpxDoc = new DOMParser().parseFromString(text, 'text/xml');
+
+  if (gpxDoc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('File is not valid XML');
+  }
+
+  const root = gpxDoc.documentElement;
+  if (!root || root.localName !== 'gpx') {
+    throw new Error('File is not a GPX document');
+  }
+
+  const report = {
+    version: root.getAttribute('version') || 'unknown',
+    creator: root.getAttribute('creator') || 'unknown',
+    tracks: 0,
+    routes: 0,
+    segments: 0,
+    trackPoints: 0,
+    routePoints: 0,
+    waypoints: 0,
+    skippedPoints: 0,
+    missingTimestamps: 0,
+    badTimestamps: 0,
+    outOfOrderTimestamps: 0,
+    restoredExtensions: [],
+    issues: []
+  };
+
+  const addIssue = (message) => {
+    // Keep the list readable; counts above carry the totals
+    if (report.issues.length < 20) report.issues.push(message);
+  };
+
+  const children = (element, name) => Array.from(element.children).filter(node => node.localName === name);
+  const metadata = children(root, 'metadata')[0];
+  const routeExtension = extensionElements(root, 'route')[0];
+
+  // Reads lat/lon/ele/time; returns { entry, timeStatus } or null for unusable coordinates
+  const readPoint = (element, label) => {
+    const lat = parseFloat(element.getAttribute('lat'));
+    const lng = parseFloat(element.getAttribute('lon'));
+
+    if (isNaN(lat) || isNaN(lng) || lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+      report.skippedPoints++;
+      addIssue(`${label}: invalid coordinates (lat="${element.getAttribute('lat')}", lon="${element.getAttribute('lon')}") - skipped`);
+      return null;
+    }
+
+    const entry = { coords: { lat, lng } };
+
+    const elevation = parseNumber(childText(element, 'ele'));
+    if (elevation !== null) entry.elevation = elevation;
+
+    const time = childText(element, 'time');
+    let timeStatus = 'ok';
+    if (!time) {
+      timeStatus = 'missing';
+    } else {
+      const timestamp = new Date(time).getTime();
+      if (isNaN(timestamp)) {
+        timeStatus = 'bad';
+        addIssue(`${label}: unreadable timestamp "${time}"`);
+      } else {
+        entry.timestamp = timestamp;
+      }
+    }
+
+    return { entry, timeStatus };
+  };
+
+  // Track and route points, in document order, grouped by segment
+  const segments = [];
+
+  children(root, 'trk').forEach((trk, trkIndex) => {
+    report.tracks++;
+    children(trk, 'trkseg').forEach((trkseg, segIndex) => {
+      const points = [];
+      children(trkseg, 'trkpt').forEach((trkpt, ptIndex) => {
+        report.trackPoints++;
+        const point = readPoint(trkpt, `Track ${trkIndex + 1}, segment ${segIndex + 1}, point ${ptIndex + 1}`);
+        if (!point) return;
+
+        const accuracy = parseNumber(extensionElements(trkpt, 'accuracy')[0]?.textContent ?? null);
+        const hdop = parseNumber(childText(trkpt, 'hdop'));
+        if (accuracy !== null) {
+          point.entry.accuracy = accuracy;
+        } else if (hdop !== null) {
+          point.entry.accuracy = hdop * HDOP_METERS;
+        }
+
+        points.push(point);
+      });
+      if (points.length > 0) segments.push(points);
+    });
+  });
+
+  children(root, 'rte').forEach((rte, rteIndex) => {
+    report.routes++;
+    const points = [];
+    children(rte, 'rtept').forEach((rtept, ptIndex) => {
+      report.routePoints++;
+      const point = readPoint(rtept, `Route ${rteIndex + 1}, point ${ptIndex + 1}`);
+      if (point) points.push(point);
+    });
+    if (points.length > 0) segments.push(points);
+  });
+
+  report.segments = segments.length;
+
+  // Fill in missing/bad times from the previous point so ordering survives; flag going backwards
+  const routeData = [];
+  let lastTimestamp = null;
+  const baseTime = Date.now();
+
+  segments.forEach((points, segIndex) => {
+    points.forEach((point, ptIndex) => {
+      const { entry, timeStatus } = point;
+
+      if (timeStatus !== 'ok') {
+        if (timeStatus === 'missing') report.missingTimestamps++;
+        if (timeStatus === 'bad') report.badTimestamps++;
+        entry.timestamp = lastTimestamp !== null ? lastTimestamp + 1000 : baseTime;
+        entry.estimatedTime = true;
+      } else if (lastTimestamp !== null && entry.timestamp < lastTimestamp) {
+        report.outOfOrderTimestamps++;
+        addIssue(`Segment ${segIndex + 1}, point ${ptIndex + 1}: timestamp earlier than the previous point`);
+      }
+      lastTimestamp = entry.timestamp;
+
+      routeData.push({
+        type: 'location',
+        ...entry,
+        ...(segIndex > 0 && ptIndex === 0 ? { segmentBreak: true } : {})
+      });
+    });
+  });
+
+  // Waypoints: our own rest/photo/note/observation types are restored, anything else becomes a note
+  const waypoints = [];
+  children(root, 'wpt').forEach((wpt, index) => {
+    report.waypoints++;
+    const point = readPoint(wpt, `Waypoint ${index + 1}`);
+    if (!point) return;
+
+    const { entry, timeStatus } = point;
+    if (timeStatus === 'missing') report.missingTimestamps++;
+    if (timeStatus === 'bad') report.badTimestamps++;
+
+    const type = childText(wpt, 'type');
+    const name = childText(wpt, 'name');
+    const desc = childText(wpt, 'desc') || childText(wpt, 'cmt');
+    const stop = extensionElements(wpt, 'stop')[0];
+    const observation = extensionElements(wpt, 'observation')[0];
+
+    if (type === 'rest' && stop) {
+      const duration = parseNumber(extensionElements(stop, 'duration')[0]?.textContent ?? null) || 0;
+      const endTime = new Date(extensionElements(stop, 'endTime')[0]?.textContent ?? '').getTime();
+      waypoints.push({
+        type: 'stop',
+        ...entry,
+        duration,
+        endTime: isNaN(endTime) ? (entry.timestamp ?? 0) + duration : endTime
+      });
+    } else if (type === 'observation' && observation) {
+      const measurementsElement = extensionElements(observation, 'measurements')[0];
+      const measurements = {};
+      Array.from(measurementsElement?.children || []).forEach(node => {
+        measurements[node.localName] = node.textContent;
+      });
+      const accuracy = parseNumber(extensionElements(observation, 'accuracy')[0]?.textContent ?? null);
+      waypoints.push({
+        type: 'observation',
+        ...entry,
+        ...normalizeObservation({
+          category: extensionElements(observation, 'category')[0]?.textContent,
+          severity: extensionElements(observation, 'severity')[0]?.textContent,
+          measurements,
+          note: desc
+        }),
+        ...(accuracy !== null ? { accuracy } : {})
+      });
+    } else if (type === 'photo') {
+      // Photo images aren't carried in GPX; keep the location as a note
+      waypoints.push({ type: 'text', ...entry, content: `📷 ${name || 'Photo location'}` });
+    } else {
+      const content = name && desc && desc !== name ? `${name}: ${desc}` : (desc || name || 'Waypoint');
+      waypoints.push({ type: 'text', ...entry, content });
+    }
+  });
+
+  // Timed waypoints slot in by time; untimed ones go at the end
+  const lastTrackTime = routeData.length > 0 ? routeData[routeData.length - 1].timestamp : baseTime;
+  waypoints.forEach((waypoint, index) => {
+    if (typeof waypoint.timestamp !== 'number') {
+      waypoint.timestamp = lastTrackTime + index + 1;
+      waypoint.estimatedTime = true;
+      routeData.push(waypoint);
+      return;
+    }
+    const insertAt = routeData.findIndex(entry => entry.timestamp > waypoint.timestamp);
+    routeData.splice(insertAt === -1 ? routeData.length : insertAt, 0, waypoint);
+  });
+
+  const locationPoints = routeData.filter(entry => entry.type === 'location');
+  const accessibilityData = parseAccessibilityExtension(gpxDoc);
+
+  if (extensionElements(root, 'accuracy').length > 0) report.restoredExtensions.push('accuracy');
+  if (waypoints.some(entry => entry.type === 'stop')) report.restoredExtensions.push('rest points');
+  if (waypoints.some(entry => entry.type === 'observation')) report.restoredExtensions.push('barrier observations');
+  if (routeExtension) report.restoredExtensions.push('route statistics');
+  if (accessibilityData) report.restoredExtensions.push('accessibility survey');
+
+  let totalDistance = parseNumber(routeExtension ? extensionElements(routeExtension, 'totalDistance')[0]?.textContent ?? null : null);
+  if (totalDistance === null) {
+    // Don't count the gap between segments
+    totalDistance = locationPoints.reduce((sum, entry, index) =>
+      index === 0 || entry.segmentBreak ? sum : sum + haversineDistance(locationPoints[index - 1].coords, entry.coords), 0);
+  }
+
+  let elapsedTime = parseNumber(routeExtension ? extensionElements(routeExtension, 'elapsedTime')[0]?.textContent ?? null : null);
+  if (elapsedTime === null) {
+    elapsedTime = locationPoints.length > 1
+      ? Math.max(0, locationPoints[locationPoints.length - 1].timestamp - locationPoints[0].timestamp)
+      : 0;
+  }
+
+  const firstTrack = children(root, 'trk')[0] || children(root, 'rte')[0];
+  const name = (metadata && childText(metadata, 'name')) || (firstTrack && childText(firstTrack, 'name')) || null;
+  const description = (metadata && childText(metadata, 'desc')) || (firstTrack && childText(firstTrack, 'desc')) || null;
+  const metadataTime = metadata ? childText(metadata, 'time') : null;
+
+  return {
+    name,
+    description,
+    routeInfo: {
+      name,
+      description,
+      totalDistance,
+      elapsedTime,
+      date: metadataTime || (locationPoints[0] ? new Date(locationPoints[0].timestamp).toISOString() : new Date().toISOString())
+    },
+    accessibilityData,
+    routeData,
+    report
+  };
+}
+
+// Human-readable validation summary for an import report
+export function formatGPXReport(report) {
+  const lines = [
+    `Tracks: ${report.tracks} (${report.segments} segment${report.segments === 1 ? '' : 's'}), routes: ${report.routes}`,
+    `Track points: ${report.trackPoints}, route points: ${report.routePoints}, waypoints: ${report.waypoints}`
+  ];
+
+  if (report.skippedPoints) lines.push(`⚠️ Skipped ${report.skippedPoints} point(s) with invalid coordinates`);
+  if (report.missingTimestamps) lines.push(`⚠️ ${report.missingTimestamps} point(s) had no timestamp (times estimated)`);
+  if (report.badTimestamps) lines.push(`⚠️ ${report.badTimestamps} point(s) had unreadable timestamps (times estimated)`);
+  if (report.outOfOrderTimestamps) lines.push(`⚠️ ${report.outOfOrderTimestamps} point(s) were out of time order`);
+  if (report.restoredExtensions.length) lines.push(`Restored: ${report.restoredExtensions.join(', ')}`);
+
+  return lines.join('\n');
+}
@@ -50,4 +50,61 @@ export async function copyToClipboard(text) {
       document.body.removeChild(textArea);
       return true;
     }
-  }
\ No newline at end of file
+  } catch (error) {
+    console.warn('Copy to clipboard failed:', error);
+    return false;
+  }
+}
+
+// Downscale an image (data URL or object URL) to a JPEG data URL no larger than maxSize on either side
+export function createImageThumbnail(source, maxSize = 240, quality = 0.7) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+
+    img.onload = () => {
+      const scale = Math.min(1, maxSize / Math.max(img.width, img.height));
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.round(img.width * scale);
+      canvas.height = Math.round(img.height * scale);
+      canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+
+      try {
+        resolve(canvas.toDataURL('image/jpeg', quality));
+      } catch (error) {
+        reject(new Error('Thumbnail generation failed'));
+      }
+    };
+
+    img.onerror = () => reject(new Error('Failed to load image'));
+    img.src = source;
+  });
+}
+
+export function isDataUrl(value) {
+  return typeof value === 'string' && value.startsWith('data:');
+}
+
+export function dataUrlToBlob(dataUrl) {
+  const [header, data] = dataUrl.split(',');
+  const mimeType = header.match(/^data:([^;,]+)/)?.[1] || 'application/octet-stream';
+
+  if (!header.includes(';base64')) {
+    return new Blob([decodeURIComponent(data)], { type: mimeType });
+  }
+
+  const binary = atob(data);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return new Blob([bytes], { type: mimeType });
+}
+
+export function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(new Error('Failed to read blob'));
+    reader.readAsDataURL(blob);
+  });
+}
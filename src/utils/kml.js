@@ -0,0 +1,320 @@
+// KML 2.2 reading and writing for routes (KMZ packaging is handled by the export controller)
+import { haversineDistance, splitTrackSegments, formatBearing } from './calculations.js';
+import { escapeXml } from './gpx.js';
+import { getOptionLabel } from '../features/survey-engine.js';
+
+export const KML_NAMESPACE = 'http://www.opengis.net/kml/2.2';
+const GX_NAMESPACE = 'http://www.google.com/kml/ext/2.2';
+
+const ICONS = {
+  note: 'http://maps.google.com/mapfiles/kml/shapes/info-i.png',
+  photo: 'http://maps.google.com/mapfiles/kml/shapes/camera.png',
+  rest: 'http://maps.google.com/mapfiles/kml/shapes/parks.png'
+};
+
+function kmlCoordinate(entry) {
+  const values = [entry.coords.lng.toFixed(7), entry.coords.lat.toFixed(7)];
+  if (typeof entry.elevation === 'number') values.push(entry.elevation.toFixed(1));
+  return values.join(',');
+}
+
+function dataElement(name, value) {
+  return `<Data name="${escapeXml(name)}"><value>${escapeXml(value)}</value></Data>`;
+}
+
+function iconStyle(id, href) {
+  return `
+    <Style id="${id}">
+      <IconStyle><scale>1.1</scale><Icon><href>${href}</href></Icon></IconStyle>
+    </Style>`;
+}
+
+// Builds a KML document; photoHref(entry, index) may return an image path to show in the photo balloon
+export function buildKML(routeData, routeInfo = {}, accessibilityData = null, { photoHref = null } = {}) {
+  const entries = (routeData || []).filter(entry => entry.coords &&
+    typeof entry.coords.lat === 'number' && typeof entry.coords.lng === 'number');
+  const locationPoints = entries.filter(entry => entry.type === 'location');
+  const segments = splitTrackSegments(locationPoints).filter(segment => segment.length > 1);
+
+  const name = routeInfo.name || accessibilityData?.trailName || 'Access Nature Route';
+  const description = routeInfo.description ||
+    (accessibilityData?.accessibilitySummary ? getOptionLabel('accessibilitySummary', accessibilityData.accessibilitySummary) : '');
+
+  // Arrays (multi-select survey answers) are stored as JSON so they round-trip
+  const accessibilityFields = Object.entries(accessibilityData || {})
+    .filter(([, value]) => value !== null && value !== undefined && value !== '')
+    .map(([key, value]) => dataElement(`accessibility_${key}`, Array.isArray(value) ? JSON.stringify(value) : value));
+
+  const lineStrings = segments.map(segment => `
+          <LineString>
+            <tessellate>1</tessellate>
+            <coordinates>${segment.map(kmlCoordinate).join(' ')}</coordinates>
+          </LineString>`).join('');
+
+  const trackPlacemark = segments.length === 0 ? '' : `
+    <Placemark>
+      <name>${escapeXml(name)}</name>
+      <styleUrl>#route</styleUrl>
+      <TimeSpan>
+        <begin>${new Date(locationPoints[0].timestamp).toISOString()}</begin>
+        <end>${new Date(locationPoints[locationPoints.length - 1].timestamp).toISOString()}</end>
+      </TimeSpan>
+      <ExtendedData>${dataElement('featureType', 'route')}</ExtendedData>
+      ${segments.length === 1 ? lineStrings.trim() : `<MultiGeometry>${lineStrings}
+      </MultiGeometry>`}
+    </Placemark>`;
+
+  const counters = { text: 0, photo: 0, stop: 0 };
+  const placemarks = entries.filter(entry => ['text', 'photo', 'stop'].includes(entry.type)).map(entry => {
+    const index = ++counters[entry.type];
+    const time = new Date(entry.timestamp).toLocaleString();
+    let featureType;
+    let placemarkName;
+    let balloon;
+    let extra = '';
+
+    if (entry.type === 'text') {
+      featureType = 'note';
+      placemarkName = `Note ${index}`;
+      balloon = `<p>${escapeXml(entry.content || '')}</p><p><small>${time}</small></p>`;
+      extra = dataElement('content', entry.content || '');
+    } else if (entry.type === 'photo') {
+      featureType = 'photo';
+      placemarkName = `Photo ${index}`;
+      const href = photoHref ? photoHref(entry, index) : null;
+      const facing = typeof entry.heading === 'number' ? ` · facing ${formatBearing(entry.heading)}` : '';
+      balloon = `${href ? `<img src="${href}" width="240"/><br/>` : ''}<small>${time}${facing}</small>`;
+      if (href) extra = dataElement('image', href);
+      if (typeof entry.heading === 'number') extra += dataElement('heading', entry.heading);
+      if (typeof entry.accuracy === 'number') extra += dataElement('accuracy', entry.accuracy);
+    } else {
+      featureType = 'rest';
+      const minutes = Math.max(1, Math.round((entry.duration || 0) / 60000));
+      placemarkName = `Rest point (${minutes} min)`;
+      balloon = `<p>Stopped for about ${minutes} min</p><p><small>${time}</small></p>`;
+      extra = dataElement('duration', Math.round(entry.duration || 0));
+    }
+
+    return `
+    <Placemark>
+      <name>${escapeXml(placemarkName)}</name>
+      <description>${escapeXml(balloon)}</description>
+      <styleUrl>#${featureType}</styleUrl>
+      <TimeStamp><when>${new Date(entry.timestamp).toISOString()}</when></TimeStamp>
+      <ExtendedData>${dataElement('featureType', featureType)}${extra}</ExtendedData>
+      <Point><coordinates>${kmlCoordinate(entry)}</coordinates></Point>
+    </Placemark>`;
+  }).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="${KML_NAMESPACE}" xmlns:gx="${GX_NAMESPACE}">
+  <Document>
+    <name>${escapeXml(name)}</name>
+    <description>${escapeXml(description)}</description>
+    <Style id="route">
+      <LineStyle><color>ff597c4a</color><width>4</width></LineStyle>
+    </Style>${iconStyle('note', ICONS.note)}${iconStyle('photo', ICONS.photo)}${iconStyle('rest', ICONS.rest)}
+    <ExtendedData>
+      ${dataElement('creator', 'Access Nature')}
+      ${dataElement('date', routeInfo.date || '')}
+      ${dataElement('totalDistance', (routeInfo.totalDistance || 0).toFixed(4))}
+      ${dataElement('elapsedTime', Math.round(routeInfo.elapsedTime || 0))}${accessibilityFields.map(field => `
+      ${field}`).join('')}
+    </ExtendedData>${trackPlacemark}${placemarks}
+  </Document>
+</kml>
+`;
+}
+
+function directChild(element, name) {
+  return Array.from(element.children).find(node => node.localName === name) || null;
+}
+
+function readExtendedData(element) {
+  const data = {};
+  const extended = directChild(element, 'ExtendedData');
+  if (!extended) return data;
+
+  Array.from(extended.children).filter(node => node.localName === 'Data').forEach(node => {
+    const value = directChild(node, 'value');
+    data[node.getAttribute('name')] = value ? value.textContent : '';
+  });
+  return data;
+}
+
+function parseCoordinateList(text) {
+  return (text || '').trim().split(/\s+/).filter(Boolean).map(tuple => {
+    const [lng, lat, alt] = tuple.split(',').map(Number);
+    return { lng, lat, alt };
+  });
+}
+
+function toEntry({ lat, lng, alt }) {
+  if (isNaN(lat) || isNaN(lng) || lat < -90 || lat > 90 || lng < -180 || lng > 180) return null;
+  const entry = { coords: { lat, lng } };
+  if (typeof alt === 'number' && !isNaN(alt)) entry.elevation = alt;
+  return entry;
+}
+
+// Parses KML text into { routeInfo, accessibilityData, routeData, skipped }.
+// images maps KMZ-relative paths to data URLs so photo placemarks can be restored as photos.
+export function parseKML(text, { images = {} } = {}) {
+  const kmlDoc = new DOMParser().parseFromString(text, 'text/xml');
+
+  if (kmlDoc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('File is not valid XML');
+  }
+  if (!kmlDoc.documentElement || kmlDoc.documentElement.localName !== 'kml') {
+    throw new Error('File is not a KML document');
+  }
+
+  const documentElement = kmlDoc.getElementsByTagNameNS('*', 'Document')[0] || kmlDoc.documentElement;
+  const documentData = readExtendedData(documentElement);
+
+  const segments = [];
+  const waypoints = [];
+  let skipped = 0;
+  let routeName = null;
+
+  Array.from(kmlDoc.getElementsByTagNameNS('*', 'Placemark')).forEach(placemark => {
+    const data = readExtendedData(placemark);
+    const name = directChild(placemark, 'name')?.textContent.trim() || null;
+    const when = placemark.getElementsByTagNameNS('*', 'when')[0]?.textContent;
+
+    // gx:Track keeps per-vertex times
+    const tracks = Array.from(placemark.getElementsByTagNameNS(GX_NAMESPACE, 'Track'));
+    tracks.forEach(track => {
+      const times = Array.from(track.getElementsByTagNameNS('*', 'when')).map(node => new Date(node.textContent).getTime());
+      const points = Array.from(track.getElementsByTagNameNS(GX_NAMESPACE, 'coord')).map((node, index) => {
+        const [lng, lat, alt] = node.textContent.trim().split(/\s+/).map(Number);
+        const entry = toEntry({ lat, lng, alt });
+        if (!entry) {
+          skipped++;
+          return null;
+        }
+        if (!isNaN(times[index])) entry.timestamp = times[index];
+        return entry;
+      }).filter(Boolean);
+      if (points.length > 0) segments.push({ points });
+      routeName = routeName || name;
+    });
+
+    const lines = Array.from(placemark.getElementsByTagNameNS('*', 'LineString'));
+    const begin = new Date(placemark.getElementsByTagNameNS('*', 'begin')[0]?.textContent || '').getTime();
+    const end = new Date(placemark.getElementsByTagNameNS('*', 'end')[0]?.textContent || '').getTime();
+    const lineSegments = lines.map(line =>
+      parseCoordinateList(directChild(line, 'coordinates')?.textContent).map(coordinate => {
+        const entry = toEntry(coordinate);
+        if (!entry) skipped++;
+        return entry;
+      }).filter(Boolean)
+    ).filter(points => points.length > 0);
+
+    // The placemark's TimeSpan covers all of its lines, in order
+    const total = lineSegments.reduce((sum, points) => sum + points.length, 0);
+    let offset = 0;
+    lineSegments.forEach(points => {
+      segments.push({ points, begin, end, offset, total });
+      offset += points.length;
+      routeName = routeName || name;
+    });
+
+    const point = placemark.getElementsByTagNameNS('*', 'Point')[0];
+    if (point && lines.length === 0 && tracks.length === 0) {
+      const [coordinate] = parseCoordinateList(directChild(point, 'coordinates')?.textContent);
+      const entry = coordinate ? toEntry(coordinate) : null;
+      if (!entry) {
+        skipped++;
+        return;
+      }
+
+      const timestamp = when ? new Date(when).getTime() : NaN;
+      if (!isNaN(timestamp)) entry.timestamp = timestamp;
+
+      if (data.featureType === 'rest') {
+        const duration = Number(data.duration) || 0;
+        waypoints.push({ type: 'stop', ...entry, duration, endTime: (entry.timestamp || 0) + duration });
+      } else if (data.featureType === 'photo' && data.image && images[data.image]) {
+        const photo = { type: 'photo', ...entry, content: images[data.image] };
+        if (data.heading !== undefined && !isNaN(Number(data.heading))) photo.heading = Number(data.heading);
+        if (data.accuracy !== undefined && !isNaN(Number(data.accuracy))) photo.accuracy = Number(data.accuracy);
+        waypoints.push(photo);
+      } else if (data.featureType === 'photo') {
+        waypoints.push({ type: 'text', ...entry, content: `📷 ${name || 'Photo location'}` });
+      } else {
+        const description = directChild(placemark, 'description')?.textContent.replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+        waypoints.push({ type: 'text', ...entry, content: data.content || description || name || 'Placemark' });
+      }
+    }
+  });
+
+  // Lines without per-vertex times are spread evenly across their TimeSpan when there is one
+  const routeData = [];
+  const baseTime = Date.now();
+  segments.forEach(({ points, begin, end, offset = 0, total = points.length }, segIndex) => {
+    points.forEach((entry, index) => {
+      if (typeof entry.timestamp !== 'number') {
+        if (!isNaN(begin) && !isNaN(end) && total > 1) {
+          entry.timestamp = Math.round(begin + (end - begin) * (offset + index) / (total - 1));
+        } else {
+          const previous = routeData[routeData.length - 1];
+          entry.timestamp = previous ? previous.timestamp + 1000 : baseTime;
+          entry.estimatedTime = true;
+        }
+      }
+      routeData.push({
+        type: 'location',
+        ...entry,
+        ...(segIndex > 0 && index === 0 ? { segmentBreak: true } : {})
+      });
+    });
+  });
+
+  const lastTime = routeData.length > 0 ? routeData[routeData.length - 1].timestamp : baseTime;
+  waypoints.forEach((waypoint, index) => {
+    if (typeof waypoint.timestamp !== 'number') {
+      waypoint.timestamp = lastTime + index + 1;
+      routeData.push(waypoint);
+      return;
+    }
+    const insertAt = routeData.findIndex(entry => entry.timestamp > waypoint.timestamp);
+    routeData.splice(insertAt === -1 ? routeData.length : insertAt, 0, waypoint);
+  });
+
+  const accessibilityData = {};
+  Object.entries(documentData).forEach(([key, value]) => {
+    if (!key.startsWith('accessibility_')) return;
+    const field = key.slice('accessibility_'.length);
+    if (value.startsWith('[')) {
+      try {
+        accessibilityData[field] = JSON.parse(value);
+        return;
+      } catch {
+        // Not JSON after all - keep the raw text
+      }
+    }
+    accessibilityData[field] = value;
+  });
+
+  const locationPoints = routeData.filter(entry => entry.type === 'location');
+  const storedDistance = parseFloat(documentData.totalDistance);
+  const storedElapsed = parseFloat(documentData.elapsedTime);
+  const name = directChild(documentElement, 'name')?.textContent.trim() || routeName;
+  const description = directChild(documentElement, 'description')?.textContent.trim() || null;
+
+  return {
+    routeInfo: {
+      name,
+      description,
+      totalDistance: storedDistance > 0 ? storedDistance : locationPoints.reduce((sum, entry, index) =>
+        index === 0 || entry.segmentBreak ? sum : sum + haversineDistance(locationPoints[index - 1].coords, entry.coords), 0),
+      elapsedTime: storedElapsed > 0 ? storedElapsed : (locationPoints.length > 1
+        ? Math.max(0, locationPoints[locationPoints.length - 1].timestamp - locationPoints[0].timestamp)
+        : 0),
+      date: documentData.date || (locationPoints[0] ? new Date(locationPoints[0].timestamp).toISOString() : new Date().toISOString())
+    },
+    accessibilityData: Object.keys(accessibilityData).length > 0 ? accessibilityData : null,
+    routeData,
+    skipped
+  };
+}
@@ -0,0 +1,188 @@
+// Service worker - precaches the app shell and libraries so the tracker loads with no signal
+// Bump RELEASE with every release: the new worker installs fresh caches and the old ones are dropped.
+const RELEASE = '1.4.0';
+
+const CACHE_PREFIX = 'accessnature-';
+const SHELL_CACHE = `${CACHE_PREFIX}shell-${RELEASE}`;
+const LIBRARY_CACHE = `${CACHE_PREFIX}libraries-${RELEASE}`;
+
+// Caches tied to a release; anything else under CACHE_PREFIX outlives updates
+const VERSIONED_CACHES = [`${CACHE_PREFIX}shell-`, `${CACHE_PREFIX}libraries-`];
+
+// Everything the two pages load, including modules that are only imported on demand
+const APP_SHELL = [
+  './',
+  'index.html',
+  'tracker.html',
+  'manifest.webmanifest',
+  'firebase-setup.js',
+  'icons/icon-192.png',
+  'icons/icon-512.png',
+  'icons/icon-maskable-512.png',
+  'src/css/accessibility.css',
+  'src/css/auth.css',
+  'src/css/base.css',
+  'src/css/components.css',
+  'src/css/dialog.css',
+  'src/css/enhanced_components_css.css',
+  'src/css/landing.css',
+  'src/css/layout.css',
+  'src/css/themes.css',
+  'src/css/tracker-styles.css',
+  'src/landing.js',
+  'src/tracker-app.js',
+  'src/core/accessibility-score.js',
+  'src/core/cloud-outbox.js',
+  'src/core/dwell-detector.js',
+  'src/core/elevation.js',
+  'src/core/indexeddb.js',
+  'src/core/map.js',
+  'src/core/media-store.js',
+  'src/core/observation-types.js',
+  'src/core/position-filter.js',
+  'src/core/route-edit.js',
+  'src/core/route-query.js',
+  'src/core/route-sync.js',
+  'src/core/route-stats.js',
+  'src/core/storage.js',
+  'src/core/tile-cache.js',
+  'src/core/timer.js',
+  'src/core/tracking.js',
+  'src/data/backend.js',
+  'src/data/firestore-adapter.js',
+  'src/data/local-adapter.js',
+  'src/data/repositories.js',
+  'src/data/store.js',
+  'src/features/accessibility.js',
+  'src/features/auth.js',
+  'src/features/export.js',
+  'src/features/firebase.js',
+  'src/features/media.js',
+  'src/features/observations.js',
+  'src/features/survey-engine.js',
+  'src/features/survey-review.js',
+  'src/features/survey-schema.js',
+  'src/i18n/i18n.js',
+  'src/i18n/locales/ar.js',
+  'src/i18n/locales/en.js',
+  'src/i18n/locales/he.js',
+  'src/ui/compass.js',
+  'src/ui/dialog.js',
+  'src/ui/navigation.js',
+  'src/ui/offline-maps.js',
+  'src/ui/pwa.js',
+  'src/ui/route-editor.js',
+  'src/ui/route-library.js',
+  'src/ui/stats-panel.js',
+  'src/utils/calculations.js',
+  'src/utils/exif.js',
+  'src/utils/firebase-loader.js',
+  'src/utils/geojson.js',
+  'src/utils/geolocation.js',
+  'src/utils/gpx.js',
+  'src/utils/helpers.js',
+  'src/utils/kml.js'
+];
+
+const FIREBASE_SDK_URL = 'https://www.gstatic.com/firebasejs/10.5.0';
+
+// Third-party scripts and styles, at the exact URLs the pages and modules request
+const LIBRARIES = [
+  'https://unpkg.com/leaflet@1.9.3/dist/leaflet.css',
+  'https://unpkg.com/leaflet@1.9.3/dist/leaflet.js',
+  'https://unpkg.com/leaflet@1.9.3/dist/images/marker-icon.png',
+  'https://unpkg.com/leaflet@1.9.3/dist/images/marker-icon-2x.png',
+  'https://unpkg.com/leaflet@1.9.3/dist/images/marker-shadow.png',
+  'https://unpkg.com/leaflet@1.9.3/dist/images/layers.png',
+  'https://unpkg.com/leaflet/dist/leaflet.js',
+  'https://unpkg.com/leaflet-control-geocoder/dist/Control.Geocoder.css',
+  'https://unpkg.com/leaflet-control-geocoder/dist/Control.Geocoder.js',
+  'https://cdnjs.cloudflare.com/ajax/libs/jspdf/2.5.1/jspdf.umd.min.js',
+  'https://cdnjs.cloudflare.com/ajax/libs/jszip/3.10.1/jszip.min.js',
+  `${FIREBASE_SDK_URL}/firebase-app.js`,
+  `${FIREBASE_SDK_URL}/firebase-auth.js`,
+  `${FIREBASE_SDK_URL}/firebase-firestore.js`,
+  `${FIREBASE_SDK_URL}/firebase-storage.js`
+];
+
+// Other requests to these hosts (chunks, marker images) are cached the first time they load
+const LIBRARY_HOSTS = ['unpkg.com', 'cdnjs.cloudflare.com'];
+
+function isLibraryRequest(url) {
+  return LIBRARY_HOSTS.includes(url.hostname) ||
+    (url.hostname === 'www.gstatic.com' && url.pathname.startsWith('/firebasejs/'));
+}
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    // The shell must be complete, or the release isn't installed at all
+    const shell = await caches.open(SHELL_CACHE);
+    await shell.addAll(APP_SHELL.map(url => new Request(url, { cache: 'reload' })));
+
+    // A CDN hiccup shouldn't block the install; anything missed is cached on first use
+    const libraries = await caches.open(LIBRARY_CACHE);
+    await Promise.all(LIBRARIES.map(url =>
+      libraries.add(new Request(url, { mode: 'cors' })).catch(error => console.warn(`Could not precache ${url}:`, error))
+    ));
+    console.log(`📦 Release ${RELEASE} cached`);
+  })());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const current = [SHELL_CACHE, LIBRARY_CACHE];
+    const names = await caches.keys();
+    await Promise.all(names
+      .filter(name => VERSIONED_CACHES.some(prefix => name.startsWith(prefix)) && !current.includes(name))
+      .map(name => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+// Updates wait until the page agrees to reload (see src/ui/pwa.js)
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+  if (request.mode === 'navigate' && url.origin === self.location.origin) {
+    event.respondWith(handleNavigation(request));
+  } else if (url.origin === self.location.origin) {
+    event.respondWith(cacheFirst(request, SHELL_CACHE));
+  } else if (isLibraryRequest(url)) {
+    event.respondWith(cacheFirst(request, LIBRARY_CACHE));
+  }
+  // Everything else (Firestore, map tiles, elevation lookups) goes straight to the network;
+  // tiles downloaded for offline use come from IndexedDB (src/core/tile-cache.js)
+});
+
+// Pages come from the release cache, so the HTML always matches the cached modules
+async function handleNavigation(request) {
+  const cached = await caches.match(request, { ignoreSearch: true });
+  if (cached) return cached;
+
+  try {
+    return await fetch(request);
+  } catch (error) {
+    return (await caches.match('index.html')) || Response.error();
+  }
+}
+
+async function cacheFirst(request, cacheName) {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  // Scripts loaded without CORS come back opaque; they still run from the cache
+  if (response.ok || response.type === 'opaque') {
+    const cache = await caches.open(cacheName);
+    cache.put(request, response.clone());
+  }
+  return response;
+}
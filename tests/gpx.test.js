@@ -0,0 +1,27 @@
+// GPX export and import - run with `node --test tests/`
+// parseGPX needs a DOMParser; in plain Node the round trip is skipped unless one is provided
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildGPX, parseGPX } from '../src/utils/gpx.js';
+
+const point = (timestamp, lat) => ({ type: 'location', timestamp, coords: { lat, lng: 35 } });
+
+test('survey answers keep their types through export and import', { skip: typeof DOMParser === 'undefined' && 'no DOMParser' }, () => {
+  const survey = {
+    schemaVersion: 2,
+    trailName: 'Carmel & Coast',
+    location: 'Haifa',
+    trailLength: 3.5,
+    parkingSpaces: 4,
+    disabledParking: ['available'],
+    visualAdaptations: ['raised_borders', 'tactile'],
+    surfaceQuality: 'fair',
+    additionalNotes: 'Bench at <the> top'
+  };
+  const routeData = [point(Date.UTC(2026, 2, 1, 8), 32.000), point(Date.UTC(2026, 2, 1, 8, 5), 32.001)];
+
+  const imported = parseGPX(buildGPX(routeData, { name: 'Round trip', totalDistance: 0.1 }, survey));
+
+  assert.deepEqual(imported.accessibilityData, survey);
+  assert.equal(typeof imported.accessibilityData.schemaVersion, 'number');
+});
@@ -0,0 +1,52 @@
+// Route sync merging - run with `node --test tests/`
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mergeRouteVersions } from '../src/core/route-sync.js';
+
+const point = (timestamp, lat) => ({ type: 'location', timestamp, coords: { lat, lng: 35 } });
+const note = (timestamp, content) => ({ type: 'text', timestamp, content, coords: { lat: 32, lng: 35 } });
+
+test('points trimmed on the newer side stay trimmed', () => {
+  const local = {
+    id: 7,
+    name: 'Trimmed',
+    updatedAt: '2026-03-02T10:00:00Z',
+    date: '2026-03-01T08:00:00Z',
+    data: [point(2, 32.001), point(3, 32.002), note(3, 'bench')]
+  };
+  const cloud = {
+    name: 'Original',
+    updatedAt: '2026-03-01T09:00:00Z',
+    date: '2026-03-01T08:00:00Z',
+    data: [point(1, 32.000), point(2, 32.001), point(3, 32.002), point(4, 32.003), note(1, 'gate')]
+  };
+
+  const merged = mergeRouteVersions(local, cloud);
+
+  assert.deepEqual(merged.data.filter(entry => entry.type === 'location').map(entry => entry.timestamp), [2, 3]);
+  assert.deepEqual(merged.data.filter(entry => entry.type === 'text').map(entry => entry.content), ['gate', 'bench']);
+  assert.equal(merged.id, 7);
+  assert.equal(merged.name, 'Trimmed');
+});
+
+test('the cloud track wins when the cloud version is newer', () => {
+  const local = {
+    id: 7,
+    name: 'Local',
+    updatedAt: '2026-03-01T09:00:00Z',
+    date: '2026-03-01T08:00:00Z',
+    data: [point(1, 32.000), point(2, 32.001), point(3, 32.002), note(2, 'kept')]
+  };
+  const cloud = {
+    name: 'Cloud',
+    updatedAt: '2026-03-02T10:00:00Z',
+    date: '2026-03-01T08:00:00Z',
+    data: [point(1, 32.000), point(2, 32.001)]
+  };
+
+  const merged = mergeRouteVersions(local, cloud);
+
+  assert.deepEqual(merged.data.filter(entry => entry.type === 'location').map(entry => entry.timestamp), [1, 2]);
+  assert.deepEqual(merged.data.filter(entry => entry.type === 'text').map(entry => entry.content), ['kept']);
+  assert.equal(merged.id, 7);
+});